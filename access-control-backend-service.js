@@ -0,0 +1,668 @@
+// utils/permissions.js
+// Roles are ordered: each role has every permission of the roles before it.
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'forum:lock',
+    'forum:delete',
+    'comments:delete',
+    'reviews:delete',
+    'content:curate',
+    'moderation:review',
+    'users:suspend'
+  ],
+  admin: [
+    'franchises:edit',
+    'users:manage_roles'
+  ]
+};
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role to check
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+function roleAtLeast(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole) && ROLES.includes(minimumRole);
+}
+
+/**
+ * Get every permission granted to a role, including inherited ones
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permission names
+ */
+function getPermissions(role) {
+  const index = ROLES.indexOf(role);
+  return ROLES.slice(0, index + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+}
+
+/**
+ * Check whether a user has a permission
+ * @param {Object} user - User instance or plain object with a role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return Boolean(user) && getPermissions(user.role).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  getPermissions,
+  hasPermission
+};
+
+// middleware/requirePermission.js
+const { roleAtLeast, hasPermission } = require('../utils/permissions');
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'You do not have permission to do that'
+});
+
+/**
+ * Only let through users that have every listed permission
+ * Must run after authMiddleware.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.every(permission => hasPermission(req.user, permission))) {
+    return forbidden(res);
+  }
+  next();
+};
+
+/**
+ * Only let through users with at least the given role
+ * Must run after authMiddleware.
+ * @param {string} role - Minimum role
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user || !roleAtLeast(req.user.role, role)) {
+    return forbidden(res);
+  }
+  next();
+};
+
+module.exports = {
+  requirePermission,
+  requireRole
+};
+
+// models/forumTopic.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ForumTopic = sequelize.define('ForumTopic', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [3, 200]
+      }
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    locked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  });
+
+  return ForumTopic;
+};
+
+// models/featuredContent.js
+// Hand-picked content shown in the home page hero carousel
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FeaturedContent = sequelize.define('FeaturedContent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    curatedById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  });
+
+  return FeaturedContent;
+};
+
+// controllers/moderationController.js
+const { body, param, query } = require('express-validator');
+const { User, Comment, ForumTopic, ForumPost, Franchise, Content, FeaturedContent } = require('../models');
+const { ROLES, hasPermission } = require('../utils/permissions');
+const commentService = require('../services/commentService');
+const moderationService = require('../services/moderationService');
+const { REPORT_REASONS, ACTIONS, TARGET_TYPES } = require('../services/moderationService');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const lockTopicValidation = [
+  param('id').isUUID(),
+  body('locked').isBoolean().toBoolean(),
+  validateRequest
+];
+
+const updateFranchiseValidation = [
+  param('id').isUUID(),
+  body('name').optional().isString().trim().notEmpty(),
+  body('description').optional().isString(),
+  body('timeline').optional().isArray(),
+  validateRequest
+];
+
+const featureContentValidation = [
+  body('contentId').isUUID(),
+  body('position').optional().isInt({ min: 0 }).toInt(),
+  validateRequest
+];
+
+const unfeatureContentValidation = [
+  param('contentId').isUUID(),
+  validateRequest
+];
+
+const updateRoleValidation = [
+  param('id').isUUID(),
+  body('role').isIn(ROLES),
+  validateRequest
+];
+
+const reportValidation = [
+  body('targetType').isIn(TARGET_TYPES),
+  body('targetId').isUUID(),
+  body('reason').isIn(REPORT_REASONS),
+  body('details').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  validateRequest
+];
+
+const queueValidation = [
+  query('targetType').optional().isIn(TARGET_TYPES),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const actionValidation = [
+  param('targetType').isIn(TARGET_TYPES),
+  param('targetId').isUUID(),
+  body('action').isIn(ACTIONS),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  body('suspendDays').optional().isInt({ min: 1, max: 365 }).toInt(),
+  validateRequest
+];
+
+const actionLogValidation = [
+  query('userId').optional().isUUID(),
+  query('targetType').optional().isIn(TARGET_TYPES),
+  query('targetId').optional().isUUID(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const notFound = (res, what) => res.status(404).json({
+  success: false,
+  message: `${what} not found`
+});
+
+/**
+ * Reject new posts in a locked topic, unless the poster can lock topics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ensureTopicUnlocked = async (req, res, next) => {
+  try {
+    const topic = await ForumTopic.findByPk(req.params.id);
+    if (!topic) return notFound(res, 'Topic');
+
+    if (topic.locked && !hasPermission(req.user, 'forum:lock')) {
+      return res.status(423).json({
+        success: false,
+        message: 'This topic is locked'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lock or unlock a forum topic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const lockTopic = async (req, res, next) => {
+  try {
+    const topic = await ForumTopic.findByPk(req.params.id);
+    if (!topic) return notFound(res, 'Topic');
+
+    const { locked } = req.body;
+    await topic.update({
+      locked,
+      lockedAt: locked ? new Date() : null,
+      lockedById: locked ? req.user.id : null
+    });
+
+    res.json({
+      success: true,
+      data: topic
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a forum post
+ * Authors can delete their own posts; moderators can delete any.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deletePost = async (req, res, next) => {
+  try {
+    const post = await ForumPost.findByPk(req.params.id);
+    if (!post) return notFound(res, 'Post');
+
+    if (post.userId !== req.user.id && !hasPermission(req.user, 'forum:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do that'
+      });
+    }
+
+    await post.destroy();
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a comment
+ * Authors can delete their own comments; moderators can delete any. The
+ * comment is soft deleted so replies to it keep their place in the thread.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findByPk(req.params.id);
+    if (!comment || comment.deletedAt) return notFound(res, 'Comment');
+
+    if (comment.userId !== req.user.id && !hasPermission(req.user, 'comments:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do that'
+      });
+    }
+
+    await commentService.deleteComment(comment);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit franchise data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateFranchise = async (req, res, next) => {
+  try {
+    const franchise = await Franchise.findByPk(req.params.id);
+    if (!franchise) return notFound(res, 'Franchise');
+
+    const { name, description, timeline } = req.body;
+    const updates = { name, description, timeline };
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+    await franchise.update(updates);
+
+    res.json({
+      success: true,
+      data: franchise
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get featured content in display order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getFeaturedContent = async (req, res, next) => {
+  try {
+    const featured = await FeaturedContent.findAll({
+      include: [{ model: Content }],
+      order: [['position', 'ASC']]
+    });
+
+    res.json(featured.map(item => item.Content));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add content to the featured carousel, or move it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const featureContent = async (req, res, next) => {
+  try {
+    const { contentId, position = 0 } = req.body;
+
+    const content = await Content.findByPk(contentId);
+    if (!content) return notFound(res, 'Content');
+
+    const [featured] = await FeaturedContent.upsert({
+      contentId,
+      position,
+      curatedById: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: featured
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove content from the featured carousel
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unfeatureContent = async (req, res, next) => {
+  try {
+    const removed = await FeaturedContent.destroy({
+      where: { contentId: req.params.contentId }
+    });
+    if (!removed) return notFound(res, 'Featured content');
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) return notFound(res, 'User');
+
+    await user.update({ role: req.body.role });
+
+    res.json({
+      success: true,
+      data: { id: user.id, username: user.username, role: user.role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report a comment or forum post
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const target = await moderationService.findTarget(targetType, targetId);
+    if (!target) return notFound(res, 'Reported item');
+
+    if (target.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own post'
+      });
+    }
+
+    const { report, created } = await moderationService.report(req.user, targetType, target, { reason, details });
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_REPORTED',
+        message: 'You have already reported this'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { id: report.id, reason: report.reason, status: report.status }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a page of the moderation queue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getQueue = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await moderationService.getQueue({
+        targetType: req.query.targetType || null,
+        offset: req.query.offset || 0,
+        limit: req.query.limit || 20
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Act on a reported comment or forum post
+ * Suspending its author needs the users:suspend permission as well.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const takeAction = async (req, res, next) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { action, reason, suspendDays } = req.body;
+
+    if (action === 'suspend' && !hasPermission(req.user, 'users:suspend')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do that'
+      });
+    }
+
+    const target = await moderationService.findTarget(targetType, targetId);
+    if (!target) return notFound(res, 'Reported item');
+
+    if (target.userId === req.user.id && action !== 'dismiss') {
+      return res.status(400).json({
+        success: false,
+        message: 'Another moderator has to act on your own posts'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await moderationService.takeAction(req.user, targetType, target, { action, reason, suspendDays })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a page of the moderation action log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getActions = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await moderationService.getActions({
+        userId: req.query.userId || null,
+        targetType: req.query.targetType || null,
+        targetId: req.query.targetId || null,
+        offset: req.query.offset || 0,
+        limit: req.query.limit || 20
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  ensureTopicUnlocked: [idValidation, ensureTopicUnlocked],
+  lockTopic: [lockTopicValidation, lockTopic],
+  deletePost: [idValidation, deletePost],
+  deleteComment: [idValidation, deleteComment],
+  updateFranchise: [updateFranchiseValidation, updateFranchise],
+  getFeaturedContent,
+  featureContent: [featureContentValidation, featureContent],
+  unfeatureContent: [unfeatureContentValidation, unfeatureContent],
+  updateUserRole: [updateRoleValidation, updateUserRole],
+  createReport: [reportValidation, createReport],
+  getQueue: [queueValidation, getQueue],
+  takeAction: [actionValidation, takeAction],
+  getActions: [actionLogValidation, getActions]
+};
+
+// routes/forumRoutes.js - Moderation routes
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/requirePermission');
+const notSuspended = require('../middleware/notSuspended');
+
+// Posting to a locked topic is refused for everyone but moderators
+router.post('/topics/:id/posts', authMiddleware, notSuspended, moderationController.ensureTopicUnlocked, forumController.createPost);
+
+router.put('/topics/:id/lock', authMiddleware, requirePermission('forum:lock'), moderationController.lockTopic);
+router.delete('/posts/:id', authMiddleware, moderationController.deletePost);
+
+// routes/commentRoutes.js
+const express = require('express');
+const commentController = require('../controllers/commentController');
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+const notSuspended = require('../middleware/notSuspended');
+
+const router = express.Router();
+
+router.get('/:id/replies', optionalAuth, commentController.getReplies);
+router.get('/:id/revisions', commentController.getRevisions);
+router.put('/:id', authMiddleware, notSuspended, commentController.updateComment);
+// Ownership or the comments:delete permission is checked in the controller
+router.delete('/:id', authMiddleware, moderationController.deleteComment);
+
+module.exports = router;
+
+// routes/franchiseRoutes.js - Admin routes
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/requirePermission');
+
+router.put('/:id', authMiddleware, requirePermission('franchises:edit'), moderationController.updateFranchise);
+
+// routes/contentRoutes.js - Curation routes
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/requirePermission');
+
+// Declared before /:id so "featured" isn't treated as a content ID
+router.get('/featured', moderationController.getFeaturedContent);
+router.post('/featured', authMiddleware, requirePermission('content:curate'), moderationController.featureContent);
+router.delete('/featured/:contentId', authMiddleware, requirePermission('content:curate'), moderationController.unfeatureContent);
+
+// routes/userRoutes.js - Admin routes
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/requirePermission');
+
+router.put('/:id/role', authMiddleware, requirePermission('users:manage_roles'), moderationController.updateUserRole);
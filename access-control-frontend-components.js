@@ -0,0 +1,49 @@
+// src/utils/roles.js
+// Mirrors utils/permissions.js on the server; the server remains the authority.
+export const ROLES = ['user', 'moderator', 'admin'];
+
+/**
+ * Check whether a user's role is at least the given role
+ * @param {Object} user - Current user (may be null)
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+export const hasRole = (user, role) => {
+  if (!user || !ROLES.includes(role)) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+};
+
+// src/components/common/RequireRole.js
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { hasRole } from '../../utils/roles';
+
+/**
+ * Render children only for users with at least the given role
+ * As a route wrapper it redirects like PrivateRoute; pass `fallback`
+ * to use it inline and render something else (or nothing) instead.
+ * @param {Object} props
+ * @param {string} props.role - Minimum role: 'user', 'moderator' or 'admin'
+ * @param {React.ReactNode} props.fallback - Rendered instead of redirecting
+ */
+const RequireRole = ({ role, fallback, children }) => {
+  const { currentUser } = useAuth();
+  const location = useLocation();
+
+  if (hasRole(currentUser, role)) {
+    return children;
+  }
+
+  if (fallback !== undefined) {
+    return fallback;
+  }
+
+  if (!currentUser) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  return <Navigate to="/" replace />;
+};
+
+export default RequireRole;
@@ -0,0 +1,990 @@
+// models/job.js
+// Background work that shouldn't hold up a request, run by services/jobQueue.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Job = sequelize.define('Job', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'User the job was started for, if any'
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    progress: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    runAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { fields: ['status', 'runAt'] },
+      { fields: ['userId', 'type'] }
+    ]
+  });
+
+  return Job;
+};
+
+// services/jobQueue.js
+const { Op } = require('sequelize');
+const { Job, sequelize } = require('../models');
+
+const POLL_INTERVAL_MS = 5000;
+const MAX_ATTEMPTS = 3;
+// Running jobs touch their row this often; one silent for the timeout was
+// left behind by a crash or restart and is queued again
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const RUNNING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Job Queue
+ * A small Postgres-backed queue. Jobs are claimed with SKIP LOCKED, so
+ * several API instances can run the worker side by side.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.timer = null;
+    this.draining = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, { job, reportProgress }) => result
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type
+   * @param {Object} payload - JSON-serializable job input
+   * @param {Object} options
+   * @param {string} options.userId - User the job belongs to
+   * @param {Date} options.runAt - Earliest time to run the job
+   * @returns {Promise<Object>} - Job instance
+   */
+  async enqueue(type, payload = {}, { userId = null, runAt = new Date() } = {}) {
+    return Job.create({ type, payload, userId, runAt });
+  }
+
+  /**
+   * Cancel a user's queued jobs of a type; running jobs are left to finish
+   * @param {string} type - Job type
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of jobs cancelled
+   */
+  async cancelQueued(type, userId) {
+    const [count] = await Job.update(
+      { status: 'cancelled', finishedAt: new Date() },
+      { where: { type, userId, status: 'queued' } }
+    );
+    return count;
+  }
+
+  /**
+   * Cancel one job if it hasn't started; a running job is left to finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - Whether the job was cancelled
+   */
+  async cancelJob(jobId) {
+    const [count] = await Job.update(
+      { status: 'cancelled', finishedAt: new Date() },
+      { where: { id: jobId, status: 'queued' } }
+    );
+    return count > 0;
+  }
+
+  /**
+   * Get a job belonging to a user
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getUserJob(jobId, userId) {
+    return Job.findOne({ where: { id: jobId, userId } });
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.drain(), POLL_INTERVAL_MS);
+    this.drain();
+  }
+
+  /**
+   * Stop polling; a job that is already running still finishes
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run due jobs until none are left
+   * @private
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      await this.requeueStale();
+
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.run(job);
+      }
+    } catch (error) {
+      console.error('Error polling job queue:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Queue again the running jobs whose worker stopped sending heartbeats;
+   * ones already out of attempts fail instead
+   * @private
+   */
+  async requeueStale() {
+    const stale = {
+      status: 'running',
+      updatedAt: { [Op.lt]: new Date(Date.now() - RUNNING_TIMEOUT_MS) }
+    };
+
+    await Job.update(
+      { status: 'failed', error: 'Interrupted', finishedAt: new Date() },
+      { where: { ...stale, attempts: { [Op.gte]: MAX_ATTEMPTS } } }
+    );
+    const [count] = await Job.update(
+      { status: 'queued', error: 'Interrupted', runAt: new Date() },
+      { where: stale }
+    );
+    if (count > 0) {
+      console.warn(`Requeued ${count} interrupted job(s)`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async claimNext() {
+    return sequelize.transaction(async (transaction) => {
+      const job = await Job.findOne({
+        where: {
+          status: 'queued',
+          type: Object.keys(this.handlers),
+          runAt: { [Op.lte]: new Date() }
+        },
+        order: [['runAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (!job) return null;
+
+      await job.update({
+        status: 'running',
+        startedAt: new Date(),
+        attempts: job.attempts + 1
+      }, { transaction });
+
+      return job;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async run(job) {
+    const reportProgress = (progress) => job.update({
+      progress: Math.max(0, Math.min(100, Math.round(progress)))
+    });
+
+    // Saving bumps updatedAt, which tells requeueStale the job is still alive
+    const heartbeat = setInterval(() => {
+      Job.update({ status: 'running' }, { where: { id: job.id, status: 'running' } })
+        .catch(error => console.error(`Job ${job.id} heartbeat failed:`, error));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+      const result = await this.handlers[job.type](job.payload, { job, reportProgress });
+
+      await job.update({
+        status: 'completed',
+        progress: 100,
+        result: result || null,
+        error: null,
+        finishedAt: new Date()
+      });
+    } catch (error) {
+      console.error(`Job ${job.type} ${job.id} failed:`, error);
+
+      // Retry with a growing delay before giving up
+      const retry = job.attempts < MAX_ATTEMPTS;
+      await job.update({
+        status: retry ? 'queued' : 'failed',
+        error: error.message,
+        runAt: retry ? new Date(Date.now() + job.attempts * 60 * 1000) : job.runAt,
+        finishedAt: retry ? null : new Date()
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobQueue();
+
+// utils/csv.js
+// Cells starting with these could run as formulas when opened in a spreadsheet
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows of plain objects to CSV
+ * @param {Array<Object>} rows - Rows to convert
+ * @param {Array<string>} columns - Column order; defaults to the first row's keys
+ * @returns {string} - CSV text with a header row
+ */
+const toCsv = (rows, columns = rows.length ? Object.keys(rows[0]) : []) => {
+  const lines = [
+    columns.map(formatCell).join(','),
+    ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = { toCsv };
+
+// services/dataExportService.js
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const {
+  User,
+  UserList,
+  Comment,
+  ForumTopic,
+  ForumPost,
+  Playlist,
+  PlaylistTrack,
+  UserAchievement,
+  Notification,
+  UserContentInteraction,
+  Session,
+  LoginAttempt,
+  LinkedAccount,
+  Follow,
+  Activity,
+  CustomList,
+  CustomListItem,
+  EpisodeWatch,
+  DiaryEntry,
+  HistoryImport,
+  Review,
+  ReviewLike,
+  CommentRevision,
+  Report,
+  ModerationAction
+} = require('../models');
+const { toCsv } = require('../utils/csv');
+const config = require('../config');
+
+const EXPORT_TTL_DAYS = 7;
+
+// Everything a user owns, one JSON and one CSV file each
+const ENTITIES = [
+  { name: 'lists', find: userId => UserList.findAll({ where: { userId }, raw: true }) },
+  { name: 'comments', find: userId => Comment.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'comment_revisions',
+    find: userId => CommentRevision.findAll({
+      include: [{ model: Comment, where: { userId }, attributes: [] }],
+      raw: true
+    })
+  },
+  { name: 'forum_topics', find: userId => ForumTopic.findAll({ where: { userId }, raw: true }) },
+  { name: 'forum_posts', find: userId => ForumPost.findAll({ where: { userId }, raw: true }) },
+  { name: 'playlists', find: userId => Playlist.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'playlist_tracks',
+    find: userId => PlaylistTrack.findAll({
+      include: [{ model: Playlist, where: { userId }, attributes: [] }],
+      raw: true
+    })
+  },
+  { name: 'achievements', find: userId => UserAchievement.findAll({ where: { userId }, raw: true }) },
+  { name: 'notifications', find: userId => Notification.findAll({ where: { userId }, raw: true }) },
+  { name: 'interactions', find: userId => UserContentInteraction.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'sessions',
+    find: userId => Session.findAll({
+      where: { userId },
+      attributes: ['id', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'revokedAt', 'createdAt'],
+      raw: true
+    })
+  },
+  {
+    name: 'following',
+    find: userId => Follow.findAll({ where: { followerId: userId }, attributes: ['followingId', 'createdAt'], raw: true })
+  },
+  {
+    name: 'followers',
+    find: userId => Follow.findAll({ where: { followingId: userId }, attributes: ['followerId', 'createdAt'], raw: true })
+  },
+  { name: 'custom_lists', find: userId => CustomList.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'custom_list_items',
+    find: userId => CustomListItem.findAll({
+      include: [{ model: CustomList, where: { userId }, attributes: [] }],
+      raw: true
+    })
+  },
+  { name: 'episode_watches', find: userId => EpisodeWatch.findAll({ where: { userId }, raw: true }) },
+  { name: 'diary', find: userId => DiaryEntry.findAll({ where: { userId }, raw: true }) },
+  { name: 'history_imports', find: userId => HistoryImport.findAll({ where: { userId }, raw: true }) },
+  { name: 'reviews', find: userId => Review.findAll({ where: { userId }, raw: true }) },
+  { name: 'review_likes', find: userId => ReviewLike.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'reports',
+    find: userId => Report.findAll({
+      where: { reporterId: userId },
+      attributes: ['id', 'targetType', 'targetId', 'reason', 'details', 'status', 'createdAt'],
+      raw: true
+    })
+  },
+  {
+    // Which moderator acted stays private
+    name: 'moderation_actions',
+    find: userId => ModerationAction.findAll({
+      where: { userId },
+      attributes: ['id', 'targetType', 'targetId', 'action', 'reason', 'suspendedUntil', 'createdAt'],
+      raw: true
+    })
+  },
+  { name: 'activity', find: userId => Activity.findAll({ where: { actorId: userId }, raw: true }) },
+  { name: 'login_attempts', find: userId => LoginAttempt.findAll({ where: { userId }, raw: true }) },
+  {
+    name: 'linked_accounts',
+    find: userId => LinkedAccount.findAll({
+      where: { userId },
+      attributes: ['id', 'provider', 'email', 'displayName', 'createdAt'],
+      raw: true
+    })
+  }
+];
+
+/**
+ * Data Export Service
+ * Builds a zip of everything stored about a user: JSON for machines, CSV for spreadsheets.
+ */
+class DataExportService {
+  /**
+   * Build the export archive; runs as the "dataExport" job
+   * @param {string} userId - User ID
+   * @param {Object} context - Job context
+   * @param {Function} context.reportProgress - Report progress from 0 to 100
+   * @returns {Promise<Object>} - { fileName, size, expiresAt }
+   */
+  async buildArchive(userId, { reportProgress }) {
+    const user = await User.findByPk(userId, {
+      attributes: { exclude: ['password', 'twoFactorSecret'] },
+      raw: true
+    });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await fs.promises.mkdir(config.exportDir, { recursive: true });
+    await this.removeExpiredArchives();
+
+    const fileName = `didi-export-${userId}-${Date.now()}.zip`;
+    const output = fs.createWriteStream(path.join(config.exportDir, fileName));
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(user, null, 2), { name: 'json/profile.json' });
+    archive.append(toCsv([user]), { name: 'csv/profile.csv' });
+
+    for (const [index, entity] of ENTITIES.entries()) {
+      const rows = await entity.find(userId);
+      archive.append(JSON.stringify(rows, null, 2), { name: `json/${entity.name}.json` });
+      archive.append(toCsv(rows), { name: `csv/${entity.name}.csv` });
+      await reportProgress(((index + 1) / ENTITIES.length) * 95);
+    }
+
+    await archive.finalize();
+    await written;
+
+    return {
+      fileName,
+      size: archive.pointer(),
+      expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Resolve a finished export job to its archive on disk
+   * @param {Object} job - Job instance
+   * @returns {string|null} - Absolute file path, or null if missing or expired
+   */
+  getArchivePath(job) {
+    if (job.status !== 'completed' || !job.result) return null;
+    if (new Date(job.result.expiresAt) < new Date()) return null;
+
+    const filePath = path.resolve(config.exportDir, path.basename(job.result.fileName));
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Delete all of a user's archives, e.g. when the account is deleted
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async removeUserArchives(userId) {
+    const fileNames = await this.listArchives();
+    await Promise.all(fileNames
+      .filter(fileName => fileName.startsWith(`didi-export-${userId}-`))
+      .map(fileName => fs.promises.unlink(path.join(config.exportDir, fileName))));
+  }
+
+  /**
+   * @private
+   */
+  async removeExpiredArchives() {
+    const cutoff = Date.now() - EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000;
+    const fileNames = await this.listArchives();
+
+    for (const fileName of fileNames) {
+      const filePath = path.join(config.exportDir, fileName);
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs < cutoff) {
+        await fs.promises.unlink(filePath);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async listArchives() {
+    try {
+      const fileNames = await fs.promises.readdir(config.exportDir);
+      return fileNames.filter(fileName => fileName.startsWith('didi-export-'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+module.exports = new DataExportService();
+
+// services/accountDeletionService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  User,
+  UserList,
+  Playlist,
+  PlaylistTrack,
+  UserAchievement,
+  Notification,
+  UserContentInteraction,
+  Session,
+  RecoveryCode,
+  LinkedAccount,
+  LoginAttempt,
+  Job,
+  Follow,
+  Activity,
+  FeedItem,
+  CustomList,
+  CustomListItem,
+  CustomListCollaborator,
+  EpisodeWatch,
+  DiaryEntry,
+  HistoryImport,
+  HistoryImportItem,
+  Review,
+  ReviewLike,
+  sequelize
+} = require('../models');
+const jobQueue = require('./jobQueue');
+const dataExportService = require('./dataExportService');
+const mailService = require('./mail');
+const mailTemplates = require('./mail/templates');
+
+const GRACE_PERIOD_DAYS = 30;
+
+/**
+ * Account Deletion Service
+ * Deletion is scheduled with a grace period. When it runs, private data is
+ * removed and the user row is anonymized rather than deleted, so forum
+ * threads and comment replies keep an (anonymous) author.
+ */
+class AccountDeletionService {
+  /**
+   * Schedule a user's account for deletion
+   * @param {Object} user - User instance
+   * @returns {Promise<Date>} - When the deletion will run
+   */
+  async scheduleDeletion(user) {
+    const scheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    await jobQueue.cancelQueued('accountDeletion', user.id);
+    await jobQueue.enqueue('accountDeletion', { userId: user.id }, { userId: user.id, runAt: scheduledFor });
+    await user.update({ deletionScheduledFor: scheduledFor });
+
+    mailService.send(mailTemplates.accountDeletionScheduled(user))
+      .catch(error => console.error('Error sending account deletion email:', error));
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @param {Object} user - User instance
+   * @returns {Promise<boolean>} - False if no deletion was scheduled
+   */
+  async cancelDeletion(user) {
+    if (!user.deletionScheduledFor) return false;
+
+    await jobQueue.cancelQueued('accountDeletion', user.id);
+    await user.update({ deletionScheduledFor: null });
+    return true;
+  }
+
+  /**
+   * Remove a user's private data and anonymize the account; runs as the "accountDeletion" job
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { deleted }
+   */
+  async deleteAccount(userId) {
+    const user = await User.findByPk(userId);
+
+    // Cancelled after the job was claimed, or already done
+    if (!user || user.deletedAt || !user.deletionScheduledFor || user.deletionScheduledFor > new Date()) {
+      return { deleted: false };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const where = { userId };
+      const playlistIds = (await Playlist.findAll({ where, attributes: ['id'], transaction }))
+        .map(playlist => playlist.id);
+
+      await PlaylistTrack.destroy({ where: { playlistId: playlistIds }, transaction });
+      await Playlist.destroy({ where, transaction });
+      await UserList.destroy({ where, transaction });
+      await UserAchievement.destroy({ where, transaction });
+      await Notification.destroy({ where, transaction });
+      await UserContentInteraction.destroy({ where, transaction });
+      await EpisodeWatch.destroy({ where, transaction });
+      await DiaryEntry.destroy({ where, transaction });
+      await Session.destroy({ where, transaction });
+      await RecoveryCode.destroy({ where, transaction });
+      await LinkedAccount.destroy({ where, transaction });
+      await LoginAttempt.destroy({ where, transaction });
+      const importIds = (await HistoryImport.findAll({ where, attributes: ['id'], transaction }))
+        .map(historyImport => historyImport.id);
+
+      await HistoryImportItem.destroy({ where: { historyImportId: importIds }, transaction });
+      await HistoryImport.destroy({ where, transaction });
+
+      // Reviews go with the ratings they belong to; likes the user gave come off other reviews' counts
+      const likedReviewIds = (await ReviewLike.findAll({ where, attributes: ['reviewId'], transaction }))
+        .map(like => like.reviewId);
+      const reviewIds = (await Review.findAll({ where, attributes: ['id'], transaction }))
+        .map(review => review.id);
+
+      await Review.decrement('likeCount', { where: { id: likedReviewIds }, transaction });
+      await ReviewLike.destroy({ where: { [Op.or]: [{ userId }, { reviewId: reviewIds }] }, transaction });
+      await Review.destroy({ where, transaction });
+      await Job.destroy({
+        where: { userId, type: ['dataExport', 'historyImportMatch', 'historyImportApply'] },
+        transaction
+      });
+      await FeedItem.destroy({ where: { [Op.or]: [{ userId }, { actorId: userId }] }, transaction });
+      await Activity.destroy({ where: { actorId: userId }, transaction });
+      await Follow.destroy({ where: { [Op.or]: [{ followerId: userId }, { followingId: userId }] }, transaction });
+
+      // Items the user added to other people's lists stay, like their forum posts
+      const customListIds = (await CustomList.findAll({ where, attributes: ['id'], transaction }))
+        .map(list => list.id);
+
+      await CustomListItem.destroy({ where: { customListId: customListIds }, transaction });
+      await CustomListCollaborator.destroy({
+        where: { [Op.or]: [{ customListId: customListIds }, { userId }] },
+        transaction
+      });
+      await CustomList.destroy({ where, transaction });
+
+      // Forum posts, topics and comments stay, now credited to an anonymous account
+      await user.update({
+        username: `deleted_${user.id.slice(0, 8)}`,
+        email: `${user.id}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString('hex'),
+        hasPassword: false,
+        emailVerified: false,
+        role: 'user',
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        avatar: null,
+        bio: null,
+        preferences: {},
+        lastLogin: null,
+        failedLoginCount: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+        deletionScheduledFor: null,
+        deletedAt: new Date()
+      }, { transaction });
+    });
+
+    await dataExportService.removeUserArchives(userId);
+
+    return { deleted: true };
+  }
+}
+
+module.exports = new AccountDeletionService();
+
+// jobs/index.js
+// Registers a handler for each job type and hands back the queue for server.js to start
+const jobQueue = require('../services/jobQueue');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const historyImportService = require('../services/historyImportService');
+const metadataSyncService = require('../services/metadataSyncService');
+
+jobQueue.register('dataExport', (payload, context) => dataExportService.buildArchive(payload.userId, context));
+jobQueue.register('accountDeletion', (payload) => accountDeletionService.deleteAccount(payload.userId));
+jobQueue.register('historyImportMatch', (payload, context) => historyImportService.matchImport(payload.importId, context));
+jobQueue.register('historyImportApply', (payload, context) => historyImportService.applyImport(payload.importId, context));
+jobQueue.register('metadataRefresh', (payload, context) => metadataSyncService.runRefreshJob(payload, context));
+jobQueue.register('metadataImportPopular', (payload, context) => metadataSyncService.importPopular({
+  pages: payload.pages,
+  reportProgress: context.reportProgress
+}));
+
+module.exports = jobQueue;
+
+// controllers/accountDataController.js
+const { body, param } = require('express-validator');
+const { Job } = require('../models');
+const jobQueue = require('../services/jobQueue');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const sessionService = require('../services/sessionService');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const userIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const exportValidation = [
+  param('id').isUUID(),
+  param('exportId').isUUID(),
+  validateRequest
+];
+
+const deletionValidation = [
+  param('id').isUUID(),
+  body('password').optional().isString(),
+  body('confirm').optional().isString(),
+  validateRequest
+];
+
+const serializeExport = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: job.progress,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+  expiresAt: job.result ? job.result.expiresAt : null,
+  size: job.result ? job.result.size : null
+});
+
+/**
+ * Only let users act on their own data
+ * @private
+ */
+const isOwnAccount = (req, res) => {
+  if (req.params.id === req.user.id) return true;
+
+  res.status(403).json({
+    success: false,
+    message: 'You can only manage your own account data'
+  });
+  return false;
+};
+
+/**
+ * Start building an archive of the user's data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestExport = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    // Hand back the export already in progress instead of queueing another
+    let job = await Job.findOne({
+      where: { userId: req.user.id, type: 'dataExport', status: ['queued', 'running'] }
+    });
+
+    if (!job) {
+      job = await jobQueue.enqueue('dataExport', { userId: req.user.id }, { userId: req.user.id });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: serializeExport(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the user's recent exports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getExports = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    const jobs = await Job.findAll({
+      where: { userId: req.user.id, type: 'dataExport' },
+      order: [['createdAt', 'DESC']],
+      limit: 5
+    });
+
+    res.json({
+      success: true,
+      data: jobs.map(serializeExport)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status of an export
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getExport = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    const job = await jobQueue.getUserJob(req.params.exportId, req.user.id);
+    if (!job || job.type !== 'dataExport') {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeExport(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a finished export archive
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const downloadExport = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    const job = await jobQueue.getUserJob(req.params.exportId, req.user.id);
+    const filePath = job && job.type === 'dataExport' && dataExportService.getArchivePath(job);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'This export is not ready or has expired'
+      });
+    }
+
+    res.download(filePath, 'didi-data-export.zip');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule the account for deletion after the grace period
+ * Needs the password, or the username for accounts without one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const scheduleDeletion = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    const { password, confirm } = req.body;
+    const confirmed = req.user.hasPassword
+      ? password && await req.user.comparePassword(password)
+      : confirm === req.user.username;
+
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: req.user.hasPassword ? 'Password is incorrect' : 'Type your username to confirm'
+      });
+    }
+
+    const scheduledFor = await accountDeletionService.scheduleDeletion(req.user);
+    await sessionService.revokeOtherSessions(req.user.id, req.sessionId);
+
+    res.status(202).json({
+      success: true,
+      data: { deletionScheduledFor: scheduledFor }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled deletion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const cancelDeletion = async (req, res, next) => {
+  try {
+    if (!isOwnAccount(req, res)) return;
+
+    if (!(await accountDeletionService.cancelDeletion(req.user))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestExport: [userIdValidation, requestExport],
+  getExports: [userIdValidation, getExports],
+  getExport: [exportValidation, getExport],
+  downloadExport: [exportValidation, downloadExport],
+  scheduleDeletion: [deletionValidation, scheduleDeletion],
+  cancelDeletion: [userIdValidation, cancelDeletion]
+};
+
+// routes/userRoutes.js - Data export and account deletion
+const accountDataController = require('../controllers/accountDataController');
+
+router.post('/:id/export', authMiddleware, accountDataController.requestExport);
+router.get('/:id/exports', authMiddleware, accountDataController.getExports);
+router.get('/:id/exports/:exportId', authMiddleware, accountDataController.getExport);
+router.get('/:id/exports/:exportId/download', authMiddleware, accountDataController.downloadExport);
+router.post('/:id/deletion', authMiddleware, accountDataController.scheduleDeletion);
+router.delete('/:id/deletion', authMiddleware, accountDataController.cancelDeletion);
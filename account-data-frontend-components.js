@@ -0,0 +1,318 @@
+// src/components/settings/DataExport.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaDownload, FaFileArchive } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import { SubmitButton, Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0 0 10px 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const ExportList = styled.div`
+  display: grid;
+  gap: 10px;
+  margin-top: 15px;
+`;
+
+const ExportRow = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 12px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+
+  > svg {
+    font-size: 20px;
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const Info = styled.div`
+  flex: 1;
+  margin-left: 15px;
+`;
+
+const Status = styled.div`
+  font-size: 15px;
+  font-weight: 500;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Button = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const isPending = (item) => item.status === 'queued' || item.status === 'running';
+
+const describeStatus = (item) => {
+  if (isPending(item)) return `Preparing… ${item.progress}%`;
+  if (item.status === 'failed') return 'Failed';
+  if (item.status === 'cancelled') return 'Cancelled';
+  if (item.expiresAt && new Date(item.expiresAt) < new Date()) return 'Expired';
+  return 'Ready';
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Request and download an archive of everything Didi stores about the user
+ */
+const DataExport = () => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = ['users', currentUser.id, 'exports'];
+
+  const { data: exports, isLoading, error } = useQuery(
+    queryKey,
+    () => api.get(`/users/${currentUser.id}/exports`).then(res => res.data.data),
+    {
+      // Poll while an archive is being built
+      refetchInterval: (data) => (data && data.some(isPending) ? 3000 : false)
+    }
+  );
+
+  const requestExport = useMutation(
+    () => api.post(`/users/${currentUser.id}/export`).then(res => res.data.data),
+    {
+      onSuccess: () => queryClient.invalidateQueries(queryKey)
+    }
+  );
+
+  const download = useMutation(
+    (exportId) => api.get(`/users/${currentUser.id}/exports/${exportId}/download`, { responseType: 'blob' }),
+    {
+      onSuccess: (response) => {
+        // The download needs the Authorization header, so it can't be a plain link
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'didi-data-export.zip';
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load your data exports" />;
+
+  return (
+    <Container>
+      <Title>Your data</Title>
+      <Text>
+        Download a copy of your profile, lists, comments, forum posts, playlists, achievements,
+        notifications and viewing activity. You'll get a zip with a JSON and a CSV file for each.
+        Downloads are available for 7 days.
+      </Text>
+
+      {requestExport.isError && (
+        <Message error>{requestExport.error.response?.data?.message || 'Failed to start the export'}</Message>
+      )}
+      {download.isError && <Message error>This export is not available anymore</Message>}
+
+      <SubmitButton
+        onClick={() => requestExport.mutate()}
+        disabled={requestExport.isLoading || exports.some(isPending)}
+      >
+        Request data export
+      </SubmitButton>
+
+      {exports.length > 0 && (
+        <ExportList>
+          {exports.map(item => (
+            <ExportRow key={item.id}>
+              <FaFileArchive />
+              <Info>
+                <Status>{describeStatus(item)}</Status>
+                <Meta>
+                  Requested {new Date(item.createdAt).toLocaleString()}
+                  {item.size ? ` · ${formatSize(item.size)}` : ''}
+                </Meta>
+              </Info>
+              {describeStatus(item) === 'Ready' && (
+                <Button onClick={() => download.mutate(item.id)} disabled={download.isLoading}>
+                  <FaDownload /> Download
+                </Button>
+              )}
+            </ExportRow>
+          ))}
+        </ExportList>
+      )}
+    </Container>
+  );
+};
+
+export default DataExport;
+
+// src/components/settings/DeleteAccount.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { Input, SubmitButton, Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+  padding: 20px;
+  border: 1px solid #e53935;
+  border-radius: 8px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 10px;
+
+  svg {
+    color: #e53935;
+  }
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const Row = styled.form`
+  display: flex;
+  gap: 10px;
+  max-width: 420px;
+  margin-top: 15px;
+
+  input {
+    flex: 1;
+  }
+`;
+
+const DangerButton = styled(SubmitButton)`
+  background: #e53935;
+
+  &:hover {
+    background: #c62828;
+  }
+`;
+
+/**
+ * Schedule or cancel deletion of the current account
+ */
+const DeleteAccount = () => {
+  const { currentUser, updateCurrentUser } = useAuth();
+  const [confirmation, setConfirmation] = useState('');
+
+  const scheduleDeletion = useMutation(
+    () => api.post(`/users/${currentUser.id}/deletion`, currentUser.hasPassword
+      ? { password: confirmation }
+      : { confirm: confirmation }).then(res => res.data.data),
+    {
+      onSuccess: (data) => updateCurrentUser({ deletionScheduledFor: data.deletionScheduledFor }),
+      onSettled: () => setConfirmation('')
+    }
+  );
+
+  const cancelDeletion = useMutation(
+    () => api.delete(`/users/${currentUser.id}/deletion`),
+    {
+      onSuccess: () => updateCurrentUser({ deletionScheduledFor: null })
+    }
+  );
+
+  const mutationError = [scheduleDeletion, cancelDeletion].find(m => m.isError)?.error;
+
+  return (
+    <Container>
+      <Header>
+        <FaExclamationTriangle />
+        <Title>Delete account</Title>
+      </Header>
+
+      {mutationError && (
+        <Message error>{mutationError.response?.data?.message || 'Something went wrong'}</Message>
+      )}
+
+      {currentUser.deletionScheduledFor ? (
+        <>
+          <Text>
+            Your account will be deleted on {new Date(currentUser.deletionScheduledFor).toLocaleDateString()}.
+            Until then you can keep using Didi and change your mind.
+          </Text>
+          <SubmitButton onClick={() => cancelDeletion.mutate()} disabled={cancelDeletion.isLoading}>
+            Keep my account
+          </SubmitButton>
+        </>
+      ) : (
+        <>
+          <Text>
+            Your lists, history, playlists and profile will be removed after 30 days. Forum posts and
+            comments stay up under an anonymous name so conversations still make sense.
+            You'll be logged out everywhere else.
+          </Text>
+          <Row onSubmit={(e) => { e.preventDefault(); scheduleDeletion.mutate(); }}>
+            <Input
+              type={currentUser.hasPassword ? 'password' : 'text'}
+              placeholder={currentUser.hasPassword ? 'Password' : `Type "${currentUser.username}" to confirm`}
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              required
+            />
+            <DangerButton type="submit" disabled={scheduleDeletion.isLoading}>
+              Delete account
+            </DangerButton>
+          </Row>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default DeleteAccount;
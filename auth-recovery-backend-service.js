@@ -0,0 +1,410 @@
+// services/mail/consoleTransport.js
+// Prints outgoing mail instead of sending it. Default in development.
+
+class ConsoleTransport {
+  /**
+   * Log a message to stdout
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} - Delivery info
+   */
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+module.exports = ConsoleTransport;
+
+// services/mail/fileTransport.js
+// Writes each message as a JSON file so tests can read back what was "sent".
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.outboxDir - Directory to write messages to
+   */
+  constructor({ outboxDir }) {
+    this.outboxDir = path.resolve(outboxDir);
+  }
+
+  /**
+   * Write a message to the outbox directory
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} - Delivery info including the file path
+   */
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.outboxDir, `${messageId}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2));
+    return { messageId, filePath };
+  }
+
+  /**
+   * Read back every message in the outbox, oldest first
+   * @returns {Promise<Array>} - Array of messages
+   */
+  async readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.outboxDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.outboxDir, file), 'utf8')))
+    );
+
+    return messages;
+  }
+
+  /**
+   * Delete every message in the outbox
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await fs.rm(this.outboxDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = FileTransport;
+
+// services/mail/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port
+   * @param {boolean} options.secure - Use TLS from the start
+   * @param {string} options.user - SMTP username
+   * @param {string} options.password - SMTP password
+   */
+  constructor({ host, port, secure, user, password }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined
+    });
+  }
+
+  /**
+   * Send a message over SMTP
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} - Delivery info
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
+
+// services/mail/index.js
+const config = require('../../config');
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const SmtpTransport = require('./smtpTransport');
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport({ outboxDir: config.mail.outboxDir }),
+  smtp: () => new SmtpTransport(config.mail.smtp)
+};
+
+/**
+ * Mail Service
+ * Sends mail through the transport named by config.mail.transport
+ */
+class MailService {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message, filling in the default sender
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - Delivery info from the transport
+   */
+  async send(message) {
+    return this.transport.send({ from: config.mail.from, ...message });
+  }
+
+  /**
+   * Swap the transport, e.g. for a FileTransport in tests
+   * @param {Object} transport - Any object with a send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+}
+
+const createTransport = transports[config.mail.transport];
+if (!createTransport) {
+  throw new Error(`Unknown mail transport "${config.mail.transport}"`);
+}
+
+module.exports = new MailService(createTransport());
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.SmtpTransport = SmtpTransport;
+
+// services/mail/templates.js
+const config = require('../../config');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Password reset email
+ * @param {Object} user - User instance
+ * @param {string} token - Reset token
+ * @returns {Object} - { to, subject, text, html }
+ */
+const passwordReset = (user, token) => {
+  const link = `${config.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your Didi password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password for your Didi account. ` +
+      `If it was you, open this link within the next hour:\n\n${link}\n\n` +
+      'If you did not ask for this, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      '<p>Someone asked to reset the password for your Didi account. ' +
+      `If it was you, <a href="${link}">choose a new password</a> within the next hour.</p>` +
+      '<p>If you did not ask for this, you can ignore this email.</p>'
+  };
+};
+
+/**
+ * Email address verification email
+ * @param {Object} user - User instance
+ * @param {string} token - Verification token
+ * @returns {Object} - { to, subject, text, html }
+ */
+const emailVerification = (user, token) => {
+  const link = `${config.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Confirm your email for Didi',
+    text: `Welcome to Didi, ${user.username}!\n\nPlease confirm your email address:\n\n${link}`,
+    html: `<p>Welcome to Didi, ${escapeHtml(user.username)}!</p>` +
+      `<p><a href="${link}">Confirm your email address</a></p>`
+  };
+};
+
+/**
+ * Account locked after repeated failed logins
+ * @param {Object} user - User instance
+ * @param {string} token - Unlock token
+ * @param {string} ipAddress - IP address of the last failed attempt
+ * @returns {Object} - { to, subject, text, html }
+ */
+const accountLocked = (user, token, ipAddress) => {
+  const link = `${config.clientUrl}/unlock-account?token=${encodeURIComponent(token)}`;
+  const resetLink = `${config.clientUrl}/forgot-password`;
+  const until = user.lockedUntil.toUTCString();
+
+  return {
+    to: user.email,
+    subject: 'Your Didi account was locked',
+    text: `Hi ${user.username},\n\nWe locked your account until ${until} after several failed login ` +
+      `attempts${ipAddress ? ` (last one from ${ipAddress})` : ''}.\n\n` +
+      `If that was you, unlock it now:\n\n${link}\n\n` +
+      `If it wasn't, someone may know your email address. Consider changing your password: ${resetLink}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>We locked your account until ${until} after several failed login attempts` +
+      `${ipAddress ? ` (last one from ${escapeHtml(ipAddress)})` : ''}.</p>` +
+      `<p>If that was you, <a href="${link}">unlock it now</a>.</p>` +
+      `<p>If it wasn't, someone may know your email address. Consider <a href="${resetLink}">changing your password</a>.</p>`
+  };
+};
+
+/**
+ * Confirmation that the account will be deleted after the grace period
+ * @param {Object} user - User instance
+ * @returns {Object} - { to, subject, text, html }
+ */
+const accountDeletionScheduled = (user) => {
+  const link = `${config.clientUrl}/settings/security`;
+  const date = user.deletionScheduledFor.toUTCString();
+
+  return {
+    to: user.email,
+    subject: 'Your Didi account will be deleted',
+    text: `Hi ${user.username},\n\nYour Didi account is scheduled for deletion on ${date}. ` +
+      'Your lists, history and profile will be removed, and your forum posts and comments will ' +
+      `stay up under an anonymous name.\n\nChanged your mind? Cancel before then: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+      `<p>Your Didi account is scheduled for deletion on ${date}. ` +
+      'Your lists, history and profile will be removed, and your forum posts and comments will ' +
+      'stay up under an anonymous name.</p>' +
+      `<p>Changed your mind? <a href="${link}">Cancel the deletion</a> before then.</p>`
+  };
+};
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  accountLocked,
+  accountDeletionScheduled
+};
+
+// services/accountTokenService.js
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const config = require('../config');
+
+const PASSWORD_RESET = 'password_reset';
+const EMAIL_VERIFICATION = 'email_verification';
+const ACCOUNT_UNLOCK = 'account_unlock';
+
+/**
+ * Account Token Service
+ * Signed, single-use tokens for password reset and email verification.
+ * Reset tokens are signed with the current password hash, so they stop
+ * working as soon as the password changes. Verification tokens are bound
+ * to the address they were sent to and stop working once it is verified.
+ * Unlock tokens are bound to the lockout they were sent for.
+ */
+class AccountTokenService {
+  /**
+   * Create a password reset token valid for one hour
+   * @param {Object} user - User instance
+   * @returns {string} - Signed token
+   */
+  createPasswordResetToken(user) {
+    return jwt.sign(
+      { sub: user.id, purpose: PASSWORD_RESET },
+      this.getResetSecret(user),
+      { expiresIn: '1h' }
+    );
+  }
+
+  /**
+   * Create an email verification token valid for two days
+   * @param {Object} user - User instance
+   * @returns {string} - Signed token
+   */
+  createEmailVerificationToken(user) {
+    return jwt.sign(
+      { sub: user.id, purpose: EMAIL_VERIFICATION, email: user.email },
+      config.jwtSecret,
+      { expiresIn: '2d' }
+    );
+  }
+
+  /**
+   * Create an account unlock token valid until the lockout ends
+   * @param {Object} user - User instance with lockedUntil set
+   * @returns {string} - Signed token
+   */
+  createUnlockToken(user) {
+    return jwt.sign(
+      { sub: user.id, purpose: ACCOUNT_UNLOCK, lockedUntil: user.lockedUntil.toISOString() },
+      config.jwtSecret,
+      { expiresIn: Math.max(60, Math.ceil((user.lockedUntil - Date.now()) / 1000)) }
+    );
+  }
+
+  /**
+   * Resolve an unlock token to its still-locked user
+   * @param {string} token - Token from the unlock link
+   * @returns {Promise<Object|null>} - User instance, or null if the token is invalid or used
+   */
+  async verifyUnlockToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== ACCOUNT_UNLOCK) {
+      return null;
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || !user.lockedUntil || user.lockedUntil.toISOString() !== payload.lockedUntil) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Resolve a password reset token to its user
+   * @param {string} token - Token from the reset link
+   * @returns {Promise<Object|null>} - User instance, or null if the token is invalid or used
+   */
+  async verifyPasswordResetToken(token) {
+    const decoded = jwt.decode(token);
+    if (!decoded || decoded.purpose !== PASSWORD_RESET) {
+      return null;
+    }
+
+    const user = await User.findByPk(decoded.sub);
+    if (!user) {
+      return null;
+    }
+
+    try {
+      jwt.verify(token, this.getResetSecret(user));
+      return user;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve an email verification token to its user
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Object|null>} - User instance, or null if the token is invalid or used
+   */
+  async verifyEmailVerificationToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== EMAIL_VERIFICATION) {
+      return null;
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || user.emailVerified || user.email !== payload.email) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Secret for reset tokens, tied to the stored password hash
+   */
+  getResetSecret(user) {
+    return `${config.jwtSecret}:${user.password}`;
+  }
+}
+
+module.exports = new AccountTokenService();
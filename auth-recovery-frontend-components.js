@@ -0,0 +1,263 @@
+// src/components/auth/AuthForm.js
+import styled from 'styled-components';
+
+export const Container = styled.div`
+  max-width: 420px;
+  margin: 60px auto;
+  padding: 30px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 12px;
+  box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+`;
+
+export const Title = styled.h1`
+  font-size: 26px;
+  font-weight: 700;
+  margin: 0 0 10px 0;
+`;
+
+export const Description = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+  margin-bottom: 25px;
+`;
+
+export const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 15px;
+`;
+
+export const Input = styled.input`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 14px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+
+  &:focus {
+    outline: none;
+    border-color: ${props => props.theme.primary};
+  }
+`;
+
+export const SubmitButton = styled.button`
+  background: ${props => props.theme.primary};
+  color: ${props => props.theme.buttonText};
+  border: none;
+  border-radius: 6px;
+  padding: 10px 20px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+export const Message = styled.div`
+  padding: 10px 14px;
+  border-radius: 6px;
+  font-size: 14px;
+  background: ${props => props.error ? 'rgba(229, 57, 53, 0.15)' : 'rgba(67, 160, 71, 0.15)'};
+  color: ${props => props.error ? '#e53935' : '#43a047'};
+`;
+
+// src/pages/ForgotPassword.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useMutation } from 'react-query';
+import api from '../utils/api';
+import { Container, Title, Description, Form, Input, SubmitButton, Message } from '../components/auth/AuthForm';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+
+  const requestReset = useMutation(
+    () => api.post('/auth/forgot', { email }).then(res => res.data)
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    requestReset.mutate();
+  };
+
+  return (
+    <Container>
+      <Title>Forgot your password?</Title>
+      <Description>
+        Enter the email you signed up with and we'll send you a link to choose a new password.
+      </Description>
+
+      {requestReset.isSuccess ? (
+        <Message>{requestReset.data.message}</Message>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          {requestReset.isError && (
+            <Message error>
+              {requestReset.error.response?.data?.message || 'Something went wrong, please try again'}
+            </Message>
+          )}
+          <Input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+          <SubmitButton type="submit" disabled={requestReset.isLoading}>
+            Send reset link
+          </SubmitButton>
+        </Form>
+      )}
+
+      <Description>
+        <Link to="/login">Back to log in</Link>
+      </Description>
+    </Container>
+  );
+};
+
+export default ForgotPassword;
+
+// src/pages/ResetPassword.js
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useMutation } from 'react-query';
+import api from '../utils/api';
+import { Container, Title, Description, Form, Input, SubmitButton, Message } from '../components/auth/AuthForm';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [validationError, setValidationError] = useState(null);
+
+  const resetPassword = useMutation(
+    () => api.post('/auth/reset', { token, password }).then(res => res.data)
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (password.length < 8) {
+      setValidationError('Password must be at least 8 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setValidationError('Passwords do not match');
+      return;
+    }
+
+    setValidationError(null);
+    resetPassword.mutate();
+  };
+
+  if (!token) {
+    return (
+      <Container>
+        <Title>Reset password</Title>
+        <Message error>This reset link is missing its token.</Message>
+        <Description>
+          <Link to="/forgot-password">Request a new link</Link>
+        </Description>
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <Title>Choose a new password</Title>
+
+      {resetPassword.isSuccess ? (
+        <>
+          <Message>{resetPassword.data.message}</Message>
+          <Description>
+            <Link to="/login">Go to log in</Link>
+          </Description>
+        </>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          {(validationError || resetPassword.isError) && (
+            <Message error>
+              {validationError || resetPassword.error.response?.data?.message || 'Something went wrong, please try again'}
+            </Message>
+          )}
+          <Input
+            type="password"
+            placeholder="New password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <Input
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+          <SubmitButton type="submit" disabled={resetPassword.isLoading}>
+            Update password
+          </SubmitButton>
+        </Form>
+      )}
+    </Container>
+  );
+};
+
+export default ResetPassword;
+
+// src/pages/VerifyEmail.js
+import React, { useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useMutation } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import { Container, Title, Description, Message } from '../components/auth/AuthForm';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const verifyEmail = useMutation(
+    () => api.post('/auth/verify-email', { token }).then(res => res.data.data)
+  );
+
+  useEffect(() => {
+    if (token) {
+      verifyEmail.mutate();
+    }
+  }, [token]);
+
+  return (
+    <Container>
+      <Title>Email verification</Title>
+
+      {!token && <Message error>This verification link is missing its token.</Message>}
+      {verifyEmail.isLoading && <Loader />}
+      {verifyEmail.isSuccess && <Message>Thanks, your email address is confirmed.</Message>}
+      {verifyEmail.isError && (
+        <Message error>
+          {verifyEmail.error.response?.data?.message || 'Verification failed, please try again'}
+        </Message>
+      )}
+
+      <Description>
+        <Link to="/">Continue to Didi</Link>
+      </Description>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,918 @@
+// models/session.js
+// One row per issued refresh token. Rotations of the same login share a familyId.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Shared by every refresh token rotated from the same login'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    replacedById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { fields: ['familyId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return Session;
+};
+
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { User, Session } = require('../models');
+const config = require('../config');
+const LruCache = require('../utils/lruCache');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Families recently seen active. Revoking here evicts them at once; another
+// server notices a revocation once its entry expires.
+const activeFamilies = new LruCache({ max: 10000, ttlMs: 30 * 1000 });
+
+/**
+ * Session Service
+ * Issues short-lived access tokens and rotating refresh tokens
+ */
+class SessionService {
+  /**
+   * Start a new login session for a user
+   * @param {Object} user - User instance
+   * @param {Object} meta - Request metadata
+   * @param {string} meta.userAgent - Client user agent
+   * @param {string} meta.ipAddress - Client IP address
+   * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+   */
+  async createSession(user, meta = {}) {
+    return this.issueTokens(user, crypto.randomUUID(), meta);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Presenting a token that was already rotated revokes its whole family.
+   * @param {string} refreshToken - Refresh token sent by the client
+   * @param {Object} meta - Request metadata
+   * @returns {Promise<Object|null>} - { accessToken, refreshToken, session, user } or null if rejected
+   */
+  async rotateRefreshToken(refreshToken, meta = {}) {
+    const session = await Session.findOne({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.revokedAt || session.replacedById) {
+      // Token reuse: someone is replaying an old token, so kill the login everywhere
+      await this.revokeFamily(session.familyId);
+      return null;
+    }
+
+    if (session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    const user = await User.findByPk(session.userId);
+    if (!user) {
+      return null;
+    }
+
+    // Claim the token before issuing its successor: of two refreshes racing with
+    // the same token only one updates the row, and the other counts as reuse
+    const sessionId = crypto.randomUUID();
+    const [claimed] = await Session.update(
+      { replacedById: sessionId, lastUsedAt: new Date() },
+      { where: { id: session.id, replacedById: null, revokedAt: null } }
+    );
+
+    if (claimed === 0) {
+      await this.revokeFamily(session.familyId);
+      return null;
+    }
+
+    const tokens = await this.issueTokens(user, session.familyId, {
+      userAgent: meta.userAgent || session.userAgent,
+      ipAddress: meta.ipAddress || session.ipAddress
+    }, sessionId);
+
+    return { ...tokens, user };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   * @param {string} refreshToken - Refresh token sent by the client
+   * @returns {Promise<void>}
+   */
+  async revokeByRefreshToken(refreshToken) {
+    const session = await Session.findOne({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    if (session) {
+      await this.revokeFamily(session.familyId);
+    }
+  }
+
+  /**
+   * Revoke every token in a family
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<number>} - Number of rows revoked
+   */
+  async revokeFamily(familyId) {
+    const [count] = await Session.update(
+      { revokedAt: new Date() },
+      { where: { familyId, revokedAt: null } }
+    );
+    activeFamilies.delete(familyId);
+    return count;
+  }
+
+  /**
+   * Check that a login has not been signed out or expired
+   * @param {string} familyId - Token family ID, the access token's sid
+   * @returns {Promise<boolean>} - Whether the family still has a live refresh token
+   */
+  async isFamilyActive(familyId) {
+    if (activeFamilies.get(familyId)) return true;
+
+    const session = await Session.findOne({
+      where: {
+        familyId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id']
+    });
+
+    if (session) activeFamilies.set(familyId, true);
+    return Boolean(session);
+  }
+
+  /**
+   * List a user's active sessions, one per login
+   * @param {string} userId - User ID
+   * @param {string} currentFamilyId - Family of the requesting session
+   * @returns {Promise<Array>} - Array of session summaries
+   */
+  async getActiveSessions(userId, currentFamilyId = null) {
+    const sessions = await Session.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        replacedById: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+
+    return sessions.map(session => ({
+      id: session.familyId,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      current: session.familyId === currentFamilyId
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} familyId - Session (family) ID as returned by getActiveSessions
+   * @returns {Promise<boolean>} - Whether a session was revoked
+   */
+  async revokeSession(userId, familyId) {
+    const [count] = await Session.update(
+      { revokedAt: new Date() },
+      { where: { userId, familyId, revokedAt: null } }
+    );
+    activeFamilies.delete(familyId);
+    return count > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions except one
+   * @param {string} userId - User ID
+   * @param {string} keepFamilyId - Family to keep signed in
+   * @returns {Promise<number>} - Number of rows revoked
+   */
+  async revokeOtherSessions(userId, keepFamilyId = null) {
+    const where = { userId, revokedAt: null };
+    if (keepFamilyId) {
+      where.familyId = { [Op.ne]: keepFamilyId };
+    }
+
+    const [count] = await Session.update({ revokedAt: new Date() }, { where });
+    // The revoked families aren't known here, so drop them all and let live ones reload
+    activeFamilies.clear();
+    return count;
+  }
+
+  /**
+   * Create a refresh token row and a matching access token
+   * @private
+   */
+  async issueTokens(user, familyId, meta = {}, sessionId = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+    const session = await Session.create({
+      id: sessionId,
+      userId: user.id,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      userAgent: meta.userAgent ? meta.userAgent.slice(0, 255) : null,
+      ipAddress: meta.ipAddress || null,
+      expiresAt
+    });
+
+    const accessToken = jwt.sign(
+      { id: user.id, sid: familyId },
+      config.jwtSecret,
+      { expiresIn: config.accessTokenTtl }
+    );
+
+    return { accessToken, refreshToken, session };
+  }
+}
+
+module.exports = new SessionService();
+
+// middleware/authMiddleware.js
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const config = require('../config');
+
+/**
+ * Require a valid access token and attach the user to the request
+ * Expired tokens get a distinct code so clients know to refresh. Tokens from
+ * a signed-out session are refused even before they expire.
+ */
+const authMiddleware = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, config.jwtSecret);
+    const user = await User.findByPk(payload.id);
+
+    if (!user || user.deletedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    if (!payload.sid || !(await sessionService.isFamilyActive(payload.sid))) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'This session has been signed out'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = payload.sid;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
+      message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+    });
+  }
+};
+
+module.exports = authMiddleware;
+
+// controllers/authController.js
+const { body, param, query } = require('express-validator');
+const { User } = require('../models');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const mailService = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const registerValidation = [
+  body('username').isString().trim().isLength({ min: 3, max: 30 }),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 8 }),
+  validateRequest
+];
+
+const loginValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().notEmpty(),
+  validateRequest
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().trim().notEmpty(),
+  validateRequest
+];
+
+const refreshValidation = [
+  body('refreshToken').isString().notEmpty(),
+  validateRequest
+];
+
+const sessionIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().normalizeEmail(),
+  validateRequest
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty(),
+  body('password').isString().isLength({ min: 8 }),
+  validateRequest
+];
+
+const verifyEmailValidation = [
+  body('token').isString().notEmpty(),
+  validateRequest
+];
+
+const unlockValidation = [
+  body('token').isString().notEmpty(),
+  validateRequest
+];
+
+const loginAttemptsValidation = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validateRequest
+];
+
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+const serializeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
+  hasPassword: user.hasPassword,
+  avatar: user.avatar,
+  bio: user.bio,
+  preferences: user.preferences,
+  ratingScale: user.ratingScale,
+  lastLogin: user.lastLogin,
+  deletionScheduledFor: user.deletionScheduledFor
+});
+
+/**
+ * Register a new account and sign it in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const register = async (req, res, next) => {
+  try {
+    const { username, email, password } = req.body;
+
+    const existing = await User.findOne({ where: { email } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = await User.create({ username, email, password, lastLogin: new Date() });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, requestMeta(req));
+
+    const verificationToken = accountTokenService.createEmailVerificationToken(user);
+    mailService.send(mailTemplates.emailVerification(user, verificationToken))
+      .catch(error => console.error('Error sending verification email:', error));
+
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log in with email and password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const meta = requestMeta(req);
+    const attempt = { email, ...meta };
+
+    const user = await User.findOne({ where: { email } });
+
+    const check = await loginProtectionService.checkAttempt(user, meta.ipAddress);
+    if (!check.allowed) {
+      await loginProtectionService.recordFailure(user, { ...attempt, reason: check.reason });
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.status).json({
+        success: false,
+        code: check.reason === 'locked' ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+        message: check.message,
+        retryAfter: check.retryAfter
+      });
+    }
+
+    if (!user || !(await user.comparePassword(password))) {
+      await loginProtectionService.recordFailure(user, {
+        ...attempt,
+        reason: user ? 'bad_password' : 'unknown_user'
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    // With two-factor on, the attempt only counts as successful once the code checks out
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user)
+      });
+    }
+
+    await loginProtectionService.recordSuccess(user, attempt);
+    await user.update({ lastLogin: new Date() });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, meta);
+
+    res.json({
+      token: accessToken,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish a login for an account with two-factor enabled
+ * Accepts either an authenticator code or a recovery code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const user = await twoFactorService.verifyChallengeToken(challengeToken);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        code: 'CHALLENGE_EXPIRED',
+        message: 'Login attempt expired, please start again'
+      });
+    }
+
+    const meta = requestMeta(req);
+    const attempt = { email: user.email, ...meta };
+
+    const check = await loginProtectionService.checkAttempt(user, meta.ipAddress);
+    if (!check.allowed) {
+      await loginProtectionService.recordFailure(user, { ...attempt, reason: check.reason });
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.status).json({
+        success: false,
+        code: check.reason === 'locked' ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+        message: check.message,
+        retryAfter: check.retryAfter
+      });
+    }
+
+    if (!(await twoFactorService.verifyCode(user, code))) {
+      await loginProtectionService.recordFailure(user, { ...attempt, reason: 'bad_code' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await loginProtectionService.recordSuccess(user, attempt);
+    await user.update({ lastLogin: new Date() });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, meta);
+
+    res.json({
+      token: accessToken,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rotate a refresh token and issue a new access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const result = await sessionService.rotateRefreshToken(req.body.refreshToken, requestMeta(req));
+
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        code: 'REFRESH_INVALID',
+        message: 'Session expired, please log in again'
+      });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      user: serializeUser(result.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out by revoking the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const logout = async (req, res, next) => {
+  try {
+    await sessionService.revokeByRefreshToken(req.body.refreshToken);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const me = (req, res) => {
+  res.json(serializeUser(req.user));
+};
+
+/**
+ * List the current user's active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke every session except the one making the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteOtherSessions = async (req, res, next) => {
+  try {
+    await sessionService.revokeOtherSessions(req.user.id, req.sessionId);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a password reset link
+ * Always answers the same way so the endpoint can't be used to probe for accounts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user) {
+      // Not awaited, so response time doesn't reveal whether the account exists
+      const token = accountTokenService.createPasswordResetToken(user);
+      mailService.send(mailTemplates.passwordReset(user, token))
+        .catch(error => console.error('Error sending password reset email:', error));
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password using a reset token
+ * Signs the user out everywhere, since the old password may be compromised.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const user = await accountTokenService.verifyPasswordResetToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has already been used'
+      });
+    }
+
+    // Receiving the link proves the user controls the address
+    await user.update({ password: req.body.password, emailVerified: true, hasPassword: true });
+    await loginProtectionService.unlock(user);
+    await sessionService.revokeOtherSessions(user.id);
+
+    res.json({
+      success: true,
+      message: 'Password updated, please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an email address as verified
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await accountTokenService.verifyEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has already been used'
+      });
+    }
+
+    await user.update({ emailVerified: true });
+
+    res.json({
+      success: true,
+      data: serializeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification email to the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const token = accountTokenService.createEmailVerificationToken(req.user);
+    await mailService.send(mailTemplates.emailVerification(req.user, token));
+
+    res.status(202).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a lockout using the link from the account locked email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unlockAccount = async (req, res, next) => {
+  try {
+    const user = await accountTokenService.verifyUnlockToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This unlock link is invalid or has already been used'
+      });
+    }
+
+    await loginProtectionService.unlock(user);
+
+    res.json({
+      success: true,
+      message: 'Your account is unlocked, you can log in again'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recent login attempts on the current user's account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getLoginAttempts = async (req, res, next) => {
+  try {
+    const attempts = await loginProtectionService.getRecentAttempts(req.user.id, {
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: attempts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register: [registerValidation, register],
+  login: [loginValidation, login],
+  loginTwoFactor: [twoFactorLoginValidation, loginTwoFactor],
+  refresh: [refreshValidation, refresh],
+  logout: [refreshValidation, logout],
+  me,
+  getSessions,
+  deleteSession: [sessionIdValidation, deleteSession],
+  deleteOtherSessions,
+  forgotPassword: [forgotPasswordValidation, forgotPassword],
+  resetPassword: [resetPasswordValidation, resetPassword],
+  verifyEmail: [verifyEmailValidation, verifyEmail],
+  resendVerification,
+  unlockAccount: [unlockValidation, unlockAccount],
+  getLoginAttempts: [loginAttemptsValidation, getLoginAttempts]
+};
+
+// routes/authRoutes.js
+const express = require('express');
+const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const oidcController = require('../controllers/oidcController');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Public routes
+router.post('/register', rateLimit('auth'), authController.register);
+router.post('/login', rateLimit('auth'), authController.login);
+router.post('/login/2fa', rateLimit('auth'), authController.loginTwoFactor);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+router.post('/forgot', rateLimit('auth'), authController.forgotPassword);
+router.post('/reset', rateLimit('auth'), authController.resetPassword);
+router.post('/verify-email', rateLimit('auth'), authController.verifyEmail);
+router.post('/unlock', rateLimit('auth'), authController.unlockAccount);
+
+// External login providers
+router.get('/providers', oidcController.getProviders);
+router.get('/oidc/:provider', rateLimit('auth'), oidcController.startLogin);
+router.get('/oidc/:provider/callback', oidcController.callback);
+
+// Protected routes
+router.get('/me', authMiddleware, authController.me);
+router.post('/verify-email/resend', authMiddleware, rateLimit('auth'), authController.resendVerification);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions', authMiddleware, authController.deleteOtherSessions);
+router.delete('/sessions/:id', authMiddleware, authController.deleteSession);
+router.get('/login-attempts', authMiddleware, authController.getLoginAttempts);
+
+// Two-factor authentication
+router.get('/2fa', authMiddleware, twoFactorController.getStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorController.setup);
+router.post('/2fa/enable', authMiddleware, rateLimit('auth'), twoFactorController.enable);
+router.post('/2fa/disable', authMiddleware, rateLimit('auth'), twoFactorController.disable);
+router.post('/2fa/recovery-codes', authMiddleware, rateLimit('auth'), twoFactorController.regenerateRecoveryCodes);
+
+// Linked accounts
+router.get('/linked-accounts', authMiddleware, oidcController.getLinkedAccounts);
+router.post('/oidc/:provider/link', authMiddleware, oidcController.startLink);
+router.delete('/linked-accounts/:id', authMiddleware, oidcController.unlinkAccount);
+
+module.exports = router;
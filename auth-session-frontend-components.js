@@ -0,0 +1,350 @@
+// src/utils/api.js
+import axios from 'axios';
+
+const api = axios.create({
+  baseURL: process.env.REACT_APP_API_URL || '/api'
+});
+
+// Endpoints that answer 401 for bad credentials rather than an expired token
+const PUBLIC_AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot',
+  '/auth/reset',
+  '/auth/verify-email',
+  '/auth/unlock'
+];
+
+let refreshRequest = null;
+let onSessionExpired = () => {};
+
+/**
+ * Register a callback for when the refresh token is rejected
+ * @param {Function} handler - Called with no arguments once the session is gone
+ */
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+/**
+ * Store a token pair and use the access token for future requests
+ * @param {string} token - Access token
+ * @param {string} refreshToken - Refresh token
+ */
+export const storeTokens = (token, refreshToken) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+/**
+ * Forget the stored token pair
+ */
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  delete api.defaults.headers.common['Authorization'];
+};
+
+/**
+ * Read the server's RateLimit-* headers from a response
+ * @param {Object} response - Axios response
+ * @returns {Object|null} - { limit, remaining, resetIn } in seconds, or null if absent
+ */
+export const getRateLimit = (response) => {
+  const headers = response?.headers || {};
+  if (headers['ratelimit-limit'] === undefined) return null;
+
+  return {
+    limit: Number(headers['ratelimit-limit']),
+    remaining: Number(headers['ratelimit-remaining']),
+    resetIn: Number(headers['retry-after'] || headers['ratelimit-reset'])
+  };
+};
+
+const describeWait = (seconds) => {
+  if (!seconds) return 'in a moment';
+  if (seconds < 60) return `in ${seconds} second${seconds === 1 ? '' : 's'}`;
+
+  const minutes = Math.ceil(seconds / 60);
+  return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Share one refresh request between all requests that fail at the same time,
+// otherwise the second one would present an already-rotated token.
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = api.post('/auth/refresh', { refreshToken })
+      .then(res => {
+        storeTokens(res.data.token, res.data.refreshToken);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
+api.interceptors.response.use(
+  response => response,
+  async error => {
+    const { config, response } = error;
+
+    // Components show response.data.message, so put something readable there
+    if (response && response.status === 429) {
+      const rateLimit = getRateLimit(response);
+      const retryAfter = rateLimit ? rateLimit.resetIn : Number(response.headers['retry-after']);
+
+      const data = response.data && typeof response.data === 'object' ? response.data : {};
+
+      error.rateLimit = rateLimit;
+      if (data.code === 'RATE_LIMITED' || !data.message) {
+        response.data = {
+          ...data,
+          message: `You're doing that too often. Please try again ${describeWait(retryAfter)}.`
+        };
+      }
+      return Promise.reject(error);
+    }
+
+    const isPublicAuthRequest = config && PUBLIC_AUTH_ENDPOINTS.includes(config.url);
+
+    if (!response || response.status !== 401 || isPublicAuthRequest || config._retried) {
+      return Promise.reject(error);
+    }
+
+    if (!localStorage.getItem('refreshToken')) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retried = true;
+      config.headers['Authorization'] = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      clearTokens();
+      onSessionExpired();
+      return Promise.reject(error);
+    }
+  }
+);
+
+export default api;
+
+// src/components/settings/ActiveSessions.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaDesktop, FaMobileAlt, FaSignOutAlt } from 'react-icons/fa';
+import api from '../../utils/api';
+import { isMobile, describeDevice } from '../../utils/userAgent';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 20px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const SessionList = styled.div`
+  display: grid;
+  gap: 15px;
+`;
+
+const SessionRow = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 12px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  border: 1px solid ${props => props.current ? props.theme.primary : 'transparent'};
+`;
+
+const DeviceIcon = styled.div`
+  font-size: 24px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const SessionInfo = styled.div`
+  flex: 1;
+  margin-left: 15px;
+`;
+
+const Device = styled.div`
+  font-size: 16px;
+  font-weight: 500;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const CurrentBadge = styled.span`
+  margin-left: 8px;
+  background: ${props => props.theme.primary};
+  color: ${props => props.theme.buttonText};
+  padding: 2px 6px;
+  border-radius: 4px;
+  font-size: 11px;
+`;
+
+const Button = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * List of the current user's logins with controls to sign them out
+ */
+const ActiveSessions = () => {
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isLoading, error } = useQuery(
+    ['auth', 'sessions'],
+    () => api.get('/auth/sessions').then(res => res.data.data),
+    {
+      refetchOnWindowFocus: false
+    }
+  );
+
+  const revokeSession = useMutation(
+    (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['auth', 'sessions'])
+    }
+  );
+
+  const revokeOthers = useMutation(
+    () => api.delete('/auth/sessions'),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['auth', 'sessions'])
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load active sessions" />;
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <Container>
+      <Header>
+        <Title>Where you're logged in</Title>
+        <Button
+          onClick={() => revokeOthers.mutate()}
+          disabled={otherSessions.length === 0 || revokeOthers.isLoading}
+        >
+          <FaSignOutAlt /> Log out other devices
+        </Button>
+      </Header>
+
+      <SessionList>
+        {sessions.map(session => (
+          <SessionRow key={session.id} current={session.current}>
+            <DeviceIcon>
+              {isMobile(session.userAgent) ? <FaMobileAlt /> : <FaDesktop />}
+            </DeviceIcon>
+            <SessionInfo>
+              <Device>
+                {describeDevice(session.userAgent)}
+                {session.current && <CurrentBadge>This device</CurrentBadge>}
+              </Device>
+              <Meta>
+                {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+              </Meta>
+            </SessionInfo>
+            {!session.current && (
+              <Button
+                onClick={() => revokeSession.mutate(session.id)}
+                disabled={revokeSession.isLoading}
+              >
+                <FaSignOutAlt /> Log out
+              </Button>
+            )}
+          </SessionRow>
+        ))}
+      </SessionList>
+    </Container>
+  );
+};
+
+export default ActiveSessions;
+
+// src/pages/SecuritySettings.js
+import React from 'react';
+import styled from 'styled-components';
+import ActiveSessions from '../components/settings/ActiveSessions';
+import TwoFactorSettings from '../components/settings/TwoFactorSettings';
+import LinkedAccounts from '../components/settings/LinkedAccounts';
+import LoginActivity from '../components/settings/LoginActivity';
+import DataExport from '../components/settings/DataExport';
+import DeleteAccount from '../components/settings/DeleteAccount';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const SecuritySettings = () => {
+  return (
+    <Container>
+      <PageTitle>Security</PageTitle>
+      <TwoFactorSettings />
+      <LinkedAccounts />
+      <ActiveSessions />
+      <LoginActivity />
+      <DataExport />
+      <DeleteAccount />
+    </Container>
+  );
+};
+
+export default SecuritySettings;
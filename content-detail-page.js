@@ -14,6 +14,11 @@ import Error from '../components/common/Error';
 import BecauseYouWatchedSection from '../components/recommendations/BecauseYouWatchedSection';
 import useRecommendations from '../hooks/useRecommendations';
 import RecommendationCarousel from '../components/recommendations/RecommendationCarousel';
+import AddToListMenu from '../components/lists/AddToListMenu';
+import EpisodeGuide from '../components/content/EpisodeGuide';
+import LogWatch from '../components/diary/LogWatch';
+import ContentRating from '../components/content/ContentRating';
+import CreditsList from '../components/content/CreditsList';
 
 const Container = styled.div`
   padding: 20px;
@@ -102,12 +107,27 @@ const ContentDetail = () => {
               contentId={content.id}
               onStatusChange={refetchContent}
             />
+            {isAuthenticated && <AddToListMenu contentId={content.id} />}
           </Section>
           
+          {isAuthenticated && (
+            <Section>
+              <ContentRating contentId={content.id} />
+              <LogWatch contentId={content.id} />
+            </Section>
+          )}
+          
+          {content.type !== 'movie' && (
+            <Section>
+              <EpisodeGuide contentId={content.id} />
+            </Section>
+          )}
+          
           <ReviewSection contentId={content.id} />
         </MainColumn>
         
         <SideColumn>
+          <CreditsList contentId={content.id} />
           {/* Additional content information and stats */}
           {/* ... */}
         </SideColumn>
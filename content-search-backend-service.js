@@ -0,0 +1,411 @@
+// migrations/20261025000000-content-search.js
+// Full-text and trigram search over titles, the people credited on them and
+// their soundtrack artists. People and artists are copied onto Contents (see
+// services/searchIndexService.js) so one generated tsvector covers them all.
+const SEARCH_VECTOR = `
+  setweight(to_tsvector('simple', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce("originalTitle", '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce("searchPeople", '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce("searchArtists", '')), 'C')
+`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm', { transaction });
+
+      await queryInterface.addColumn('Contents', 'searchPeople', {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: ''
+      }, { transaction });
+      await queryInterface.addColumn('Contents', 'searchArtists', {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: ''
+      }, { transaction });
+      await queryInterface.sequelize.query(
+        `ALTER TABLE "Contents" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (${SEARCH_VECTOR}) STORED`,
+        { transaction }
+      );
+
+      await queryInterface.sequelize.query(`
+        UPDATE "Contents" c SET
+          "searchPeople" = coalesce((
+            SELECT string_agg(DISTINCT p."name", ' ') FROM "Credits" cr
+            JOIN "People" p ON p."id" = cr."personId"
+            WHERE cr."contentId" = c."id"
+          ), ''),
+          "searchArtists" = coalesce((
+            SELECT string_agg(DISTINCT s."artist", ' ') FROM "Soundtracks" s
+            WHERE s."contentId" = c."id"
+          ), '')
+      `, { transaction });
+
+      await queryInterface.sequelize.query(
+        'CREATE INDEX contents_search_vector ON "Contents" USING GIN ("searchVector")',
+        { transaction }
+      );
+      for (const column of ['title', 'originalTitle', 'searchPeople', 'searchArtists']) {
+        await queryInterface.sequelize.query(
+          `CREATE INDEX contents_${column.toLowerCase()}_trgm ON "Contents" USING GIN ("${column}" gin_trgm_ops)`,
+          { transaction }
+        );
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const column of ['searchVector', 'searchArtists', 'searchPeople']) {
+        // Dropping a column drops its indexes too
+        await queryInterface.removeColumn('Contents', column, { transaction });
+      }
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS contents_title_trgm', { transaction });
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS contents_originaltitle_trgm', { transaction });
+    });
+  }
+};
+
+// models/content.js - Search
+// Added to the Content attributes. The "searchVector" column is generated by
+// Postgres from these and the titles, so it is deliberately not an attribute.
+searchPeople: {
+  type: DataTypes.TEXT,
+  allowNull: false,
+  defaultValue: '',
+  comment: 'Names of credited people, kept by services/searchIndexService.js'
+},
+searchArtists: {
+  type: DataTypes.TEXT,
+  allowNull: false,
+  defaultValue: '',
+  comment: 'Soundtrack artists, kept by services/searchIndexService.js'
+}
+
+// services/searchIndexService.js
+const { sequelize } = require('../models');
+
+/**
+ * Search Index Service
+ * Copies the names of a title's people and soundtrack artists onto its Content
+ * row, where Postgres folds them into the generated search vector.
+ */
+class SearchIndexService {
+  /**
+   * Recompute a title's searchable people and artists
+   * @param {string} contentId - Content ID
+   * @param {Object} options
+   * @param {Object} options.transaction - Transaction to run in
+   * @returns {Promise<void>}
+   */
+  async refresh(contentId, { transaction } = {}) {
+    await sequelize.query(`
+      UPDATE "Contents" SET
+        "searchPeople" = coalesce((
+          SELECT string_agg(DISTINCT p."name", ' ') FROM "Credits" cr
+          JOIN "People" p ON p."id" = cr."personId"
+          WHERE cr."contentId" = :contentId
+        ), ''),
+        "searchArtists" = coalesce((
+          SELECT string_agg(DISTINCT s."artist", ' ') FROM "Soundtracks" s
+          WHERE s."contentId" = :contentId
+        ), '')
+      WHERE "id" = :contentId
+    `, { replacements: { contentId }, transaction });
+  }
+}
+
+module.exports = new SearchIndexService();
+
+// services/searchHooks.js
+const { Soundtrack } = require('../models');
+const searchIndexService = require('./searchIndexService');
+
+const refreshAfterCommit = (track, options) => {
+  const run = () => searchIndexService.refresh(track.contentId)
+    .catch(error => console.error('Error refreshing search index:', error));
+
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+/**
+ * Keep soundtrack artists searchable as tracks are added, edited and removed
+ * Credits only change through the metadata sync, which refreshes the index itself.
+ * Call once at startup.
+ */
+const registerSearchHooks = () => {
+  Soundtrack.addHook('afterCreate', 'refreshSearch', refreshAfterCommit);
+  Soundtrack.addHook('afterUpdate', 'refreshSearch', (track, options) => {
+    if (track.changed('artist')) refreshAfterCommit(track, options);
+  });
+  Soundtrack.addHook('afterDestroy', 'refreshSearch', refreshAfterCommit);
+};
+
+module.exports = registerSearchHooks;
+
+// services/searchService.js
+const { Content, Genre, sequelize } = require('../models');
+const { encodeRankCursor } = require('../utils/cursor');
+
+// Lower bounds of the normalized (0.1-1) rating bands, highest first
+const RATING_BANDS = [0.8, 0.6, 0.4, 0];
+
+const CONTENT_ATTRIBUTES = ['id', 'title', 'originalTitle', 'type', 'releaseYear', 'posterUrl', 'rating'];
+
+const ratingBandSql = `CASE ${RATING_BANDS.map(min => `WHEN c."rating" >= ${min} THEN '${min}'`).join(' ')} END`;
+
+/**
+ * Relevance of a title to the query: full-text rank over the weighted vector,
+ * plus how closely the query resembles a title (typos included) and, more
+ * weakly, a person or artist. Rounded so cursors compare exactly.
+ */
+const RANK_SQL = `ROUND((
+  ts_rank(c."searchVector", websearch_to_tsquery('simple', :q))
+  + GREATEST(word_similarity(:q, c."title"), word_similarity(:q, c."originalTitle"))
+  + 0.5 * GREATEST(word_similarity(:q, c."searchPeople"), word_similarity(:q, c."searchArtists"))
+)::numeric, 6)`;
+
+// Without a query, browse by TMDB popularity
+const BROWSE_RANK_SQL = 'ROUND(coalesce(c."popularity", 0)::numeric, 6)';
+
+const MATCH_SQL = `(
+  c."searchVector" @@ websearch_to_tsquery('simple', :q)
+  OR :q <% c."title"
+  OR :q <% c."originalTitle"
+  OR :q <% c."searchPeople"
+  OR :q <% c."searchArtists"
+)`;
+
+/**
+ * Search Service
+ * Ranked content search with filters, faceted counts and cursor pagination.
+ */
+class SearchService {
+  /**
+   * Search content
+   * @param {Object} options
+   * @param {string} options.q - Search text; empty browses by popularity
+   * @param {Object} options.filters - { type, genre (slug), decade, rating (band lower bound) }
+   * @param {Object|null} options.cursor - Decoded rank cursor from a previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor, total, facets }
+   */
+  async search({ q = '', filters = {}, cursor = null, limit = 20 }) {
+    const replacements = { q, ...this.filterReplacements(filters) };
+
+    const [page, facets] = await Promise.all([
+      this.findPage(replacements, cursor, limit),
+      this.countFacets(replacements)
+    ]);
+
+    // The type facet ignores only the type filter, so it also gives the total
+    const total = replacements.type
+      ? (facets.type.find(facet => facet.value === replacements.type) || { count: 0 }).count
+      : facets.type.reduce((sum, facet) => sum + facet.count, 0);
+
+    return { ...page, total, facets };
+  }
+
+  /**
+   * @private
+   */
+  async findPage(replacements, cursor, limit) {
+    const rank = replacements.q ? RANK_SQL : BROWSE_RANK_SQL;
+
+    const rows = await sequelize.query(`
+      SELECT "id", "rank" FROM (
+        SELECT c."id", ${rank} AS "rank"
+        FROM "Contents" c
+        WHERE ${this.whereSql(replacements)}
+      ) ranked
+      ${cursor ? 'WHERE "rank" < CAST(:cursorRank AS numeric) OR ("rank" = CAST(:cursorRank AS numeric) AND "id" < :cursorId)' : ''}
+      ORDER BY "rank" DESC, "id" DESC
+      LIMIT :limit
+    `, {
+      replacements: {
+        ...replacements,
+        cursorRank: cursor && cursor.rank,
+        cursorId: cursor && cursor.id,
+        limit: limit + 1
+      },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const pageRows = rows.slice(0, limit);
+    const contents = await Content.findAll({
+      where: { id: pageRows.map(row => row.id) },
+      attributes: CONTENT_ATTRIBUTES,
+      include: [{ model: Genre, attributes: ['id', 'name', 'slug'], through: { attributes: [] } }]
+    });
+    const byId = new Map(contents.map(content => [content.id, content]));
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      items: pageRows.map(row => byId.get(row.id)).filter(Boolean),
+      nextCursor: rows.length > limit ? encodeRankCursor(last.rank, last.id) : null
+    };
+  }
+
+  /**
+   * Count matches per facet value, each facet under every filter but its own
+   * @private
+   */
+  async countFacets(replacements) {
+    const count = (facet, valueSql, join = '') => sequelize.query(`
+      SELECT ${valueSql} AS "value", COUNT(DISTINCT c."id")::int AS "count"
+      FROM "Contents" c
+      ${join}
+      WHERE ${this.whereSql(replacements, facet)} AND ${valueSql} IS NOT NULL
+      GROUP BY 1
+      ORDER BY "count" DESC
+    `, { replacements, type: sequelize.QueryTypes.SELECT });
+
+    const [type, genre, decade, rating] = await Promise.all([
+      count('type', 'c."type"::text'),
+      count('genre', 'g."slug"', 'JOIN "ContentGenres" cg ON cg."contentId" = c."id" JOIN "Genres" g ON g."id" = cg."genreId"'),
+      count('decade', '(c."releaseYear" / 10 * 10)'),
+      count('rating', ratingBandSql)
+    ]);
+
+    // Label genres by name and keep decades and bands in their natural order
+    const genres = await Genre.findAll({ where: { slug: genre.map(facet => facet.value) }, attributes: ['slug', 'name'] });
+    const genreNames = new Map(genres.map(item => [item.slug, item.name]));
+
+    return {
+      type,
+      genre: genre.map(facet => ({ ...facet, label: genreNames.get(facet.value) })),
+      decade: decade.sort((a, b) => b.value - a.value),
+      rating: rating.sort((a, b) => Number(b.value) - Number(a.value))
+    };
+  }
+
+  /**
+   * WHERE clause for the query and filters, optionally leaving one filter out
+   * @private
+   */
+  whereSql(replacements, except = null) {
+    const clauses = [];
+    if (replacements.q) clauses.push(MATCH_SQL);
+    if (replacements.type && except !== 'type') clauses.push('c."type" = :type');
+    if (replacements.genre && except !== 'genre') {
+      clauses.push(`EXISTS (
+        SELECT 1 FROM "ContentGenres" fcg JOIN "Genres" fg ON fg."id" = fcg."genreId"
+        WHERE fcg."contentId" = c."id" AND fg."slug" = :genre
+      )`);
+    }
+    if (replacements.decade !== null && except !== 'decade') {
+      clauses.push('c."releaseYear" BETWEEN :decade AND :decade + 9');
+    }
+    if (replacements.ratingMin !== null && except !== 'rating') {
+      clauses.push(`c."rating" >= :ratingMin${replacements.ratingMax !== null ? ' AND c."rating" < :ratingMax' : ''}`);
+    }
+    return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * @private
+   */
+  filterReplacements({ type, genre, decade, rating }) {
+    const band = RATING_BANDS.indexOf(rating);
+    return {
+      type: type || null,
+      genre: genre || null,
+      decade: Number.isInteger(decade) ? decade : null,
+      ratingMin: band >= 0 ? rating : null,
+      // Bands are bounded above by the next band up; the top one is open
+      ratingMax: band > 0 ? RATING_BANDS[band - 1] : null
+    };
+  }
+}
+
+module.exports = new SearchService();
+module.exports.RATING_BANDS = RATING_BANDS;
+
+// controllers/searchController.js
+const { query } = require('express-validator');
+const searchService = require('../services/searchService');
+const suggestService = require('../services/suggestService');
+const { RATING_BANDS } = require('../services/searchService');
+const { decodeRankCursor } = require('../utils/cursor');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const searchValidation = [
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('type').optional().isIn(['movie', 'tv']),
+  query('genre').optional().isSlug(),
+  query('decade').optional().isInt({ min: 1870, max: 2100 }).toInt()
+    .custom(value => value % 10 === 0).withMessage('Decade must be a year ending in 0'),
+  query('rating').optional().isFloat().toFloat()
+    .custom(value => RATING_BANDS.includes(value)).withMessage(`Rating must be one of ${RATING_BANDS.join(', ')}`),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const suggestValidation = [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }),
+  validateRequest
+];
+
+/**
+ * Search content with filters and faceted counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const searchContent = async (req, res, next) => {
+  try {
+    const { q, type, genre, decade, rating, limit } = req.query;
+
+    const cursor = req.query.cursor ? decodeRankCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await searchService.search({
+        q: q || '',
+        filters: { type, genre, decade, rating },
+        cursor,
+        limit: limit || 20
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest titles, people, franchises, soundtracks and users as the user types
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const suggest = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        query: req.query.q,
+        items: await suggestService.suggest(req.query.q)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  searchContent: [searchValidation, searchContent],
+  suggest: [suggestValidation, suggest]
+};
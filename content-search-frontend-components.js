@@ -0,0 +1,302 @@
+// src/pages/Search.js
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useInfiniteQuery } from 'react-query';
+import styled from 'styled-components';
+import { FaSearch, FaTimes } from 'react-icons/fa';
+import api from '../utils/api';
+import useRatingScale from '../hooks/useRatingScale';
+import { formatScore } from '../utils/ratings';
+import ContentGrid from '../components/content/ContentGrid';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+
+const Container = styled.div`
+  padding: 20px;
+`;
+
+const SearchForm = styled.form`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 25px;
+
+  input {
+    flex: 1;
+    background: ${props => props.theme.inputBg};
+    border: 1px solid ${props => props.theme.borderColor};
+    border-radius: 6px;
+    padding: 12px 15px;
+    font-size: 16px;
+    color: ${props => props.theme.textPrimary};
+  }
+
+  button {
+    background: ${props => props.theme.primary};
+    color: ${props => props.theme.buttonText};
+    border: none;
+    border-radius: 6px;
+    padding: 12px 18px;
+    cursor: pointer;
+  }
+`;
+
+const Layout = styled.div`
+  display: grid;
+  grid-template-columns: 220px 1fr;
+  gap: 30px;
+
+  @media (max-width: 768px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const Facets = styled.aside``;
+
+const FacetGroup = styled.div`
+  margin-bottom: 20px;
+`;
+
+const FacetTitle = styled.h3`
+  font-size: 14px;
+  font-weight: 600;
+  text-transform: uppercase;
+  margin: 0 0 8px 0;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const FacetOption = styled.button`
+  display: flex;
+  justify-content: space-between;
+  width: 100%;
+  background: ${props => props.active ? props.theme.primary : 'transparent'};
+  color: ${props => props.active ? props.theme.buttonText : props.theme.textPrimary};
+  border: none;
+  border-radius: 4px;
+  padding: 6px 8px;
+  font-size: 14px;
+  text-align: left;
+  cursor: pointer;
+
+  &:hover {
+    background: ${props => props.active ? props.theme.primaryHover : props.theme.inputBg};
+  }
+
+  span:last-child {
+    opacity: 0.7;
+  }
+`;
+
+const Summary = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 10px;
+  margin-bottom: 20px;
+  font-size: 14px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Chip = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 14px;
+  padding: 4px 10px;
+  font-size: 13px;
+  color: ${props => props.theme.textPrimary};
+  cursor: pointer;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+// URL parameters that narrow the results, in the order facets are shown
+const FILTERS = ['type', 'genre', 'decade', 'rating'];
+
+const FACET_TITLES = {
+  type: 'Type',
+  genre: 'Genre',
+  decade: 'Decade',
+  rating: 'Rating'
+};
+
+const TYPE_LABELS = { movie: 'Movies', tv: 'TV Shows' };
+
+// Lower bounds of the server's rating bands, highest first; each band ends where the next one up starts
+const RATING_BANDS = [0.8, 0.6, 0.4, 0];
+
+const ratingLabel = (min, ratingScale) => {
+  const band = RATING_BANDS.indexOf(min);
+  if (band <= 0) return `${formatScore(min, ratingScale)}+`;
+  const max = formatScore(RATING_BANDS[band - 1], ratingScale);
+  return min === 0 ? `Under ${max}` : `${formatScore(min, ratingScale)}–${max}`;
+};
+
+const facetLabel = (name, facet, ratingScale) => {
+  switch (name) {
+    case 'type': return TYPE_LABELS[facet.value] || facet.value;
+    case 'genre': return facet.label || facet.value;
+    case 'decade': return `${facet.value}s`;
+    case 'rating': return ratingLabel(Number(facet.value), ratingScale);
+    default: return String(facet.value);
+  }
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ratingScale = useRatingScale();
+  const q = searchParams.get('q') || '';
+  const [text, setText] = useState(q);
+
+  // Follow the URL when it changes from outside, e.g. the navbar search or back button
+  useEffect(() => {
+    setText(q);
+  }, [q]);
+
+  const params = Object.fromEntries(
+    ['q', ...FILTERS]
+      .map(name => [name, searchParams.get(name)])
+      .filter(([, value]) => value)
+  );
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['search', params],
+    ({ pageParam }) => api.get('/content/search', { params: { ...params, cursor: pageParam } })
+      .then(res => res.data.data),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+      keepPreviousData: true
+    }
+  );
+
+  // Replace rather than push for each filter click, so back leaves the search
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: text.trim() });
+  };
+
+  const toggleFilter = (name, value) => {
+    updateParams({ [name]: searchParams.get(name) === String(value) ? null : String(value) });
+  };
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Search failed. Please try again." />;
+
+  const { facets, total } = data.pages[0];
+  const items = data.pages.flatMap(page => page.items);
+  const activeFilters = FILTERS.filter(name => searchParams.get(name));
+
+  return (
+    <Container>
+      <SearchForm onSubmit={handleSubmit}>
+        <input
+          type="search"
+          placeholder="Titles, people, soundtrack artists..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          aria-label="Search"
+        />
+        <button type="submit" aria-label="Search"><FaSearch /></button>
+      </SearchForm>
+
+      <Layout>
+        <Facets>
+          {FILTERS.map(name => facets[name].length > 0 && (
+            <FacetGroup key={name}>
+              <FacetTitle>{FACET_TITLES[name]}</FacetTitle>
+              {facets[name].map(facet => (
+                <FacetOption
+                  key={facet.value}
+                  active={searchParams.get(name) === String(facet.value)}
+                  onClick={() => toggleFilter(name, facet.value)}
+                >
+                  <span>{facetLabel(name, facet, ratingScale)}</span>
+                  <span>{facet.count}</span>
+                </FacetOption>
+              ))}
+            </FacetGroup>
+          ))}
+        </Facets>
+
+        <div>
+          <Summary>
+            <span>
+              {total} {total === 1 ? 'result' : 'results'}
+              {q && <> for "{q}"</>}
+            </span>
+            {activeFilters.map(name => {
+              const value = searchParams.get(name);
+              const facet = facets[name].find(item => String(item.value) === value) || { value };
+              return (
+                <Chip key={name} onClick={() => updateParams({ [name]: null })} title="Remove filter">
+                  {facetLabel(name, facet, ratingScale)} <FaTimes />
+                </Chip>
+              );
+            })}
+          </Summary>
+
+          {items.length === 0 ? (
+            <Empty>
+              {activeFilters.length > 0
+                ? 'Nothing matches these filters. Try removing one.'
+                : 'Nothing found. Check the spelling or try a person or artist.'}
+            </Empty>
+          ) : (
+            <ContentGrid content={items} cols={4} />
+          )}
+
+          {hasNextPage && (
+            <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+              {isFetchingNextPage ? 'Loading…' : 'Load more'}
+            </LoadMore>
+          )}
+        </div>
+      </Layout>
+    </Container>
+  );
+};
+
+export default Search;
@@ -0,0 +1,884 @@
+// models/customList.js
+// A named, ordered list made by a user, e.g. "Halloween marathon".
+// Separate from UserList, which tracks one watch status per title.
+const { DataTypes } = require('sequelize');
+const { VISIBILITY_LEVELS } = require('../utils/privacy');
+
+module.exports = (sequelize) => {
+  const CustomList = sequelize.define('CustomList', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Owner of the list'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    visibility: {
+      type: DataTypes.ENUM(...VISIBILITY_LEVELS),
+      allowNull: false,
+      defaultValue: 'public'
+    }
+  }, {
+    indexes: [
+      { fields: ['userId', 'updatedAt'] }
+    ]
+  });
+
+  return CustomList;
+};
+
+// models/customListItem.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CustomListItem = sequelize.define('CustomListItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    customListId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'CustomLists',
+        key: 'id'
+      }
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    addedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Owner or collaborator who added the title'
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['customListId', 'contentId'] },
+      { fields: ['customListId', 'position'] }
+    ]
+  });
+
+  return CustomListItem;
+};
+
+// models/customListCollaborator.js
+// Users other than the owner who may add, remove and reorder items
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CustomListCollaborator = sequelize.define('CustomListCollaborator', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    customListId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'CustomLists',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['customListId', 'userId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return CustomListCollaborator;
+};
+
+// services/customListService.js
+const { Op } = require('sequelize');
+const {
+  User,
+  Content,
+  CustomList,
+  CustomListItem,
+  CustomListCollaborator,
+  sequelize
+} = require('../models');
+const privacyService = require('./privacyService');
+
+const MAX_ITEMS = 1000;
+const MAX_COLLABORATORS = 20;
+const USER_ATTRIBUTES = ['id', 'username', 'avatar'];
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'posterUrl', 'releaseYear'];
+
+/**
+ * Custom List Service
+ * Named lists with ordering, collaborators and visibility
+ */
+class CustomListService {
+  /**
+   * Get a list with its owner and collaborators
+   * @param {string} listId - List ID
+   * @returns {Promise<Object|null>} - CustomList instance
+   */
+  async getList(listId) {
+    return CustomList.findByPk(listId, {
+      include: [
+        { model: User, attributes: USER_ATTRIBUTES },
+        { model: User, as: 'collaborators', attributes: USER_ATTRIBUTES, through: { attributes: [] } }
+      ]
+    });
+  }
+
+  /**
+   * Get a list's items in order
+   * @param {string} listId - List ID
+   * @returns {Promise<Array>} - CustomListItem instances with Content
+   */
+  async getItems(listId) {
+    return CustomListItem.findAll({
+      where: { customListId: listId },
+      include: [
+        { model: Content, attributes: CONTENT_ATTRIBUTES },
+        { model: User, as: 'addedBy', attributes: USER_ATTRIBUTES }
+      ],
+      order: [['position', 'ASC']]
+    });
+  }
+
+  /**
+   * Work out what a user may do with a list
+   * @param {Object} list - CustomList instance, loaded by getList
+   * @param {Object|null} user - User, or null when logged out
+   * @returns {string|null} - 'owner', 'collaborator' or null
+   */
+  getRole(list, user) {
+    if (!user) return null;
+    if (list.userId === user.id) return 'owner';
+    if ((list.collaborators || []).some(collaborator => collaborator.id === user.id)) return 'collaborator';
+    return null;
+  }
+
+  /**
+   * Check whether a viewer may see a list
+   * @param {Object} list - CustomList instance, loaded by getList
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @returns {Promise<boolean>}
+   */
+  async canView(list, viewer) {
+    if (this.getRole(list, viewer)) return true;
+    return privacyService.canViewLevel(list.userId, list.visibility, viewer);
+  }
+
+  /**
+   * Lists a user owns or collaborates on, e.g. for an "add to list" menu
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {string} options.contentId - Report whether each list contains this title
+   * @returns {Promise<Array>}
+   */
+  async getEditableLists(userId, { contentId = null } = {}) {
+    const collaborations = await CustomListCollaborator.findAll({
+      where: { userId },
+      attributes: ['customListId']
+    });
+
+    const lists = await CustomList.findAll({
+      where: {
+        [Op.or]: [
+          { userId },
+          { id: collaborations.map(collaboration => collaboration.customListId) }
+        ]
+      },
+      include: [{ model: User, attributes: USER_ATTRIBUTES }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const [counts, matches] = await Promise.all([
+      this.countItems(lists.map(list => list.id)),
+      contentId
+        ? CustomListItem.findAll({
+          where: { customListId: lists.map(list => list.id), contentId },
+          attributes: ['id', 'customListId']
+        })
+        : []
+    ]);
+    const itemIdByList = Object.fromEntries(matches.map(item => [item.customListId, item.id]));
+
+    return lists.map(list => ({
+      ...list.toJSON(),
+      itemCount: counts[list.id] || 0,
+      role: list.userId === userId ? 'owner' : 'collaborator',
+      contentItemId: itemIdByList[list.id] || null
+    }));
+  }
+
+  /**
+   * Lists a user owns that a viewer may see, for their profile
+   * @param {string} ownerId - Owner's user ID
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @returns {Promise<Array>}
+   */
+  async getVisibleLists(ownerId, viewer) {
+    const lists = await CustomList.findAll({
+      where: { userId: ownerId },
+      include: [{ model: User, as: 'collaborators', attributes: ['id'], through: { attributes: [] } }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const visible = [];
+    for (const list of lists) {
+      if (await this.canView(list, viewer)) {
+        visible.push(list);
+      }
+    }
+
+    const counts = await this.countItems(visible.map(list => list.id));
+    return visible.map(list => {
+      const { collaborators, ...data } = list.toJSON();
+      return { ...data, itemCount: counts[list.id] || 0 };
+    });
+  }
+
+  /**
+   * Create a list
+   * @param {string} userId - Owner's user ID
+   * @param {Object} data - { name, description, visibility }
+   * @returns {Promise<Object>} - CustomList instance
+   */
+  async createList(userId, { name, description = null, visibility = 'public' }) {
+    return CustomList.create({ userId, name, description, visibility });
+  }
+
+  /**
+   * Update a list's details
+   * @param {Object} list - CustomList instance
+   * @param {Object} changes - Any of { name, description, visibility }
+   * @returns {Promise<Object>} - Updated CustomList instance
+   */
+  async updateList(list, changes) {
+    const updates = {};
+    ['name', 'description', 'visibility'].forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    });
+
+    return list.update(updates);
+  }
+
+  /**
+   * Delete a list with its items and collaborators
+   * @param {Object} list - CustomList instance
+   * @returns {Promise<void>}
+   */
+  async deleteList(list) {
+    await sequelize.transaction(async (transaction) => {
+      await CustomListItem.destroy({ where: { customListId: list.id }, transaction });
+      await CustomListCollaborator.destroy({ where: { customListId: list.id }, transaction });
+      await list.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Add a title to the end of a list; adding it again returns the existing item
+   * @param {Object} list - CustomList instance
+   * @param {string} contentId - Content ID
+   * @param {string} userId - User adding the title
+   * @param {string|null} note - Optional note shown with the title
+   * @returns {Promise<Object|null>} - CustomListItem instance, or null when the list is full
+   */
+  async addItem(list, contentId, userId, note = null) {
+    return sequelize.transaction(async (transaction) => {
+      // Lock the list so concurrent adds don't take the same position
+      await CustomList.findByPk(list.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+      const existing = await CustomListItem.findOne({
+        where: { customListId: list.id, contentId },
+        transaction
+      });
+      if (existing) return existing;
+
+      const count = await CustomListItem.count({ where: { customListId: list.id }, transaction });
+      if (count >= MAX_ITEMS) return null;
+
+      const last = await CustomListItem.max('position', { where: { customListId: list.id }, transaction });
+      const item = await CustomListItem.create({
+        customListId: list.id,
+        contentId,
+        note,
+        addedById: userId,
+        position: (last || 0) + 1
+      }, { transaction });
+
+      list.changed('updatedAt', true);
+      await list.save({ transaction });
+
+      return item;
+    });
+  }
+
+  /**
+   * Remove an item from a list
+   * @param {Object} list - CustomList instance
+   * @param {string} itemId - CustomListItem ID
+   * @returns {Promise<boolean>} - Whether the item was in the list
+   */
+  async removeItem(list, itemId) {
+    const count = await CustomListItem.destroy({ where: { id: itemId, customListId: list.id } });
+    return count > 0;
+  }
+
+  /**
+   * Put a list's items in a new order
+   * @param {Object} list - CustomList instance
+   * @param {Array<string>} itemIds - Every item ID in the list, in the new order
+   * @returns {Promise<boolean>} - False when itemIds doesn't match the list's items,
+   * e.g. because a collaborator changed the list meanwhile
+   */
+  async reorder(list, itemIds) {
+    return sequelize.transaction(async (transaction) => {
+      await CustomList.findByPk(list.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+      const items = await CustomListItem.findAll({
+        where: { customListId: list.id },
+        attributes: ['id'],
+        transaction
+      });
+
+      const current = new Set(items.map(item => item.id));
+      if (itemIds.length !== current.size || !itemIds.every(id => current.has(id))) {
+        return false;
+      }
+
+      await Promise.all(itemIds.map((id, index) => CustomListItem.update(
+        { position: index + 1 },
+        { where: { id }, transaction }
+      )));
+
+      return true;
+    });
+  }
+
+  /**
+   * Let another user edit a list
+   * @param {Object} list - CustomList instance, loaded by getList
+   * @param {Object} user - User instance to add
+   * @returns {Promise<boolean>} - False when the list has too many collaborators
+   */
+  async addCollaborator(list, user) {
+    if ((list.collaborators || []).length >= MAX_COLLABORATORS) return false;
+
+    await CustomListCollaborator.findOrCreate({
+      where: { customListId: list.id, userId: user.id }
+    });
+    return true;
+  }
+
+  /**
+   * Stop a user editing a list; items they added stay
+   * @param {Object} list - CustomList instance
+   * @param {string} userId - Collaborator's user ID
+   * @returns {Promise<boolean>} - Whether they were a collaborator
+   */
+  async removeCollaborator(list, userId) {
+    const count = await CustomListCollaborator.destroy({ where: { customListId: list.id, userId } });
+    return count > 0;
+  }
+
+  /**
+   * @private
+   */
+  async countItems(listIds) {
+    if (listIds.length === 0) return {};
+
+    const rows = await CustomListItem.findAll({
+      where: { customListId: listIds },
+      attributes: ['customListId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['customListId'],
+      raw: true
+    });
+
+    return Object.fromEntries(rows.map(row => [row.customListId, Number(row.count)]));
+  }
+}
+
+module.exports = new CustomListService();
+
+// controllers/customListController.js
+const { body, param, query } = require('express-validator');
+const { User, Content } = require('../models');
+const customListService = require('../services/customListService');
+const { VISIBILITY_LEVELS } = require('../utils/privacy');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const listIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const getMyListsValidation = [
+  query('contentId').optional().isUUID(),
+  validateRequest
+];
+
+const createListValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('visibility').optional().isIn(VISIBILITY_LEVELS),
+  validateRequest
+];
+
+const updateListValidation = [
+  param('id').isUUID(),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('visibility').optional().isIn(VISIBILITY_LEVELS),
+  validateRequest
+];
+
+const addItemValidation = [
+  param('id').isUUID(),
+  body('contentId').isUUID(),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  validateRequest
+];
+
+const itemValidation = [
+  param('id').isUUID(),
+  param('itemId').isUUID(),
+  validateRequest
+];
+
+const reorderValidation = [
+  param('id').isUUID(),
+  body('itemIds').isArray({ min: 1 }),
+  body('itemIds.*').isUUID(),
+  validateRequest
+];
+
+const addCollaboratorValidation = [
+  param('id').isUUID(),
+  body('username').trim().notEmpty(),
+  validateRequest
+];
+
+const collaboratorValidation = [
+  param('id').isUUID(),
+  param('userId').isUUID(),
+  validateRequest
+];
+
+/**
+ * Load a list and check the current user may do something with it
+ * Answers the request itself and resolves to null when they may not.
+ * @param {string} access - 'view', 'edit' (owner or collaborator) or 'own'
+ * @private
+ */
+const loadList = async (req, res, access) => {
+  const list = await customListService.getList(req.params.id);
+  const role = list ? customListService.getRole(list, req.user) : null;
+
+  // Lists the user may not see look the same as missing ones
+  if (!list || (!role && !(await customListService.canView(list, req.user)))) {
+    res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+    return null;
+  }
+
+  if ((access === 'edit' && !role) || (access === 'own' && role !== 'owner')) {
+    res.status(403).json({
+      success: false,
+      message: access === 'own'
+        ? 'Only the owner can do that'
+        : 'You are not allowed to edit this list'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+/**
+ * Get lists the current user owns or collaborates on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getMyLists = async (req, res, next) => {
+  try {
+    const lists = await customListService.getEditableLists(req.user.id, {
+      contentId: req.query.contentId
+    });
+
+    res.json({
+      success: true,
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's lists that the viewer may see
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUserLists = async (req, res, next) => {
+  try {
+    const owner = await User.findByPk(req.params.id);
+    if (!owner || owner.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await customListService.getVisibleLists(owner.id, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a list with its items in order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getList = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'view');
+    if (!list) return;
+
+    const items = await customListService.getItems(list.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...list.toJSON(),
+        role: customListService.getRole(list, req.user),
+        items
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createList = async (req, res, next) => {
+  try {
+    const list = await customListService.createList(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a list's name, description or visibility
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateList = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'own');
+    if (!list) return;
+
+    await customListService.updateList(list, req.body);
+
+    res.json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteList = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'own');
+    if (!list) return;
+
+    await customListService.deleteList(list);
+
+    res.json({
+      success: true,
+      message: 'List deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a title to a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addItem = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    const content = await Content.findByPk(req.body.contentId, { attributes: ['id'] });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const item = await customListService.addItem(list, content.id, req.user.id, req.body.note);
+    if (!item) {
+      return res.status(400).json({
+        success: false,
+        code: 'LIST_FULL',
+        message: 'This list is full'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a title from a list
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const removeItem = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    if (!(await customListService.removeItem(list, req.params.itemId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder a list's items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const reorderItems = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    if (!(await customListService.reorder(list, req.body.itemIds))) {
+      return res.status(409).json({
+        success: false,
+        code: 'LIST_CHANGED',
+        message: 'The list has changed since you loaded it'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await customListService.getItems(list.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a collaborator by username
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addCollaborator = async (req, res, next) => {
+  try {
+    const list = await loadList(req, res, 'own');
+    if (!list) return;
+
+    const user = await User.findOne({ where: { username: req.body.username, deletedAt: null } });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.id === list.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this list'
+      });
+    }
+
+    if (!(await customListService.addCollaborator(list, user))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This list has too many collaborators'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { id: user.id, username: user.username, avatar: user.avatar }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a collaborator; collaborators may also remove themselves
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const removeCollaborator = async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const list = await loadList(req, res, leaving ? 'edit' : 'own');
+    if (!list) return;
+
+    if (!(await customListService.removeCollaborator(list, req.params.userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyLists: [getMyListsValidation, getMyLists],
+  getUserLists: [listIdValidation, getUserLists],
+  getList: [listIdValidation, getList],
+  createList: [createListValidation, createList],
+  updateList: [updateListValidation, updateList],
+  deleteList: [listIdValidation, deleteList],
+  addItem: [addItemValidation, addItem],
+  removeItem: [itemValidation, removeItem],
+  reorderItems: [reorderValidation, reorderItems],
+  addCollaborator: [addCollaboratorValidation, addCollaborator],
+  removeCollaborator: [collaboratorValidation, removeCollaborator]
+};
+
+// routes/index.js - Add custom list routes
+const customListRoutes = require('./customListRoutes');
+
+router.use('/custom-lists', customListRoutes);
+
+// routes/customListRoutes.js
+const express = require('express');
+const customListController = require('../controllers/customListController');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, customListController.getMyLists);
+router.post('/', authMiddleware, customListController.createList);
+router.get('/:id', optionalAuth, customListController.getList);
+router.put('/:id', authMiddleware, customListController.updateList);
+router.delete('/:id', authMiddleware, customListController.deleteList);
+router.post('/:id/items', authMiddleware, customListController.addItem);
+router.put('/:id/items/order', authMiddleware, customListController.reorderItems);
+router.delete('/:id/items/:itemId', authMiddleware, customListController.removeItem);
+router.post('/:id/collaborators', authMiddleware, customListController.addCollaborator);
+router.delete('/:id/collaborators/:userId', authMiddleware, customListController.removeCollaborator);
+
+module.exports = router;
+
+// routes/userRoutes.js - Custom lists on profiles
+const customListController = require('../controllers/customListController');
+
+router.get('/:id/custom-lists', optionalAuth, customListController.getUserLists);
@@ -0,0 +1,906 @@
+// src/components/lists/AddToListMenu.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaListUl, FaCheck, FaPlus } from 'react-icons/fa';
+import api from '../../utils/api';
+
+const Wrapper = styled.div`
+  position: relative;
+`;
+
+const Toggle = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: ${props => props.compact ? '4px' : '6px'};
+  padding: ${props => props.compact ? '4px 8px' : '10px 20px'};
+  font-size: ${props => props.compact ? '12px' : '14px'};
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: ${props => props.compact ? '4px' : '8px'};
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const Menu = styled.div`
+  position: absolute;
+  right: 0;
+  top: calc(100% + 5px);
+  width: 260px;
+  max-height: 320px;
+  overflow-y: auto;
+  background: ${props => props.theme.cardBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 8px;
+  box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+  padding: 8px 0;
+  z-index: 10;
+`;
+
+const MenuItem = styled.button`
+  width: 100%;
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textPrimary};
+  padding: 8px 15px;
+  font-size: 14px;
+  text-align: left;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 10px;
+
+  &:hover {
+    background: ${props => props.theme.inputBg};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Check = styled.span`
+  width: 14px;
+  color: ${props => props.theme.primary};
+`;
+
+const Hint = styled.div`
+  padding: 8px 15px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const NewListForm = styled.form`
+  display: flex;
+  gap: 6px;
+  padding: 8px 15px 4px;
+  border-top: 1px solid ${props => props.theme.borderColor};
+  margin-top: 4px;
+`;
+
+const NewListInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 4px;
+  padding: 6px 8px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+/**
+ * Add a title to, or remove it from, the current user's custom lists
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ * @param {boolean} props.compact - Smaller button, for cards
+ */
+const AddToListMenu = ({ contentId, compact = false }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const queryKey = ['customLists', 'mine', contentId];
+
+  const { data: lists, isLoading } = useQuery(
+    queryKey,
+    () => api.get('/custom-lists', { params: { contentId } }).then(res => res.data.data),
+    { enabled: open }
+  );
+
+  const onChanged = () => queryClient.invalidateQueries('customLists');
+
+  const toggleItem = useMutation(
+    (list) => (list.contentItemId
+      ? api.delete(`/custom-lists/${list.id}/items/${list.contentItemId}`)
+      : api.post(`/custom-lists/${list.id}/items`, { contentId })),
+    { onSuccess: onChanged }
+  );
+
+  const createList = useMutation(
+    async (name) => {
+      const list = await api.post('/custom-lists', { name }).then(res => res.data.data);
+      await api.post(`/custom-lists/${list.id}/items`, { contentId });
+    },
+    {
+      onSuccess: () => {
+        setNewListName('');
+        onChanged();
+      }
+    }
+  );
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (newListName.trim()) {
+      createList.mutate(newListName.trim());
+    }
+  };
+
+  return (
+    <Wrapper>
+      <Toggle compact={compact} onClick={() => setOpen(!open)} aria-expanded={open}>
+        <FaListUl /> {compact ? 'Lists' : 'Add to list'}
+      </Toggle>
+
+      {open && (
+        <Menu>
+          {isLoading && <Hint>Loading your lists…</Hint>}
+          {lists && lists.length === 0 && <Hint>You have no lists yet</Hint>}
+          {lists && lists.map(list => (
+            <MenuItem
+              key={list.id}
+              onClick={() => toggleItem.mutate(list)}
+              disabled={toggleItem.isLoading}
+            >
+              <Check>{list.contentItemId && <FaCheck />}</Check>
+              {list.name}
+            </MenuItem>
+          ))}
+          {(toggleItem.isError || createList.isError) && (
+            <Hint>{(toggleItem.error || createList.error).response?.data?.message || 'Something went wrong'}</Hint>
+          )}
+
+          <NewListForm onSubmit={handleCreate}>
+            <NewListInput
+              placeholder="New list"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              maxLength={100}
+            />
+            <Toggle compact type="submit" disabled={createList.isLoading} aria-label="Create list">
+              <FaPlus />
+            </Toggle>
+          </NewListForm>
+        </Menu>
+      )}
+    </Wrapper>
+  );
+};
+
+export default AddToListMenu;
+
+// src/components/lists/SortableItems.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { FaGripVertical, FaTimes } from 'react-icons/fa';
+
+const ItemList = styled.ol`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  display: grid;
+  gap: 10px;
+`;
+
+const Item = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 15px;
+  padding: 10px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  border: 1px dashed ${props => props.dropTarget ? props.theme.primary : 'transparent'};
+  opacity: ${props => props.dragging ? 0.4 : 1};
+`;
+
+const Handle = styled.span`
+  color: ${props => props.theme.textSecondary};
+  cursor: grab;
+`;
+
+const Position = styled.span`
+  width: 28px;
+  font-size: 18px;
+  font-weight: 700;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Poster = styled.img`
+  width: 46px;
+  height: 69px;
+  object-fit: cover;
+  border-radius: 4px;
+`;
+
+const Info = styled.div`
+  flex: 1;
+  min-width: 0;
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-size: 16px;
+    font-weight: 600;
+    text-decoration: none;
+  }
+`;
+
+const Note = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+  margin-top: 4px;
+`;
+
+const RemoveButton = styled.button`
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textSecondary};
+  cursor: pointer;
+  padding: 6px;
+
+  &:hover {
+    color: #e53935;
+  }
+`;
+
+/**
+ * A list's items, reorderable by drag and drop when editable
+ * @param {Object} props
+ * @param {Array} props.items - Items in order
+ * @param {boolean} props.editable - Whether the user may reorder and remove items
+ * @param {Function} props.onReorder - Called with the item IDs in their new order
+ * @param {Function} props.onRemove - Called with an item ID
+ */
+const SortableItems = ({ items, editable, onReorder, onRemove }) => {
+  // Show the new order straight away; the parent replaces items once saved
+  const [order, setOrder] = useState(items);
+  const [draggedId, setDraggedId] = useState(null);
+  const [overId, setOverId] = useState(null);
+
+  useEffect(() => {
+    setOrder(items);
+  }, [items]);
+
+  const handleDrop = (targetId) => {
+    if (draggedId && draggedId !== targetId) {
+      const next = order.filter(item => item.id !== draggedId);
+      const targetIndex = order.findIndex(item => item.id === targetId);
+      next.splice(targetIndex, 0, order.find(item => item.id === draggedId));
+
+      setOrder(next);
+      onReorder(next.map(item => item.id));
+    }
+    setDraggedId(null);
+    setOverId(null);
+  };
+
+  return (
+    <ItemList>
+      {order.map((item, index) => (
+        <Item
+          key={item.id}
+          draggable={editable}
+          dragging={item.id === draggedId}
+          dropTarget={item.id === overId && item.id !== draggedId}
+          onDragStart={() => setDraggedId(item.id)}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setOverId(item.id);
+          }}
+          onDrop={() => handleDrop(item.id)}
+          onDragEnd={() => {
+            setDraggedId(null);
+            setOverId(null);
+          }}
+        >
+          {editable && <Handle><FaGripVertical /></Handle>}
+          <Position>{index + 1}</Position>
+          {item.Content.posterUrl && <Poster src={item.Content.posterUrl} alt={item.Content.title} />}
+          <Info>
+            <Link to={`/content/${item.Content.id}`}>{item.Content.title}</Link>
+            {item.Content.releaseYear && ` (${item.Content.releaseYear})`}
+            {item.note && <Note>{item.note}</Note>}
+          </Info>
+          {editable && (
+            <RemoveButton onClick={() => onRemove(item.id)} aria-label={`Remove ${item.Content.title}`}>
+              <FaTimes />
+            </RemoveButton>
+          )}
+        </Item>
+      ))}
+    </ItemList>
+  );
+};
+
+export default SortableItems;
+
+// src/components/lists/ListCollaborators.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import { FaTimes } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { Input, Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-top: 30px;
+`;
+
+const Heading = styled.h3`
+  font-size: 18px;
+  font-weight: 600;
+  margin: 0 0 10px 0;
+`;
+
+const People = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 15px;
+`;
+
+const Person = styled.span`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 16px;
+  padding: 4px 10px;
+  font-size: 14px;
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    text-decoration: none;
+  }
+
+  button {
+    background: transparent;
+    border: none;
+    color: ${props => props.theme.textSecondary};
+    cursor: pointer;
+    padding: 0;
+    display: flex;
+  }
+`;
+
+const Row = styled.form`
+  display: flex;
+  gap: 10px;
+  max-width: 420px;
+
+  input {
+    flex: 1;
+  }
+`;
+
+const AddButton = styled.button`
+  background: ${props => props.theme.primary};
+  border: none;
+  color: ${props => props.theme.buttonText};
+  border-radius: 4px;
+  padding: 0 16px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+/**
+ * People who may edit a list; the owner adds and removes them, collaborators may leave
+ * @param {Object} props
+ * @param {Object} props.list - List from GET /custom-lists/:id
+ * @param {Function} props.onChange - Called after a change, to reload the list
+ */
+const ListCollaborators = ({ list, onChange }) => {
+  const { currentUser } = useAuth();
+  const [username, setUsername] = useState('');
+  const isOwner = list.role === 'owner';
+
+  const addCollaborator = useMutation(
+    () => api.post(`/custom-lists/${list.id}/collaborators`, { username }),
+    {
+      onSuccess: () => {
+        setUsername('');
+        onChange();
+      }
+    }
+  );
+
+  const removeCollaborator = useMutation(
+    (userId) => api.delete(`/custom-lists/${list.id}/collaborators/${userId}`),
+    { onSuccess: onChange }
+  );
+
+  const mutationError = [addCollaborator, removeCollaborator].find(m => m.isError)?.error;
+
+  if (!isOwner && list.collaborators.length === 0) return null;
+
+  return (
+    <Container>
+      <Heading>Collaborators</Heading>
+
+      {mutationError && (
+        <Message error>{mutationError.response?.data?.message || 'Something went wrong'}</Message>
+      )}
+
+      <People>
+        {list.collaborators.map(user => (
+          <Person key={user.id}>
+            <Link to={`/profile/${user.id}`}>{user.username}</Link>
+            {(isOwner || user.id === currentUser?.id) && (
+              <button
+                onClick={() => removeCollaborator.mutate(user.id)}
+                aria-label={user.id === currentUser?.id ? 'Leave list' : `Remove ${user.username}`}
+              >
+                <FaTimes />
+              </button>
+            )}
+          </Person>
+        ))}
+      </People>
+
+      {isOwner && (
+        <Row onSubmit={(e) => { e.preventDefault(); addCollaborator.mutate(); }}>
+          <Input
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+          <AddButton type="submit" disabled={addCollaborator.isLoading}>Add</AddButton>
+        </Row>
+      )}
+    </Container>
+  );
+};
+
+export default ListCollaborators;
+
+// src/components/lists/ListDetailsForm.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { Input, SubmitButton, Message } from '../auth/AuthForm';
+
+const Form = styled.form`
+  display: grid;
+  gap: 12px;
+  max-width: 600px;
+  margin-bottom: 20px;
+`;
+
+const TextArea = styled.textarea`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 12px 15px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-family: inherit;
+  min-height: 80px;
+  resize: vertical;
+`;
+
+const Select = styled.select`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+`;
+
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Everyone can see this list' },
+  { value: 'followers', label: 'Only my followers' },
+  { value: 'private', label: 'Only me and collaborators' }
+];
+
+/**
+ * Name, description and visibility of a list, for creating or editing one
+ * @param {Object} props
+ * @param {Object} props.initialValues - Current values when editing
+ * @param {Function} props.onSubmit - Called with { name, description, visibility }
+ * @param {Object} props.mutation - react-query mutation, for loading and error state
+ * @param {string} props.submitLabel - Button text
+ */
+const ListDetailsForm = ({ initialValues = {}, onSubmit, mutation, submitLabel }) => {
+  const [name, setName] = useState(initialValues.name || '');
+  const [description, setDescription] = useState(initialValues.description || '');
+  const [visibility, setVisibility] = useState(initialValues.visibility || 'public');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name, description: description || null, visibility });
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      {mutation.isError && (
+        <Message error>{mutation.error.response?.data?.message || 'Failed to save the list'}</Message>
+      )}
+      <Input
+        placeholder="List name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={100}
+        required
+      />
+      <TextArea
+        placeholder="What is this list about?"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        maxLength={2000}
+      />
+      <Select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+        {VISIBILITY_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </Select>
+      <SubmitButton type="submit" disabled={mutation.isLoading}>{submitLabel}</SubmitButton>
+    </Form>
+  );
+};
+
+export default ListDetailsForm;
+
+// src/pages/CustomList.js
+import React, { useState } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaEdit, FaTrash, FaLock, FaUserFriends } from 'react-icons/fa';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import { Message } from '../components/auth/AuthForm';
+import SortableItems from '../components/lists/SortableItems';
+import ListCollaborators from '../components/lists/ListCollaborators';
+import ListDetailsForm from '../components/lists/ListDetailsForm';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: flex-start;
+  gap: 15px;
+  margin-bottom: 30px;
+`;
+
+const HeaderText = styled.div`
+  flex: 1;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin: 0 0 8px 0;
+`;
+
+const Meta = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+  color: ${props => props.theme.textSecondary};
+
+  a {
+    color: ${props => props.theme.primary};
+    text-decoration: none;
+  }
+`;
+
+const Description = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 15px;
+  line-height: 1.6;
+  white-space: pre-line;
+`;
+
+const IconButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.danger ? '#e53935' : props.theme.primary};
+  color: ${props => props.danger ? '#e53935' : props.theme.primary};
+  border-radius: 4px;
+  padding: 8px 12px;
+  font-size: 14px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const CustomList = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(false);
+  const queryKey = ['customLists', id];
+
+  const { data: list, isLoading, error, refetch } = useQuery(
+    queryKey,
+    () => api.get(`/custom-lists/${id}`).then(res => res.data.data)
+  );
+
+  const updateList = useMutation(
+    (changes) => api.put(`/custom-lists/${id}`, changes).then(res => res.data.data),
+    {
+      onSuccess: () => {
+        setEditing(false);
+        refetch();
+      }
+    }
+  );
+
+  const deleteList = useMutation(
+    () => api.delete(`/custom-lists/${id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('customLists');
+        navigate('/lists');
+      }
+    }
+  );
+
+  const reorder = useMutation(
+    (itemIds) => api.put(`/custom-lists/${id}/items/order`, { itemIds }).then(res => res.data.data),
+    {
+      onSuccess: (items) => queryClient.setQueryData(queryKey, { ...list, items }),
+      // Someone else changed the list, or saving failed; show what is stored
+      onError: () => refetch()
+    }
+  );
+
+  const removeItem = useMutation(
+    (itemId) => api.delete(`/custom-lists/${id}/items/${itemId}`),
+    { onSuccess: () => refetch() }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) {
+    return <Error message={error.response?.status === 404 ? 'List not found' : 'Failed to load the list'} />;
+  }
+
+  const editable = Boolean(list.role);
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${list.name}"? This cannot be undone.`)) {
+      deleteList.mutate();
+    }
+  };
+
+  return (
+    <Container>
+      {editing ? (
+        <ListDetailsForm
+          initialValues={list}
+          onSubmit={(changes) => updateList.mutate(changes)}
+          mutation={updateList}
+          submitLabel="Save"
+        />
+      ) : (
+        <Header>
+          <HeaderText>
+            <PageTitle>{list.name}</PageTitle>
+            <Meta>
+              <span>
+                by <Link to={`/profile/${list.User.id}`}>{list.User.username}</Link>
+              </span>
+              <span>· {list.items.length} {list.items.length === 1 ? 'title' : 'titles'}</span>
+              {list.visibility === 'private' && <FaLock title="Private" />}
+              {list.visibility === 'followers' && <FaUserFriends title="Followers only" />}
+            </Meta>
+            {list.description && <Description>{list.description}</Description>}
+          </HeaderText>
+
+          {list.role === 'owner' && (
+            <>
+              <IconButton onClick={() => setEditing(true)}>
+                <FaEdit /> Edit
+              </IconButton>
+              <IconButton danger onClick={handleDelete} disabled={deleteList.isLoading}>
+                <FaTrash /> Delete
+              </IconButton>
+            </>
+          )}
+        </Header>
+      )}
+
+      {reorder.error?.response?.data?.code === 'LIST_CHANGED' && (
+        <Message error>Someone else changed this list. We reloaded it, so please try again.</Message>
+      )}
+
+      {list.items.length === 0 ? (
+        <Empty>
+          {editable
+            ? 'Add titles with the "Add to list" button on any movie or show.'
+            : 'This list is empty.'}
+        </Empty>
+      ) : (
+        <SortableItems
+          items={list.items}
+          editable={editable}
+          onReorder={(itemIds) => reorder.mutate(itemIds)}
+          onRemove={(itemId) => removeItem.mutate(itemId)}
+        />
+      )}
+
+      {editable && <ListCollaborators list={list} onChange={refetch} />}
+    </Container>
+  );
+};
+
+export default CustomList;
+
+// src/pages/MyLists.js
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaPlus } from 'react-icons/fa';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import ListDetailsForm from '../components/lists/ListDetailsForm';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 30px;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin: 0;
+`;
+
+const NewButton = styled.button`
+  background: ${props => props.theme.primary};
+  border: none;
+  color: ${props => props.theme.buttonText};
+  border-radius: 6px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const ListGrid = styled.div`
+  display: grid;
+  gap: 10px;
+`;
+
+const ListRow = styled(Link)`
+  display: block;
+  padding: 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  text-decoration: none;
+  color: ${props => props.theme.textPrimary};
+
+  &:hover {
+    box-shadow: 0 5px 15px rgba(0, 0, 0, 0.2);
+  }
+`;
+
+const Name = styled.div`
+  font-size: 17px;
+  font-weight: 600;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const VISIBILITY_LABELS = {
+  public: 'Public',
+  followers: 'Followers',
+  private: 'Private'
+};
+
+const MyLists = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [creating, setCreating] = useState(false);
+
+  const { data: lists, isLoading, error } = useQuery(
+    ['customLists', 'mine'],
+    () => api.get('/custom-lists').then(res => res.data.data)
+  );
+
+  const createList = useMutation(
+    (data) => api.post('/custom-lists', data).then(res => res.data.data),
+    {
+      onSuccess: (list) => {
+        queryClient.invalidateQueries('customLists');
+        navigate(`/lists/${list.id}`);
+      }
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load your lists" />;
+
+  return (
+    <Container>
+      <Header>
+        <PageTitle>My Lists</PageTitle>
+        {!creating && (
+          <NewButton onClick={() => setCreating(true)}>
+            <FaPlus /> New list
+          </NewButton>
+        )}
+      </Header>
+
+      {creating && (
+        <ListDetailsForm
+          onSubmit={(data) => createList.mutate(data)}
+          mutation={createList}
+          submitLabel="Create list"
+        />
+      )}
+
+      {lists.length === 0 ? (
+        <Empty>Make lists like "Halloween marathon" or "Best scores of the 80s" and share them.</Empty>
+      ) : (
+        <ListGrid>
+          {lists.map(list => (
+            <ListRow key={list.id} to={`/lists/${list.id}`}>
+              <Name>{list.name}</Name>
+              <Meta>
+                {list.itemCount} {list.itemCount === 1 ? 'title' : 'titles'} · {VISIBILITY_LABELS[list.visibility]}
+                {list.role === 'collaborator' && ` · by ${list.User.username}`}
+              </Meta>
+            </ListRow>
+          ))}
+        </ListGrid>
+      )}
+    </Container>
+  );
+};
+
+export default MyLists;
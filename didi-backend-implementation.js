@@ -3,28 +3,44 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const { sequelize } = require('./models');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const rateLimit = require('./middleware/rateLimit');
 const config = require('./config');
+const jobQueue = require('./jobs');
+const registerActivityHooks = require('./services/activityHooks');
+const registerModerationHooks = require('./services/moderationHooks');
+const registerSearchHooks = require('./services/searchHooks');
+const metadataSyncService = require('./services/metadataSyncService');
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Let the client read rate limit state
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(helmet());
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
-// Rate limiting
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again after 15 minutes'
-});
-app.use('/api/', apiLimiter);
+// Model hooks that feed followers' activity feeds
+registerActivityHooks();
+
+// Text screening of new and edited comments and forum posts
+registerModerationHooks();
+
+// Soundtrack artists feed content search
+registerSearchHooks();
+
+// Rate limiting, per user when logged in and per IP otherwise.
+// Routes add stricter policies (auth, search, recommendations) on top.
+app.use('/api/', rateLimit('default'));
+app.use('/api/', rateLimit('writes'));
 
 // Routes
 app.use('/api', routes);
@@ -40,6 +56,9 @@ app.listen(PORT, async () => {
   try {
     await sequelize.authenticate();
     console.log('Database connection established successfully.');
+    jobQueue.start();
+    // Keeps synced titles fresh; reschedules itself after each run
+    await metadataSyncService.scheduleRefresh();
   } catch (error) {
     console.error('Unable to connect to the database:', error);
   }
@@ -58,9 +77,63 @@ module.exports = {
       dialect: 'postgres'
     },
     jwtSecret: process.env.JWT_SECRET || 'dev_secret_key',
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
     tmdbApiKey: process.env.TMDB_API_KEY,
     spotifyClientId: process.env.SPOTIFY_CLIENT_ID,
-    spotifyClientSecret: process.env.SPOTIFY_CLIENT_SECRET
+    spotifyClientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+    apiUrl: process.env.API_URL || 'http://localhost:5000',
+    exportDir: process.env.EXPORT_DIR || 'tmp/exports',
+    rateLimit: {
+      store: process.env.RATE_LIMIT_STORE || 'memory',
+      redisUrl: process.env.REDIS_URL || 'redis://localhost:6379'
+    },
+    oidc: {
+      // A single provider configured from the environment, e.g. a company IdP or a local mock issuer
+      providers: process.env.OIDC_ISSUER ? {
+        [process.env.OIDC_PROVIDER_ID || 'oidc']: {
+          name: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+          issuer: process.env.OIDC_ISSUER,
+          clientId: process.env.OIDC_CLIENT_ID,
+          clientSecret: process.env.OIDC_CLIENT_SECRET,
+          scope: process.env.OIDC_SCOPE || 'openid email profile'
+        }
+      } : {}
+    },
+    mail: {
+      transport: process.env.MAIL_TRANSPORT || 'console',
+      from: process.env.MAIL_FROM || 'Didi <no-reply@didi.local>',
+      outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      }
+    },
+    moderation: {
+      // Open reports that hide a comment or post until a moderator reviews it
+      autoHideReports: parseInt(process.env.MODERATION_AUTO_HIDE_REPORTS, 10) || 3,
+      screener: process.env.MODERATION_SCREENER || 'wordlist',
+      wordListFile: process.env.MODERATION_WORD_LIST || 'config/moderation-words.txt'
+    },
+    metadata: {
+      provider: process.env.METADATA_PROVIDER || 'fixture',
+      // Saved TMDB responses for the fixture provider
+      fixtureDir: process.env.METADATA_FIXTURE_DIR || 'fixtures/tmdb',
+      language: process.env.METADATA_LANGUAGE || 'en-US',
+      // Titles not synced for this long are refreshed even if TMDB reports no change
+      staleAfterDays: parseInt(process.env.METADATA_STALE_AFTER_DAYS, 10) || 7,
+      refreshBatchSize: parseInt(process.env.METADATA_REFRESH_BATCH_SIZE, 10) || 50,
+      refreshIntervalMinutes: parseInt(process.env.METADATA_REFRESH_INTERVAL_MINUTES, 10) || 60
+    },
+    search: {
+      // Cached search box suggestions, per normalized query
+      suggestCacheSize: parseInt(process.env.SEARCH_SUGGEST_CACHE_SIZE, 10) || 1000,
+      suggestCacheTtlSeconds: parseInt(process.env.SEARCH_SUGGEST_CACHE_TTL_SECONDS, 10) || 60
+    }
   },
   production: {
     database: {
@@ -71,9 +144,63 @@ module.exports = {
       dialect: 'postgres'
     },
     jwtSecret: process.env.JWT_SECRET,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
     tmdbApiKey: process.env.TMDB_API_KEY,
     spotifyClientId: process.env.SPOTIFY_CLIENT_ID,
-    spotifyClientSecret: process.env.SPOTIFY_CLIENT_SECRET
+    spotifyClientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    clientUrl: process.env.CLIENT_URL,
+    apiUrl: process.env.API_URL,
+    exportDir: process.env.EXPORT_DIR,
+    rateLimit: {
+      store: process.env.RATE_LIMIT_STORE || 'redis',
+      redisUrl: process.env.REDIS_URL
+    },
+    oidc: {
+      // A single provider configured from the environment, e.g. a company IdP or a local mock issuer
+      providers: process.env.OIDC_ISSUER ? {
+        [process.env.OIDC_PROVIDER_ID || 'oidc']: {
+          name: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+          issuer: process.env.OIDC_ISSUER,
+          clientId: process.env.OIDC_CLIENT_ID,
+          clientSecret: process.env.OIDC_CLIENT_SECRET,
+          scope: process.env.OIDC_SCOPE || 'openid email profile'
+        }
+      } : {}
+    },
+    mail: {
+      transport: process.env.MAIL_TRANSPORT || 'smtp',
+      from: process.env.MAIL_FROM,
+      outboxDir: process.env.MAIL_OUTBOX_DIR,
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD
+      }
+    },
+    moderation: {
+      // Open reports that hide a comment or post until a moderator reviews it
+      autoHideReports: parseInt(process.env.MODERATION_AUTO_HIDE_REPORTS, 10) || 3,
+      screener: process.env.MODERATION_SCREENER || 'wordlist',
+      wordListFile: process.env.MODERATION_WORD_LIST || 'config/moderation-words.txt'
+    },
+    metadata: {
+      provider: process.env.METADATA_PROVIDER || 'tmdb',
+      // Saved TMDB responses for the fixture provider
+      fixtureDir: process.env.METADATA_FIXTURE_DIR || 'fixtures/tmdb',
+      language: process.env.METADATA_LANGUAGE || 'en-US',
+      // Titles not synced for this long are refreshed even if TMDB reports no change
+      staleAfterDays: parseInt(process.env.METADATA_STALE_AFTER_DAYS, 10) || 7,
+      refreshBatchSize: parseInt(process.env.METADATA_REFRESH_BATCH_SIZE, 10) || 50,
+      refreshIntervalMinutes: parseInt(process.env.METADATA_REFRESH_INTERVAL_MINUTES, 10) || 60
+    },
+    search: {
+      // Cached search box suggestions, per normalized query
+      suggestCacheSize: parseInt(process.env.SEARCH_SUGGEST_CACHE_SIZE, 10) || 1000,
+      suggestCacheTtlSeconds: parseInt(process.env.SEARCH_SUGGEST_CACHE_TTL_SECONDS, 10) || 60
+    }
   }
 }[process.env.NODE_ENV || 'development'];
 
@@ -105,7 +232,37 @@ const db = {
   UserAchievement: require('./userAchievement')(sequelize),
   Notification: require('./notification')(sequelize),
   Playlist: require('./playlist')(sequelize),
-  PlaylistTrack: require('./playlistTrack')(sequelize)
+  PlaylistTrack: require('./playlistTrack')(sequelize),
+  Session: require('./session')(sequelize),
+  FeaturedContent: require('./featuredContent')(sequelize),
+  RecoveryCode: require('./recoveryCode')(sequelize),
+  LinkedAccount: require('./linkedAccount')(sequelize),
+  LoginAttempt: require('./loginAttempt')(sequelize),
+  Job: require('./job')(sequelize),
+  Follow: require('./follow')(sequelize),
+  Activity: require('./activity')(sequelize),
+  FeedItem: require('./feedItem')(sequelize),
+  CustomList: require('./customList')(sequelize),
+  CustomListItem: require('./customListItem')(sequelize),
+  CustomListCollaborator: require('./customListCollaborator')(sequelize),
+  Season: require('./season')(sequelize),
+  Episode: require('./episode')(sequelize),
+  EpisodeWatch: require('./episodeWatch')(sequelize),
+  DiaryEntry: require('./diaryEntry')(sequelize),
+  HistoryImport: require('./historyImport')(sequelize),
+  HistoryImportItem: require('./historyImportItem')(sequelize),
+  Review: require('./review')(sequelize),
+  ReviewLike: require('./reviewLike')(sequelize),
+  CommentRevision: require('./commentRevision')(sequelize),
+  Report: require('./report')(sequelize),
+  ModerationAction: require('./moderationAction')(sequelize),
+  ContentImage: require('./contentImage')(sequelize),
+  ContentVideo: require('./contentVideo')(sequelize),
+  Genre: require('./genre')(sequelize),
+  ContentGenre: require('./contentGenre')(sequelize),
+  Person: require('./person')(sequelize),
+  Credit: require('./credit')(sequelize),
+  UserContentInteraction: require('./userContentInteraction')(sequelize)
 };
 
 // Define associations
@@ -118,11 +275,46 @@ db.UserList.belongsTo(db.Content);
 db.Content.hasMany(db.Soundtrack);
 db.Soundtrack.belongsTo(db.Content);
 
+db.Content.hasMany(db.ContentImage, { as: 'images', foreignKey: 'contentId' });
+db.ContentImage.belongsTo(db.Content, { foreignKey: 'contentId' });
+db.Content.hasMany(db.ContentVideo, { as: 'videos', foreignKey: 'contentId' });
+db.ContentVideo.belongsTo(db.Content, { foreignKey: 'contentId' });
+
+db.Content.belongsToMany(db.Genre, { through: db.ContentGenre, foreignKey: 'contentId', otherKey: 'genreId' });
+db.Genre.belongsToMany(db.Content, { through: db.ContentGenre, foreignKey: 'genreId', otherKey: 'contentId' });
+
+db.Content.hasMany(db.Credit, { foreignKey: 'contentId' });
+db.Credit.belongsTo(db.Content, { foreignKey: 'contentId' });
+db.Person.hasMany(db.Credit, { foreignKey: 'personId' });
+db.Credit.belongsTo(db.Person, { foreignKey: 'personId' });
+
+db.User.hasMany(db.UserContentInteraction, { foreignKey: 'userId' });
+db.UserContentInteraction.belongsTo(db.User, { foreignKey: 'userId' });
+db.Content.hasMany(db.UserContentInteraction, { foreignKey: 'contentId' });
+db.UserContentInteraction.belongsTo(db.Content, { foreignKey: 'contentId' });
+// Shortcuts through credits, as used by the recommendation services
+db.Content.belongsToMany(db.Person, {
+  through: { model: db.Credit, unique: false, scope: { role: 'cast' } },
+  as: 'actors',
+  foreignKey: 'contentId',
+  otherKey: 'personId'
+});
+db.Content.belongsToMany(db.Person, {
+  through: { model: db.Credit, unique: false, scope: { role: 'crew', job: 'Director' } },
+  as: 'directors',
+  foreignKey: 'contentId',
+  otherKey: 'personId'
+});
+
 db.User.hasMany(db.Comment);
 db.Comment.belongsTo(db.User);
 
 db.Content.hasMany(db.Comment);
 db.Comment.belongsTo(db.Content);
+db.Comment.hasMany(db.Comment, { as: 'replies', foreignKey: 'parentId' });
+db.Comment.belongsTo(db.Comment, { as: 'parent', foreignKey: 'parentId' });
+db.Comment.hasMany(db.CommentRevision, { foreignKey: 'commentId' });
+db.CommentRevision.belongsTo(db.Comment, { foreignKey: 'commentId' });
 
 db.Franchise.hasMany(db.FranchiseContent);
 db.Content.hasMany(db.FranchiseContent);
@@ -136,6 +328,8 @@ db.User.hasMany(db.ForumPost);
 db.ForumPost.belongsTo(db.User);
 db.ForumTopic.hasMany(db.ForumPost);
 db.ForumPost.belongsTo(db.ForumTopic);
+db.Content.hasMany(db.ForumPost, { foreignKey: 'contentId' });
+db.ForumPost.belongsTo(db.Content, { foreignKey: 'contentId' });
 
 db.User.hasMany(db.UserAchievement);
 db.UserAchievement.belongsTo(db.User);
@@ -151,6 +345,80 @@ db.Soundtrack.hasMany(db.PlaylistTrack);
 db.PlaylistTrack.belongsTo(db.Playlist);
 db.PlaylistTrack.belongsTo(db.Soundtrack);
 
+db.User.hasMany(db.Session);
+db.Session.belongsTo(db.User);
+
+db.Content.hasOne(db.FeaturedContent);
+db.FeaturedContent.belongsTo(db.Content);
+db.FeaturedContent.belongsTo(db.User, { as: 'curatedBy', foreignKey: 'curatedById' });
+db.ForumTopic.belongsTo(db.User, { as: 'lockedBy', foreignKey: 'lockedById' });
+
+db.User.hasMany(db.RecoveryCode);
+db.RecoveryCode.belongsTo(db.User);
+
+db.User.hasMany(db.LinkedAccount);
+db.LinkedAccount.belongsTo(db.User);
+
+db.User.hasMany(db.LoginAttempt);
+db.LoginAttempt.belongsTo(db.User);
+
+db.User.hasMany(db.Job);
+db.Job.belongsTo(db.User);
+
+db.Follow.belongsTo(db.User, { as: 'follower', foreignKey: 'followerId' });
+db.Follow.belongsTo(db.User, { as: 'following', foreignKey: 'followingId' });
+
+db.User.hasMany(db.Activity, { foreignKey: 'actorId' });
+db.Activity.belongsTo(db.User, { as: 'actor', foreignKey: 'actorId' });
+db.Activity.hasMany(db.FeedItem);
+db.FeedItem.belongsTo(db.Activity);
+db.FeedItem.belongsTo(db.User);
+
+db.User.hasMany(db.CustomList, { foreignKey: 'userId' });
+db.CustomList.belongsTo(db.User, { foreignKey: 'userId' });
+db.CustomList.hasMany(db.CustomListItem, { foreignKey: 'customListId' });
+db.CustomListItem.belongsTo(db.CustomList, { foreignKey: 'customListId' });
+db.CustomListItem.belongsTo(db.Content, { foreignKey: 'contentId' });
+db.CustomListItem.belongsTo(db.User, { as: 'addedBy', foreignKey: 'addedById' });
+db.CustomList.belongsToMany(db.User, {
+  through: db.CustomListCollaborator,
+  as: 'collaborators',
+  foreignKey: 'customListId',
+  otherKey: 'userId'
+});
+
+db.Content.hasMany(db.Season, { foreignKey: 'contentId' });
+db.Season.belongsTo(db.Content, { foreignKey: 'contentId' });
+db.Season.hasMany(db.Episode, { foreignKey: 'seasonId' });
+db.Episode.belongsTo(db.Season, { foreignKey: 'seasonId' });
+db.User.hasMany(db.EpisodeWatch, { foreignKey: 'userId' });
+db.EpisodeWatch.belongsTo(db.User, { foreignKey: 'userId' });
+db.Episode.hasMany(db.EpisodeWatch, { foreignKey: 'episodeId' });
+db.EpisodeWatch.belongsTo(db.Episode, { foreignKey: 'episodeId' });
+
+db.User.hasMany(db.DiaryEntry, { foreignKey: 'userId' });
+db.DiaryEntry.belongsTo(db.User, { foreignKey: 'userId' });
+db.Content.hasMany(db.DiaryEntry, { foreignKey: 'contentId' });
+db.DiaryEntry.belongsTo(db.Content, { foreignKey: 'contentId' });
+
+db.User.hasMany(db.HistoryImport, { foreignKey: 'userId' });
+db.HistoryImport.belongsTo(db.User, { foreignKey: 'userId' });
+db.HistoryImport.hasMany(db.HistoryImportItem, { foreignKey: 'historyImportId' });
+db.HistoryImportItem.belongsTo(db.HistoryImport, { foreignKey: 'historyImportId' });
+db.HistoryImportItem.belongsTo(db.Content, { foreignKey: 'contentId' });
+
+db.User.hasMany(db.Review, { foreignKey: 'userId' });
+db.Review.belongsTo(db.User, { as: 'author', foreignKey: 'userId' });
+db.Content.hasMany(db.Review, { foreignKey: 'contentId' });
+db.Review.belongsTo(db.Content, { foreignKey: 'contentId' });
+db.Review.hasMany(db.ReviewLike, { foreignKey: 'reviewId' });
+db.ReviewLike.belongsTo(db.Review, { foreignKey: 'reviewId' });
+db.ReviewLike.belongsTo(db.User, { foreignKey: 'userId' });
+
+db.Report.belongsTo(db.User, { as: 'reporter', foreignKey: 'reporterId' });
+db.ModerationAction.belongsTo(db.User, { as: 'moderator', foreignKey: 'moderatorId' });
+db.ModerationAction.belongsTo(db.User, { as: 'user', foreignKey: 'userId' });
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
 
@@ -187,6 +455,31 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    role: {
+      type: DataTypes.ENUM('user', 'moderator', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    hasPassword: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'False for accounts created through an external provider until a password is set'
+    },
     avatar: {
       type: DataTypes.STRING,
       allowNull: true
@@ -200,9 +493,62 @@ module.exports = (sequelize) => {
       allowNull: true,
       defaultValue: {}
     },
+    ratingScale: {
+      type: DataTypes.ENUM('stars', 'half_stars', 'ten_point', 'thumbs'),
+      allowNull: false,
+      defaultValue: 'half_stars',
+      comment: 'Scale the user rates and sees ratings on; ratings are stored normalized'
+    },
+    listsVisibility: {
+      type: DataTypes.ENUM('public', 'followers', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
+    },
+    ratingsVisibility: {
+      type: DataTypes.ENUM('public', 'followers', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
+    },
+    activityVisibility: {
+      type: DataTypes.ENUM('public', 'followers', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
+    },
+    playlistsVisibility: {
+      type: DataTypes.ENUM('public', 'followers', 'private'),
+      allowNull: false,
+      defaultValue: 'public'
+    },
     lastLogin: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    failedLoginCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    suspendedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set by moderators; the user can read but not post until then'
+    },
+    deletionScheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set once the account has been anonymized; the row stays so posts and comments keep an author'
     }
   }, {
     hooks: {
@@ -382,10 +382,12 @@ const HeroSection = () => {
       <SlideContainer>
         {slides.map((slide, index) => (
           <Slide key={slide.id} active={index === activeIndex}>
-            <BackdropImage 
-              src={`https://image.tmdb.org/t/p/original${slide.backdrop_path}`} 
-              alt={slide.title} 
-            />
+            {slide.backdropUrl && (
+              <BackdropImage 
+                src={slide.backdropUrl} 
+                alt={slide.title} 
+              />
+            )}
             <Overlay>
               <Content>
                 <Title>{slide.title}</Title>
@@ -423,8 +425,10 @@ export default HeroSection;
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import styled from 'styled-components';
-import { FaSearch, FaBell, FaUser, FaSignOutAlt, FaFilm, FaTv, FaMusic, FaComments } from 'react-icons/fa';
+import { FaBell, FaUser, FaSignOutAlt, FaFilm, FaTv, FaMusic, FaComments, FaShieldAlt, FaUserSecret, FaStream, FaListUl, FaCalendarAlt, FaFileImport, FaSlidersH, FaFlag } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
+import SearchBox from './SearchBox';
+import { clearRecentSearches } from '../../utils/recentSearches';
 import logo from '../../assets/logo.png';
 
 const NavContainer = styled.nav`
@@ -484,37 +488,6 @@ const NavLink = styled(Link)`
   }
 `;
 
-const SearchContainer = styled.div`
-  position: relative;
-  margin: 0 20px;
-`;
-
-const SearchInput = styled.input`
-  background: ${props => props.theme.inputBg};
-  border: 1px solid ${props => props.theme.borderColor};
-  border-radius: 20px;
-  padding: 8px 15px 8px 35px;
-  color: ${props => props.theme.textPrimary};
-  font-size: 14px;
-  width: 200px;
-  transition: all 0.3s ease;
-  
-  &:focus {
-    width: 300px;
-    outline: none;
-    border-color: ${props => props.theme.primary};
-  }
-`;
-
-const SearchIcon = styled.div`
-  position: absolute;
-  left: 12px;
-  top: 50%;
-  transform: translateY(-50%);
-  color: ${props => props.theme.textSecondary};
-  font-size: 14px;
-`;
-
 const UserSection = styled.div`
   display: flex;
   align-items: center;
@@ -648,8 +621,7 @@ const AuthButton = styled(Link)`
 const Navbar = () => {
   const [scrolled, setScrolled] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
-  const { currentUser, logout } = useAuth();
+  const { currentUser, logout, hasRole } = useAuth();
   const navigate = useNavigate();
   
   useEffect(() => {
@@ -665,16 +637,10 @@ const Navbar = () => {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
   
-  const handleSearchSubmit = (e) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      navigate(`/search?q=${searchQuery}`);
-      setSearchQuery('');
-    }
-  };
-  
   const handleLogout = () => {
     logout();
+    // Recent searches are per browser, so don't leave them for the next person
+    clearRecentSearches();
     setShowDropdown(false);
     navigate('/');
   };
@@ -700,22 +666,15 @@ const Navbar = () => {
           <NavLink to="/forum">
             <FaComments /> Forum
           </NavLink>
+          {currentUser && (
+            <NavLink to="/feed">
+              <FaStream /> Feed
+            </NavLink>
+          )}
         </NavLinks>
         
         <UserSection>
-          <form onSubmit={handleSearchSubmit}>
-            <SearchContainer>
-              <SearchIcon>
-                <FaSearch />
-              </SearchIcon>
-              <SearchInput 
-                type="text" 
-                placeholder="Search movies, shows..." 
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-              />
-            </SearchContainer>
-          </form>
+          <SearchBox />
           
           {currentUser ? (
             <>
@@ -736,6 +695,29 @@ const Navbar = () => {
                 <DropdownItem to={`/profile/${currentUser.id}`}>
                   <FaUser /> Profile
                 </DropdownItem>
+                <DropdownItem to={`/profile/${currentUser.id}/diary`}>
+                  <FaCalendarAlt /> Diary
+                </DropdownItem>
+                <DropdownItem to="/lists">
+                  <FaListUl /> My Lists
+                </DropdownItem>
+                <DropdownItem to="/settings/security">
+                  <FaShieldAlt /> Security
+                </DropdownItem>
+                <DropdownItem to="/settings/privacy">
+                  <FaUserSecret /> Privacy
+                </DropdownItem>
+                <DropdownItem to="/settings/preferences">
+                  <FaSlidersH /> Preferences
+                </DropdownItem>
+                <DropdownItem to="/settings/import">
+                  <FaFileImport /> Import History
+                </DropdownItem>
+                {hasRole('moderator') && (
+                  <DropdownItem to="/admin/moderation">
+                    <FaFlag /> Moderation
+                  </DropdownItem>
+                )}
                 <LogoutButton onClick={handleLogout}>
                   <FaSignOutAlt /> Log Out
                 </LogoutButton>
@@ -8,6 +8,7 @@ import store from './store';
 import { darkTheme } from './styles/theme';
 import { AuthProvider } from './contexts/AuthContext';
 import PrivateRoute from './components/common/PrivateRoute';
+import RequireRole from './components/common/RequireRole';
 
 // Pages
 import Home from './pages/Home';
@@ -17,7 +18,23 @@ import Profile from './pages/Profile';
 import ContentDetail from './pages/ContentDetail';
 import Search from './pages/Search';
 import Franchise from './pages/Franchise';
+import PersonDetail from './pages/PersonDetail';
 import Forum from './pages/Forum';
+import SecuritySettings from './pages/SecuritySettings';
+import PrivacySettings from './pages/PrivacySettings';
+import Feed from './pages/Feed';
+import MyLists from './pages/MyLists';
+import CustomList from './pages/CustomList';
+import UserDiary from './pages/UserDiary';
+import UserReviews from './pages/UserReviews';
+import ImportHistory from './pages/ImportHistory';
+import PreferencesSettings from './pages/PreferencesSettings';
+import ModerationQueue from './pages/ModerationQueue';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import AuthCallback from './pages/AuthCallback';
+import UnlockAccount from './pages/UnlockAccount';
 import NotFound from './pages/NotFound';
 
 // Components
@@ -42,11 +59,27 @@ function App() {
                     <Route path="/" element={<Home />} />
                     <Route path="/login" element={<Login />} />
                     <Route path="/register" element={<Register />} />
+                    <Route path="/forgot-password" element={<ForgotPassword />} />
+                    <Route path="/reset-password" element={<ResetPassword />} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
+                    <Route path="/auth/callback" element={<AuthCallback />} />
+                    <Route path="/unlock-account" element={<UnlockAccount />} />
                     <Route path="/search" element={<Search />} />
                     <Route path="/content/:id" element={<ContentDetail />} />
                     <Route path="/franchise/:id" element={<Franchise />} />
+                    <Route path="/person/:id" element={<PersonDetail />} />
                     <Route path="/forum" element={<Forum />} />
                     <Route path="/profile/:id" element={<PrivateRoute><Profile /></PrivateRoute>} />
+                    <Route path="/profile/:id/diary" element={<UserDiary />} />
+                    <Route path="/profile/:id/reviews" element={<UserReviews />} />
+                    <Route path="/feed" element={<PrivateRoute><Feed /></PrivateRoute>} />
+                    <Route path="/lists" element={<PrivateRoute><MyLists /></PrivateRoute>} />
+                    <Route path="/lists/:id" element={<CustomList />} />
+                    <Route path="/settings/security" element={<PrivateRoute><SecuritySettings /></PrivateRoute>} />
+                    <Route path="/settings/privacy" element={<PrivateRoute><PrivacySettings /></PrivateRoute>} />
+                    <Route path="/settings/import" element={<PrivateRoute><ImportHistory /></PrivateRoute>} />
+                    <Route path="/settings/preferences" element={<PrivateRoute><PreferencesSettings /></PrivateRoute>} />
+                    <Route path="/admin/moderation" element={<RequireRole role="moderator"><ModerationQueue /></RequireRole>} />
                     <Route path="*" element={<NotFound />} />
                   </Routes>
                 </main>
@@ -64,7 +97,8 @@ export default App;
 
 // src/contexts/AuthContext.js
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import api from '../utils/api';
+import api, { storeTokens, clearTokens, setSessionExpiredHandler } from '../utils/api';
+import { hasRole } from '../utils/roles';
 
 const AuthContext = createContext();
 
@@ -78,6 +112,13 @@ export function AuthProvider({ children }) {
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    // The api client refreshes expired access tokens on its own; we only
+    // hear about it when the refresh token itself has been rejected.
+    setSessionExpiredHandler(() => {
+      setCurrentUser(null);
+      setError('Your session has expired, please log in again');
+    });
+
     const token = localStorage.getItem('token');
     
     if (token) {
@@ -86,6 +127,8 @@ export function AuthProvider({ children }) {
     } else {
       setLoading(false);
     }
+
+    return () => setSessionExpiredHandler(() => {});
   }, []);
 
   const fetchCurrentUser = async () => {
@@ -93,21 +136,42 @@ export function AuthProvider({ children }) {
       const response = await api.get('/auth/me');
       setCurrentUser(response.data);
     } catch (err) {
-      localStorage.removeItem('token');
-      delete api.defaults.headers.common['Authorization'];
+      if (err.response?.status === 401) {
+        clearTokens();
+      }
       setError(err.response?.data?.message || 'Failed to authenticate');
     } finally {
       setLoading(false);
     }
   };
 
+  // Resolves to the user, or to { twoFactorRequired, challengeToken } when
+  // the account needs a second step through completeTwoFactorLogin
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { token, user } = response.data;
+
+      if (response.data.twoFactorRequired) {
+        return response.data;
+      }
+
+      const { token, refreshToken, user } = response.data;
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(token, refreshToken);
+      setCurrentUser(user);
+      return user;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Login failed');
+      throw err;
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, code });
+      const { token, refreshToken, user } = response.data;
+
+      storeTokens(token, refreshToken);
       setCurrentUser(user);
       return user;
     } catch (err) {
@@ -116,13 +180,27 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Used after an external provider redirects back with a token pair
+  const completeExternalLogin = async (token, refreshToken) => {
+    storeTokens(token, refreshToken);
+
+    try {
+      const response = await api.get('/auth/me');
+      setCurrentUser(response.data);
+      return response.data;
+    } catch (err) {
+      clearTokens();
+      setError(err.response?.data?.message || 'Login failed');
+      throw err;
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/auth/register', userData);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      storeTokens(token, refreshToken);
       setCurrentUser(user);
       return user;
     } catch (err) {
@@ -131,19 +209,37 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete api.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearTokens();
     setCurrentUser(null);
+
+    if (refreshToken) {
+      try {
+        await api.post('/auth/logout', { refreshToken });
+      } catch (err) {
+        // The tokens are already gone locally; the session will expire on its own
+      }
+    }
+  };
+
+  // Merge fields changed elsewhere (e.g. settings pages) into the current user
+  const updateCurrentUser = (changes) => {
+    setCurrentUser(user => (user ? { ...user, ...changes } : user));
   };
 
   const value = {
     currentUser,
+    isAuthenticated: Boolean(currentUser),
     loading,
     error,
+    updateCurrentUser,
     login,
+    completeTwoFactorLogin,
+    completeExternalLogin,
     register,
-    logout
+    logout,
+    hasRole: (role) => hasRole(currentUser, role)
   };
 
   return (
@@ -161,6 +257,9 @@ import { FaStar, FaBookmark, FaCheck, FaClock } from 'react-icons/fa';
 import { useDispatch } from 'react-redux';
 import { addToList } from '../../store/slices/userListSlice';
 import { useAuth } from '../../contexts/AuthContext';
+import useRatingScale from '../../hooks/useRatingScale';
+import { formatScore } from '../../utils/ratings';
+import AddToListMenu from '../lists/AddToListMenu';
 
 const Card = styled.div`
   background: ${props => props.theme.cardBg};
@@ -202,6 +301,18 @@ const Image = styled.img`
   }
 `;
 
+// Titles synced without a poster
+const NoPoster = styled.div`
+  height: 280px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 20px;
+  text-align: center;
+  background: ${props => props.theme.inputBg};
+  color: ${props => props.theme.textSecondary};
+`;
+
 const ContentInfo = styled.div`
   padding: 15px;
 `;
@@ -272,10 +383,10 @@ const ContentType = styled.span`
 
 const ContentCard = ({ content }) => {
   const { currentUser } = useAuth();
+  const ratingScale = useRatingScale();
   const dispatch = useDispatch();
   
-  const { id, title, type, poster_path, release_date, rating } = content;
-  const year = new Date(release_date).getFullYear();
+  const { id, title, type, posterUrl, releaseYear, rating } = content;
   
   const handleAddToList = (status) => {
     if (!currentUser) return;
@@ -287,7 +398,7 @@ const ContentCard = ({ content }) => {
       <ContentType type={type}>{type === 'movie' ? 'Movie' : 'TV'}</ContentType>
       <Link to={`/content/${id}`}>
         <ImageContainer>
-          <Image src={`https://image.tmdb.org/t/p/w500${poster_path}`} alt={title} />
+          {posterUrl ? <Image src={posterUrl} alt={title} /> : <NoPoster>{title}</NoPoster>}
         </ImageContainer>
       </Link>
       <ContentInfo>
@@ -295,11 +406,13 @@ const ContentCard = ({ content }) => {
           <Title>{title}</Title>
         </Link>
         <Details>
-          <span>{year}</span>
-          <Rating>
-            <FaStar />
-            <span>{rating.toFixed(1)}</span>
-          </Rating>
+          <span>{releaseYear || 'TBA'}</span>
+          {typeof rating === 'number' && (
+            <Rating>
+              <FaStar />
+              <span>{formatScore(rating, ratingScale)}</span>
+            </Rating>
+          )}
         </Details>
         {currentUser && (
           <ActionButtons>
@@ -312,6 +425,7 @@ const ContentCard = ({ content }) => {
             <ActionButton onClick={() => handleAddToList('plan_to_watch')}>
               <FaClock /> Plan to Watch
             </ActionButton>
+            <AddToListMenu contentId={id} compact />
           </ActionButtons>
         )}
       </ContentInfo>
@@ -329,12 +443,20 @@ import styled from 'styled-components';
 import { FaStar, FaBookmark, FaCheck, FaClock, FaPlay, FaSpotify } from 'react-icons/fa';
 import api from '../utils/api';
 import { useAuth } from '../contexts/AuthContext';
+import useRatingScale from '../hooks/useRatingScale';
+import { formatScore } from '../utils/ratings';
 import ContentComments from '../components/content/ContentComments';
 import SoundtrackList from '../components/soundtrack/SoundtrackList';
 import Loader from '../components/common/Loader';
 import Error from '../components/common/Error';
 import TrailerModal from '../components/content/TrailerModal';
 import RelatedContent from '../components/content/RelatedContent';
+import AddToListMenu from '../components/lists/AddToListMenu';
+import EpisodeGuide from '../components/content/EpisodeGuide';
+import LogWatch from '../components/diary/LogWatch';
+import ContentRating from '../components/content/ContentRating';
+import ReviewSection from '../components/reviews/ReviewSection';
+import CreditsList from '../components/content/CreditsList';
 
 const Container = styled.div`
   padding: 20px;
@@ -346,6 +468,7 @@ const Backdrop = styled.div`
   margin-bottom: 30px;
   border-radius: 12px;
   overflow: hidden;
+  background: ${props => props.theme.cardBg};
   
   &::before {
     content: '';
@@ -475,6 +598,7 @@ const TabButton = styled.button`
 const ContentDetail = () => {
   const { id } = useParams();
   const { currentUser } = useAuth();
+  const ratingScale = useRatingScale();
   const [activeTab, setActiveTab] = useState('about');
   const [showTrailer, setShowTrailer] = useState(false);
   
@@ -487,44 +611,46 @@ const ContentDetail = () => {
   
   const { 
     title, 
-    backdrop_path, 
-    poster_path, 
+    backdropUrl, 
+    posterUrl, 
     overview, 
-    release_date, 
+    releaseYear, 
     rating,
     type,
     runtime,
     genres,
-    trailer_key
+    trailerKey
   } = content;
   
-  const year = new Date(release_date).getFullYear();
-  
   return (
     <Container>
       <Backdrop>
-        <BackdropImage src={`https://image.tmdb.org/t/p/original${backdrop_path}`} alt={title} />
+        {backdropUrl && <BackdropImage src={backdropUrl} alt={title} />}
       </Backdrop>
       
       <ContentInfo>
-        <Poster src={`https://image.tmdb.org/t/p/w500${poster_path}`} alt={title} />
+        {posterUrl && <Poster src={posterUrl} alt={title} />}
         <Details>
           <Title>{title}</Title>
           <Meta>
-            <span>{year}</span>
-            <span>{type === 'movie' ? `${runtime} min` : 'TV Series'}</span>
-            <span>{genres.join(', ')}</span>
-            <Rating>
-              <FaStar />
-              <span>{rating.toFixed(1)}</span>
-            </Rating>
+            {releaseYear && <span>{releaseYear}</span>}
+            {type === 'movie' ? runtime && <span>{runtime} min</span> : <span>TV Series</span>}
+            {genres && genres.length > 0 && <span>{genres.join(', ')}</span>}
+            {typeof rating === 'number' && (
+              <Rating>
+                <FaStar />
+                <span>{formatScore(rating, ratingScale)}</span>
+              </Rating>
+            )}
           </Meta>
           <Overview>{overview}</Overview>
           
           <ActionButtons>
-            <Button primary onClick={() => setShowTrailer(true)}>
-              <FaPlay /> Watch Trailer
-            </Button>
+            {trailerKey && (
+              <Button primary onClick={() => setShowTrailer(true)}>
+                <FaPlay /> Watch Trailer
+              </Button>
+            )}
             {currentUser && (
               <>
                 <Button>
@@ -536,9 +662,12 @@ const ContentDetail = () => {
                 <Button>
                   <FaClock /> Plan to Watch
                 </Button>
+                <AddToListMenu contentId={id} />
               </>
             )}
           </ActionButtons>
+          {currentUser && <ContentRating contentId={id} />}
+          {currentUser && <LogWatch contentId={id} />}
         </Details>
       </ContentInfo>
       
@@ -550,12 +679,26 @@ const ContentDetail = () => {
           >
             About
           </TabButton>
+          {type !== 'movie' && (
+            <TabButton 
+              active={activeTab === 'episodes'} 
+              onClick={() => setActiveTab('episodes')}
+            >
+              Episodes
+            </TabButton>
+          )}
           <TabButton 
             active={activeTab === 'soundtrack'} 
             onClick={() => setActiveTab('soundtrack')}
           >
             Soundtrack
           </TabButton>
+          <TabButton 
+            active={activeTab === 'reviews'} 
+            onClick={() => setActiveTab('reviews')}
+          >
+            Reviews
+          </TabButton>
           <TabButton 
             active={activeTab === 'comments'} 
             onClick={() => setActiveTab('comments')}
@@ -571,17 +714,23 @@ const ContentDetail = () => {
         </TabButtons>
         
         {activeTab === 'about' && (
-          <div>
-            {/* Content details, cast, crew, etc. */}
-          </div>
+          <CreditsList contentId={id} />
+        )}
+        
+        {activeTab === 'episodes' && (
+          <EpisodeGuide contentId={id} />
         )}
         
         {activeTab === 'soundtrack' && (
           <SoundtrackList contentId={id} />
         )}
         
+        {activeTab === 'reviews' && (
+          <ReviewSection contentId={id} />
+        )}
+        
         {activeTab === 'comments' && (
-          <ContentComments contentId={id} />
+          <ContentComments contentId={id} type={type} />
         )}
         
         {activeTab === 'related' && (
@@ -591,7 +740,7 @@ const ContentDetail = () => {
       
       {showTrailer && (
         <TrailerModal 
-          trailerKey={trailer_key} 
+          trailerKey={trailerKey} 
           onClose={() => setShowTrailer(false)} 
         />
       )}
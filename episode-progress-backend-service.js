@@ -0,0 +1,766 @@
+// models/season.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Season = sequelize.define('Season', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    seasonNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '0 holds specials'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    overview: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    posterUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    airDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['contentId', 'seasonNumber'] }
+    ]
+  });
+
+  return Season;
+};
+
+// models/episode.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Episode = sequelize.define('Episode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    seasonId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Seasons',
+        key: 'id'
+      }
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      },
+      comment: 'Copied from the season so progress queries need no join'
+    },
+    seasonNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    episodeNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    overview: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    stillUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    runtime: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Minutes'
+    },
+    airDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['seasonId', 'episodeNumber'] },
+      { fields: ['contentId', 'seasonNumber', 'episodeNumber'] }
+    ]
+  });
+
+  return Episode;
+};
+
+// models/episodeWatch.js
+// One row per episode a user has seen, with when they saw it
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EpisodeWatch = sequelize.define('EpisodeWatch', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    episodeId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Episodes',
+        key: 'id'
+      }
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    watchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['userId', 'episodeId'] },
+      { fields: ['userId', 'contentId'] },
+      { fields: ['userId', 'watchedAt'] }
+    ]
+  });
+
+  return EpisodeWatch;
+};
+
+// services/episodeProgressService.js
+const {
+  Content,
+  Season,
+  Episode,
+  EpisodeWatch,
+  UserList,
+  sequelize
+} = require('../models');
+
+const EPISODE_ATTRIBUTES = ['id', 'seasonNumber', 'episodeNumber', 'name', 'airDate', 'runtime'];
+
+// Specials (season 0) are listed but don't count towards progress
+const countsTowardsProgress = (episode) => episode.seasonNumber > 0 && isAired(episode);
+
+// Episodes without an air date are assumed to be out
+const isAired = (episode) => !episode.airDate || new Date(episode.airDate) <= new Date();
+
+const byAiringOrder = (a, b) => (a.seasonNumber - b.seasonNumber) || (a.episodeNumber - b.episodeNumber);
+
+/**
+ * Episode Progress Service
+ * Per-episode watch marks for TV shows and the progress derived from them
+ */
+class EpisodeProgressService {
+  /**
+   * Get a show's seasons with their episodes in order
+   * @param {string} contentId - Content ID
+   * @returns {Promise<Array>} - Season instances with Episodes
+   */
+  async getSeasons(contentId) {
+    return Season.findAll({
+      where: { contentId },
+      include: [{ model: Episode, attributes: EPISODE_ATTRIBUTES.concat(['overview', 'stillUrl']) }],
+      order: [['seasonNumber', 'ASC'], [Episode, 'episodeNumber', 'ASC']]
+    });
+  }
+
+  /**
+   * Get when a user watched each episode of a show
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Promise<Object>} - Map of episode ID to watchedAt
+   */
+  async getWatchedEpisodes(userId, contentId) {
+    const watches = await EpisodeWatch.findAll({
+      where: { userId, contentId },
+      attributes: ['episodeId', 'watchedAt']
+    });
+
+    return Object.fromEntries(watches.map(watch => [watch.episodeId, watch.watchedAt]));
+  }
+
+  /**
+   * Get a user's progress through a show
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Promise<Object>} - { watched, total, percent, nextEpisode, lastWatchedAt }
+   */
+  async getProgress(userId, contentId) {
+    const progress = await this.getProgressForContents(userId, [contentId]);
+    return progress[contentId];
+  }
+
+  /**
+   * Get a user's progress through several shows at once, e.g. for a grid of cards
+   * @param {string} userId - User ID
+   * @param {Array<string>} contentIds - Content IDs; movies are skipped
+   * @returns {Promise<Object>} - Map of content ID to progress
+   */
+  async getProgressForContents(userId, contentIds) {
+    if (contentIds.length === 0) return {};
+
+    const [episodes, watches] = await Promise.all([
+      Episode.findAll({
+        where: { contentId: contentIds },
+        attributes: EPISODE_ATTRIBUTES.concat(['contentId'])
+      }),
+      EpisodeWatch.findAll({
+        where: { userId, contentId: contentIds },
+        attributes: ['episodeId', 'contentId', 'watchedAt']
+      })
+    ]);
+
+    const episodesByContent = {};
+    episodes.forEach(episode => {
+      (episodesByContent[episode.contentId] = episodesByContent[episode.contentId] || []).push(episode);
+    });
+
+    const watchesByContent = {};
+    watches.forEach(watch => {
+      (watchesByContent[watch.contentId] = watchesByContent[watch.contentId] || []).push(watch);
+    });
+
+    return Object.fromEntries(Object.keys(episodesByContent).map(contentId => [
+      contentId,
+      this.computeProgress(episodesByContent[contentId], watchesByContent[contentId] || [])
+    ]));
+  }
+
+  /**
+   * Shows the user is part-way through, most recently watched first
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of shows
+   * @returns {Promise<Array>} - Content with a progress field
+   */
+  async getContinueWatching(userId, { limit = 10 } = {}) {
+    const recent = await EpisodeWatch.findAll({
+      where: { userId },
+      attributes: ['contentId', [sequelize.fn('MAX', sequelize.col('watchedAt')), 'lastWatchedAt']],
+      group: ['contentId'],
+      order: [[sequelize.literal('"lastWatchedAt"'), 'DESC']],
+      // Finished and dropped shows are filtered out below, so look a little further
+      limit: limit * 3,
+      raw: true
+    });
+
+    const contentIds = recent.map(row => row.contentId);
+    const [contents, progress, dropped] = await Promise.all([
+      Content.findAll({ where: { id: contentIds } }),
+      this.getProgressForContents(userId, contentIds),
+      UserList.findAll({
+        where: { userId, contentId: contentIds, status: 'dropped' },
+        attributes: ['contentId']
+      })
+    ]);
+
+    const contentById = Object.fromEntries(contents.map(content => [content.id, content]));
+    const droppedIds = new Set(dropped.map(entry => entry.contentId));
+
+    return contentIds
+      .filter(contentId => contentById[contentId] && !droppedIds.has(contentId) &&
+        progress[contentId] && progress[contentId].nextEpisode)
+      .slice(0, limit)
+      .map(contentId => ({ ...contentById[contentId].toJSON(), progress: progress[contentId] }));
+  }
+
+  /**
+   * Mark an episode watched; marking it again updates the time
+   * @param {string} userId - User ID
+   * @param {Object} episode - Episode instance
+   * @param {Date} watchedAt - When it was watched
+   * @returns {Promise<Object>} - EpisodeWatch instance
+   */
+  async markEpisodeWatched(userId, episode, watchedAt = new Date()) {
+    const [watch] = await EpisodeWatch.upsert({
+      userId,
+      episodeId: episode.id,
+      contentId: episode.contentId,
+      watchedAt
+    }, { conflictFields: ['userId', 'episodeId'] });
+
+    await this.startWatching(userId, episode.contentId);
+    return watch;
+  }
+
+  /**
+   * Remove an episode's watched mark
+   * @param {string} userId - User ID
+   * @param {string} episodeId - Episode ID
+   * @returns {Promise<boolean>} - Whether it was marked
+   */
+  async unmarkEpisodeWatched(userId, episodeId) {
+    const count = await EpisodeWatch.destroy({ where: { userId, episodeId } });
+    return count > 0;
+  }
+
+  /**
+   * Mark every aired episode of a season watched; existing marks keep their time
+   * @param {string} userId - User ID
+   * @param {Object} season - Season instance
+   * @param {Date} watchedAt - When they were watched
+   * @returns {Promise<void>}
+   */
+  async markSeasonWatched(userId, season, watchedAt = new Date()) {
+    const episodes = (await Episode.findAll({
+      where: { seasonId: season.id },
+      attributes: ['id', 'contentId', 'airDate']
+    })).filter(isAired);
+
+    await EpisodeWatch.bulkCreate(
+      episodes.map(episode => ({ userId, episodeId: episode.id, contentId: episode.contentId, watchedAt })),
+      { ignoreDuplicates: true }
+    );
+
+    await this.startWatching(userId, season.contentId);
+  }
+
+  /**
+   * Remove the watched marks from every episode of a season
+   * @param {string} userId - User ID
+   * @param {Object} season - Season instance
+   * @returns {Promise<number>} - Number of marks removed
+   */
+  async unmarkSeasonWatched(userId, season) {
+    const episodes = await Episode.findAll({ where: { seasonId: season.id }, attributes: ['id'] });
+    return EpisodeWatch.destroy({
+      where: { userId, episodeId: episodes.map(episode => episode.id) }
+    });
+  }
+
+  /**
+   * Put a show on the user's watching list when they start it
+   * @private
+   */
+  async startWatching(userId, contentId) {
+    const entry = await UserList.findOne({ where: { userId, contentId } });
+
+    if (!entry) {
+      await UserList.create({ userId, contentId, status: 'watching' });
+    } else if (!entry.status || entry.status === 'plan_to_watch') {
+      await entry.update({ status: 'watching' });
+    }
+  }
+
+  /**
+   * @private
+   */
+  computeProgress(episodes, watches) {
+    const watchedAt = Object.fromEntries(watches.map(watch => [watch.episodeId, watch.watchedAt]));
+    const counted = episodes.filter(countsTowardsProgress).sort(byAiringOrder);
+    const watched = counted.filter(episode => watchedAt[episode.id]);
+
+    // Continue after the furthest episode watched, so skipped episodes don't hold it back
+    const furthest = watched[watched.length - 1];
+    const remaining = counted.slice(furthest ? counted.indexOf(furthest) + 1 : 0);
+    const next = remaining.find(episode => !watchedAt[episode.id]) || null;
+
+    const lastWatchedAt = watches.reduce(
+      (latest, watch) => (!latest || watch.watchedAt > latest ? watch.watchedAt : latest),
+      null
+    );
+
+    return {
+      watched: watched.length,
+      total: counted.length,
+      percent: counted.length ? Math.round((watched.length / counted.length) * 100) : 0,
+      nextEpisode: next && {
+        id: next.id,
+        seasonNumber: next.seasonNumber,
+        episodeNumber: next.episodeNumber,
+        name: next.name
+      },
+      lastWatchedAt
+    };
+  }
+}
+
+module.exports = new EpisodeProgressService();
+
+// controllers/episodeController.js
+const { body, param, query } = require('express-validator');
+const { Content, Season, Episode } = require('../models');
+const episodeProgressService = require('../services/episodeProgressService');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const seasonValidation = [
+  param('id').isUUID(),
+  param('seasonNumber').isInt({ min: 0 }).toInt(),
+  body('watchedAt').optional().isISO8601().toDate(),
+  validateRequest
+];
+
+const episodeValidation = [
+  param('id').isUUID(),
+  body('watchedAt').optional().isISO8601().toDate(),
+  validateRequest
+];
+
+const progressBatchValidation = [
+  query('contentIds').isString().customSanitizer(value => value.split(',').filter(Boolean)),
+  query('contentIds.*').isUUID(),
+  validateRequest
+];
+
+const continueWatchingValidation = [
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Reject times in the future; a mark records something that happened
+ * @private
+ */
+const checkWatchedAt = (req, res) => {
+  if (req.body.watchedAt && req.body.watchedAt > new Date()) {
+    res.status(400).json({
+      success: false,
+      message: 'Watched time cannot be in the future'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Load a TV show, answering 404 for missing content and 400 for movies
+ * @private
+ */
+const loadShow = async (req, res) => {
+  const content = await Content.findByPk(req.params.id, { attributes: ['id', 'type'] });
+
+  if (!content) {
+    res.status(404).json({
+      success: false,
+      message: 'Content not found'
+    });
+    return null;
+  }
+
+  if (content.type === 'movie') {
+    res.status(400).json({
+      success: false,
+      message: 'Movies do not have episodes'
+    });
+    return null;
+  }
+
+  return content;
+};
+
+/**
+ * Get a show's seasons and episodes, with watch marks when logged in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getSeasons = async (req, res, next) => {
+  try {
+    const show = await loadShow(req, res);
+    if (!show) return;
+
+    const [seasons, watched] = await Promise.all([
+      episodeProgressService.getSeasons(show.id),
+      req.user ? episodeProgressService.getWatchedEpisodes(req.user.id, show.id) : {}
+    ]);
+
+    res.json({
+      success: true,
+      data: seasons.map(season => {
+        const data = season.toJSON();
+        data.Episodes = data.Episodes.map(episode => ({
+          ...episode,
+          watchedAt: watched[episode.id] || null
+        }));
+        return data;
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's progress through a show
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getProgress = async (req, res, next) => {
+  try {
+    const show = await loadShow(req, res);
+    if (!show) return;
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgress(req.user.id, show.id) || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's progress through several shows, for progress bars on cards
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getProgressBatch = async (req, res, next) => {
+  try {
+    const { contentIds } = req.query;
+    if (contentIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BATCH_SIZE} titles at a time`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgressForContents(req.user.id, contentIds)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get shows the current user is part-way through
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getContinueWatching = async (req, res, next) => {
+  try {
+    const shows = await episodeProgressService.getContinueWatching(req.user.id, {
+      limit: req.query.limit || 10
+    });
+
+    res.json({
+      success: true,
+      data: shows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an episode watched
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const markEpisodeWatched = async (req, res, next) => {
+  try {
+    if (!checkWatchedAt(req, res)) return;
+
+    const episode = await Episode.findByPk(req.params.id);
+    if (!episode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Episode not found'
+      });
+    }
+
+    await episodeProgressService.markEpisodeWatched(req.user.id, episode, req.body.watchedAt);
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgress(req.user.id, episode.contentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an episode's watched mark
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unmarkEpisodeWatched = async (req, res, next) => {
+  try {
+    const episode = await Episode.findByPk(req.params.id, { attributes: ['id', 'contentId'] });
+    if (!episode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Episode not found'
+      });
+    }
+
+    await episodeProgressService.unmarkEpisodeWatched(req.user.id, episode.id);
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgress(req.user.id, episode.contentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a season of a show by number
+ * @private
+ */
+const loadSeason = async (req, res) => {
+  const season = await Season.findOne({
+    where: { contentId: req.params.id, seasonNumber: req.params.seasonNumber }
+  });
+
+  if (!season) {
+    res.status(404).json({
+      success: false,
+      message: 'Season not found'
+    });
+    return null;
+  }
+
+  return season;
+};
+
+/**
+ * Mark every aired episode of a season watched
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const markSeasonWatched = async (req, res, next) => {
+  try {
+    if (!checkWatchedAt(req, res)) return;
+
+    const season = await loadSeason(req, res);
+    if (!season) return;
+
+    await episodeProgressService.markSeasonWatched(req.user.id, season, req.body.watchedAt);
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgress(req.user.id, season.contentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the watched marks from a season
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unmarkSeasonWatched = async (req, res, next) => {
+  try {
+    const season = await loadSeason(req, res);
+    if (!season) return;
+
+    await episodeProgressService.unmarkSeasonWatched(req.user.id, season);
+
+    res.json({
+      success: true,
+      data: await episodeProgressService.getProgress(req.user.id, season.contentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSeasons: [idValidation, getSeasons],
+  getProgress: [idValidation, getProgress],
+  getProgressBatch: [progressBatchValidation, getProgressBatch],
+  getContinueWatching: [continueWatchingValidation, getContinueWatching],
+  markEpisodeWatched: [episodeValidation, markEpisodeWatched],
+  unmarkEpisodeWatched: [idValidation, unmarkEpisodeWatched],
+  markSeasonWatched: [seasonValidation, markSeasonWatched],
+  unmarkSeasonWatched: [seasonValidation, unmarkSeasonWatched]
+};
+
+// routes/index.js - Add episode and progress routes
+const episodeRoutes = require('./episodeRoutes');
+const progressRoutes = require('./progressRoutes');
+
+router.use('/episodes', episodeRoutes);
+router.use('/progress', progressRoutes);
+
+// routes/episodeRoutes.js
+const express = require('express');
+const episodeController = require('../controllers/episodeController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.post('/:id/watched', authMiddleware, episodeController.markEpisodeWatched);
+router.delete('/:id/watched', authMiddleware, episodeController.unmarkEpisodeWatched);
+
+module.exports = router;
+
+// routes/progressRoutes.js
+const express = require('express');
+const episodeController = require('../controllers/episodeController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, episodeController.getProgressBatch);
+router.get('/continue-watching', authMiddleware, episodeController.getContinueWatching);
+
+module.exports = router;
+
+// routes/contentRoutes.js - Seasons and episode progress
+const episodeController = require('../controllers/episodeController');
+const optionalAuth = require('../middleware/optionalAuth');
+
+router.get('/:id/seasons', optionalAuth, episodeController.getSeasons);
+router.get('/:id/progress', authMiddleware, episodeController.getProgress);
+router.post('/:id/seasons/:seasonNumber/watched', authMiddleware, episodeController.markSeasonWatched);
+router.delete('/:id/seasons/:seasonNumber/watched', authMiddleware, episodeController.unmarkSeasonWatched);
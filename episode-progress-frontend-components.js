@@ -0,0 +1,413 @@
+// src/components/common/ProgressBar.js
+import React from 'react';
+import styled from 'styled-components';
+
+const Track = styled.div`
+  height: ${props => props.height}px;
+  background: ${props => props.theme.borderColor};
+  border-radius: ${props => props.height / 2}px;
+  overflow: hidden;
+`;
+
+const Fill = styled.div`
+  height: 100%;
+  width: ${props => props.percent}%;
+  background: ${props => props.theme.primary};
+  transition: width 0.3s ease;
+`;
+
+/**
+ * @param {Object} props
+ * @param {number} props.percent - 0 to 100
+ * @param {number} props.height - Bar height in pixels
+ * @param {string} props.label - Accessible description
+ */
+const ProgressBar = ({ percent, height = 4, label }) => (
+  <Track
+    height={height}
+    role="progressbar"
+    aria-valuenow={percent}
+    aria-valuemin={0}
+    aria-valuemax={100}
+    aria-label={label}
+  >
+    <Fill percent={Math.max(0, Math.min(100, percent))} />
+  </Track>
+);
+
+export default ProgressBar;
+
+// src/utils/episodes.js
+/**
+ * Short episode code, e.g. "S02E05"
+ * @param {Object} episode - { seasonNumber, episodeNumber }
+ * @returns {string}
+ */
+export const episodeCode = ({ seasonNumber, episodeNumber }) =>
+  `S${String(seasonNumber).padStart(2, '0')}E${String(episodeNumber).padStart(2, '0')}`;
+
+/**
+ * Runtime position as "m:ss", or "h:mm:ss" past the hour
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatTimestamp = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Read a "m:ss" or "h:mm:ss" position back into seconds
+ * @param {string} text
+ * @returns {number|null} - Seconds, or null when it isn't a position
+ */
+export const parseTimestamp = (text) => {
+  if (!/^\d+(:[0-5]\d){1,2}$/.test(text.trim())) return null;
+  return text.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+/**
+ * Label for what a discussion is about, e.g. "S02E05 · 12:30"
+ * @param {Object} scope - { seasonNumber, episodeNumber, timestampSeconds }
+ * @returns {string}
+ */
+export const scopeLabel = (scope) => [
+  scope.episodeNumber !== null && episodeCode(scope),
+  scope.timestampSeconds !== null && formatTimestamp(scope.timestampSeconds)
+].filter(Boolean).join(' · ');
+
+// src/components/content/ContentGrid.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { episodeCode } from '../../utils/episodes';
+import ContentCard from './ContentCard';
+import ProgressBar from '../common/ProgressBar';
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(${props => props.cols}, 1fr);
+  gap: 20px;
+
+  @media (max-width: 1200px) {
+    grid-template-columns: repeat(${props => Math.min(props.cols, 4)}, 1fr);
+  }
+
+  @media (max-width: 768px) {
+    grid-template-columns: repeat(2, 1fr);
+  }
+`;
+
+const Progress = styled.div`
+  margin-top: 8px;
+`;
+
+const ProgressText = styled.div`
+  display: flex;
+  justify-content: space-between;
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  margin-top: 4px;
+`;
+
+/**
+ * A grid of content cards
+ * With showProgress, TV shows get a bar for the user's episode progress. Items
+ * that already carry a progress field (e.g. from /progress/continue-watching) are
+ * used as they are; the rest are looked up in one request.
+ * @param {Object} props
+ * @param {Array} props.content - Content items
+ * @param {number} props.cols - Number of columns on wide screens
+ * @param {boolean} props.showProgress - Show episode progress bars
+ */
+const ContentGrid = ({ content, cols = 6, showProgress = false }) => {
+  const { isAuthenticated } = useAuth();
+
+  const missingIds = content
+    .filter(item => item.type !== 'movie' && !item.progress)
+    .map(item => item.id);
+
+  const { data: fetchedProgress = {} } = useQuery(
+    ['progress', missingIds],
+    () => api.get('/progress', { params: { contentIds: missingIds.join(',') } }).then(res => res.data.data),
+    {
+      enabled: showProgress && isAuthenticated && missingIds.length > 0,
+      staleTime: 60 * 1000
+    }
+  );
+
+  return (
+    <Grid cols={cols}>
+      {content.map(item => {
+        const progress = showProgress && (item.progress || fetchedProgress[item.id]);
+
+        return (
+          <div key={item.id}>
+            <ContentCard content={item} />
+            {progress && progress.total > 0 && (
+              <Progress>
+                <ProgressBar
+                  percent={progress.percent}
+                  label={`${progress.watched} of ${progress.total} episodes watched`}
+                />
+                <ProgressText>
+                  <span>{progress.watched}/{progress.total}</span>
+                  {progress.nextEpisode && <span>Next: {episodeCode(progress.nextEpisode)}</span>}
+                </ProgressText>
+              </Progress>
+            )}
+          </div>
+        );
+      })}
+    </Grid>
+  );
+};
+
+export default ContentGrid;
+
+// src/components/content/EpisodeGuide.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaCheckCircle, FaRegCircle, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { episodeCode } from '../../utils/episodes';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import ProgressBar from '../common/ProgressBar';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Summary = styled.div`
+  margin-bottom: 20px;
+
+  p {
+    font-size: 14px;
+    color: ${props => props.theme.textSecondary};
+    margin: 8px 0 0 0;
+  }
+`;
+
+const Season = styled.div`
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  margin-bottom: 10px;
+  overflow: hidden;
+`;
+
+const SeasonHeader = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 15px;
+  cursor: pointer;
+`;
+
+const SeasonName = styled.div`
+  flex: 1;
+  font-size: 16px;
+  font-weight: 600;
+
+  span {
+    font-size: 13px;
+    font-weight: 400;
+    color: ${props => props.theme.textSecondary};
+    margin-left: 8px;
+  }
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 4px 10px;
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const EpisodeRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 15px;
+  border-top: 1px solid ${props => props.theme.borderColor};
+  background: ${props => props.next ? props.theme.inputBg : 'transparent'};
+  opacity: ${props => props.upcoming ? 0.5 : 1};
+`;
+
+const WatchToggle = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  font-size: 20px;
+  color: ${props => props.watched ? props.theme.primary : props.theme.textSecondary};
+  cursor: pointer;
+  display: flex;
+
+  &:disabled {
+    cursor: default;
+  }
+`;
+
+const EpisodeInfo = styled.div`
+  flex: 1;
+  min-width: 0;
+  font-size: 14px;
+`;
+
+const EpisodeMeta = styled.div`
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  margin-top: 2px;
+`;
+
+const isAired = (episode) => !episode.airDate || new Date(episode.airDate) <= new Date();
+
+const describeNext = (progress) => {
+  if (progress.nextEpisode) {
+    const { name } = progress.nextEpisode;
+    return `Up next: ${episodeCode(progress.nextEpisode)}${name ? ` · ${name}` : ''}`;
+  }
+  return progress.watched > 0 ? 'You are all caught up' : '';
+};
+
+/**
+ * Seasons and episodes of a show, with watch marks for the logged-in user
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID of the show
+ */
+const EpisodeGuide = ({ contentId }) => {
+  const { isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+  const [openSeason, setOpenSeason] = useState(null);
+  const seasonsKey = ['content', contentId, 'seasons'];
+  const progressKey = ['content', contentId, 'progress'];
+
+  const { data: seasons, isLoading, error } = useQuery(
+    seasonsKey,
+    () => api.get(`/content/${contentId}/seasons`).then(res => res.data.data)
+  );
+
+  const { data: progress } = useQuery(
+    progressKey,
+    () => api.get(`/content/${contentId}/progress`).then(res => res.data.data),
+    { enabled: isAuthenticated }
+  );
+
+  const onSaved = (data) => {
+    queryClient.setQueryData(progressKey, data);
+    queryClient.invalidateQueries(seasonsKey);
+    queryClient.invalidateQueries('progress');
+    // Discussion hidden as spoilers may now be within reach
+    queryClient.invalidateQueries(['content', contentId, 'comments']);
+    queryClient.invalidateQueries('comments');
+  };
+
+  const toggleEpisode = useMutation(
+    (episode) => (episode.watchedAt
+      ? api.delete(`/episodes/${episode.id}/watched`)
+      : api.post(`/episodes/${episode.id}/watched`)).then(res => res.data.data),
+    { onSuccess: onSaved }
+  );
+
+  const toggleSeason = useMutation(
+    ({ seasonNumber, watched }) => (watched
+      ? api.delete(`/content/${contentId}/seasons/${seasonNumber}/watched`)
+      : api.post(`/content/${contentId}/seasons/${seasonNumber}/watched`)).then(res => res.data.data),
+    { onSuccess: onSaved }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load episodes" />;
+  if (seasons.length === 0) return null;
+
+  // Open the season with the next episode, or the first one
+  const nextEpisodeId = progress?.nextEpisode?.id;
+  const defaultSeason = progress?.nextEpisode?.seasonNumber ?? seasons[0].seasonNumber;
+  const shownSeason = openSeason ?? defaultSeason;
+  const saving = toggleEpisode.isLoading || toggleSeason.isLoading;
+
+  return (
+    <Container>
+      {progress && progress.total > 0 && (
+        <Summary>
+          <ProgressBar percent={progress.percent} height={6} label="Show progress" />
+          <p>
+            {progress.watched} of {progress.total} episodes watched
+            {describeNext(progress) && ` · ${describeNext(progress)}`}
+          </p>
+        </Summary>
+      )}
+
+      {seasons.map(season => {
+        const aired = season.Episodes.filter(isAired);
+        const watchedCount = aired.filter(episode => episode.watchedAt).length;
+        const allWatched = aired.length > 0 && watchedCount === aired.length;
+        const open = shownSeason === season.seasonNumber;
+
+        return (
+          <Season key={season.id}>
+            <SeasonHeader onClick={() => setOpenSeason(open ? -1 : season.seasonNumber)}>
+              {open ? <FaChevronDown /> : <FaChevronRight />}
+              <SeasonName>
+                {season.name || (season.seasonNumber === 0 ? 'Specials' : `Season ${season.seasonNumber}`)}
+                <span>
+                  {isAuthenticated ? `${watchedCount}/${aired.length}` : `${season.Episodes.length} episodes`}
+                </span>
+              </SeasonName>
+              {isAuthenticated && aired.length > 0 && (
+                <SmallButton
+                  disabled={saving}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleSeason.mutate({ seasonNumber: season.seasonNumber, watched: allWatched });
+                  }}
+                >
+                  {allWatched ? 'Unmark season' : 'Mark season watched'}
+                </SmallButton>
+              )}
+            </SeasonHeader>
+
+            {open && season.Episodes.map(episode => (
+              <EpisodeRow key={episode.id} next={episode.id === nextEpisodeId} upcoming={!isAired(episode)}>
+                {isAuthenticated && (
+                  <WatchToggle
+                    watched={Boolean(episode.watchedAt)}
+                    disabled={saving || !isAired(episode)}
+                    onClick={() => toggleEpisode.mutate(episode)}
+                    aria-label={episode.watchedAt ? 'Mark as not watched' : 'Mark as watched'}
+                  >
+                    {episode.watchedAt ? <FaCheckCircle /> : <FaRegCircle />}
+                  </WatchToggle>
+                )}
+                <EpisodeInfo>
+                  {episode.episodeNumber}. {episode.name || `Episode ${episode.episodeNumber}`}
+                  <EpisodeMeta>
+                    {episode.airDate ? new Date(episode.airDate).toLocaleDateString() : 'Air date unknown'}
+                    {episode.runtime && ` · ${episode.runtime} min`}
+                    {episode.watchedAt && ` · Watched ${new Date(episode.watchedAt).toLocaleDateString()}`}
+                  </EpisodeMeta>
+                </EpisodeInfo>
+              </EpisodeRow>
+            ))}
+          </Season>
+        );
+      })}
+    </Container>
+  );
+};
+
+export default EpisodeGuide;
@@ -0,0 +1,324 @@
+// migrations/20261023120000-create-genres-people-credits.js
+// Tables for genres, people and credits, which replace the genre names and
+// credits snapshot kept on Contents (see the next migration)
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const id = {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.UUIDV4,
+      primaryKey: true
+    };
+    const timestamp = {
+      type: Sequelize.DATE,
+      allowNull: false
+    };
+    const reference = (table) => ({
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: table, key: 'id' }
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('Genres', {
+        id,
+        tmdbId: { type: Sequelize.INTEGER, allowNull: true, unique: true },
+        name: { type: Sequelize.STRING, allowNull: false, unique: true },
+        slug: { type: Sequelize.STRING, allowNull: false, unique: true },
+        createdAt: timestamp,
+        updatedAt: timestamp
+      }, { transaction });
+
+      await queryInterface.createTable('ContentGenres', {
+        id,
+        contentId: reference('Contents'),
+        genreId: reference('Genres'),
+        createdAt: timestamp
+      }, { transaction });
+      await queryInterface.addIndex('ContentGenres', ['contentId', 'genreId'], { unique: true, transaction });
+      await queryInterface.addIndex('ContentGenres', ['genreId'], { transaction });
+
+      await queryInterface.createTable('People', {
+        id,
+        tmdbId: { type: Sequelize.INTEGER, allowNull: true, unique: true },
+        name: { type: Sequelize.STRING, allowNull: false },
+        profileUrl: { type: Sequelize.STRING, allowNull: true },
+        knownForDepartment: { type: Sequelize.STRING, allowNull: true },
+        createdAt: timestamp,
+        updatedAt: timestamp
+      }, { transaction });
+      await queryInterface.addIndex('People', ['name'], { transaction });
+
+      await queryInterface.createTable('Credits', {
+        id,
+        contentId: reference('Contents'),
+        personId: reference('People'),
+        role: { type: Sequelize.ENUM('cast', 'crew'), allowNull: false },
+        character: { type: Sequelize.STRING, allowNull: true },
+        job: { type: Sequelize.STRING, allowNull: true },
+        department: { type: Sequelize.STRING, allowNull: true },
+        order: { type: Sequelize.INTEGER, allowNull: true },
+        createdAt: timestamp
+      }, { transaction });
+      await queryInterface.addIndex('Credits', ['contentId', 'role', 'order'], { transaction });
+      await queryInterface.addIndex('Credits', ['personId'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('Credits', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Credits_role"', { transaction });
+      await queryInterface.dropTable('People', { transaction });
+      await queryInterface.dropTable('ContentGenres', { transaction });
+      await queryInterface.dropTable('Genres', { transaction });
+    });
+  }
+};
+
+// migrations/20261024000000-normalize-credits.js
+// Genres, people and credits now have their own tables (see the previous
+// migration), so the credits snapshot on Contents goes. Synced titles are marked stale so the
+// metadata refresh job fills the new tables in.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('Contents', 'credits', { transaction });
+      await queryInterface.sequelize.query(
+        'UPDATE "Contents" SET "tmdbSyncedAt" = NULL WHERE "tmdbId" IS NOT NULL',
+        { transaction }
+      );
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Contents', 'credits', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: { cast: [], crew: [] }
+    });
+  }
+};
+
+// seeders/20261024000000-genres.js
+// TMDB's movie and TV genres, then links for titles that only have genre names
+const { randomUUID } = require('crypto');
+const slugify = require('../utils/slugify');
+
+const GENRES = [
+  [28, 'Action'], [12, 'Adventure'], [16, 'Animation'], [35, 'Comedy'], [80, 'Crime'],
+  [99, 'Documentary'], [18, 'Drama'], [10751, 'Family'], [14, 'Fantasy'], [36, 'History'],
+  [27, 'Horror'], [10402, 'Music'], [9648, 'Mystery'], [10749, 'Romance'], [878, 'Science Fiction'],
+  [10770, 'TV Movie'], [53, 'Thriller'], [10752, 'War'], [37, 'Western'],
+  // TV only
+  [10759, 'Action & Adventure'], [10762, 'Kids'], [10763, 'News'], [10764, 'Reality'],
+  [10765, 'Sci-Fi & Fantasy'], [10766, 'Soap'], [10767, 'Talk'], [10768, 'War & Politics']
+];
+
+module.exports = {
+  async up(queryInterface) {
+    const now = new Date();
+    await queryInterface.bulkInsert('Genres', GENRES.map(([tmdbId, name]) => ({
+      id: randomUUID(),
+      tmdbId,
+      name,
+      slug: slugify(name),
+      createdAt: now,
+      updatedAt: now
+    })), { ignoreDuplicates: true });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO "ContentGenres" ("id", "contentId", "genreId", "createdAt")
+      SELECT gen_random_uuid(), c."id", g."id", NOW()
+      FROM "Contents" c
+      CROSS JOIN LATERAL unnest(c."genres") AS genre(name)
+      JOIN "Genres" g ON g."name" = genre."name"
+      ON CONFLICT DO NOTHING
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('Genres', { tmdbId: GENRES.map(([tmdbId]) => tmdbId) });
+  }
+};
+
+// utils/slugify.js
+/**
+ * URL-safe lowercase form of a name, e.g. "Sci-Fi & Fantasy" -> "sci-fi-and-fantasy"
+ * @param {string} name
+ * @returns {string}
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '');
+
+module.exports = slugify;
+
+// models/genre.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Genre = sequelize.define('Genre', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    tmdbId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    slug: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    }
+  });
+
+  return Genre;
+};
+
+// models/contentGenre.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ContentGenre = sequelize.define('ContentGenre', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    genreId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Genres',
+        key: 'id'
+      }
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['contentId', 'genreId'] },
+      { fields: ['genreId'] }
+    ]
+  });
+
+  return ContentGenre;
+};
+
+// models/person.js
+// Actors and crew, matched to TMDB by tmdbId
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Person = sequelize.define('Person', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    tmdbId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    profileUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    knownForDepartment: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Acting, Directing, Writing...'
+    }
+  }, {
+    // "People" rather than Sequelize's default "Person" pluralization
+    tableName: 'People',
+    indexes: [
+      { fields: ['name'] }
+    ]
+  });
+
+  return Person;
+};
+
+// models/credit.js
+// A person's part in a title: a cast role (character, billing order) or a crew job
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Credit = sequelize.define('Credit', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    personId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'People',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('cast', 'crew'),
+      allowNull: false
+    },
+    character: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Cast only'
+    },
+    job: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Crew only, e.g. Director'
+    },
+    department: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    order: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Billing order within the cast'
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['contentId', 'role', 'order'] },
+      { fields: ['personId'] }
+    ]
+  });
+
+  return Credit;
+};
@@ -0,0 +1,1032 @@
+// models/historyImport.js
+// An upload of watch history from another site, matched to Didi content
+// and reviewed by the user before anything is written
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HistoryImport = sequelize.define('HistoryImport', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.ENUM('letterboxd', 'imdb', 'trakt'),
+      allowNull: false
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('matching', 'review', 'importing', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'matching'
+    },
+    jobId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Jobs',
+        key: 'id'
+      },
+      comment: 'Job currently matching or writing the import'
+    },
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Item counts by status'
+    }
+  }, {
+    indexes: [
+      { fields: ['userId', 'createdAt'] }
+    ]
+  });
+
+  return HistoryImport;
+};
+
+// models/historyImportItem.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HistoryImportItem = sequelize.define('HistoryImportItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    historyImportId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'HistoryImports',
+        key: 'id'
+      }
+    },
+    row: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Parsed row: title, year, type, tmdbId, imdbId, rating, watchedOn, rewatch, status'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'matched', 'ambiguous', 'unmatched', 'skipped', 'imported'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    candidates: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Best guesses for ambiguous rows: [{ contentId, title, year, type, score }]'
+    }
+  }, {
+    timestamps: false,
+    indexes: [
+      { fields: ['historyImportId', 'status'] }
+    ]
+  });
+
+  return HistoryImportItem;
+};
+
+// utils/textMatch.js
+// Loose title comparison for matching imported history to content
+const LEADING_ARTICLES = /^(the|a|an)\s+/;
+
+/**
+ * Reduce a title to lowercase words without accents, punctuation or a leading article
+ * @param {string} title
+ * @returns {string}
+ */
+const normalizeTitle = (title) => String(title || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .replace(LEADING_ARTICLES, '');
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Dice coefficient of two titles' letter pairs, after normalizing
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 0 (nothing in common) to 1 (same title)
+ */
+const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const counts = {};
+  bigrams(left).forEach(pair => {
+    counts[pair] = (counts[pair] || 0) + 1;
+  });
+
+  let shared = 0;
+  const rightPairs = bigrams(right);
+  rightPairs.forEach(pair => {
+    if (counts[pair] > 0) {
+      counts[pair]--;
+      shared++;
+    }
+  });
+
+  return (2 * shared) / (bigrams(left).length + rightPairs.length);
+};
+
+module.exports = {
+  normalizeTitle,
+  titleSimilarity
+};
+
+// services/importParsers.js
+// Turn each site's export into rows of the same shape:
+// { title, year, type, tmdbId, imdbId, rating, watchedOn, rewatch, status }
+// Ratings are normalized like every stored rating (see utils/ratingScale.js).
+const { parse } = require('csv-parse/sync');
+const { toNormalized } = require('../utils/ratingScale');
+
+const parseCsv = (text) => parse(text, {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true,
+  bom: true,
+  relax_column_count: true
+});
+
+const toYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+const toRating = (value, scale) => toNormalized(parseFloat(value), scale);
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Letterboxd diary.csv, ratings.csv, watched.csv or watchlist.csv, or a file in
+ * Letterboxd's import format (Title, WatchedDate, tmdbID, imdbID), which is what
+ * services/listExportService.js writes
+ * Only diary files have watch dates and "Rewatch". watchlist.csv has the same
+ * columns as watched.csv, so it is told apart by its file name.
+ */
+const parseLetterboxd = (text, { fileName = '' }) => {
+  const isWatchlist = /watchlist/i.test(fileName);
+
+  return parseCsv(text).map(record => ({
+    title: record.Name || record.Title,
+    year: toYear(record.Year),
+    type: 'movie',
+    tmdbId: record.tmdbID || null,
+    imdbId: record.imdbID || null,
+    rating: toRating(record.Rating, 'half_stars'),
+    watchedOn: toDate(record['Watched Date'] || record.WatchedDate),
+    rewatch: record.Rewatch === 'Yes',
+    status: isWatchlist ? 'plan_to_watch' : 'completed'
+  }));
+};
+
+const IMDB_TV_TYPES = ['tvSeries', 'tvMiniSeries', 'TV Series', 'TV Mini Series'];
+const IMDB_SKIPPED_TYPES = ['tvEpisode', 'TV Episode', 'videoGame', 'Video Game'];
+
+/**
+ * IMDb ratings.csv (or a list export, which has no "Your Rating")
+ */
+const parseImdb = (text) => parseCsv(text)
+  .filter(record => !IMDB_SKIPPED_TYPES.includes(record['Title Type']))
+  .map(record => ({
+    title: record.Title,
+    year: toYear(record.Year),
+    type: IMDB_TV_TYPES.includes(record['Title Type']) ? 'tv' : 'movie',
+    tmdbId: null,
+    imdbId: record.Const || null,
+    rating: toRating(record['Your Rating'], 'ten_point'),
+    watchedOn: null,
+    rewatch: false,
+    status: record['Your Rating'] ? 'completed' : 'plan_to_watch'
+  }));
+
+const LIST_STATUSES = ['watching', 'completed', 'plan_to_watch', 'dropped'];
+
+/**
+ * Trakt JSON: watched, ratings, history or watchlist exports of movies and shows
+ * Didi's own Trakt-style export adds each entry's list status.
+ */
+const parseTrakt = (text) => {
+  const entries = JSON.parse(text);
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected a Trakt export containing a list of entries');
+  }
+
+  return entries
+    .filter(entry => entry && (entry.movie || entry.show))
+    .map(entry => {
+      const item = entry.movie || entry.show;
+      const ids = item.ids || {};
+      const watched = entry.plays !== undefined || entry.watched_at || entry.last_watched_at;
+
+      return {
+        title: item.title,
+        year: toYear(item.year),
+        type: entry.movie ? 'movie' : 'tv',
+        tmdbId: ids.tmdb || null,
+        imdbId: ids.imdb || null,
+        rating: toRating(entry.rating, 'ten_point'),
+        watchedOn: toDate(entry.watched_at || entry.last_watched_at),
+        rewatch: entry.plays > 1,
+        status: LIST_STATUSES.includes(entry.status)
+          ? entry.status
+          : (watched || entry.rating ? 'completed' : 'plan_to_watch')
+      };
+    });
+};
+
+const PARSERS = {
+  letterboxd: parseLetterboxd,
+  imdb: parseImdb,
+  trakt: parseTrakt
+};
+
+/**
+ * Parse an export file
+ * @param {string} source - 'letterboxd', 'imdb' or 'trakt'
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.fileName - Name of the uploaded file
+ * @returns {Array<Object>} - Rows with a title
+ */
+const parseExport = (source, text, options = {}) => PARSERS[source](text, options).filter(row => row.title);
+
+module.exports = {
+  SOURCES: Object.keys(PARSERS),
+  parseExport
+};
+
+// services/historyImportService.js
+const { Op } = require('sequelize');
+const {
+  Content,
+  UserList,
+  UserContentInteraction,
+  DiaryEntry,
+  HistoryImport,
+  HistoryImportItem,
+  sequelize
+} = require('../models');
+const jobQueue = require('./jobQueue');
+const { parseExport } = require('./importParsers');
+const { normalizeTitle, titleSimilarity } = require('../utils/textMatch');
+
+const MAX_ROWS = 20000;
+const BATCH_SIZE = 200;
+
+// Title+year matches at or above this score are taken without asking,
+// as long as the runner-up is clearly worse
+const AUTO_MATCH_SCORE = 0.9;
+const AUTO_MATCH_MARGIN = 0.1;
+// Below this a candidate isn't worth showing
+const MIN_CANDIDATE_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'releaseYear', 'posterUrl'];
+
+/**
+ * History Import Service
+ * Imports watch history from other sites in two background jobs:
+ * matching, then (after the user reviews the matches) writing
+ */
+class HistoryImportService {
+  /**
+   * Parse an upload and queue matching
+   * @param {string} userId - User ID
+   * @param {Object} upload - { source, fileName, text }
+   * @returns {Promise<Object>} - HistoryImport instance
+   * @throws {Error} - With code INVALID_FILE when the file can't be read
+   */
+  async createImport(userId, { source, fileName, text }) {
+    let rows;
+    try {
+      rows = parseExport(source, text, { fileName });
+    } catch (error) {
+      const invalid = new Error(`This does not look like a ${source} export: ${error.message}`);
+      invalid.code = 'INVALID_FILE';
+      throw invalid;
+    }
+
+    if (rows.length === 0 || rows.length > MAX_ROWS) {
+      const invalid = new Error(rows.length === 0
+        ? 'No titles found in this file'
+        : `Files can have at most ${MAX_ROWS} rows`);
+      invalid.code = 'INVALID_FILE';
+      throw invalid;
+    }
+
+    const historyImport = await sequelize.transaction(async (transaction) => {
+      const created = await HistoryImport.create({
+        userId,
+        source,
+        fileName,
+        summary: { total: rows.length }
+      }, { transaction });
+
+      await HistoryImportItem.bulkCreate(
+        rows.map(row => ({ historyImportId: created.id, row })),
+        { transaction }
+      );
+
+      return created;
+    });
+
+    const job = await jobQueue.enqueue('historyImportMatch', { importId: historyImport.id }, { userId });
+    return historyImport.update({ jobId: job.id });
+  }
+
+  /**
+   * Get one of a user's imports with the progress of its current job
+   * @param {string} importId - HistoryImport ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getImport(importId, userId) {
+    const historyImport = await HistoryImport.findOne({ where: { id: importId, userId } });
+    if (!historyImport) return null;
+
+    const job = historyImport.jobId ? await jobQueue.getUserJob(historyImport.jobId, userId) : null;
+    const failed = Boolean(job && job.status === 'failed');
+
+    return {
+      ...historyImport.toJSON(),
+      // The queue retries failed jobs, so an import only fails once its job gives up
+      status: failed ? 'failed' : historyImport.status,
+      progress: job ? job.progress : 0,
+      error: failed ? job.error : null
+    };
+  }
+
+  /**
+   * Get a user's recent imports
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - HistoryImport instances
+   */
+  async getImports(userId) {
+    return HistoryImport.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit: 10
+    });
+  }
+
+  /**
+   * Get an import's items, e.g. the ambiguous ones for the review screen
+   * @param {string} importId - HistoryImport ID
+   * @param {Object} options
+   * @param {Array<string>} options.status - Item statuses to include
+   * @param {number} options.offset - Items to skip
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async getItems(importId, { status, offset = 0, limit = 50 }) {
+    const where = { historyImportId: importId };
+    if (status) {
+      where.status = status;
+    }
+
+    const { rows, count } = await HistoryImportItem.findAndCountAll({
+      where,
+      include: [{ model: Content, attributes: CONTENT_ATTRIBUTES }],
+      order: [['id', 'ASC']],
+      offset,
+      limit
+    });
+
+    return { items: rows, total: count };
+  }
+
+  /**
+   * Settle an item on the review screen: pick a title, or skip it
+   * @param {Object} item - HistoryImportItem instance
+   * @param {string|null} contentId - Chosen content, or null to skip the row
+   * @returns {Promise<Object>} - Updated item
+   */
+  async resolveItem(item, contentId) {
+    await item.update(contentId
+      ? { status: 'matched', contentId }
+      : { status: 'skipped', contentId: null });
+
+    await this.updateSummary(item.historyImportId);
+    return item;
+  }
+
+  /**
+   * Write the matched rows; items still ambiguous are skipped
+   * @param {string} importId - ID of an import in review
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Import with its new job, or null if it was no longer in review
+   */
+  async confirmImport(importId, userId) {
+    // Claim the import first, so confirming twice at once queues only one write
+    const [claimed] = await HistoryImport.update(
+      { status: 'importing' },
+      { where: { id: importId, userId, status: 'review' } }
+    );
+    if (claimed !== 1) return null;
+
+    let job;
+    try {
+      job = await jobQueue.enqueue('historyImportApply', { importId }, { userId });
+    } catch (error) {
+      await HistoryImport.update({ status: 'review' }, { where: { id: importId } });
+      throw error;
+    }
+    await HistoryImport.update({ jobId: job.id }, { where: { id: importId } });
+
+    return this.getImport(importId, userId);
+  }
+
+  /**
+   * Drop an import that hasn't been written yet
+   * Its matching job is cancelled if still queued; one already running stops at its next batch.
+   * @param {string} importId - HistoryImport ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async cancelImport(importId, userId) {
+    const historyImport = await HistoryImport.findOne({ where: { id: importId, userId }, attributes: ['jobId'] });
+    if (historyImport && historyImport.jobId) {
+      await jobQueue.cancelJob(historyImport.jobId);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await HistoryImportItem.destroy({ where: { historyImportId: importId }, transaction });
+      await HistoryImport.update(
+        { status: 'cancelled', summary: {} },
+        { where: { id: importId, userId }, transaction }
+      );
+    });
+  }
+
+  /**
+   * Match every row to content; runs as the "historyImportMatch" job
+   * @param {string} importId - HistoryImport ID
+   * @param {Object} context - Job context with reportProgress
+   * @returns {Promise<Object>} - Item counts by status
+   */
+  async matchImport(importId, { reportProgress }) {
+    const historyImport = await HistoryImport.findByPk(importId);
+    if (!historyImport || historyImport.status !== 'matching') return null;
+
+    const total = await HistoryImportItem.count({ where: { historyImportId: importId } });
+    let done = 0;
+    let items;
+
+    while ((items = await HistoryImportItem.findAll({
+      where: { historyImportId: importId, status: 'pending' },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    })).length > 0) {
+      for (const item of items) {
+        await item.update(await this.matchRow(item.row));
+      }
+
+      done += items.length;
+      await reportProgress((done / total) * 100);
+    }
+
+    // Leave an import cancelled while this ran as it is
+    const [updated] = await HistoryImport.update(
+      { status: 'review' },
+      { where: { id: importId, status: 'matching' } }
+    );
+    return updated ? this.updateSummary(importId) : null;
+  }
+
+  /**
+   * Write matched rows to the user's lists, ratings and diary; runs as the "historyImportApply" job
+   * @param {string} importId - HistoryImport ID
+   * @param {Object} context - Job context with reportProgress
+   * @returns {Promise<Object>} - Item counts by status
+   */
+  async applyImport(importId, { reportProgress }) {
+    const historyImport = await HistoryImport.findByPk(importId);
+    if (!historyImport || historyImport.status !== 'importing') return null;
+
+    const { userId } = historyImport;
+    const total = await HistoryImportItem.count({ where: { historyImportId: importId, status: 'matched' } });
+    let done = 0;
+    let items;
+
+    while ((items = await HistoryImportItem.findAll({
+      where: { historyImportId: importId, status: 'matched' },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    })).length > 0) {
+      await sequelize.transaction(async (transaction) => {
+        for (const item of items) {
+          await this.applyRow(userId, item.contentId, item.row, transaction);
+        }
+
+        await HistoryImportItem.update(
+          { status: 'imported' },
+          { where: { id: items.map(item => item.id) }, transaction }
+        );
+      });
+
+      done += items.length;
+      await reportProgress((done / Math.max(total, 1)) * 100);
+    }
+
+    // Anything left unresolved is not imported
+    await HistoryImportItem.update(
+      { status: 'skipped' },
+      { where: { historyImportId: importId, status: ['ambiguous', 'unmatched'] } }
+    );
+
+    const summary = await this.updateSummary(importId);
+    await historyImport.update({ status: 'completed' });
+    return summary;
+  }
+
+  /**
+   * Find the content a row refers to
+   * @private
+   */
+  async matchRow(row) {
+    const byId = [];
+    if (row.tmdbId) byId.push({ tmdbId: row.tmdbId });
+    if (row.imdbId) byId.push({ imdbId: row.imdbId });
+
+    if (byId.length > 0) {
+      const where = { [Op.or]: byId };
+      if (row.type) where.type = row.type;
+
+      const content = await Content.findOne({ where, attributes: ['id'] });
+      if (content) {
+        return { status: 'matched', contentId: content.id, candidates: [] };
+      }
+    }
+
+    const candidates = await this.findCandidates(row);
+    const [best, runnerUp] = candidates;
+
+    if (best && best.score >= AUTO_MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= AUTO_MATCH_MARGIN)) {
+      return { status: 'matched', contentId: best.contentId, candidates: [] };
+    }
+
+    return {
+      status: candidates.length > 0 ? 'ambiguous' : 'unmatched',
+      contentId: null,
+      candidates
+    };
+  }
+
+  /**
+   * Score titles with a similar name from around the same year
+   * @private
+   */
+  async findCandidates(row) {
+    const normalized = normalizeTitle(row.title);
+    const firstWord = normalized.split(' ')[0];
+    if (!firstWord) return [];
+
+    const where = { title: { [Op.iLike]: `%${firstWord.replace(/[%_\\]/g, '\\$&')}%` } };
+    if (row.year) where.releaseYear = { [Op.between]: [row.year - 1, row.year + 1] };
+    if (row.type) where.type = row.type;
+
+    const contents = await Content.findAll({ where, attributes: CONTENT_ATTRIBUTES, limit: 100 });
+
+    return contents
+      .map(content => {
+        // A year off by one is common (festival vs release dates); no year at all is less certain
+        let yearFactor = 0.85;
+        if (row.year && content.releaseYear) {
+          yearFactor = content.releaseYear === row.year ? 1 : 0.9;
+        }
+
+        return {
+          contentId: content.id,
+          title: content.title,
+          year: content.releaseYear,
+          type: content.type,
+          posterUrl: content.posterUrl,
+          score: Math.round(titleSimilarity(row.title, content.title) * yearFactor * 100) / 100
+        };
+      })
+      .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Write one row; imports never lower what the user already has
+   * @private
+   */
+  async applyRow(userId, contentId, row, transaction) {
+    // hooks: false keeps a history import from flooding followers' feeds
+    const entry = await UserList.findOne({ where: { userId, contentId }, transaction });
+    const changes = {};
+
+    if (!entry || (row.status === 'completed' && entry.status !== 'completed')) {
+      changes.status = row.status;
+    }
+    if (row.rating !== null && (!entry || entry.rating === null)) {
+      changes.rating = row.rating;
+    }
+
+    if (!entry) {
+      await UserList.create({ userId, contentId, ...changes }, { transaction, hooks: false });
+    } else if (Object.keys(changes).length > 0) {
+      await entry.update(changes, { transaction, hooks: false });
+    }
+
+    if (changes.rating !== undefined) {
+      await UserContentInteraction.create({
+        userId,
+        contentId,
+        interactionType: 'rate',
+        value: row.rating
+      }, { transaction });
+    }
+
+    if (row.watchedOn) {
+      await DiaryEntry.findOrCreate({
+        where: { userId, contentId, watchedOn: row.watchedOn },
+        defaults: { rating: row.rating, rewatch: row.rewatch },
+        transaction
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async updateSummary(importId) {
+    const rows = await HistoryImportItem.findAll({
+      where: { historyImportId: importId },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const summary = Object.fromEntries(rows.map(row => [row.status, Number(row.count)]));
+    summary.total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+
+    await HistoryImport.update({ summary }, { where: { id: importId } });
+    return summary;
+  }
+}
+
+module.exports = new HistoryImportService();
+
+// middleware/upload.js
+const multer = require('multer');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Accept one file in memory under the given field name
+ * @param {string} field - Form field holding the file
+ * @returns {Function} - Express middleware
+ */
+const singleFile = (field) => {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+  }).single(field);
+
+  return (req, res, next) => handler(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files can be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = { singleFile };
+
+// controllers/importController.js
+const { body, param, query } = require('express-validator');
+const { HistoryImportItem } = require('../models');
+const historyImportService = require('../services/historyImportService');
+const { SOURCES } = require('../services/importParsers');
+const validateRequest = require('../middleware/validateRequest');
+
+const ITEM_STATUSES = ['matched', 'ambiguous', 'unmatched', 'skipped', 'imported'];
+
+// Validation middleware
+const createImportValidation = [
+  body('source').isIn(SOURCES),
+  validateRequest
+];
+
+const importIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const getItemsValidation = [
+  param('id').isUUID(),
+  query('status').optional().isString().customSanitizer(value => value.split(',')),
+  query('status.*').isIn(ITEM_STATUSES),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validateRequest
+];
+
+const resolveItemValidation = [
+  param('id').isUUID(),
+  param('itemId').isUUID(),
+  body('contentId').optional({ nullable: true }).isUUID(),
+  validateRequest
+];
+
+/**
+ * Load one of the current user's imports, optionally requiring a status
+ * @private
+ */
+const loadImport = async (req, res, status) => {
+  const historyImport = await historyImportService.getImport(req.params.id, req.user.id);
+
+  if (!historyImport) {
+    res.status(404).json({
+      success: false,
+      message: 'Import not found'
+    });
+    return null;
+  }
+
+  if (status && !status.includes(historyImport.status)) {
+    res.status(409).json({
+      success: false,
+      code: 'IMPORT_STATUS',
+      message: `This import is ${historyImport.status}`
+    });
+    return null;
+  }
+
+  return historyImport;
+};
+
+/**
+ * Upload an export file and start matching it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createImport = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose an export file to upload'
+      });
+    }
+
+    const historyImport = await historyImportService.createImport(req.user.id, {
+      source: req.body.source,
+      fileName: req.file.originalname,
+      text: req.file.buffer.toString('utf8')
+    });
+
+    res.status(202).json({
+      success: true,
+      data: historyImport
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_FILE') {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_FILE',
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * List the current user's recent imports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getImports = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await historyImportService.getImports(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an import's status, counts and progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getImport = async (req, res, next) => {
+  try {
+    const historyImport = await loadImport(req, res);
+    if (!historyImport) return;
+
+    res.json({
+      success: true,
+      data: historyImport
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an import's items, filtered by status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getItems = async (req, res, next) => {
+  try {
+    const historyImport = await loadImport(req, res);
+    if (!historyImport) return;
+
+    const page = await historyImportService.getItems(historyImport.id, {
+      status: req.query.status,
+      offset: req.query.offset || 0,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: page
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pick the right title for an item, or skip it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resolveItem = async (req, res, next) => {
+  try {
+    const historyImport = await loadImport(req, res, ['review']);
+    if (!historyImport) return;
+
+    const item = await HistoryImportItem.findOne({
+      where: { id: req.params.itemId, historyImportId: historyImport.id }
+    });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    // Only titles offered as candidates may be chosen
+    const contentId = req.body.contentId || null;
+    if (contentId && !item.candidates.some(candidate => candidate.contentId === contentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'That title is not one of the suggested matches'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await historyImportService.resolveItem(item, contentId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Write the reviewed import in the background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const confirmImport = async (req, res, next) => {
+  try {
+    const historyImport = await loadImport(req, res, ['review']);
+    if (!historyImport) return;
+
+    const confirmed = await historyImportService.confirmImport(historyImport.id, req.user.id);
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        code: 'IMPORT_STATUS',
+        message: 'This import is no longer in review'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: confirmed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discard an import before it is written
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const cancelImport = async (req, res, next) => {
+  try {
+    const historyImport = await loadImport(req, res, ['matching', 'review', 'failed']);
+    if (!historyImport) return;
+
+    await historyImportService.cancelImport(historyImport.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Import cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createImport: [createImportValidation, createImport],
+  getImports,
+  getImport: [importIdValidation, getImport],
+  getItems: [getItemsValidation, getItems],
+  resolveItem: [resolveItemValidation, resolveItem],
+  confirmImport: [importIdValidation, confirmImport],
+  cancelImport: [importIdValidation, cancelImport]
+};
+
+// routes/index.js - Add import routes
+const importRoutes = require('./importRoutes');
+
+router.use('/imports', importRoutes);
+
+// routes/importRoutes.js
+const express = require('express');
+const importController = require('../controllers/importController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { singleFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// The file is parsed before validation so multipart fields are in req.body
+router.post('/', singleFile('file'), importController.createImport);
+router.get('/', importController.getImports);
+router.get('/:id', importController.getImport);
+router.get('/:id/items', importController.getItems);
+router.put('/:id/items/:itemId', importController.resolveItem);
+router.post('/:id/confirm', importController.confirmImport);
+router.delete('/:id', importController.cancelImport);
+
+module.exports = router;
@@ -0,0 +1,496 @@
+// src/components/import/ImportUpload.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import { FaFileUpload } from 'react-icons/fa';
+import api from '../../utils/api';
+import { SubmitButton, Message } from '../auth/AuthForm';
+
+const Form = styled.form`
+  display: grid;
+  gap: 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  padding: 20px;
+`;
+
+const Sources = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const SourceButton = styled.button`
+  flex: 1;
+  background: ${props => props.active ? props.theme.primary : props.theme.inputBg};
+  color: ${props => props.active ? props.theme.buttonText : props.theme.textPrimary};
+  border: 1px solid ${props => props.active ? props.theme.primary : props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const Hint = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+  line-height: 1.6;
+  margin: 0;
+`;
+
+const FileLabel = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 12px 15px;
+  border: 1px dashed ${props => props.theme.borderColor};
+  border-radius: 6px;
+  font-size: 14px;
+  cursor: pointer;
+
+  input {
+    display: none;
+  }
+`;
+
+const SOURCES = {
+  letterboxd: {
+    label: 'Letterboxd',
+    accept: '.csv',
+    hint: 'Settings → Import & Export → Export your data. Upload diary.csv for dated watches and rewatches, ratings.csv, watched.csv or watchlist.csv.'
+  },
+  imdb: {
+    label: 'IMDb',
+    accept: '.csv',
+    hint: 'Your Ratings → ⋯ → Export. Ratings are converted from 10 stars to 5. A watchlist export goes to Plan to Watch.'
+  },
+  trakt: {
+    label: 'Trakt',
+    accept: '.json',
+    hint: 'Settings → Data → Export. Upload a watched, history, ratings or watchlist JSON file.'
+  }
+};
+
+/**
+ * Pick a site and upload its export file
+ * @param {Object} props
+ * @param {Function} props.onUploaded - Called with the new import
+ */
+const ImportUpload = ({ onUploaded }) => {
+  const [source, setSource] = useState('letterboxd');
+  const [file, setFile] = useState(null);
+
+  const upload = useMutation(
+    () => {
+      const form = new FormData();
+      form.append('source', source);
+      form.append('file', file);
+      return api.post('/imports', form).then(res => res.data.data);
+    },
+    { onSuccess: onUploaded }
+  );
+
+  return (
+    <Form onSubmit={(e) => { e.preventDefault(); upload.mutate(); }}>
+      <Sources>
+        {Object.entries(SOURCES).map(([key, { label }]) => (
+          <SourceButton
+            key={key}
+            type="button"
+            active={source === key}
+            onClick={() => { setSource(key); setFile(null); }}
+          >
+            {label}
+          </SourceButton>
+        ))}
+      </Sources>
+
+      <Hint>{SOURCES[source].hint}</Hint>
+
+      <FileLabel>
+        <FaFileUpload />
+        {file ? file.name : `Choose a ${SOURCES[source].accept} file`}
+        <input
+          type="file"
+          accept={SOURCES[source].accept}
+          onChange={(e) => setFile(e.target.files[0] || null)}
+        />
+      </FileLabel>
+
+      {upload.isError && (
+        <Message error>{upload.error.response?.data?.message || 'Failed to upload the file'}</Message>
+      )}
+
+      <SubmitButton type="submit" disabled={!file || upload.isLoading}>
+        {upload.isLoading ? 'Uploading…' : 'Upload and match titles'}
+      </SubmitButton>
+    </Form>
+  );
+};
+
+export default ImportUpload;
+
+// src/components/import/ImportReview.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import useRatingScale from '../../hooks/useRatingScale';
+import { formatRating } from '../../utils/ratings';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+
+const ItemList = styled.div`
+  display: grid;
+  gap: 10px;
+`;
+
+const Item = styled.div`
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  padding: 15px;
+`;
+
+const ItemHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: baseline;
+  gap: 10px;
+  margin-bottom: 10px;
+`;
+
+const RowTitle = styled.div`
+  font-size: 16px;
+  font-weight: 600;
+
+  span {
+    font-size: 13px;
+    font-weight: 400;
+    color: ${props => props.theme.textSecondary};
+    margin-left: 6px;
+  }
+`;
+
+const Candidates = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 10px;
+`;
+
+const Candidate = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  background: ${props => props.selected ? props.theme.inputBg : 'transparent'};
+  border: 1px solid ${props => props.selected ? props.theme.primary : props.theme.borderColor};
+  border-radius: 6px;
+  padding: 6px 10px 6px 6px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+  text-align: left;
+  cursor: pointer;
+
+  img {
+    width: 32px;
+    height: 48px;
+    object-fit: cover;
+    border-radius: 3px;
+  }
+`;
+
+const Score = styled.div`
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const SkipButton = styled.button`
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+  cursor: pointer;
+  text-decoration: ${props => props.skipped ? 'none' : 'underline'};
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+`;
+
+const describeRow = (row, ratingScale) => [
+  row.rating && `Rated ${formatRating(row.rating, ratingScale)}`,
+  row.watchedOn && `Watched ${new Date(row.watchedOn).toLocaleDateString()}`,
+  row.status === 'plan_to_watch' && 'Watchlist'
+].filter(Boolean).join(' · ');
+
+/**
+ * Rows the importer couldn't match with confidence; the user picks a title or skips each one
+ * @param {Object} props
+ * @param {string} props.importId - HistoryImport ID
+ */
+const ImportReview = ({ importId }) => {
+  const queryClient = useQueryClient();
+  const ratingScale = useRatingScale();
+  const queryKey = ['imports', importId, 'review'];
+
+  const { data, isLoading, error } = useQuery(
+    queryKey,
+    () => api.get(`/imports/${importId}/items`, {
+      params: { status: 'ambiguous,unmatched,skipped', limit: 100 }
+    }).then(res => res.data.data)
+  );
+
+  const resolve = useMutation(
+    ({ itemId, contentId }) => api.put(`/imports/${importId}/items/${itemId}`, { contentId })
+      .then(res => res.data.data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(queryKey);
+        queryClient.invalidateQueries(['imports', importId]);
+      }
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load titles to review" />;
+  if (data.items.length === 0) return <Empty>Every title was matched.</Empty>;
+
+  return (
+    <ItemList>
+      {data.items.map(item => (
+        <Item key={item.id}>
+          <ItemHeader>
+            <RowTitle>
+              {item.row.title}
+              {item.row.year && <span>({item.row.year})</span>}
+            </RowTitle>
+            <Score>{describeRow(item.row, ratingScale)}</Score>
+          </ItemHeader>
+
+          <Candidates>
+            {item.candidates.map(candidate => (
+              <Candidate
+                key={candidate.contentId}
+                selected={item.contentId === candidate.contentId}
+                disabled={resolve.isLoading}
+                onClick={() => resolve.mutate({ itemId: item.id, contentId: candidate.contentId })}
+              >
+                {candidate.posterUrl && <img src={candidate.posterUrl} alt="" />}
+                <div>
+                  {candidate.title} {candidate.year && `(${candidate.year})`}
+                  <Score>{Math.round(candidate.score * 100)}% match</Score>
+                </div>
+              </Candidate>
+            ))}
+            {item.candidates.length === 0 && <Empty>No similar titles found.</Empty>}
+          </Candidates>
+
+          {item.candidates.length > 0 && (
+            <SkipButton
+              skipped={item.status === 'skipped'}
+              disabled={resolve.isLoading || item.status === 'skipped'}
+              onClick={() => resolve.mutate({ itemId: item.id, contentId: null })}
+            >
+              {item.status === 'skipped' ? 'Skipped' : 'None of these, skip it'}
+            </SkipButton>
+          )}
+        </Item>
+      ))}
+      {data.total > data.items.length && (
+        <Empty>
+          Showing {data.items.length} of {data.total}. Titles you don't review are skipped.
+        </Empty>
+      )}
+    </ItemList>
+  );
+};
+
+export default ImportReview;
+
+// src/pages/ImportHistory.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import ProgressBar from '../components/common/ProgressBar';
+import ImportUpload from '../components/import/ImportUpload';
+import ImportReview from '../components/import/ImportReview';
+import { SubmitButton, Message } from '../components/auth/AuthForm';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 800px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin: 0 0 10px 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const Section = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Counts = styled.div`
+  display: flex;
+  gap: 20px;
+  margin: 15px 0;
+  font-size: 14px;
+
+  strong {
+    display: block;
+    font-size: 22px;
+  }
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 10px;
+  margin-top: 20px;
+`;
+
+const CancelButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.borderColor};
+  color: ${props => props.theme.textSecondary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  cursor: pointer;
+`;
+
+const isRunning = (historyImport) => ['matching', 'importing'].includes(historyImport?.status);
+
+/**
+ * Import watch history from Letterboxd, IMDb or Trakt: upload, review the
+ * uncertain matches, then write everything in the background
+ */
+const ImportHistory = () => {
+  const queryClient = useQueryClient();
+  const [importId, setImportId] = useState(null);
+
+  // Pick up where the user left off, e.g. an import still in review
+  const { data: imports, isLoading: loadingImports } = useQuery(
+    'imports',
+    () => api.get('/imports').then(res => res.data.data),
+    {
+      onSuccess: (data) => {
+        if (!importId && data[0] && ['matching', 'review', 'importing'].includes(data[0].status)) {
+          setImportId(data[0].id);
+        }
+      }
+    }
+  );
+
+  const { data: historyImport, error } = useQuery(
+    ['imports', importId],
+    () => api.get(`/imports/${importId}`).then(res => res.data.data),
+    {
+      enabled: Boolean(importId),
+      refetchInterval: (data) => (isRunning(data) ? 2000 : false)
+    }
+  );
+
+  const confirm = useMutation(
+    () => api.post(`/imports/${importId}/confirm`).then(res => res.data.data),
+    { onSuccess: (data) => queryClient.setQueryData(['imports', importId], data) }
+  );
+
+  const cancel = useMutation(
+    () => api.delete(`/imports/${importId}`),
+    {
+      onSuccess: () => {
+        setImportId(null);
+        queryClient.invalidateQueries('imports');
+      }
+    }
+  );
+
+  if (loadingImports || (importId && !historyImport && !error)) return <Loader />;
+  if (error) return <Error message="Failed to load the import" />;
+
+  const summary = historyImport?.summary || {};
+  const done = historyImport && ['completed', 'cancelled', 'failed'].includes(historyImport.status);
+
+  return (
+    <Container>
+      <PageTitle>Import watch history</PageTitle>
+      <Text>
+        Bring your ratings, watched titles and diary from another site. Nothing is added to your
+        lists until you have checked the matches. Imported titles don't show up in your followers' feeds.
+      </Text>
+
+      {(!historyImport || done) && (
+        <Section>
+          {historyImport?.status === 'completed' && (
+            <Message>
+              Imported {summary.imported || 0} titles from {historyImport.fileName}
+              {summary.skipped ? `; ${summary.skipped} skipped` : ''}.
+            </Message>
+          )}
+          {historyImport?.status === 'failed' && (
+            <Message error>The import failed: {historyImport.error}</Message>
+          )}
+          <ImportUpload
+            onUploaded={(created) => {
+              queryClient.invalidateQueries('imports');
+              setImportId(created.id);
+            }}
+          />
+        </Section>
+      )}
+
+      {isRunning(historyImport) && (
+        <Section>
+          <Text>
+            {historyImport.status === 'matching'
+              ? `Matching ${summary.total} titles from ${historyImport.fileName}…`
+              : 'Adding titles to your lists…'}
+          </Text>
+          <ProgressBar percent={historyImport.progress} height={8} label="Import progress" />
+        </Section>
+      )}
+
+      {historyImport?.status === 'review' && (
+        <Section>
+          <Counts>
+            <div><strong>{summary.matched || 0}</strong>matched</div>
+            <div><strong>{(summary.ambiguous || 0) + (summary.unmatched || 0)}</strong>to review</div>
+            <div><strong>{summary.skipped || 0}</strong>skipped</div>
+          </Counts>
+
+          <ImportReview importId={historyImport.id} />
+
+          {(confirm.isError || cancel.isError) && (
+            <Message error>
+              {(confirm.error || cancel.error).response?.data?.message || 'Something went wrong'}
+            </Message>
+          )}
+
+          <Actions>
+            <SubmitButton onClick={() => confirm.mutate()} disabled={confirm.isLoading || !summary.matched}>
+              Import {summary.matched || 0} titles
+            </SubmitButton>
+            <CancelButton onClick={() => cancel.mutate()} disabled={cancel.isLoading}>
+              Discard
+            </CancelButton>
+          </Actions>
+        </Section>
+      )}
+
+      {imports.length > 0 && !importId && (
+        <Text>Last import: {new Date(imports[0].createdAt).toLocaleString()} ({imports[0].status})</Text>
+      )}
+    </Container>
+  );
+};
+
+export default ImportHistory;
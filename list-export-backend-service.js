@@ -0,0 +1,173 @@
+// services/listExportService.js
+// Writes a user's lists in formats other sites and spreadsheets understand.
+// The Letterboxd and Trakt formats are the ones services/importParsers.js reads,
+// so an export can be imported again.
+const { UserList, DiaryEntry, Content } = require('../models');
+const { toCsv } = require('../utils/csv');
+const { fromNormalized } = require('../utils/ratingScale');
+
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'releaseYear', 'tmdbId', 'imdbId'];
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  letterboxd: { extension: 'csv', contentType: 'text/csv' },
+  trakt: { extension: 'json', contentType: 'application/json' }
+};
+
+const toDateString = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+/**
+ * List Export Service
+ */
+class ListExportService {
+  /**
+   * Build an export file
+   * @param {string} userId - Owner of the lists
+   * @param {string} format - 'csv', 'letterboxd' or 'trakt'
+   * @param {Object} options
+   * @param {boolean} options.includeRatings - Whether the viewer may see ratings
+   * @param {boolean} options.includeDiary - Whether the viewer may see watch dates
+   * @param {string} options.ratingScale - Owner's rating scale, for the generic CSV
+   * @returns {Promise<Object>} - { body, contentType, extension }
+   */
+  async buildExport(userId, format, { includeRatings, includeDiary, ratingScale }) {
+    const [entries, diary] = await Promise.all([
+      UserList.findAll({
+        where: { userId },
+        include: [{ model: Content, attributes: CONTENT_ATTRIBUTES }],
+        order: [['createdAt', 'ASC']]
+      }),
+      includeDiary
+        ? DiaryEntry.findAll({ where: { userId }, order: [['watchedOn', 'ASC']] })
+        : []
+    ]);
+
+    const rows = entries.map(entry => ({
+      content: entry.Content,
+      status: entry.status,
+      rating: includeRatings ? entry.rating : null,
+      addedAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    }));
+
+    const watchesByContent = {};
+    diary.forEach(watch => {
+      (watchesByContent[watch.contentId] = watchesByContent[watch.contentId] || []).push(watch);
+    });
+
+    let body;
+    if (format === 'letterboxd') {
+      body = this.toLetterboxd(rows, watchesByContent, includeRatings);
+    } else if (format === 'trakt') {
+      body = this.toTrakt(rows, watchesByContent);
+    } else {
+      body = this.toGenericCsv(rows, watchesByContent, ratingScale);
+    }
+
+    return { body, ...FORMATS[format] };
+  }
+
+  /**
+   * Every list entry with its status, rating (on the owner's scale) and dates
+   * @private
+   */
+  toGenericCsv(rows, watchesByContent, ratingScale) {
+    return toCsv(rows.map(({ content, status, rating, addedAt, updatedAt }) => {
+      const watches = watchesByContent[content.id] || [];
+
+      return {
+        title: content.title,
+        type: content.type,
+        year: content.releaseYear,
+        tmdb_id: content.tmdbId,
+        imdb_id: content.imdbId,
+        status,
+        rating: fromNormalized(rating, ratingScale),
+        rating_scale: rating === null ? null : ratingScale,
+        added_at: addedAt,
+        updated_at: updatedAt,
+        last_watched_on: watches.length ? watches[watches.length - 1].watchedOn : null,
+        watch_count: watches.length
+      };
+    }), [
+      'title', 'type', 'year', 'tmdb_id', 'imdb_id', 'status', 'rating', 'rating_scale',
+      'added_at', 'updated_at', 'last_watched_on', 'watch_count'
+    ]);
+  }
+
+  /**
+   * Letterboxd's import format; it only knows films, so shows are left out
+   * Each diary entry becomes a dated row. Watched films without diary entries
+   * get one undated row, and the watchlist is left for a separate import.
+   * @private
+   */
+  toLetterboxd(rows, watchesByContent, includeRatings) {
+    const lines = [];
+
+    rows
+      .filter(({ content, status }) => content.type === 'movie' && status === 'completed')
+      .forEach(({ content, rating }) => {
+        const base = {
+          Title: content.title,
+          Year: content.releaseYear,
+          tmdbID: content.tmdbId,
+          imdbID: content.imdbId
+        };
+        const watches = watchesByContent[content.id] || [];
+
+        if (watches.length === 0) {
+          lines.push({ ...base, Rating: fromNormalized(rating, 'half_stars'), WatchedDate: null, Rewatch: null });
+          return;
+        }
+
+        watches.forEach(watch => lines.push({
+          ...base,
+          Rating: fromNormalized(includeRatings ? watch.rating || rating : null, 'half_stars'),
+          WatchedDate: watch.watchedOn,
+          Rewatch: watch.rewatch ? 'Yes' : null
+        }));
+      });
+
+    return toCsv(lines, ['Title', 'Year', 'tmdbID', 'imdbID', 'Rating', 'WatchedDate', 'Rewatch']);
+  }
+
+  /**
+   * Trakt-style JSON: one entry per title, ratings on Trakt's 1-10 scale
+   * @private
+   */
+  toTrakt(rows, watchesByContent) {
+    const entries = rows.map(({ content, status, rating, addedAt, updatedAt }) => {
+      const watches = watchesByContent[content.id] || [];
+      const item = {
+        title: content.title,
+        year: content.releaseYear,
+        ids: {
+          tmdb: content.tmdbId || null,
+          imdb: content.imdbId || null
+        }
+      };
+      const entry = {
+        type: content.type === 'movie' ? 'movie' : 'show',
+        [content.type === 'movie' ? 'movie' : 'show']: item,
+        status,
+        listed_at: addedAt
+      };
+
+      if (status === 'completed') {
+        entry.plays = Math.max(watches.length, 1);
+        entry.last_watched_at = watches.length ? watches[watches.length - 1].watchedOn : toDateString(updatedAt);
+      }
+      if (rating) {
+        entry.rating = fromNormalized(rating, 'ten_point');
+        entry.rated_at = updatedAt;
+      }
+
+      return entry;
+    });
+
+    return JSON.stringify(entries, null, 2);
+  }
+}
+
+module.exports = new ListExportService();
+module.exports.FORMATS = Object.keys(FORMATS);
@@ -0,0 +1,132 @@
+// src/components/profile/ExportListsButton.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import { FaDownload } from 'react-icons/fa';
+import api from '../../utils/api';
+
+const Wrapper = styled.div`
+  position: relative;
+  display: inline-block;
+`;
+
+const Button = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const Menu = styled.div`
+  position: absolute;
+  top: calc(100% + 6px);
+  right: 0;
+  z-index: 10;
+  min-width: 220px;
+  background: ${props => props.theme.cardBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
+  overflow: hidden;
+`;
+
+const MenuItem = styled.button`
+  display: block;
+  width: 100%;
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textPrimary};
+  padding: 10px 15px;
+  text-align: left;
+  font-size: 14px;
+  cursor: pointer;
+
+  span {
+    display: block;
+    font-size: 12px;
+    color: ${props => props.theme.textSecondary};
+  }
+
+  &:hover {
+    background: ${props => props.theme.inputBg};
+  }
+`;
+
+const ErrorText = styled.div`
+  font-size: 12px;
+  color: #e53935;
+  margin-top: 4px;
+`;
+
+const FORMATS = [
+  { format: 'csv', label: 'Spreadsheet (CSV)', description: 'Every title with status, rating and dates' },
+  { format: 'letterboxd', label: 'Letterboxd (CSV)', description: 'Watched films and diary, for Letterboxd import' },
+  { format: 'trakt', label: 'Trakt (JSON)', description: 'Movies and shows with IDs, ratings and status' }
+];
+
+/**
+ * Download a user's lists in one of the export formats
+ * @param {Object} props
+ * @param {string} props.userId - Owner of the lists
+ * @param {string} props.username - Used in the file name
+ */
+const ExportListsButton = ({ userId, username }) => {
+  const [open, setOpen] = useState(false);
+
+  const download = useMutation(
+    (format) => api.get(`/users/${userId}/lists/export`, { params: { format }, responseType: 'blob' })
+      .then(res => ({ format, blob: res.data })),
+    {
+      onSuccess: ({ format, blob }) => {
+        // The download needs the Authorization header, so it can't be a plain link
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `didi-${username}-${format}.${format === 'trakt' ? 'json' : 'csv'}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setOpen(false);
+      }
+    }
+  );
+
+  return (
+    <Wrapper>
+      <Button onClick={() => setOpen(!open)} disabled={download.isLoading}>
+        <FaDownload /> {download.isLoading ? 'Preparing…' : 'Export lists'}
+      </Button>
+      {open && (
+        <Menu>
+          {FORMATS.map(({ format, label, description }) => (
+            <MenuItem key={format} onClick={() => download.mutate(format)}>
+              {label}
+              <span>{description}</span>
+            </MenuItem>
+          ))}
+        </Menu>
+      )}
+      {download.isError && <ErrorText>Failed to export lists</ErrorText>}
+    </Wrapper>
+  );
+};
+
+export default ExportListsButton;
+
+// src/pages/Profile.js - Export lists button
+import ExportListsButton from '../components/profile/ExportListsButton';
+
+// In the profile header, next to the follow button; the endpoint follows the
+// owner's lists privacy, so it is shown wherever the lists tab is
+{visibility.lists && <ExportListsButton userId={profile.id} username={profile.username} />}
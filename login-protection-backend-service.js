@@ -0,0 +1,239 @@
+// models/loginAttempt.js
+// Audit trail of login attempts, also used to throttle by IP address
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Null when the email did not match an account'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('success', 'bad_password', 'bad_code', 'unknown_user', 'locked', 'throttled'),
+      allowNull: false
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['ipAddress', 'createdAt'] }
+    ]
+  });
+
+  return LoginAttempt;
+};
+
+// services/loginProtectionService.js
+const { Op } = require('sequelize');
+const { User, LoginAttempt } = require('../models');
+const accountTokenService = require('./accountTokenService');
+const mailService = require('./mail');
+const mailTemplates = require('./mail/templates');
+
+const MAX_ACCOUNT_FAILURES = 5;
+const LOCKOUT_MINUTES = 15;
+const DELAY_AFTER_FAILURES = 2;
+const MAX_IP_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Login Protection Service
+ * Per-account progressive delays and lockouts, per-IP throttling, and an
+ * audit log of attempts that users can review in their security settings.
+ */
+class LoginProtectionService {
+  /**
+   * Decide whether a login attempt may proceed to the password check
+   * @param {Object|null} user - User instance, or null if the email is unknown
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} - { allowed: true } or { allowed: false, status, message, retryAfter }
+   */
+  async checkAttempt(user, ipAddress) {
+    const ipFailures = await this.countRecentIpFailures(ipAddress);
+    if (ipFailures >= MAX_IP_FAILURES) {
+      return {
+        allowed: false,
+        status: 429,
+        reason: 'throttled',
+        message: 'Too many failed logins from your network, please try again later',
+        retryAfter: IP_WINDOW_MINUTES * 60
+      };
+    }
+
+    if (!user) {
+      return { allowed: true };
+    }
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return {
+        allowed: false,
+        status: 423,
+        reason: 'locked',
+        message: 'This account is temporarily locked after too many failed logins. Check your email to unlock it.',
+        retryAfter: Math.ceil((user.lockedUntil - Date.now()) / 1000)
+      };
+    }
+
+    const retryAfter = this.getRemainingDelay(user);
+    if (retryAfter > 0) {
+      return {
+        allowed: false,
+        status: 429,
+        reason: 'throttled',
+        message: `Too many failed logins, please wait ${retryAfter} seconds`,
+        retryAfter
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a failed attempt and lock the account if it crossed the threshold
+   * @param {Object|null} user - User instance, or null if the email is unknown
+   * @param {Object} attempt - { email, ipAddress, userAgent, reason }
+   * @returns {Promise<void>}
+   */
+  async recordFailure(user, attempt) {
+    await this.recordAttempt(user, { ...attempt, success: false });
+
+    // Attempts rejected before the password check don't count against the account
+    if (!user || ['locked', 'throttled'].includes(attempt.reason)) {
+      return;
+    }
+
+    // Increment in the database, so parallel attempts can't all read the same count
+    await user.update({ lastFailedLoginAt: new Date() });
+    await user.increment('failedLoginCount');
+    await user.reload();
+
+    if (user.failedLoginCount < MAX_ACCOUNT_FAILURES) {
+      return;
+    }
+
+    // Only the attempt that still finds the count over the threshold locks, so one email goes out
+    const [locked] = await User.update(
+      { failedLoginCount: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) },
+      { where: { id: user.id, failedLoginCount: { [Op.gte]: MAX_ACCOUNT_FAILURES } } }
+    );
+
+    if (locked) {
+      await user.reload();
+      const token = accountTokenService.createUnlockToken(user);
+      mailService.send(mailTemplates.accountLocked(user, token, attempt.ipAddress))
+        .catch(error => console.error('Error sending account locked email:', error));
+    }
+  }
+
+  /**
+   * Record a successful login and clear the failure counter
+   * @param {Object} user - User instance
+   * @param {Object} attempt - { email, ipAddress, userAgent }
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(user, attempt) {
+    await this.recordAttempt(user, { ...attempt, success: true, reason: 'success' });
+
+    if (user.failedLoginCount > 0 || user.lockedUntil) {
+      await user.update({ failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null });
+    }
+  }
+
+  /**
+   * Lift a lockout
+   * @param {Object} user - User instance
+   * @returns {Promise<void>}
+   */
+  async unlock(user) {
+    await user.update({ failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null });
+  }
+
+  /**
+   * Get a user's recent login attempts for their security settings
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of attempts to return
+   * @returns {Promise<Array>}
+   */
+  async getRecentAttempts(userId, { limit = 50 } = {}) {
+    return LoginAttempt.findAll({
+      where: { userId },
+      attributes: ['id', 'ipAddress', 'userAgent', 'success', 'reason', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+  }
+
+  /**
+   * Seconds the account must still wait before the next attempt
+   * Doubles with each failure after the first few: 1s, 2s, 4s...
+   */
+  getRemainingDelay(user) {
+    if (user.failedLoginCount <= DELAY_AFTER_FAILURES || !user.lastFailedLoginAt) {
+      return 0;
+    }
+
+    const delayMs = Math.pow(2, user.failedLoginCount - DELAY_AFTER_FAILURES - 1) * 1000;
+    const elapsed = Date.now() - new Date(user.lastFailedLoginAt).getTime();
+    return Math.max(0, Math.ceil((delayMs - elapsed) / 1000));
+  }
+
+  /**
+   * @private
+   */
+  async countRecentIpFailures(ipAddress) {
+    if (!ipAddress) return 0;
+
+    return LoginAttempt.count({
+      where: {
+        ipAddress,
+        success: false,
+        // Attempts turned away before the password check don't extend the throttle
+        reason: { [Op.notIn]: ['throttled', 'locked'] },
+        createdAt: { [Op.gt]: new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000) }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async recordAttempt(user, { email, ipAddress, userAgent, success, reason }) {
+    return LoginAttempt.create({
+      userId: user ? user.id : null,
+      email: email || (user && user.email) || null,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+      success,
+      reason
+    });
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,167 @@
+// src/utils/userAgent.js
+// Rough, human-readable descriptions of browser user agent strings
+
+export const isMobile = (userAgent = '') => /mobile|android|iphone|ipad/i.test(userAgent);
+
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find(name => userAgent.includes(name));
+
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ') || userAgent;
+};
+
+// src/pages/UnlockAccount.js
+import React, { useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useMutation } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import { Container, Title, Description, Message } from '../components/auth/AuthForm';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const unlock = useMutation(
+    () => api.post('/auth/unlock', { token }).then(res => res.data)
+  );
+
+  useEffect(() => {
+    if (token) {
+      unlock.mutate();
+    }
+  }, [token]);
+
+  return (
+    <Container>
+      <Title>Unlock account</Title>
+
+      {!token && <Message error>This unlock link is missing its token.</Message>}
+      {unlock.isLoading && <Loader />}
+      {unlock.isSuccess && <Message>{unlock.data.message}</Message>}
+      {unlock.isError && (
+        <Message error>
+          {unlock.error.response?.data?.message || 'Unlocking failed, please try again'}
+        </Message>
+      )}
+
+      <Description>
+        If you didn't try to log in, someone may know your password.{' '}
+        <Link to="/forgot-password">Reset it</Link> or <Link to="/login">log in</Link>.
+      </Description>
+    </Container>
+  );
+};
+
+export default UnlockAccount;
+
+// src/components/settings/LoginActivity.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery } from 'react-query';
+import { FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import api from '../../utils/api';
+import { describeDevice } from '../../utils/userAgent';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0 0 20px 0;
+`;
+
+const AttemptList = styled.div`
+  display: grid;
+  gap: 10px;
+`;
+
+const AttemptRow = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 10px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+
+  > svg {
+    font-size: 18px;
+    color: ${props => props.success ? '#43a047' : '#e53935'};
+  }
+`;
+
+const Info = styled.div`
+  flex: 1;
+  margin-left: 15px;
+`;
+
+const Outcome = styled.div`
+  font-size: 15px;
+  font-weight: 500;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+`;
+
+const OUTCOMES = {
+  success: 'Logged in',
+  bad_password: 'Wrong password',
+  bad_code: 'Wrong two-factor code',
+  locked: 'Blocked, account locked',
+  throttled: 'Blocked, too many attempts'
+};
+
+/**
+ * Recent successful and failed logins on the current user's account
+ */
+const LoginActivity = () => {
+  const { data: attempts, isLoading, error } = useQuery(
+    ['auth', 'login-attempts'],
+    () => api.get('/auth/login-attempts').then(res => res.data.data),
+    {
+      refetchOnWindowFocus: false
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load login activity" />;
+
+  return (
+    <Container>
+      <Title>Recent login activity</Title>
+
+      {attempts.length === 0 ? (
+        <Empty>No login attempts recorded yet.</Empty>
+      ) : (
+        <AttemptList>
+          {attempts.map(attempt => (
+            <AttemptRow key={attempt.id} success={attempt.success}>
+              {attempt.success ? <FaCheckCircle /> : <FaTimesCircle />}
+              <Info>
+                <Outcome>{OUTCOMES[attempt.reason] || attempt.reason}</Outcome>
+                <Meta>
+                  {describeDevice(attempt.userAgent)} · {attempt.ipAddress || 'Unknown IP'} · {new Date(attempt.createdAt).toLocaleString()}
+                </Meta>
+              </Info>
+            </AttemptRow>
+          ))}
+        </AttemptList>
+      )}
+    </Container>
+  );
+};
+
+export default LoginActivity;
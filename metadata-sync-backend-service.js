@@ -0,0 +1,890 @@
+// migrations/20261023000000-content-metadata-sync.js
+// Content is filled in from a metadata provider (TMDB). Titles are matched on
+// their TMDB ID, which is only unique within movies or within shows.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Contents', 'originalTitle', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('Contents', 'trailerKey', {
+        type: Sequelize.STRING,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('Contents', 'credits', {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: { cast: [], crew: [] }
+      }, { transaction });
+      await queryInterface.addColumn('Contents', 'popularity', {
+        type: Sequelize.FLOAT,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('Contents', 'tmdbSyncedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addIndex('Contents', ['type', 'tmdbId'], {
+        name: 'contents_type_tmdb_id',
+        unique: true,
+        transaction
+      });
+      await queryInterface.addIndex('Contents', ['tmdbSyncedAt'], {
+        name: 'contents_tmdb_synced_at',
+        transaction
+      });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeIndex('Contents', 'contents_tmdb_synced_at', { transaction });
+      await queryInterface.removeIndex('Contents', 'contents_type_tmdb_id', { transaction });
+      for (const column of ['tmdbSyncedAt', 'popularity', 'credits', 'trailerKey', 'originalTitle']) {
+        await queryInterface.removeColumn('Contents', column, { transaction });
+      }
+    });
+  }
+};
+
+// models/content.js - Metadata sync
+// Added to the Content attributes; see services/metadataSyncService.js
+originalTitle: {
+  type: DataTypes.STRING,
+  allowNull: true
+},
+trailerKey: {
+  type: DataTypes.STRING,
+  allowNull: true,
+  comment: 'YouTube video key of the main trailer'
+},
+popularity: {
+  type: DataTypes.FLOAT,
+  allowNull: true
+},
+tmdbSyncedAt: {
+  type: DataTypes.DATE,
+  allowNull: true,
+  comment: 'Last sync from the metadata provider; null means due for a refresh'
+}
+
+// Added to the Content options
+indexes: [
+  { unique: true, fields: ['type', 'tmdbId'] },
+  { fields: ['tmdbSyncedAt'] }
+]
+
+// models/contentImage.js
+// Posters, backdrops and logos of a title, as last synced
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ContentImage = sequelize.define('ContentImage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    kind: {
+      type: DataTypes.ENUM('poster', 'backdrop', 'logo'),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    language: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['contentId', 'kind'] }
+    ]
+  });
+
+  return ContentImage;
+};
+
+// models/contentVideo.js
+// Trailers, teasers and clips of a title, as last synced
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ContentVideo = sequelize.define('ContentVideo', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    site: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Where the video is hosted, e.g. YouTube'
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Video ID on the site'
+    },
+    kind: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Trailer, Teaser, Clip, Featurette...'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    official: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    publishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['contentId'] }
+    ]
+  });
+
+  return ContentVideo;
+};
+
+// services/metadata/tmdbMapper.js
+// Turns TMDB detail responses (with credits, images, videos and external_ids
+// appended) into the title records providers hand to the sync service.
+const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/';
+
+const IMAGE_SIZES = { poster: 'w500', backdrop: 'original', logo: 'w500', profile: 'w185' };
+
+// Keep the top of the cast and the crew roles people look for
+const MAX_CAST = 20;
+const CREW_JOBS = ['Director', 'Screenplay', 'Writer', 'Creator', 'Producer', 'Executive Producer', 'Original Music Composer', 'Director of Photography'];
+
+const imageUrl = (path, kind) => (path ? `${IMAGE_BASE_URL}${IMAGE_SIZES[kind]}${path}` : null);
+
+const toDate = (value) => (value ? value : null);
+
+/**
+ * TMDB votes are out of 10; ratings are stored normalized to 0-1
+ * Titles without votes have no rating rather than a zero.
+ */
+const toRating = (voteAverage, voteCount) => (
+  voteCount > 0 && voteAverage > 0 ? Math.round(voteAverage * 10) / 100 : null
+);
+
+const toImages = (images = {}) => [
+  ...(images.posters || []).map(image => ({ ...image, kind: 'poster' })),
+  ...(images.backdrops || []).map(image => ({ ...image, kind: 'backdrop' })),
+  ...(images.logos || []).map(image => ({ ...image, kind: 'logo' }))
+].map(image => ({
+  kind: image.kind,
+  url: imageUrl(image.file_path, image.kind),
+  width: image.width || null,
+  height: image.height || null,
+  language: image.iso_639_1 || null
+}));
+
+const toVideos = (videos = {}) => (videos.results || []).map(video => ({
+  site: video.site,
+  key: video.key,
+  kind: video.type,
+  name: video.name || null,
+  official: Boolean(video.official),
+  publishedAt: video.published_at || null
+}));
+
+const toCredits = (credits = {}, createdBy = []) => ({
+  cast: (credits.cast || [])
+    .slice()
+    .sort((a, b) => a.order - b.order)
+    .slice(0, MAX_CAST)
+    .map(person => ({
+      tmdbId: person.id,
+      name: person.name,
+      character: person.character || null,
+      order: person.order,
+      profileUrl: imageUrl(person.profile_path, 'profile'),
+      knownForDepartment: person.known_for_department || null
+    })),
+  crew: [
+    // Shows name their creators separately from the crew
+    ...createdBy.map(person => ({ ...person, job: 'Creator', department: 'Writing' })),
+    ...(credits.crew || []).filter(person => CREW_JOBS.includes(person.job))
+  ].map(person => ({
+    tmdbId: person.id,
+    name: person.name,
+    job: person.job,
+    department: person.department || null,
+    profileUrl: imageUrl(person.profile_path, 'profile'),
+    knownForDepartment: person.known_for_department || null
+  }))
+});
+
+/**
+ * Map a TMDB movie or show to a title record
+ * @param {string} type - 'movie' or 'tv'
+ * @param {Object} raw - TMDB detail response
+ * @returns {Object} - Title record
+ */
+const toTitle = (type, raw) => {
+  const isMovie = type === 'movie';
+  const releaseDate = toDate(isMovie ? raw.release_date : raw.first_air_date);
+
+  return {
+    tmdbId: raw.id,
+    type,
+    title: isMovie ? raw.title : raw.name,
+    originalTitle: (isMovie ? raw.original_title : raw.original_name) || null,
+    overview: raw.overview || null,
+    releaseDate,
+    releaseYear: releaseDate ? Number(releaseDate.slice(0, 4)) : null,
+    runtime: isMovie ? raw.runtime || null : (raw.episode_run_time || [])[0] || null,
+    rating: toRating(raw.vote_average, raw.vote_count),
+    popularity: raw.popularity ?? null,
+    imdbId: (raw.external_ids && raw.external_ids.imdb_id) || raw.imdb_id || null,
+    posterUrl: imageUrl(raw.poster_path, 'poster'),
+    backdropUrl: imageUrl(raw.backdrop_path, 'backdrop'),
+    genres: (raw.genres || []).map(genre => ({ tmdbId: genre.id, name: genre.name })),
+    credits: toCredits(raw.credits, raw.created_by),
+    images: toImages(raw.images),
+    videos: toVideos(raw.videos)
+  };
+};
+
+module.exports = { toTitle, toRating };
+
+// services/metadata/tmdbProvider.js
+const { toTitle } = require('./tmdbMapper');
+
+const API_URL = 'https://api.themoviedb.org/3';
+const REQUEST_TIMEOUT_MS = 10000;
+// TMDB only reports changes for the last 14 days
+const MAX_CHANGE_WINDOW_DAYS = 14;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+class TmdbProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - TMDB API key
+   * @param {string} options.language - Language for titles and overviews, e.g. en-US
+   */
+  constructor({ apiKey, language = 'en-US' }) {
+    if (!apiKey) {
+      throw new Error('TMDB_API_KEY is required for the tmdb metadata provider');
+    }
+    this.apiKey = apiKey;
+    this.language = language;
+  }
+
+  /**
+   * Get a movie or show with its credits, images and videos
+   * @param {string} type - 'movie' or 'tv'
+   * @param {number} tmdbId
+   * @returns {Promise<Object|null>} - Title record, or null if TMDB doesn't have it
+   */
+  async getTitle(type, tmdbId) {
+    const raw = await this.request(`/${type}/${tmdbId}`, {
+      append_to_response: 'credits,images,videos,external_ids',
+      // Images and videos in the title's language or with no language (text-free posters)
+      include_image_language: `${this.language.slice(0, 2)},null`,
+      include_video_language: `${this.language.slice(0, 2)},null`
+    });
+
+    return raw ? toTitle(type, raw) : null;
+  }
+
+  /**
+   * Get the IDs of titles changed since a time
+   * @param {string} type - 'movie' or 'tv'
+   * @param {Date} since
+   * @returns {Promise<Array<number>>}
+   */
+  async getChangedIds(type, since) {
+    const earliest = new Date(Date.now() - MAX_CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const params = { start_date: toDay(since > earliest ? since : earliest), end_date: toDay(new Date()) };
+
+    const ids = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const data = await this.request(`/${type}/changes`, { ...params, page });
+      ids.push(...data.results.filter(result => !result.adult).map(result => result.id));
+      totalPages = data.total_pages;
+      page += 1;
+    } while (page <= totalPages);
+
+    return ids;
+  }
+
+  /**
+   * Get the IDs of a page of currently popular titles
+   * @param {string} type - 'movie' or 'tv'
+   * @param {number} page - 1-based page number
+   * @returns {Promise<Array<number>>}
+   */
+  async getPopularIds(type, page = 1) {
+    const data = await this.request(`/${type}/popular`, { page });
+    return data.results.map(result => result.id);
+  }
+
+  /**
+   * GET from the API; 404s resolve to null and a 429 is retried once after the given wait
+   * @private
+   */
+  async request(path, params = {}, retried = false) {
+    const url = new URL(`${API_URL}${path}`);
+    Object.entries({ api_key: this.apiKey, language: this.language, ...params })
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+
+    if (response.status === 404) return null;
+    if (response.status === 429 && !retried) {
+      const wait = (Number(response.headers.get('retry-after')) || 1) * 1000;
+      await new Promise(resolve => setTimeout(resolve, wait));
+      return this.request(path, params, true);
+    }
+    if (!response.ok) {
+      throw new Error(`TMDB ${path} failed with status ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = TmdbProvider;
+
+// services/metadata/fixtureProvider.js
+// Serves saved TMDB responses from disk, so syncing works offline and in tests.
+// Layout: <dir>/<type>/<tmdbId>.json for details, <dir>/<type>/changes.json
+// and <dir>/<type>/popular.json for ID lists ({ "results": [{ "id": 603 }] }).
+const fs = require('fs/promises');
+const path = require('path');
+const { toTitle } = require('./tmdbMapper');
+
+class FixtureProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.fixtureDir - Directory of saved responses
+   */
+  constructor({ fixtureDir }) {
+    this.fixtureDir = path.resolve(fixtureDir);
+  }
+
+  /**
+   * Get a movie or show from its saved response
+   * @param {string} type - 'movie' or 'tv'
+   * @param {number} tmdbId
+   * @returns {Promise<Object|null>} - Title record, or null without a fixture
+   */
+  async getTitle(type, tmdbId) {
+    const raw = await this.read(type, String(tmdbId));
+    return raw ? toTitle(type, raw) : null;
+  }
+
+  /**
+   * Every title listed in changes.json counts as changed
+   * @param {string} type - 'movie' or 'tv'
+   * @returns {Promise<Array<number>>}
+   */
+  async getChangedIds(type) {
+    const data = await this.read(type, 'changes');
+    return data ? data.results.map(result => result.id) : [];
+  }
+
+  /**
+   * Titles listed in popular.json; there is only one page
+   * @param {string} type - 'movie' or 'tv'
+   * @param {number} page
+   * @returns {Promise<Array<number>>}
+   */
+  async getPopularIds(type, page = 1) {
+    const data = page === 1 ? await this.read(type, 'popular') : null;
+    return data ? data.results.map(result => result.id) : [];
+  }
+
+  /**
+   * @private
+   */
+  async read(type, name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.fixtureDir, type, `${name}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = FixtureProvider;
+
+// services/metadata/index.js
+const config = require('../../config');
+const TmdbProvider = require('./tmdbProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+const providers = {
+  tmdb: () => new TmdbProvider({ apiKey: config.tmdbApiKey, language: config.metadata.language }),
+  fixture: () => new FixtureProvider({ fixtureDir: config.metadata.fixtureDir })
+};
+
+/**
+ * Metadata Service
+ * Looks titles up through the provider named by config.metadata.provider.
+ * A provider is any object with getTitle(type, tmdbId), getChangedIds(type, since)
+ * and getPopularIds(type, page); see services/metadata/tmdbMapper.js for the
+ * title records getTitle resolves to.
+ */
+class MetadataService {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  getTitle(type, tmdbId) {
+    return this.provider.getTitle(type, tmdbId);
+  }
+
+  getChangedIds(type, since) {
+    return this.provider.getChangedIds(type, since);
+  }
+
+  getPopularIds(type, page) {
+    return this.provider.getPopularIds(type, page);
+  }
+
+  /**
+   * Swap the provider, e.g. for a FixtureProvider in tests
+   * @param {Object} provider - Any object implementing the provider methods
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+}
+
+const createProvider = providers[config.metadata.provider];
+if (!createProvider) {
+  throw new Error(`Unknown metadata provider "${config.metadata.provider}"`);
+}
+
+module.exports = new MetadataService(createProvider());
+module.exports.TmdbProvider = TmdbProvider;
+module.exports.FixtureProvider = FixtureProvider;
+
+// services/metadataSyncService.js
+const { Op } = require('sequelize');
+const { Content, ContentImage, ContentVideo, Genre, Person, Credit, Job, sequelize } = require('../models');
+const config = require('../config');
+const metadata = require('./metadata');
+const jobQueue = require('./jobQueue');
+const searchIndexService = require('./searchIndexService');
+const slugify = require('../utils/slugify');
+
+const TYPES = ['movie', 'tv'];
+
+const REFRESH_JOB = 'metadataRefresh';
+const IMPORT_POPULAR_JOB = 'metadataImportPopular';
+
+// Trailers first, official ones before fan uploads, newest first
+const VIDEO_KINDS = ['Trailer', 'Teaser'];
+
+const pickTrailer = (videos) => videos
+  .filter(video => video.site === 'YouTube' && VIDEO_KINDS.includes(video.kind))
+  .sort((a, b) => (VIDEO_KINDS.indexOf(a.kind) - VIDEO_KINDS.indexOf(b.kind))
+    || (b.official - a.official)
+    || String(b.publishedAt).localeCompare(String(a.publishedAt)))[0] || null;
+
+/**
+ * Metadata Sync Service
+ * Keeps Content in step with the metadata provider. Titles are matched on
+ * (type, tmdbId); a scheduled job refreshes titles the provider reports as
+ * changed, then whatever hasn't been synced for a while, a batch at a time.
+ */
+class MetadataSyncService {
+  /**
+   * Fetch a title from the provider and create or update its Content
+   * @param {string} type - 'movie' or 'tv'
+   * @param {number} tmdbId
+   * @returns {Promise<Object|null>} - Content instance, or null if the provider doesn't have it
+   */
+  async syncTitle(type, tmdbId) {
+    const title = await metadata.getTitle(type, tmdbId);
+    if (!title) return null;
+
+    const trailer = pickTrailer(title.videos);
+
+    return sequelize.transaction(async (transaction) => {
+      const fields = {
+        type,
+        tmdbId: title.tmdbId,
+        title: title.title,
+        originalTitle: title.originalTitle,
+        overview: title.overview,
+        releaseDate: title.releaseDate,
+        releaseYear: title.releaseYear,
+        runtime: title.runtime,
+        rating: title.rating,
+        popularity: title.popularity,
+        imdbId: title.imdbId,
+        posterUrl: title.posterUrl,
+        backdropUrl: title.backdropUrl,
+        trailerKey: trailer ? trailer.key : null,
+        // Kept alongside the Genre links for display and simple filters
+        genres: title.genres.map(genre => genre.name),
+        tmdbSyncedAt: new Date()
+      };
+
+      let content = await Content.findOne({ where: { type, tmdbId: title.tmdbId }, transaction });
+      if (content) {
+        await content.update(fields, { transaction });
+      } else {
+        content = await Content.create(fields, { transaction });
+      }
+
+      const genres = [];
+      for (const genre of title.genres) {
+        genres.push(await this.upsertGenre(genre, transaction));
+      }
+      await content.setGenres(genres, { transaction });
+      await this.replaceCredits(content, title.credits, transaction);
+      await searchIndexService.refresh(content.id, { transaction });
+
+      // Images and videos are replaced wholesale; the provider's list is the truth
+      await ContentImage.destroy({ where: { contentId: content.id }, transaction });
+      await ContentVideo.destroy({ where: { contentId: content.id }, transaction });
+      await ContentImage.bulkCreate(
+        title.images.map(image => ({ ...image, contentId: content.id })),
+        { transaction }
+      );
+      await ContentVideo.bulkCreate(
+        title.videos.map(video => ({ ...video, contentId: content.id })),
+        { transaction }
+      );
+
+      return content;
+    });
+  }
+
+  /**
+   * Add the provider's currently popular titles, e.g. to fill an empty catalogue
+   * @param {Object} options
+   * @param {number} options.pages - Pages of each type to import
+   * @param {Function} options.reportProgress
+   * @returns {Promise<Object>} - { synced, failed }
+   */
+  async importPopular({ pages = 1, reportProgress = () => {} } = {}) {
+    const ids = [];
+    for (const type of TYPES) {
+      for (let page = 1; page <= pages; page++) {
+        (await metadata.getPopularIds(type, page)).forEach(tmdbId => ids.push({ type, tmdbId }));
+      }
+    }
+
+    return this.syncAll(ids, reportProgress);
+  }
+
+  /**
+   * Queue an import of popular titles; it syncs each title in turn, too slow for a request
+   * @param {number} pages - Pages of each type to import
+   * @param {string} userId - Moderator who asked for it
+   * @returns {Promise<Object>} - Job instance
+   */
+  async queueImportPopular(pages, userId) {
+    return jobQueue.enqueue(IMPORT_POPULAR_JOB, { pages }, { userId });
+  }
+
+  /**
+   * Refresh titles changed at the provider since a time, then the stalest others
+   * @param {Object} options
+   * @param {Date|null} options.since - When the last refresh started; null skips the change check
+   * @param {number} options.limit - Most titles to refresh
+   * @param {Function} options.reportProgress
+   * @returns {Promise<Object>} - { changed, synced, failed }
+   */
+  async refreshStale({ since = null, limit = config.metadata.refreshBatchSize, reportProgress = () => {} } = {}) {
+    let changed = 0;
+    if (since) {
+      for (const type of TYPES) {
+        const ids = await metadata.getChangedIds(type, since);
+        if (ids.length === 0) continue;
+
+        // Only titles we already have; a null sync time puts them first in line
+        const [count] = await Content.update(
+          { tmdbSyncedAt: null },
+          { where: { type, tmdbId: ids } }
+        );
+        changed += count;
+      }
+    }
+
+    const staleBefore = new Date(Date.now() - config.metadata.staleAfterDays * 24 * 60 * 60 * 1000);
+    const stale = await Content.findAll({
+      where: {
+        tmdbId: { [Op.ne]: null },
+        [Op.or]: [{ tmdbSyncedAt: null }, { tmdbSyncedAt: { [Op.lt]: staleBefore } }]
+      },
+      attributes: ['type', 'tmdbId'],
+      order: [[sequelize.literal('"tmdbSyncedAt" ASC NULLS FIRST')]],
+      limit
+    });
+
+    return { changed, ...await this.syncAll(stale, reportProgress) };
+  }
+
+  /**
+   * Run one refresh and queue the next; registered as the metadataRefresh job
+   * A failed run is retried by the queue with the same `since`, so no changes are missed.
+   * @param {Object} payload - { since } from the previous run
+   * @param {Object} context - Job context from the queue
+   * @returns {Promise<Object>} - Refresh counts
+   */
+  async runRefreshJob(payload, { reportProgress }) {
+    const startedAt = new Date();
+    const result = await this.refreshStale({
+      since: payload.since ? new Date(payload.since) : null,
+      reportProgress
+    });
+
+    await jobQueue.enqueue(REFRESH_JOB, { since: startedAt.toISOString() }, {
+      runAt: new Date(Date.now() + config.metadata.refreshIntervalMinutes * 60 * 1000)
+    });
+
+    return result;
+  }
+
+  /**
+   * Queue the refresh job unless one is already waiting; call once at startup
+   * @returns {Promise<void>}
+   */
+  async scheduleRefresh() {
+    const pending = await Job.count({ where: { type: REFRESH_JOB, status: ['queued', 'running'] } });
+    if (pending === 0) {
+      await jobQueue.enqueue(REFRESH_JOB, { since: null });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async upsertGenre({ tmdbId, name }, transaction) {
+    const [genre] = await Genre.findOrCreate({
+      where: { tmdbId },
+      defaults: { name, slug: slugify(name) },
+      transaction
+    });
+    return genre;
+  }
+
+  /**
+   * Replace a title's credits, creating or updating the people in them
+   * @private
+   */
+  async replaceCredits(content, { cast, crew }, transaction) {
+    const people = new Map();
+    for (const credit of [...cast, ...crew]) {
+      if (people.has(credit.tmdbId)) continue;
+
+      const fields = { name: credit.name, profileUrl: credit.profileUrl, knownForDepartment: credit.knownForDepartment };
+      const [person, created] = await Person.findOrCreate({
+        where: { tmdbId: credit.tmdbId },
+        defaults: fields,
+        transaction
+      });
+      if (!created) await person.update(fields, { transaction });
+      people.set(credit.tmdbId, person.id);
+    }
+
+    await Credit.destroy({ where: { contentId: content.id }, transaction });
+    await Credit.bulkCreate([
+      ...cast.map(credit => ({
+        contentId: content.id,
+        personId: people.get(credit.tmdbId),
+        role: 'cast',
+        character: credit.character,
+        department: 'Acting',
+        order: credit.order
+      })),
+      ...crew.map(credit => ({
+        contentId: content.id,
+        personId: people.get(credit.tmdbId),
+        role: 'crew',
+        job: credit.job,
+        department: credit.department
+      }))
+    ], { transaction });
+  }
+
+  /**
+   * Sync titles one at a time; a failing title is logged and skipped
+   * @private
+   */
+  async syncAll(titles, reportProgress = () => {}) {
+    let synced = 0;
+    let failed = 0;
+
+    for (const [index, { type, tmdbId }] of titles.entries()) {
+      try {
+        if (await this.syncTitle(type, tmdbId)) synced += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`Error syncing ${type} ${tmdbId}:`, error);
+      }
+      await reportProgress(((index + 1) / titles.length) * 100);
+    }
+
+    return { synced, failed };
+  }
+}
+
+module.exports = new MetadataSyncService();
+module.exports.REFRESH_JOB = REFRESH_JOB;
+module.exports.IMPORT_POPULAR_JOB = IMPORT_POPULAR_JOB;
+
+// controllers/metadataController.js
+const { body, param } = require('express-validator');
+const metadataSyncService = require('../services/metadataSyncService');
+const { IMPORT_POPULAR_JOB } = require('../services/metadataSyncService');
+const jobQueue = require('../services/jobQueue');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const importTitleValidation = [
+  body('type').isIn(['movie', 'tv']),
+  body('tmdbId').isInt({ min: 1 }).toInt(),
+  validateRequest
+];
+
+const importPopularValidation = [
+  body('pages').optional().isInt({ min: 1, max: 10 }).toInt(),
+  validateRequest
+];
+
+const importJobValidation = [
+  param('jobId').isUUID(),
+  validateRequest
+];
+
+const serializeImportJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Add or refresh one title from the metadata provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const importTitle = async (req, res, next) => {
+  try {
+    const content = await metadataSyncService.syncTitle(req.body.type, req.body.tmdbId);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'The metadata provider has no such title'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: content
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start adding the provider's popular titles in the background
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const importPopular = async (req, res, next) => {
+  try {
+    const job = await metadataSyncService.queueImportPopular(req.body.pages || 1, req.user.id);
+
+    res.status(202).json({
+      success: true,
+      data: serializeImportJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the progress and counts of a popular titles import
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getImportPopularJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.getUserJob(req.params.jobId, req.user.id);
+    if (!job || job.type !== IMPORT_POPULAR_JOB) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeImportJob(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  importTitle: [importTitleValidation, importTitle],
+  importPopular: [importPopularValidation, importPopular],
+  getImportPopularJob: [importJobValidation, getImportPopularJob]
+};
+
+// routes/contentRoutes.js - Metadata import
+const metadataController = require('../controllers/metadataController');
+
+// Declared before /:id so "import" isn't treated as a content ID
+router.post('/import', authMiddleware, requirePermission('content:curate'), metadataController.importTitle);
+router.post('/import/popular', authMiddleware, requirePermission('content:curate'), metadataController.importPopular);
+router.get('/import/popular/:jobId', authMiddleware, requirePermission('content:curate'), metadataController.getImportPopularJob);
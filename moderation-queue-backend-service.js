@@ -0,0 +1,709 @@
+// migrations/20261022000000-moderation-queue.js
+// Reported comments and forum posts can be hidden pending review, and users
+// can be suspended from posting. Reports and the action log are new tables.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of ['Comments', 'ForumPosts']) {
+        await queryInterface.addColumn(table, 'hiddenAt', {
+          type: Sequelize.DATE,
+          allowNull: true
+        }, { transaction });
+        await queryInterface.addColumn(table, 'reportCount', {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        }, { transaction });
+      }
+
+      await queryInterface.addColumn('Users', 'suspendedUntil', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('Users', 'suspendedUntil', { transaction });
+      for (const table of ['Comments', 'ForumPosts']) {
+        await queryInterface.removeColumn(table, 'reportCount', { transaction });
+        await queryInterface.removeColumn(table, 'hiddenAt', { transaction });
+      }
+    });
+  }
+};
+
+// models/comment.js - Moderation
+// Added to the Comment attributes; see services/moderationService.js
+hiddenAt: {
+  type: DataTypes.DATE,
+  allowNull: true,
+  comment: 'Set when hidden by a moderator, by enough reports or by screening'
+},
+reportCount: {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0
+}
+
+// models/forumPost.js - Moderation
+// Added to the ForumPost attributes; see services/moderationService.js
+hiddenAt: {
+  type: DataTypes.DATE,
+  allowNull: true,
+  comment: 'Set when hidden by a moderator, by enough reports or by screening'
+},
+reportCount: {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0
+}
+
+// models/report.js
+// A flag raised on a comment or forum post, by a user or by text screening
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Report = sequelize.define('Report', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    reporterId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Null when raised by text screening'
+    },
+    targetType: {
+      type: DataTypes.ENUM('comment', 'forum_post'),
+      allowNull: false
+    },
+    targetId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM('spam', 'harassment', 'hate', 'spoilers', 'inappropriate', 'other', 'screening'),
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'actioned', 'dismissed'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    resolvedById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['reporterId', 'targetType', 'targetId'] },
+      { fields: ['status', 'targetType', 'targetId'] }
+    ]
+  });
+
+  return Report;
+};
+
+// models/moderationAction.js
+// Log of what moderators (or automatic hiding) did, and why
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ModerationAction = sequelize.define('ModerationAction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    moderatorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Null for automatic actions'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Author of the content acted on'
+    },
+    targetType: {
+      type: DataTypes.ENUM('comment', 'forum_post'),
+      allowNull: false
+    },
+    targetId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('hide', 'restore', 'delete', 'warn', 'suspend', 'dismiss', 'auto_hide'),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    suspendedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['targetType', 'targetId'] },
+      { fields: ['userId'] },
+      { fields: ['createdAt'] }
+    ]
+  });
+
+  return ModerationAction;
+};
+
+// services/screening/wordListScreener.js
+// Flags text containing any word or phrase from a local list, one per line.
+// Matching ignores case and only counts whole words, so "class" doesn't
+// match "ass". Lines starting with # are comments.
+const fs = require('fs');
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class WordListScreener {
+  /**
+   * @param {Array<string>} words - Words and phrases to flag
+   */
+  constructor(words) {
+    const terms = words.map(word => word.trim().toLowerCase()).filter(Boolean);
+    this.pattern = terms.length > 0
+      ? new RegExp(`(?<![\\w])(${terms.map(escape).join('|')})(?![\\w])`, 'giu')
+      : null;
+  }
+
+  /**
+   * Read the list from a file; a missing file gives an empty list
+   * @param {string} file - Path to the word list
+   * @returns {WordListScreener}
+   */
+  static fromFile(file) {
+    try {
+      return new WordListScreener(
+        fs.readFileSync(file, 'utf8').split('\n').filter(line => !line.trim().startsWith('#'))
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`Moderation word list ${file} not found; screening will not flag anything`);
+      return new WordListScreener([]);
+    }
+  }
+
+  /**
+   * Check text against the list
+   * @param {string} text
+   * @returns {Promise<Object>} - { flagged, matches }
+   */
+  async screen(text) {
+    if (!this.pattern || !text) return { flagged: false, matches: [] };
+
+    const matches = [...new Set((text.match(this.pattern) || []).map(match => match.toLowerCase()))];
+    return { flagged: matches.length > 0, matches };
+  }
+}
+
+module.exports = WordListScreener;
+
+// services/screening/index.js
+const config = require('../../config');
+const WordListScreener = require('./wordListScreener');
+
+const screeners = {
+  none: () => ({ screen: async () => ({ flagged: false, matches: [] }) }),
+  wordlist: () => WordListScreener.fromFile(config.moderation.wordListFile)
+};
+
+/**
+ * Screening Service
+ * Checks new and edited comments and posts with the screener named by
+ * config.moderation.screener. A screener is any object with an async
+ * screen(text) method resolving to { flagged, matches }.
+ */
+class ScreeningService {
+  constructor(screener) {
+    this.screener = screener;
+  }
+
+  /**
+   * Check a piece of text
+   * @param {string} text
+   * @returns {Promise<Object>} - { flagged, matches }
+   */
+  async screen(text) {
+    return this.screener.screen(text);
+  }
+
+  /**
+   * Swap the screener, e.g. for a hosted classifier
+   * @param {Object} screener - Any object with a screen(text) method
+   */
+  setScreener(screener) {
+    this.screener = screener;
+  }
+}
+
+const createScreener = screeners[config.moderation.screener];
+if (!createScreener) {
+  throw new Error(`Unknown moderation screener "${config.moderation.screener}"`);
+}
+
+module.exports = new ScreeningService(createScreener());
+module.exports.WordListScreener = WordListScreener;
+
+// services/moderationService.js
+const { Op, fn, col, literal } = require('sequelize');
+const { User, Comment, ForumPost, Report, ModerationAction, Notification, sequelize } = require('../models');
+const config = require('../config');
+const commentService = require('./commentService');
+const screening = require('./screening');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'spoilers', 'inappropriate', 'other'];
+
+const ACTIONS = ['hide', 'restore', 'delete', 'warn', 'suspend', 'dismiss'];
+
+const TARGETS = {
+  comment: { model: Comment, textField: 'text', label: 'comment' },
+  forum_post: { model: ForumPost, textField: 'content', label: 'forum post' }
+};
+
+const USER_ATTRIBUTES = ['id', 'username', 'avatar'];
+
+// What the author is told for each action; the moderator's reason is added when given
+const NOTICES = {
+  hide: (label) => `Your ${label} was hidden by a moderator`,
+  delete: (label) => `Your ${label} was removed by a moderator`,
+  warn: (label) => `You received a warning about your ${label}`,
+  suspend: (label, until) => `You can't post until ${until.toDateString()} because of your ${label}`
+};
+
+/**
+ * Moderation Service
+ * Reports on comments and forum posts, the moderation queue built from them,
+ * and the logged actions moderators take
+ */
+class ModerationService {
+  /**
+   * Load a reported item, unless it is gone
+   * @param {string} targetType - 'comment' or 'forum_post'
+   * @param {string} targetId
+   * @returns {Promise<Object|null>} - Comment or ForumPost instance
+   */
+  async findTarget(targetType, targetId) {
+    const target = await TARGETS[targetType].model.findByPk(targetId);
+    return target && !target.deletedAt ? target : null;
+  }
+
+  /**
+   * Report an item; enough open reports hide it until a moderator looks
+   * @param {Object} reporter - User instance
+   * @param {string} targetType - 'comment' or 'forum_post'
+   * @param {Object} target - Comment or ForumPost instance
+   * @param {Object} report - { reason, details }
+   * @returns {Promise<Object>} - { report, created }; created is false for a repeat report
+   */
+  async report(reporter, targetType, target, { reason, details = null }) {
+    return sequelize.transaction(async (transaction) => {
+      // Lock the item so simultaneous reports are counted one after another
+      // and only one of them hides it
+      const locked = await TARGETS[targetType].model.findByPk(target.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const [report, created] = await Report.findOrCreate({
+        where: { reporterId: reporter.id, targetType, targetId: target.id },
+        defaults: { reason, details },
+        transaction
+      });
+      if (!created) return { report, created };
+
+      await locked.increment('reportCount', { transaction });
+
+      const open = await Report.count({
+        where: { targetType, targetId: target.id, status: 'open' },
+        transaction
+      });
+      if (open >= config.moderation.autoHideReports && !locked.hiddenAt) {
+        await this.hideAutomatically(targetType, locked, `Reported ${open} times`, transaction);
+      }
+
+      return { report, created };
+    });
+  }
+
+  /**
+   * Screen an item's text; flagged items are hidden and queued for review
+   * Errors are logged so a failing screener never loses a post.
+   * @param {string} targetType - 'comment' or 'forum_post'
+   * @param {Object} target - Comment or ForumPost instance
+   * @returns {Promise<boolean>} - Whether it was flagged
+   */
+  async screen(targetType, target) {
+    try {
+      const { flagged, matches } = await screening.screen(target[TARGETS[targetType].textField]);
+      if (!flagged || target.hiddenAt) return flagged;
+
+      const reason = `Screening matched: ${matches.join(', ')}`;
+      await sequelize.transaction(async (transaction) => {
+        await Report.create({
+          reporterId: null,
+          targetType,
+          targetId: target.id,
+          reason: 'screening',
+          details: reason
+        }, { transaction });
+        await this.hideAutomatically(targetType, target, reason, transaction);
+      });
+      return true;
+    } catch (error) {
+      console.error('Error screening content:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a page of the queue: items with open reports, most reported first
+   * @param {Object} options
+   * @param {string} options.targetType - Only this kind of item, when given
+   * @param {number} options.offset - Items to skip
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async getQueue({ targetType = null, offset = 0, limit = 20 } = {}) {
+    const where = { status: 'open', ...(targetType && { targetType }) };
+
+    const [groups, counts] = await Promise.all([
+      Report.findAll({
+        where,
+        attributes: [
+          'targetType',
+          'targetId',
+          [fn('COUNT', col('id')), 'reportCount'],
+          [fn('MIN', col('createdAt')), 'firstReportedAt']
+        ],
+        group: ['targetType', 'targetId'],
+        order: [[literal('"reportCount"'), 'DESC'], [literal('"firstReportedAt"'), 'ASC']],
+        offset,
+        limit,
+        raw: true
+      }),
+      Report.count({ where, group: ['targetType', 'targetId'] })
+    ]);
+    if (groups.length === 0) return { items: [], total: counts.length };
+
+    const reports = await Report.findAll({
+      where: {
+        status: 'open',
+        [Op.or]: groups.map(({ targetType: type, targetId }) => ({ targetType: type, targetId }))
+      },
+      include: [{ model: User, as: 'reporter', attributes: USER_ATTRIBUTES }],
+      order: [['createdAt', 'ASC']]
+    });
+    const targets = await this.loadTargets(groups);
+
+    return {
+      items: groups.map(group => {
+        const key = `${group.targetType}:${group.targetId}`;
+        return {
+          targetType: group.targetType,
+          targetId: group.targetId,
+          reportCount: Number(group.reportCount),
+          firstReportedAt: group.firstReportedAt,
+          target: targets[key] ? this.serializeTarget(group.targetType, targets[key]) : null,
+          reports: reports
+            .filter(report => `${report.targetType}:${report.targetId}` === key)
+            .map(report => ({
+              id: report.id,
+              reason: report.reason,
+              details: report.details,
+              reporter: report.reporter,
+              createdAt: report.createdAt
+            }))
+        };
+      }),
+      total: counts.length
+    };
+  }
+
+  /**
+   * Act on a reported item, close its open reports and log what was done
+   * @param {Object} moderator - User instance
+   * @param {string} targetType - 'comment' or 'forum_post'
+   * @param {Object} target - Comment or ForumPost instance
+   * @param {Object} options
+   * @param {string} options.action - One of ACTIONS
+   * @param {string} options.reason - Shown to the author and kept in the log
+   * @param {number} options.suspendDays - How long a suspension lasts
+   * @returns {Promise<Object>} - ModerationAction instance
+   */
+  async takeAction(moderator, targetType, target, { action, reason = null, suspendDays = 7 }) {
+    const { label } = TARGETS[targetType];
+    const author = await User.findByPk(target.userId);
+    let suspendedUntil = null;
+
+    // Comment deletion runs its own transaction to keep the thread's reply counts right
+    if (action === 'delete' && targetType === 'comment') {
+      await commentService.deleteComment(target);
+    }
+
+    const logged = await sequelize.transaction(async (transaction) => {
+      if (action === 'hide') {
+        await target.update({ hiddenAt: new Date() }, { transaction });
+      } else if (action === 'restore' || (action === 'dismiss' && target.hiddenAt)) {
+        await target.update({ hiddenAt: null }, { transaction });
+      } else if (action === 'delete' && targetType === 'forum_post') {
+        await target.destroy({ transaction });
+      } else if (action === 'suspend') {
+        suspendedUntil = new Date(Date.now() + suspendDays * 24 * 60 * 60 * 1000);
+        await author.update({ suspendedUntil }, { transaction });
+      }
+
+      await Report.update({
+        status: action === 'dismiss' || action === 'restore' ? 'dismissed' : 'actioned',
+        resolvedById: moderator.id,
+        resolvedAt: new Date()
+      }, {
+        where: { targetType, targetId: target.id, status: 'open' },
+        transaction
+      });
+
+      return ModerationAction.create({
+        moderatorId: moderator.id,
+        userId: target.userId,
+        targetType,
+        targetId: target.id,
+        action,
+        reason,
+        suspendedUntil
+      }, { transaction });
+    });
+
+    if (NOTICES[action]) {
+      await this.notifyAuthor(author, NOTICES[action](label, suspendedUntil), reason);
+    }
+    return logged;
+  }
+
+  /**
+   * Get a page of the action log, newest first
+   * @param {Object} filters
+   * @param {string} filters.userId - Only actions on this user's content
+   * @param {string} filters.targetType - With targetId, only actions on one item
+   * @param {string} filters.targetId
+   * @param {number} filters.offset - Actions to skip
+   * @param {number} filters.limit - Page size
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async getActions({ userId = null, targetType = null, targetId = null, offset = 0, limit = 20 } = {}) {
+    const where = {};
+    if (userId) where.userId = userId;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+
+    const { rows, count } = await ModerationAction.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'moderator', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'user', attributes: USER_ATTRIBUTES }
+      ],
+      order: [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    return { items: rows, total: count };
+  }
+
+  /**
+   * Shape a reported item for the queue; moderators see hidden text
+   * @param {string} targetType - 'comment' or 'forum_post'
+   * @param {Object} target - Instance with its User included
+   * @returns {Object}
+   */
+  serializeTarget(targetType, target) {
+    return {
+      id: target.id,
+      text: target[TARGETS[targetType].textField],
+      author: target.User
+        ? { id: target.User.id, username: target.User.username, avatar: target.User.avatar }
+        : null,
+      hidden: Boolean(target.hiddenAt),
+      link: targetType === 'comment'
+        ? `/content/${target.contentId}#comment-${target.id}`
+        : `/forum/topics/${target.ForumTopicId}#post-${target.id}`,
+      createdAt: target.createdAt
+    };
+  }
+
+  /**
+   * Load the items behind a page of the queue, keyed by "type:id"
+   * @private
+   */
+  async loadTargets(groups) {
+    const loaded = await Promise.all(Object.keys(TARGETS).map(async (targetType) => {
+      const ids = groups.filter(group => group.targetType === targetType).map(group => group.targetId);
+      if (ids.length === 0) return [];
+
+      const targets = await TARGETS[targetType].model.findAll({
+        where: { id: ids },
+        include: [{ model: User, attributes: USER_ATTRIBUTES }]
+      });
+      return targets.map(target => [`${targetType}:${target.id}`, target]);
+    }));
+
+    return Object.fromEntries(loaded.flat());
+  }
+
+  /**
+   * Hide an item without a moderator and log it
+   * @private
+   */
+  async hideAutomatically(targetType, target, reason, transaction) {
+    await target.update({ hiddenAt: new Date() }, { transaction });
+    await ModerationAction.create({
+      moderatorId: null,
+      userId: target.userId,
+      targetType,
+      targetId: target.id,
+      action: 'auto_hide',
+      reason
+    }, { transaction });
+  }
+
+  /**
+   * Tell an author what happened; failures are logged rather than undoing the action
+   * @private
+   */
+  async notifyAuthor(author, message, reason) {
+    if (!author || author.deletedAt) return;
+
+    try {
+      await Notification.create({
+        userId: author.id,
+        type: 'moderation',
+        message: reason ? `${message}: ${reason}` : message,
+        link: null
+      });
+    } catch (error) {
+      console.error('Error sending moderation notification:', error);
+    }
+  }
+}
+
+module.exports = new ModerationService();
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.ACTIONS = ACTIONS;
+module.exports.TARGET_TYPES = Object.keys(TARGETS);
+
+// services/moderationHooks.js
+const { Comment, ForumPost } = require('../models');
+const moderationService = require('./moderationService');
+
+// Screen once the write is committed; a slow screener shouldn't hold a transaction open
+const afterCommit = (options, screen) => {
+  if (options.transaction) {
+    options.transaction.afterCommit(screen);
+  } else {
+    screen();
+  }
+};
+
+const screenOnSave = (targetType, textField) => (item, options) => {
+  if (item.deletedAt || !item.changed(textField)) return;
+  afterCommit(options, () => moderationService.screen(targetType, item));
+};
+
+/**
+ * Screen new and edited comments and forum posts
+ * Call once at startup.
+ */
+const registerModerationHooks = () => {
+  Comment.addHook('afterCreate', 'screenText', screenOnSave('comment', 'text'));
+  Comment.addHook('afterUpdate', 'screenText', screenOnSave('comment', 'text'));
+  ForumPost.addHook('afterCreate', 'screenText', screenOnSave('forum_post', 'content'));
+  ForumPost.addHook('afterUpdate', 'screenText', screenOnSave('forum_post', 'content'));
+};
+
+module.exports = registerModerationHooks;
+
+// middleware/notSuspended.js
+/**
+ * Refuse community writes (comments, posts, reviews) from suspended users
+ * Must run after authMiddleware.
+ */
+const notSuspended = (req, res, next) => {
+  const { suspendedUntil } = req.user;
+
+  if (suspendedUntil && suspendedUntil > new Date()) {
+    return res.status(403).json({
+      success: false,
+      code: 'SUSPENDED',
+      message: `Your account is suspended from posting until ${suspendedUntil.toDateString()}`
+    });
+  }
+  next();
+};
+
+module.exports = notSuspended;
+
+// routes/moderationRoutes.js
+const express = require('express');
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/requirePermission');
+
+const router = express.Router();
+
+router.post('/reports', authMiddleware, moderationController.createReport);
+
+router.get('/queue', authMiddleware, requirePermission('moderation:review'), moderationController.getQueue);
+router.post('/queue/:targetType/:targetId/actions', authMiddleware, requirePermission('moderation:review'), moderationController.takeAction);
+router.get('/actions', authMiddleware, requirePermission('moderation:review'), moderationController.getActions);
+
+module.exports = router;
+
+// routes/index.js - Moderation
+router.use('/moderation', require('./moderationRoutes'));
+
+// routes/forumRoutes.js - Suspensions
+// Replaces the topic route: suspended users can read but not start topics
+const notSuspended = require('../middleware/notSuspended');
+
+router.post('/topics', authMiddleware, notSuspended, forumController.createTopic);
+
+// controllers/forumController.js - Hidden posts
+// In getTopicPosts, hidden posts keep their place but not their text
+const data = posts.map(post => ({
+  ...post.toJSON(),
+  content: post.hiddenAt ? null : post.content,
+  hidden: Boolean(post.hiddenAt),
+  scope: spoilerService.getScope(post),
+  beyondProgress: beyondProgress.has(post.id)
+}));
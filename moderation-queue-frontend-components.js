@@ -0,0 +1,568 @@
+// src/components/moderation/ReportButton.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import api from '../../utils/api';
+import { Message } from '../auth/AuthForm';
+
+// Same reasons as services/moderationService.js on the server
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'spoilers', label: 'Unmarked spoilers' },
+  { value: 'inappropriate', label: 'Inappropriate' },
+  { value: 'other', label: 'Something else' }
+];
+
+const LinkButton = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover {
+    color: ${props => props.theme.primary};
+  }
+`;
+
+const Form = styled.form`
+  display: grid;
+  gap: 8px;
+  margin: 8px 0;
+  padding: 10px 12px;
+  background: ${props => props.theme.inputBg};
+  border-radius: 6px;
+  font-size: 13px;
+`;
+
+const Field = styled.select`
+  background: ${props => props.theme.cardBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 4px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+const Details = styled.textarea`
+  background: ${props => props.theme.cardBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 4px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+  font-family: inherit;
+  resize: vertical;
+`;
+
+const Buttons = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  background: ${props => props.primary ? props.theme.primary : 'transparent'};
+  border: ${props => props.primary ? 'none' : `1px solid ${props.theme.borderColor}`};
+  color: ${props => props.primary ? props.theme.buttonText : props.theme.textSecondary};
+  border-radius: 4px;
+  padding: 6px 14px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const Done = styled.span`
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+`;
+
+/**
+ * "Report" link that opens a small form for flagging a comment or forum post
+ * @param {Object} props
+ * @param {string} props.targetType - 'comment' or 'forum_post'
+ * @param {string} props.targetId - ID of the item
+ */
+const ReportButton = ({ targetType, targetId }) => {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('spam');
+  const [details, setDetails] = useState('');
+
+  const report = useMutation(
+    () => api.post('/moderation/reports', { targetType, targetId, reason, details: details.trim() || null }),
+    { onSuccess: () => setOpen(false) }
+  );
+
+  const alreadyReported = report.error?.response?.data?.code === 'ALREADY_REPORTED';
+  if (report.isSuccess || alreadyReported) {
+    return <Done>Reported, thanks</Done>;
+  }
+
+  if (!open) {
+    return <LinkButton onClick={() => setOpen(true)}>Report</LinkButton>;
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    report.mutate();
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      {report.isError && (
+        <Message error>{report.error.response?.data?.message || 'Failed to send the report'}</Message>
+      )}
+      <Field value={reason} onChange={(e) => setReason(e.target.value)} aria-label="Reason">
+        {REPORT_REASONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </Field>
+      <Details
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Anything moderators should know (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      <Buttons>
+        <Button primary type="submit" disabled={report.isLoading}>Report</Button>
+        <Button type="button" onClick={() => setOpen(false)}>Cancel</Button>
+      </Buttons>
+    </Form>
+  );
+};
+
+export default ReportButton;
+
+// src/pages/ModerationQueue.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import { Message } from '../components/auth/AuthForm';
+import { REPORT_REASONS } from '../components/moderation/ReportButton';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 20px;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 20px;
+`;
+
+const Tab = styled.button`
+  background: transparent;
+  border: none;
+  border-bottom: 2px solid ${props => props.active ? props.theme.primary : 'transparent'};
+  color: ${props => props.active ? props.theme.textPrimary : props.theme.textSecondary};
+  padding: 8px 4px;
+  margin-right: 12px;
+  font-size: 15px;
+  cursor: pointer;
+`;
+
+const Select = styled.select`
+  margin-left: auto;
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+const List = styled.div`
+  display: grid;
+  gap: 12px;
+`;
+
+const Card = styled.div`
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  padding: 15px;
+`;
+
+const CardHeader = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-weight: 600;
+    text-decoration: none;
+  }
+`;
+
+const Badge = styled.span`
+  background: ${props => props.theme.primary};
+  color: ${props => props.theme.buttonText};
+  border-radius: 10px;
+  padding: 2px 8px;
+  font-size: 12px;
+  font-weight: 600;
+`;
+
+const Quote = styled.blockquote`
+  margin: 10px 0;
+  padding: 8px 12px;
+  border-left: 3px solid ${props => props.theme.borderColor};
+  font-size: 14px;
+  line-height: 1.6;
+  white-space: pre-wrap;
+  color: ${props => props.theme.textPrimary};
+`;
+
+const Reports = styled.ul`
+  margin: 0 0 10px 0;
+  padding-left: 20px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+`;
+
+const ReasonInput = styled.input`
+  flex: 1;
+  min-width: 180px;
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 4px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+const DaysInput = styled(ReasonInput)`
+  flex: none;
+  min-width: 0;
+  width: 70px;
+`;
+
+const ActionButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.danger ? props.theme.primary : props.theme.borderColor};
+  color: ${props => props.danger ? props.theme.primary : props.theme.textPrimary};
+  border-radius: 4px;
+  padding: 5px 12px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const LogRow = styled.div`
+  display: flex;
+  gap: 10px;
+  padding: 10px 0;
+  border-bottom: 1px solid ${props => props.theme.borderColor};
+  font-size: 14px;
+
+  span {
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 15px;
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const TARGET_LABELS = { comment: 'Comment', forum_post: 'Forum post' };
+
+const REASON_LABELS = Object.fromEntries(REPORT_REASONS.map(option => [option.value, option.label]));
+
+const ACTION_LABELS = {
+  hide: 'hid',
+  restore: 'restored',
+  delete: 'deleted',
+  warn: 'warned the author of',
+  suspend: 'suspended the author of',
+  dismiss: 'dismissed reports on',
+  auto_hide: 'hid'
+};
+
+const nextOffset = (lastPage, pages) => {
+  const loaded = pages.reduce((total, page) => total + page.items.length, 0);
+  return loaded < lastPage.total ? loaded : undefined;
+};
+
+/**
+ * One reported item with its reports and the actions a moderator can take
+ * @private
+ */
+const QueueItem = ({ item }) => {
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState('');
+  const [suspendDays, setSuspendDays] = useState(7);
+  const { target } = item;
+
+  const act = useMutation(
+    (action) => api.post(`/moderation/queue/${item.targetType}/${item.targetId}/actions`, {
+      action,
+      reason: reason.trim() || null,
+      ...(action === 'suspend' && { suspendDays: Number(suspendDays) })
+    }),
+    {
+      onSuccess: () => queryClient.invalidateQueries('moderation')
+    }
+  );
+
+  const confirmAndAct = (action, question) => {
+    if (!question || window.confirm(question)) act.mutate(action);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <Badge>{item.reportCount}</Badge>
+        {TARGET_LABELS[item.targetType]}
+        {target && target.author && (
+          <>
+            by <Link to={`/profile/${target.author.id}`}>{target.author.username}</Link>
+          </>
+        )}
+        {target && <Link to={target.link}>View in context</Link>}
+        {target && target.hidden && <span>· hidden</span>}
+      </CardHeader>
+
+      {target ? <Quote>{target.text}</Quote> : <Quote>This item no longer exists.</Quote>}
+
+      <Reports>
+        {item.reports.map(report => (
+          <li key={report.id}>
+            {report.reason === 'screening' ? 'Automatic screening' : REASON_LABELS[report.reason]}
+            {report.reporter && ` · ${report.reporter.username}`}
+            {report.details && ` · “${report.details}”`}
+          </li>
+        ))}
+      </Reports>
+
+      {act.isError && (
+        <Message error>{act.error.response?.data?.message || 'Failed to apply the action'}</Message>
+      )}
+
+      {target && (
+        <Actions>
+          <ReasonInput
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason, shown to the author"
+            maxLength={1000}
+          />
+          {target.hidden ? (
+            <ActionButton onClick={() => confirmAndAct('restore')} disabled={act.isLoading}>Restore</ActionButton>
+          ) : (
+            <ActionButton onClick={() => confirmAndAct('hide')} disabled={act.isLoading}>Hide</ActionButton>
+          )}
+          <ActionButton onClick={() => confirmAndAct('warn')} disabled={act.isLoading}>Warn</ActionButton>
+          <ActionButton
+            danger
+            onClick={() => confirmAndAct('delete', 'Delete this for good?')}
+            disabled={act.isLoading}
+          >
+            Delete
+          </ActionButton>
+          <DaysInput
+            type="number"
+            min={1}
+            max={365}
+            value={suspendDays}
+            onChange={(e) => setSuspendDays(e.target.value)}
+            aria-label="Suspension length in days"
+          />
+          <ActionButton
+            danger
+            onClick={() => confirmAndAct('suspend', `Suspend ${target.author?.username || 'the author'} for ${suspendDays} days?`)}
+            disabled={act.isLoading || !(suspendDays >= 1 && suspendDays <= 365)}
+          >
+            Suspend
+          </ActionButton>
+          <ActionButton onClick={() => confirmAndAct('dismiss')} disabled={act.isLoading}>Dismiss</ActionButton>
+        </Actions>
+      )}
+    </Card>
+  );
+};
+
+/**
+ * Reported comments and posts, most reported first
+ * @private
+ */
+const Queue = () => {
+  const [targetType, setTargetType] = useState('');
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['moderation', 'queue', targetType],
+    ({ pageParam = 0 }) => api.get('/moderation/queue', {
+      params: { targetType: targetType || undefined, offset: pageParam }
+    }).then(res => res.data.data),
+    { getNextPageParam: nextOffset }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load the moderation queue" />;
+
+  const items = data.pages.flatMap(page => page.items);
+
+  return (
+    <>
+      <Toolbar>
+        <Select value={targetType} onChange={(e) => setTargetType(e.target.value)} aria-label="Show">
+          <option value="">Everything</option>
+          <option value="comment">Comments</option>
+          <option value="forum_post">Forum posts</option>
+        </Select>
+      </Toolbar>
+
+      {items.length === 0 ? (
+        <Empty>Nothing to review.</Empty>
+      ) : (
+        <List>
+          {items.map(item => <QueueItem key={`${item.targetType}:${item.targetId}`} item={item} />)}
+        </List>
+      )}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'Load more'}
+        </LoadMore>
+      )}
+    </>
+  );
+};
+
+/**
+ * What moderators, and automatic hiding, have done
+ * @private
+ */
+const ActionLog = () => {
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['moderation', 'actions'],
+    ({ pageParam = 0 }) => api.get('/moderation/actions', { params: { offset: pageParam } })
+      .then(res => res.data.data),
+    { getNextPageParam: nextOffset }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load the action log" />;
+
+  const actions = data.pages.flatMap(page => page.items);
+
+  return (
+    <>
+      {actions.length === 0 && <Empty>No actions yet.</Empty>}
+      {actions.map(entry => (
+        <LogRow key={entry.id}>
+          <span>{new Date(entry.createdAt).toLocaleString()}</span>
+          <div>
+            {entry.moderator ? entry.moderator.username : 'Automatically'}{' '}
+            {ACTION_LABELS[entry.action]} a {TARGET_LABELS[entry.targetType].toLowerCase()}
+            {entry.user && <> by <Link to={`/profile/${entry.user.id}`}>{entry.user.username}</Link></>}
+            {entry.suspendedUntil && ` until ${new Date(entry.suspendedUntil).toLocaleDateString()}`}
+            {entry.reason && <span> · {entry.reason}</span>}
+          </div>
+        </LogRow>
+      ))}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'Load more'}
+        </LoadMore>
+      )}
+    </>
+  );
+};
+
+const ModerationQueue = () => {
+  const [tab, setTab] = useState('queue');
+
+  return (
+    <Container>
+      <PageTitle>Moderation</PageTitle>
+      <Toolbar>
+        <Tab active={tab === 'queue'} onClick={() => setTab('queue')}>Queue</Tab>
+        <Tab active={tab === 'log'} onClick={() => setTab('log')}>Action log</Tab>
+      </Toolbar>
+
+      {tab === 'queue' ? <Queue /> : <ActionLog />}
+    </Container>
+  );
+};
+
+export default ModerationQueue;
+
+// src/components/forum/ForumPost.js - Reporting
+import ReportButton from '../moderation/ReportButton';
+
+// Hidden posts keep their place in the topic without their text
+{post.hidden ? (
+  <PostBody>This post is hidden while moderators review it.</PostBody>
+) : (
+  <SpoilerGate hide={post.beyondProgress} label={post.scope && scopeLabel(post.scope)}>
+    <PostBody>{post.content}</PostBody>
+  </SpoilerGate>
+)}
+
+// In the post's actions, for logged-in users other than the author
+{currentUser && currentUser.id !== post.userId && !post.hidden && (
+  <ReportButton targetType="forum_post" targetId={post.id} />
+)}
@@ -0,0 +1,542 @@
+// models/linkedAccount.js
+// An identity at an external OpenID Connect provider that can log in as a User
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LinkedAccount = sequelize.define('LinkedAccount', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Provider ID from config.oidc.providers'
+    },
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'The "sub" claim, stable per user at the provider'
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    displayName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['provider', 'subject'] },
+      { unique: true, fields: ['userId', 'provider'] }
+    ]
+  });
+
+  return LinkedAccount;
+};
+
+// services/oidcService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Issuer, generators } = require('openid-client');
+const { Op } = require('sequelize');
+const { User, LinkedAccount } = require('../models');
+const config = require('../config');
+
+const FLOW_PURPOSE = 'oidc_flow';
+
+/**
+ * OIDC Service
+ * Generic OpenID Connect login and account linking. Any issuer that
+ * supports discovery works, including a local mock IdP in tests.
+ */
+class OidcService {
+  constructor() {
+    this.clients = {};
+  }
+
+  /**
+   * List configured providers for login buttons
+   * @returns {Array<Object>} - [{ id, name }]
+   */
+  getProviders() {
+    return Object.entries(config.oidc.providers).map(([id, provider]) => ({
+      id,
+      name: provider.name
+    }));
+  }
+
+  /**
+   * Check whether a provider is configured
+   * @param {string} providerId - Provider ID
+   * @returns {boolean}
+   */
+  hasProvider(providerId) {
+    return Object.prototype.hasOwnProperty.call(config.oidc.providers, providerId);
+  }
+
+  /**
+   * Build the provider's authorization URL and the state to verify the callback with
+   * @param {string} providerId - Provider ID
+   * @param {Object} options
+   * @param {string} options.linkUserId - Link to this user instead of logging in
+   * @returns {Promise<Object>} - { url, flowToken }
+   */
+  async createAuthorizationRequest(providerId, { linkUserId = null } = {}) {
+    const client = await this.getClient(providerId);
+    const provider = config.oidc.providers[providerId];
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const url = client.authorizationUrl({
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    // Everything needed to check the callback, kept in a signed cookie
+    const flowToken = jwt.sign(
+      { purpose: FLOW_PURPOSE, providerId, state, nonce, codeVerifier, linkUserId },
+      config.jwtSecret,
+      { expiresIn: '10m' }
+    );
+
+    return { url, flowToken };
+  }
+
+  /**
+   * Exchange the authorization code and resolve the local user
+   * @param {string} providerId - Provider ID
+   * @param {Object} req - Express request for the callback
+   * @param {string} flowToken - Token from createAuthorizationRequest
+   * @returns {Promise<Object>} - { user } on success or { error } with a message for the user
+   */
+  async handleCallback(providerId, req, flowToken) {
+    let flow;
+    try {
+      flow = jwt.verify(flowToken, config.jwtSecret);
+    } catch (error) {
+      return { error: 'Login attempt expired, please try again' };
+    }
+
+    if (flow.purpose !== FLOW_PURPOSE || flow.providerId !== providerId) {
+      return { error: 'Login attempt expired, please try again' };
+    }
+
+    const client = await this.getClient(providerId);
+    const params = client.callbackParams(req);
+
+    let claims;
+    try {
+      const tokenSet = await client.callback(this.getRedirectUri(providerId), params, {
+        state: flow.state,
+        nonce: flow.nonce,
+        code_verifier: flow.codeVerifier
+      });
+      claims = tokenSet.claims();
+    } catch (error) {
+      console.error('OIDC callback failed:', error);
+      return { error: 'The provider did not confirm your identity' };
+    }
+
+    if (flow.linkUserId) {
+      return this.linkAccount(flow.linkUserId, providerId, claims);
+    }
+
+    return this.resolveUser(providerId, claims);
+  }
+
+  /**
+   * Find or create the user for a provider identity
+   * Existing links win; otherwise a verified email merges into the matching
+   * account, and failing that a new account is created.
+   * @param {string} providerId - Provider ID
+   * @param {Object} claims - ID token claims
+   * @returns {Promise<Object>} - { user } or { error }
+   */
+  async resolveUser(providerId, claims) {
+    const linked = await LinkedAccount.findOne({
+      where: { provider: providerId, subject: claims.sub },
+      include: [{ model: User }]
+    });
+
+    if (linked) {
+      await linked.update({ lastUsedAt: new Date(), email: claims.email || linked.email });
+      return { user: linked.User };
+    }
+
+    if (!claims.email) {
+      return { error: 'The provider did not share an email address' };
+    }
+
+    const existing = await User.findOne({ where: { email: claims.email.toLowerCase() } });
+
+    if (existing) {
+      // Only merge when both sides have proven ownership of the address, so
+      // nobody can pre-register someone else's email and wait for them to sign in
+      if (!claims.email_verified || !existing.emailVerified) {
+        return {
+          error: 'An account with this email already exists. Log in with your password and link this provider from your security settings.'
+        };
+      }
+
+      await this.createLink(existing.id, providerId, claims);
+      return { user: existing };
+    }
+
+    const user = await User.create({
+      username: await this.generateUsername(claims),
+      email: claims.email.toLowerCase(),
+      password: crypto.randomBytes(32).toString('hex'),
+      hasPassword: false,
+      emailVerified: Boolean(claims.email_verified),
+      avatar: claims.picture || null
+    });
+
+    await this.createLink(user.id, providerId, claims);
+    return { user };
+  }
+
+  /**
+   * Link a provider identity to a logged-in user
+   * @param {string} userId - User ID
+   * @param {string} providerId - Provider ID
+   * @param {Object} claims - ID token claims
+   * @returns {Promise<Object>} - { user, linked: true } or { error }
+   */
+  async linkAccount(userId, providerId, claims) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return { error: 'User no longer exists' };
+    }
+
+    const taken = await LinkedAccount.findOne({
+      where: {
+        provider: providerId,
+        [Op.or]: [{ subject: claims.sub }, { userId }]
+      }
+    });
+
+    if (taken) {
+      return {
+        error: taken.userId === userId
+          ? 'This provider is already linked to your account'
+          : 'This identity is already linked to another account'
+      };
+    }
+
+    await this.createLink(userId, providerId, claims);
+    return { user, linked: true };
+  }
+
+  /**
+   * List a user's linked accounts
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getLinkedAccounts(userId) {
+    const accounts = await LinkedAccount.findAll({
+      where: { userId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return accounts.map(account => ({
+      id: account.id,
+      provider: account.provider,
+      providerName: config.oidc.providers[account.provider]?.name || account.provider,
+      email: account.email,
+      displayName: account.displayName,
+      lastUsedAt: account.lastUsedAt,
+      createdAt: account.createdAt
+    }));
+  }
+
+  /**
+   * Remove a linked account, unless it is the user's only way to log in
+   * @param {Object} user - User instance
+   * @param {string} linkedAccountId - LinkedAccount ID
+   * @returns {Promise<Object>} - { removed: true } or { error, status }
+   */
+  async unlinkAccount(user, linkedAccountId) {
+    const account = await LinkedAccount.findOne({
+      where: { id: linkedAccountId, userId: user.id }
+    });
+
+    if (!account) {
+      return { error: 'Linked account not found', status: 404 };
+    }
+
+    const linkedCount = await LinkedAccount.count({ where: { userId: user.id } });
+    if (!user.hasPassword && linkedCount <= 1) {
+      return {
+        error: 'Set a password before unlinking your only login method',
+        status: 400
+      };
+    }
+
+    await account.destroy();
+    return { removed: true };
+  }
+
+  /**
+   * Get (and cache) a client for a provider via discovery
+   * @private
+   */
+  async getClient(providerId) {
+    if (!this.clients[providerId]) {
+      const provider = config.oidc.providers[providerId];
+      const issuer = await Issuer.discover(provider.issuer);
+
+      this.clients[providerId] = new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [this.getRedirectUri(providerId)],
+        response_types: ['code']
+      });
+    }
+
+    return this.clients[providerId];
+  }
+
+  /**
+   * Callback URL registered with the provider
+   * @private
+   */
+  getRedirectUri(providerId) {
+    return `${config.apiUrl}/api/auth/oidc/${providerId}/callback`;
+  }
+
+  /**
+   * @private
+   */
+  async createLink(userId, providerId, claims) {
+    return LinkedAccount.create({
+      userId,
+      provider: providerId,
+      subject: claims.sub,
+      email: claims.email || null,
+      displayName: claims.name || claims.preferred_username || null,
+      lastUsedAt: new Date()
+    });
+  }
+
+  /**
+   * Derive a free username (3-30 chars) from the provider's claims
+   * @private
+   */
+  async generateUsername(claims) {
+    const source = claims.preferred_username || claims.nickname || claims.email.split('@')[0];
+    const base = source.toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 24).padEnd(3, '0');
+
+    let username = base;
+    while (await User.findOne({ where: { username } })) {
+      username = `${base}${crypto.randomInt(1000, 99999)}`;
+    }
+
+    return username;
+  }
+}
+
+module.exports = new OidcService();
+
+// controllers/oidcController.js
+const { param } = require('express-validator');
+const oidcService = require('../services/oidcService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const validateRequest = require('../middleware/validateRequest');
+const config = require('../config');
+
+const FLOW_COOKIE = 'oidc_flow';
+
+// Validation middleware
+const providerValidation = [
+  param('provider').custom(provider => oidcService.hasProvider(provider))
+    .withMessage('Unknown login provider'),
+  validateRequest
+];
+
+const linkedAccountValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const setFlowCookie = (res, flowToken) => {
+  res.cookie(FLOW_COOKIE, flowToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000,
+    path: '/api/auth/oidc'
+  });
+};
+
+// Results go back to the SPA in the URL fragment so they never reach a server log
+const redirectToClient = (res, params) => {
+  res.redirect(`${config.clientUrl}/auth/callback#${new URLSearchParams(params)}`);
+};
+
+/**
+ * List configured login providers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: oidcService.getProviders()
+  });
+};
+
+/**
+ * Start a login by redirecting to the provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const startLogin = async (req, res, next) => {
+  try {
+    const { url, flowToken } = await oidcService.createAuthorizationRequest(req.params.provider);
+    setFlowCookie(res, flowToken);
+    res.redirect(url);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start linking a provider to the current user
+ * Answers with the URL to send the browser to, since a redirect can't carry the access token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const startLink = async (req, res, next) => {
+  try {
+    const { url, flowToken } = await oidcService.createAuthorizationRequest(req.params.provider, {
+      linkUserId: req.user.id
+    });
+    setFlowCookie(res, flowToken);
+
+    res.json({
+      success: true,
+      data: { url }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle the provider's redirect back to us
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const callback = async (req, res, next) => {
+  try {
+    const flowToken = req.cookies[FLOW_COOKIE];
+    res.clearCookie(FLOW_COOKIE, { path: '/api/auth/oidc' });
+
+    if (!flowToken) {
+      return redirectToClient(res, { error: 'Login attempt expired, please try again' });
+    }
+
+    const result = await oidcService.handleCallback(req.params.provider, req, flowToken);
+
+    if (result.error) {
+      return redirectToClient(res, { error: result.error });
+    }
+
+    if (result.linked) {
+      return redirectToClient(res, { linked: req.params.provider });
+    }
+
+    const { user } = result;
+
+    if (user.twoFactorEnabled) {
+      return redirectToClient(res, {
+        challengeToken: twoFactorService.createChallengeToken(user)
+      });
+    }
+
+    await user.update({ lastLogin: new Date() });
+    const { accessToken, refreshToken } = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    redirectToClient(res, { token: accessToken, refreshToken });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's linked accounts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getLinkedAccounts = async (req, res, next) => {
+  try {
+    const accounts = await oidcService.getLinkedAccounts(req.user.id);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlink a provider from the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unlinkAccount = async (req, res, next) => {
+  try {
+    const result = await oidcService.unlinkAccount(req.user, req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProviders,
+  startLogin: [providerValidation, startLogin],
+  startLink: [providerValidation, startLink],
+  callback: [providerValidation, callback],
+  getLinkedAccounts,
+  unlinkAccount: [linkedAccountValidation, unlinkAccount]
+};
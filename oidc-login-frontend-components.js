@@ -0,0 +1,280 @@
+// src/components/auth/ExternalLoginButtons.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery } from 'react-query';
+import { FaKey } from 'react-icons/fa';
+import api from '../../utils/api';
+
+const Container = styled.div`
+  margin-top: 25px;
+  padding-top: 20px;
+  border-top: 1px solid ${props => props.theme.borderColor};
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const ProviderButton = styled.a`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 8px;
+  padding: 10px 20px;
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-weight: 500;
+  text-decoration: none;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.buttonHoverBg};
+  }
+`;
+
+/**
+ * "Continue with ..." buttons for each configured OpenID Connect provider
+ */
+const ExternalLoginButtons = () => {
+  const { data: providers } = useQuery(
+    ['auth', 'providers'],
+    () => api.get('/auth/providers').then(res => res.data.data),
+    {
+      staleTime: 60 * 60 * 1000, // 1 hour
+      refetchOnWindowFocus: false
+    }
+  );
+
+  if (!providers || providers.length === 0) return null;
+
+  return (
+    <Container>
+      {providers.map(provider => (
+        <ProviderButton key={provider.id} href={`${api.defaults.baseURL}/auth/oidc/${provider.id}`}>
+          <FaKey /> Continue with {provider.name}
+        </ProviderButton>
+      ))}
+    </Container>
+  );
+};
+
+export default ExternalLoginButtons;
+
+// src/pages/AuthCallback.js
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import Loader from '../components/common/Loader';
+import { Container, Title, Description, Message } from '../components/auth/AuthForm';
+
+/**
+ * Landing page for redirects back from an external login provider
+ * The API puts the outcome in the URL fragment.
+ */
+const AuthCallback = () => {
+  const { completeExternalLogin } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    // Don't leave tokens in the address bar or history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(params.get('error'));
+    } else if (params.get('challengeToken')) {
+      navigate('/login', { replace: true, state: { challengeToken: params.get('challengeToken') } });
+    } else if (params.get('linked')) {
+      navigate('/settings/security', { replace: true, state: { linked: params.get('linked') } });
+    } else if (params.get('token')) {
+      completeExternalLogin(params.get('token'), params.get('refreshToken'))
+        .then(() => navigate('/', { replace: true }))
+        .catch(() => setError('Login failed, please try again'));
+    } else {
+      setError('Login failed, please try again');
+    }
+  }, []);
+
+  if (!error) return <Loader />;
+
+  return (
+    <Container>
+      <Title>Couldn't log you in</Title>
+      <Message error>{error}</Message>
+      <Description>
+        <Link to="/login">Back to log in</Link>
+      </Description>
+    </Container>
+  );
+};
+
+export default AuthCallback;
+
+// src/components/settings/LinkedAccounts.js
+import React from 'react';
+import styled from 'styled-components';
+import { useLocation } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaKey, FaLink, FaUnlink } from 'react-icons/fa';
+import api from '../../utils/api';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import { Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0 0 20px 0;
+`;
+
+const List = styled.div`
+  display: grid;
+  gap: 15px;
+  margin-top: 15px;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 12px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+
+  > svg {
+    font-size: 20px;
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const Info = styled.div`
+  flex: 1;
+  margin-left: 15px;
+`;
+
+const Name = styled.div`
+  font-size: 16px;
+  font-weight: 500;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Button = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * External login providers linked to the current account
+ */
+const LinkedAccounts = () => {
+  const queryClient = useQueryClient();
+  const location = useLocation();
+
+  const { data: accounts, isLoading, error } = useQuery(
+    ['auth', 'linked-accounts'],
+    () => api.get('/auth/linked-accounts').then(res => res.data.data)
+  );
+
+  const { data: providers = [] } = useQuery(
+    ['auth', 'providers'],
+    () => api.get('/auth/providers').then(res => res.data.data),
+    {
+      staleTime: 60 * 60 * 1000 // 1 hour
+    }
+  );
+
+  const link = useMutation(
+    (providerId) => api.post(`/auth/oidc/${providerId}/link`).then(res => res.data.data),
+    {
+      onSuccess: ({ url }) => {
+        window.location.assign(url);
+      }
+    }
+  );
+
+  const unlink = useMutation(
+    (accountId) => api.delete(`/auth/linked-accounts/${accountId}`),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['auth', 'linked-accounts'])
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load linked accounts" />;
+  if (providers.length === 0 && accounts.length === 0) return null;
+
+  const linkedProviders = accounts.map(account => account.provider);
+  const unlinkedProviders = providers.filter(provider => !linkedProviders.includes(provider.id));
+
+  return (
+    <Container>
+      <Title>Linked accounts</Title>
+
+      {location.state?.linked && <Message>Account linked, you can now log in with it.</Message>}
+      {unlink.isError && (
+        <Message error>{unlink.error.response?.data?.message || 'Failed to unlink account'}</Message>
+      )}
+
+      <List>
+        {accounts.map(account => (
+          <Row key={account.id}>
+            <FaKey />
+            <Info>
+              <Name>{account.providerName}</Name>
+              <Meta>
+                {account.email || account.displayName} · Linked {new Date(account.createdAt).toLocaleDateString()}
+              </Meta>
+            </Info>
+            <Button onClick={() => unlink.mutate(account.id)} disabled={unlink.isLoading}>
+              <FaUnlink /> Unlink
+            </Button>
+          </Row>
+        ))}
+
+        {unlinkedProviders.map(provider => (
+          <Row key={provider.id}>
+            <FaKey />
+            <Info>
+              <Name>{provider.name}</Name>
+              <Meta>Not linked</Meta>
+            </Info>
+            <Button onClick={() => link.mutate(provider.id)} disabled={link.isLoading}>
+              <FaLink /> Link
+            </Button>
+          </Row>
+        ))}
+      </List>
+    </Container>
+  );
+};
+
+export default LinkedAccounts;
@@ -0,0 +1,285 @@
+// services/personService.js
+const { Person, Credit, Content, UserList, DiaryEntry, sequelize } = require('../models');
+
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'releaseYear', 'posterUrl', 'rating'];
+
+// Cast credits form one group; crew credits are grouped by job (Director, Writer...)
+const ACTING = 'Acting';
+
+const groupOf = (credit) => (credit.role === 'cast' ? ACTING : credit.job);
+
+/**
+ * Person Service
+ * Filmographies grouped by role, with the viewer's progress through each group.
+ */
+class PersonService {
+  /**
+   * Get a person with their filmography
+   * @param {string} personId - Person ID
+   * @param {Object|null} viewer - Logged in user, for seen counts
+   * @returns {Promise<Object|null>} - { person, filmography }, or null if not found
+   */
+  async getPerson(personId, viewer) {
+    const person = await Person.findByPk(personId);
+    if (!person) return null;
+
+    const groups = await this.getFilmography(personId);
+    const filmography = viewer ? await this.addViewerStats(groups, viewer.id) : groups;
+
+    return { person, filmography };
+  }
+
+  /**
+   * Get a person's titles grouped by role, largest group first, newest titles first
+   * A title appears once per group, with every character played in it.
+   * @param {string} personId - Person ID
+   * @returns {Promise<Array>} - [{ role, titles: [{ ...content, characters }] }]
+   */
+  async getFilmography(personId) {
+    const credits = await Credit.findAll({
+      where: { personId },
+      include: [{ model: Content, attributes: CONTENT_ATTRIBUTES }],
+      order: [[Content, 'releaseYear', 'DESC NULLS LAST'], ['order', 'ASC']]
+    });
+
+    const groups = new Map();
+    credits.forEach(credit => {
+      const role = groupOf(credit);
+      if (!groups.has(role)) groups.set(role, new Map());
+
+      const titles = groups.get(role);
+      if (!titles.has(credit.contentId)) {
+        titles.set(credit.contentId, { ...credit.Content.toJSON(), characters: [] });
+      }
+      if (credit.character) titles.get(credit.contentId).characters.push(credit.character);
+    });
+
+    return [...groups.entries()]
+      .map(([role, titles]) => ({ role, titles: [...titles.values()] }))
+      .sort((a, b) => b.titles.length - a.titles.length);
+  }
+
+  /**
+   * Get a title's directors and billed cast, for linking to person pages
+   * @param {string} contentId - Content ID
+   * @returns {Promise<Object>} - { directors, cast }
+   */
+  async getContentCredits(contentId) {
+    const credits = await Credit.findAll({
+      where: { contentId },
+      include: [{ model: Person, attributes: ['id', 'name', 'profileUrl'] }],
+      order: [['order', 'ASC NULLS LAST']]
+    });
+
+    return {
+      directors: credits
+        .filter(credit => credit.role === 'crew' && credit.job === 'Director')
+        .map(credit => credit.Person.toJSON()),
+      cast: credits
+        .filter(credit => credit.role === 'cast')
+        .map(credit => ({ ...credit.Person.toJSON(), character: credit.character }))
+    };
+  }
+
+  /**
+   * Add a person's titles in one role that the user hasn't seen and hasn't listed to Plan to Watch
+   * @param {string} userId - User ID
+   * @param {string} personId - Person ID
+   * @param {string} role - Filmography group, e.g. Acting or Director
+   * @returns {Promise<number|null>} - Titles added, or null if the person has no such role
+   */
+  async addUnseenToPlan(userId, personId, role) {
+    const group = (await this.getFilmography(personId)).find(item => item.role === role);
+    if (!group) return null;
+
+    const { seen, listed } = await this.getViewerTitles(userId, group.titles.map(title => title.id));
+    const unseen = group.titles.filter(title => !seen.has(title.id) && !listed.has(title.id));
+
+    // One entry at a time so activity hooks run; the feed collapses the burst
+    await sequelize.transaction(async (transaction) => {
+      for (const title of unseen) {
+        await UserList.create(
+          { userId, contentId: title.id, status: 'plan_to_watch' },
+          { transaction }
+        );
+      }
+    });
+
+    return unseen.length;
+  }
+
+  /**
+   * Mark each title seen or listed and count them per group
+   * @private
+   */
+  async addViewerStats(groups, userId) {
+    const contentIds = [...new Set(groups.flatMap(group => group.titles.map(title => title.id)))];
+    const { seen, listed } = await this.getViewerTitles(userId, contentIds);
+
+    return groups.map(group => {
+      const titles = group.titles.map(title => ({
+        ...title,
+        seen: seen.has(title.id),
+        listStatus: listed.get(title.id) || null
+      }));
+
+      return {
+        ...group,
+        titles,
+        stats: {
+          seen: titles.filter(title => title.seen).length,
+          total: titles.length,
+          // What "add unseen to Plan to Watch" would add
+          addable: titles.filter(title => !title.seen && !title.listStatus).length
+        }
+      };
+    });
+  }
+
+  /**
+   * Titles the user has seen (completed, or logged in the diary) and list statuses by title
+   * @private
+   */
+  async getViewerTitles(userId, contentIds) {
+    const [entries, diary] = await Promise.all([
+      UserList.findAll({ where: { userId, contentId: contentIds }, attributes: ['contentId', 'status'] }),
+      DiaryEntry.findAll({
+        where: { userId, contentId: contentIds },
+        attributes: ['contentId'],
+        group: ['contentId']
+      })
+    ]);
+
+    const listed = new Map(entries.map(entry => [entry.contentId, entry.status]));
+    const seen = new Set([
+      ...entries.filter(entry => entry.status === 'completed').map(entry => entry.contentId),
+      ...diary.map(entry => entry.contentId)
+    ]);
+
+    return { seen, listed };
+  }
+}
+
+module.exports = new PersonService();
+
+// controllers/personController.js
+const { body, param } = require('express-validator');
+const { Content } = require('../models');
+const personService = require('../services/personService');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const planValidation = [
+  param('id').isUUID(),
+  body('role').isString().trim().notEmpty(),
+  validateRequest
+];
+
+/**
+ * Get a person with their filmography, and seen counts when logged in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPerson = async (req, res, next) => {
+  try {
+    const result = await personService.getPerson(req.params.id, req.user || null);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Person not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...result.person.toJSON(), filmography: result.filmography }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add the person's unseen, unlisted titles in one role to Plan to Watch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const addUnseenToPlan = async (req, res, next) => {
+  try {
+    const added = await personService.addUnseenToPlan(req.user.id, req.params.id, req.body.role);
+    if (added === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Person not found in that role'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { added }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a title's directors and cast
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getContentCredits = async (req, res, next) => {
+  try {
+    const content = await Content.findByPk(req.params.id, { attributes: ['id'] });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await personService.getContentCredits(content.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPerson: [idValidation, getPerson],
+  addUnseenToPlan: [planValidation, addUnseenToPlan],
+  getContentCredits: [idValidation, getContentCredits]
+};
+
+// routes/personRoutes.js
+const express = require('express');
+const personController = require('../controllers/personController');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+
+const router = express.Router();
+
+router.get('/:id', optionalAuth, personController.getPerson);
+router.post('/:id/plan-to-watch', authMiddleware, personController.addUnseenToPlan);
+
+module.exports = router;
+
+// routes/index.js - Add person routes
+const personRoutes = require('./personRoutes');
+
+router.use('/people', personRoutes);
+
+// routes/contentRoutes.js - Cast and crew
+const personController = require('../controllers/personController');
+
+router.get('/:id/credits', personController.getContentCredits);
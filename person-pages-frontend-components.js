@@ -0,0 +1,381 @@
+// src/components/content/CreditsList.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import styled from 'styled-components';
+import { FaUser } from 'react-icons/fa';
+import api from '../../utils/api';
+
+const Heading = styled.h3`
+  font-size: 16px;
+  font-weight: 600;
+  margin: 0 0 12px 0;
+  color: ${props => props.theme.textPrimary};
+`;
+
+const People = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 20px 0;
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 12px;
+`;
+
+const PersonLink = styled(Link)`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  text-decoration: none;
+  color: ${props => props.theme.textPrimary};
+
+  &:hover strong {
+    color: ${props => props.theme.primary};
+  }
+`;
+
+const Photo = styled.div`
+  width: 44px;
+  height: 44px;
+  flex-shrink: 0;
+  border-radius: 50%;
+  overflow: hidden;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: ${props => props.theme.inputBg};
+  color: ${props => props.theme.textSecondary};
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+`;
+
+const Name = styled.div`
+  font-size: 14px;
+
+  strong {
+    display: block;
+    font-weight: 500;
+  }
+
+  span {
+    color: ${props => props.theme.textSecondary};
+    font-size: 13px;
+  }
+`;
+
+const ShowAll = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  font-size: 14px;
+  color: ${props => props.theme.primary};
+  cursor: pointer;
+`;
+
+// Billed cast shown before "Show all"
+const CAST_PREVIEW = 12;
+
+const PersonItem = ({ person, detail }) => (
+  <li>
+    <PersonLink to={`/person/${person.id}`}>
+      <Photo>{person.profileUrl ? <img src={person.profileUrl} alt="" /> : <FaUser />}</Photo>
+      <Name>
+        <strong>{person.name}</strong>
+        {detail && <span>{detail}</span>}
+      </Name>
+    </PersonLink>
+  </li>
+);
+
+const CreditsList = ({ contentId }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  const { data: credits } = useQuery(
+    ['content', contentId, 'credits'],
+    () => api.get(`/content/${contentId}/credits`).then(res => res.data.data)
+  );
+
+  if (!credits || (credits.directors.length === 0 && credits.cast.length === 0)) return null;
+
+  const cast = showAll ? credits.cast : credits.cast.slice(0, CAST_PREVIEW);
+
+  return (
+    <div>
+      {credits.directors.length > 0 && (
+        <>
+          <Heading>{credits.directors.length === 1 ? 'Director' : 'Directors'}</Heading>
+          <People>
+            {credits.directors.map(person => <PersonItem key={person.id} person={person} />)}
+          </People>
+        </>
+      )}
+      {cast.length > 0 && (
+        <>
+          <Heading>Cast</Heading>
+          <People>
+            {cast.map(person => (
+              <PersonItem key={`${person.id}-${person.character}`} person={person} detail={person.character} />
+            ))}
+          </People>
+          {!showAll && credits.cast.length > CAST_PREVIEW && (
+            <ShowAll onClick={() => setShowAll(true)}>
+              Show all {credits.cast.length}
+            </ShowAll>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CreditsList;
+
+// src/pages/PersonDetail.js
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
+import styled from 'styled-components';
+import { FaUser, FaCheck, FaClock } from 'react-icons/fa';
+import api from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import { Message } from '../components/auth/AuthForm';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 1100px;
+  margin: 0 auto;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 20px;
+  margin-bottom: 30px;
+`;
+
+const Photo = styled.div`
+  width: 120px;
+  height: 120px;
+  flex-shrink: 0;
+  border-radius: 50%;
+  overflow: hidden;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-size: 40px;
+  background: ${props => props.theme.inputBg};
+  color: ${props => props.theme.textSecondary};
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin: 0 0 6px 0;
+`;
+
+const Department = styled.div`
+  font-size: 15px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Group = styled.section`
+  margin-bottom: 40px;
+`;
+
+const GroupHeader = styled.div`
+  display: flex;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 15px;
+  margin-bottom: 15px;
+`;
+
+const GroupTitle = styled.h2`
+  font-size: 20px;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const Stats = styled.span`
+  font-size: 14px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const PlanButton = styled.button`
+  margin-left: auto;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 6px 12px;
+  font-size: 13px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+
+  &:hover:not(:disabled) {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+const Titles = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+  gap: 20px;
+`;
+
+const Tile = styled(Link)`
+  position: relative;
+  text-decoration: none;
+  color: ${props => props.theme.textPrimary};
+  opacity: ${props => props.seen ? 0.6 : 1};
+`;
+
+const Poster = styled.div`
+  height: 210px;
+  border-radius: 6px;
+  overflow: hidden;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 10px;
+  text-align: center;
+  font-size: 13px;
+  background: ${props => props.theme.inputBg};
+  color: ${props => props.theme.textSecondary};
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+`;
+
+const SeenBadge = styled.span`
+  position: absolute;
+  top: 8px;
+  right: 8px;
+  width: 24px;
+  height: 24px;
+  border-radius: 50%;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-size: 12px;
+  background: ${props => props.theme.primary};
+  color: ${props => props.theme.buttonText};
+`;
+
+const TileTitle = styled.div`
+  font-size: 14px;
+  font-weight: 500;
+`;
+
+const TileMeta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+// "films" or "shows" when a group is all one type
+const titleNoun = (titles) => {
+  if (titles.every(title => title.type === 'movie')) return 'films';
+  if (titles.every(title => title.type === 'tv')) return 'shows';
+  return 'titles';
+};
+
+const PersonDetail = () => {
+  const { id } = useParams();
+  const { isAuthenticated } = useAuth();
+
+  const { data: person, isLoading, error, refetch } = useQuery(
+    ['people', id, isAuthenticated],
+    () => api.get(`/people/${id}`).then(res => res.data.data)
+  );
+
+  const addUnseen = useMutation(
+    (role) => api.post(`/people/${id}/plan-to-watch`, { role }).then(res => res.data.data),
+    { onSuccess: () => refetch() }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) {
+    return <Error message={error.response?.status === 404 ? 'Person not found' : 'Failed to load this person'} />;
+  }
+
+  return (
+    <Container>
+      <Header>
+        <Photo>{person.profileUrl ? <img src={person.profileUrl} alt={person.name} /> : <FaUser />}</Photo>
+        <div>
+          <PageTitle>{person.name}</PageTitle>
+          {person.knownForDepartment && <Department>Known for {person.knownForDepartment}</Department>}
+        </div>
+      </Header>
+
+      {addUnseen.isSuccess && (
+        <Message>
+          {addUnseen.data.added === 0
+            ? 'Nothing new to add.'
+            : `Added ${addUnseen.data.added} to Plan to Watch.`}
+        </Message>
+      )}
+      {addUnseen.isError && <Message error>Could not add those titles. Please try again.</Message>}
+
+      {person.filmography.map(group => (
+        <Group key={group.role}>
+          <GroupHeader>
+            <GroupTitle>{group.role}</GroupTitle>
+            {group.stats && (
+              <Stats>
+                You've seen {group.stats.seen} of {group.stats.total} {titleNoun(group.titles)}
+              </Stats>
+            )}
+            {group.stats && group.stats.addable > 0 && (
+              <PlanButton
+                onClick={() => addUnseen.mutate(group.role)}
+                disabled={addUnseen.isLoading}
+              >
+                <FaClock /> Add {group.stats.addable} unseen to Plan to Watch
+              </PlanButton>
+            )}
+          </GroupHeader>
+
+          <Titles>
+            {group.titles.map(title => (
+              <Tile key={title.id} to={`/content/${title.id}`} seen={title.seen}>
+                <Poster>{title.posterUrl ? <img src={title.posterUrl} alt={title.title} /> : title.title}</Poster>
+                {title.seen && <SeenBadge title="Seen"><FaCheck /></SeenBadge>}
+                <TileTitle>{title.title}</TileTitle>
+                <TileMeta>
+                  {[title.releaseYear, title.characters.join(' / ')].filter(Boolean).join(' · ')}
+                </TileMeta>
+              </Tile>
+            ))}
+          </Titles>
+        </Group>
+      ))}
+    </Container>
+  );
+};
+
+export default PersonDetail;
@@ -0,0 +1,446 @@
+// utils/privacy.js
+// Who can see each area of a profile. The owner can always see everything.
+const VISIBILITY_LEVELS = ['public', 'followers', 'private'];
+
+// Area name -> User column holding its visibility
+const PRIVACY_AREAS = {
+  lists: 'listsVisibility',
+  ratings: 'ratingsVisibility',
+  activity: 'activityVisibility',
+  playlists: 'playlistsVisibility'
+};
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  PRIVACY_AREAS
+};
+
+// middleware/optionalAuth.js
+const authMiddleware = require('./authMiddleware');
+
+/**
+ * Attach the user when an access token is sent, but let anonymous requests through
+ * A token that is sent but expired or invalid still gets a 401, so clients
+ * refresh instead of silently seeing the anonymous view.
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return authMiddleware(req, res, next);
+};
+
+module.exports = optionalAuth;
+
+// services/privacyService.js
+const { User, Follow } = require('../models');
+const { PRIVACY_AREAS } = require('../utils/privacy');
+
+/**
+ * Privacy Service
+ * Decides which areas of a profile a viewer may see
+ */
+class PrivacyService {
+  /**
+   * Get a user's privacy settings
+   * @param {Object} user - User instance
+   * @returns {Object} - Map of area to visibility level
+   */
+  getSettings(user) {
+    return Object.fromEntries(
+      Object.entries(PRIVACY_AREAS).map(([area, field]) => [area, user[field]])
+    );
+  }
+
+  /**
+   * Update some of a user's privacy settings
+   * @param {Object} user - User instance
+   * @param {Object} changes - Map of area to visibility level
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async updateSettings(user, changes) {
+    const updates = {};
+    Object.entries(changes).forEach(([area, level]) => {
+      if (PRIVACY_AREAS[area]) {
+        updates[PRIVACY_AREAS[area]] = level;
+      }
+    });
+
+    await user.update(updates);
+    return this.getSettings(user);
+  }
+
+  /**
+   * Check whether a viewer may see an area of a user's profile
+   * @param {Object} owner - User instance whose profile is viewed
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @param {string} area - Key of PRIVACY_AREAS
+   * @returns {Promise<boolean>}
+   */
+  async canView(owner, viewer, area) {
+    return this.canViewLevel(owner.id, owner[PRIVACY_AREAS[area]], viewer);
+  }
+
+  /**
+   * Check a visibility level directly, for things with their own setting like custom lists
+   * @param {string} ownerId - Owner's user ID
+   * @param {string} level - One of VISIBILITY_LEVELS
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @returns {Promise<boolean>}
+   */
+  async canViewLevel(ownerId, level, viewer) {
+    if (viewer && viewer.id === ownerId) return true;
+    if (level === 'public') return true;
+    if (level === 'followers' && viewer) return this.isFollower(viewer.id, ownerId);
+    return false;
+  }
+
+  /**
+   * Check every area at once, e.g. to decide which profile tabs to show
+   * @param {Object} owner - User instance whose profile is viewed
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @returns {Promise<Object>} - Map of area to boolean
+   */
+  async getVisibleAreas(owner, viewer) {
+    const areas = Object.keys(PRIVACY_AREAS);
+    const visible = await Promise.all(areas.map(area => this.canView(owner, viewer, area)));
+    return Object.fromEntries(areas.map((area, index) => [area, visible[index]]));
+  }
+
+  /**
+   * Narrow a list of users to those whose area the viewer may see
+   * @param {string} viewerId - Viewing user ID
+   * @param {Array<string>} userIds - Candidate user IDs
+   * @param {string} area - Key of PRIVACY_AREAS
+   * @returns {Promise<Set<string>>} - IDs of users whose area is visible
+   */
+  async filterVisibleUsers(viewerId, userIds, area) {
+    if (userIds.length === 0) return new Set();
+
+    const field = PRIVACY_AREAS[area];
+    const users = await User.findAll({
+      where: { id: userIds },
+      attributes: ['id', field]
+    });
+
+    const visible = new Set();
+    for (const user of users) {
+      if (user.id === viewerId || user[field] === 'public' ||
+          (user[field] === 'followers' && await this.isFollower(viewerId, user.id))) {
+        visible.add(user.id);
+      }
+    }
+    return visible;
+  }
+
+  /**
+   * Check whether one user follows another
+   * @param {string} followerId - Possible follower's user ID
+   * @param {string} userId - Followed user's ID
+   * @returns {Promise<boolean>}
+   */
+  async isFollower(followerId, userId) {
+    return (await Follow.count({ where: { followerId, followingId: userId } })) > 0;
+  }
+}
+
+module.exports = new PrivacyService();
+
+// controllers/profileController.js
+const { body, param, query } = require('express-validator');
+const { User, UserList, Content, Playlist, PlaylistTrack, Soundtrack } = require('../models');
+const privacyService = require('../services/privacyService');
+const listExportService = require('../services/listExportService');
+const { VISIBILITY_LEVELS, PRIVACY_AREAS } = require('../utils/privacy');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const userIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const listsValidation = [
+  param('id').isUUID(),
+  query('status').optional().isString(),
+  validateRequest
+];
+
+const exportListsValidation = [
+  param('id').isUUID(),
+  query('format').optional().isIn(listExportService.FORMATS),
+  validateRequest
+];
+
+const activityValidation = [
+  param('id').isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validateRequest
+];
+
+const updatePrivacyValidation = [
+  param('id').isUUID(),
+  ...Object.keys(PRIVACY_AREAS).map(area => body(area).optional().isIn(VISIBILITY_LEVELS)),
+  validateRequest
+];
+
+/**
+ * Load the profile owner and check the viewer may see an area
+ * Answers the request itself and resolves to null when they may not.
+ * @private
+ */
+const loadVisibleProfile = async (req, res, area) => {
+  const owner = await User.findByPk(req.params.id);
+
+  if (!owner || owner.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await privacyService.canView(owner, req.user, area))) {
+    res.status(403).json({
+      success: false,
+      code: 'PROFILE_PRIVATE',
+      message: `${owner.username} keeps their ${area} private`
+    });
+    return null;
+  }
+
+  return owner;
+};
+
+/**
+ * Remove the rating from a list entry when ratings are hidden
+ * @private
+ */
+const serializeListEntry = (entry, showRatings) => {
+  const data = entry.toJSON();
+  if (!showRatings) {
+    delete data.rating;
+  }
+  return data;
+};
+
+/**
+ * Get a user's content lists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUserLists = async (req, res, next) => {
+  try {
+    const owner = await loadVisibleProfile(req, res, 'lists');
+    if (!owner) return;
+
+    const where = { userId: owner.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const [entries, showRatings] = await Promise.all([
+      UserList.findAll({
+        where,
+        include: [{ model: Content }],
+        order: [['updatedAt', 'DESC']]
+      }),
+      privacyService.canView(owner, req.user, 'ratings')
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => serializeListEntry(entry, showRatings))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a user's lists as generic CSV, Letterboxd CSV or Trakt-style JSON
+ * Follows the same privacy settings as the profile's lists, ratings and diary.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const exportUserLists = async (req, res, next) => {
+  try {
+    const owner = await loadVisibleProfile(req, res, 'lists');
+    if (!owner) return;
+
+    const format = req.query.format || 'csv';
+    const [includeRatings, includeDiary] = await Promise.all([
+      privacyService.canView(owner, req.user, 'ratings'),
+      privacyService.canView(owner, req.user, 'activity')
+    ]);
+
+    const file = await listExportService.buildExport(owner.id, format, {
+      includeRatings,
+      includeDiary,
+      ratingScale: owner.ratingScale
+    });
+
+    res.attachment(`didi-${owner.username}-${format}.${file.extension}`);
+    res.type(file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's recent activity (list changes and ratings)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUserActivity = async (req, res, next) => {
+  try {
+    const owner = await loadVisibleProfile(req, res, 'activity');
+    if (!owner) return;
+
+    const [entries, showRatings] = await Promise.all([
+      UserList.findAll({
+        where: { userId: owner.id },
+        include: [{ model: Content, attributes: ['id', 'title', 'type', 'posterUrl'] }],
+        order: [['updatedAt', 'DESC']],
+        limit: req.query.limit || 20
+      }),
+      privacyService.canView(owner, req.user, 'ratings')
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => serializeListEntry(entry, showRatings))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's playlists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUserPlaylists = async (req, res, next) => {
+  try {
+    const owner = await loadVisibleProfile(req, res, 'playlists');
+    if (!owner) return;
+
+    const playlists = await Playlist.findAll({
+      where: { userId: owner.id },
+      include: [{ model: PlaylistTrack, include: [{ model: Soundtrack }] }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: playlists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get which profile areas the viewer may see, for hiding tabs on the profile page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getVisibility = async (req, res, next) => {
+  try {
+    const owner = await User.findByPk(req.params.id);
+    if (!owner || owner.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await privacyService.getVisibleAreas(owner, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's privacy settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getPrivacySettings = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own privacy settings'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: privacyService.getSettings(req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's privacy settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updatePrivacySettings = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own privacy settings'
+      });
+    }
+
+    const settings = await privacyService.updateSettings(req.user, req.body);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUserLists: [listsValidation, getUserLists],
+  exportUserLists: [exportListsValidation, exportUserLists],
+  getUserActivity: [activityValidation, getUserActivity],
+  getUserPlaylists: [userIdValidation, getUserPlaylists],
+  getVisibility: [userIdValidation, getVisibility],
+  getPrivacySettings: [userIdValidation, getPrivacySettings],
+  updatePrivacySettings: [updatePrivacyValidation, updatePrivacySettings]
+};
+
+// routes/userRoutes.js - Privacy-aware profile reads
+const profileController = require('../controllers/profileController');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// These replace the plain reads of /:id/lists and /:id/activity
+router.get('/:id/lists', optionalAuth, profileController.getUserLists);
+router.get('/:id/lists/export', optionalAuth, profileController.exportUserLists);
+router.get('/:id/activity', optionalAuth, profileController.getUserActivity);
+router.get('/:id/playlists', optionalAuth, profileController.getUserPlaylists);
+router.get('/:id/visibility', optionalAuth, profileController.getVisibility);
+router.get('/:id/privacy', authMiddleware, profileController.getPrivacySettings);
+router.put('/:id/privacy', authMiddleware, profileController.updatePrivacySettings);
@@ -0,0 +1,165 @@
+// src/components/settings/ProfileVisibility.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import { Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0 0 10px 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const AreaList = styled.div`
+  display: grid;
+  gap: 10px;
+  margin-top: 15px;
+`;
+
+const AreaRow = styled.div`
+  display: flex;
+  align-items: center;
+  padding: 12px 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+`;
+
+const Info = styled.div`
+  flex: 1;
+`;
+
+const Name = styled.div`
+  font-size: 16px;
+  font-weight: 500;
+  margin-bottom: 4px;
+`;
+
+const Meta = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const Select = styled.select`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 8px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+`;
+
+const AREAS = [
+  { key: 'lists', name: 'Watch lists', description: 'What you are watching, plan to watch and have finished' },
+  { key: 'ratings', name: 'Ratings', description: 'Your scores, wherever your lists or activity are shown' },
+  { key: 'activity', name: 'Activity', description: 'Your list changes and watch diary, on your profile and in followers\' feeds' },
+  { key: 'playlists', name: 'Playlists', description: 'Soundtrack playlists you have made' }
+];
+
+const LEVELS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'followers', label: 'Followers' },
+  { value: 'private', label: 'Only me' }
+];
+
+/**
+ * Choose who can see each area of the current user's profile
+ */
+const ProfileVisibility = () => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = ['users', currentUser.id, 'privacy'];
+
+  const { data: settings, isLoading, error } = useQuery(
+    queryKey,
+    () => api.get(`/users/${currentUser.id}/privacy`).then(res => res.data.data)
+  );
+
+  const update = useMutation(
+    (changes) => api.put(`/users/${currentUser.id}/privacy`, changes).then(res => res.data.data),
+    {
+      onSuccess: (data) => queryClient.setQueryData(queryKey, data)
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load privacy settings" />;
+
+  return (
+    <Container>
+      <Title>Profile visibility</Title>
+      <Text>
+        Choose who can see each part of your profile. Private ratings still improve your own
+        recommendations, but you will never be named when we suggest something to someone else.
+      </Text>
+
+      {update.isError && (
+        <Message error>{update.error.response?.data?.message || 'Failed to save your settings'}</Message>
+      )}
+
+      <AreaList>
+        {AREAS.map(area => (
+          <AreaRow key={area.key}>
+            <Info>
+              <Name>{area.name}</Name>
+              <Meta>{area.description}</Meta>
+            </Info>
+            <Select
+              value={settings[area.key]}
+              onChange={(e) => update.mutate({ [area.key]: e.target.value })}
+              disabled={update.isLoading}
+              aria-label={`Who can see your ${area.name.toLowerCase()}`}
+            >
+              {LEVELS.map(level => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </Select>
+          </AreaRow>
+        ))}
+      </AreaList>
+    </Container>
+  );
+};
+
+export default ProfileVisibility;
+
+// src/pages/PrivacySettings.js
+import React from 'react';
+import styled from 'styled-components';
+import ProfileVisibility from '../components/settings/ProfileVisibility';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const PrivacySettings = () => {
+  return (
+    <Container>
+      <PageTitle>Privacy</PageTitle>
+      <ProfileVisibility />
+    </Container>
+  );
+};
+
+export default PrivacySettings;
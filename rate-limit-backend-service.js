@@ -0,0 +1,232 @@
+// services/rateLimit/memoryStore.js
+/**
+ * In-process fixed-window counters
+ * Fine for a single API instance; use the Redis store when running several.
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+
+    // Drop expired windows so idle keys don't pile up
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { count, resetAt } where resetAt is a timestamp in ms
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Forget a key's count
+   * @param {string} key - Bucket key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
+
+// services/rateLimit/redisStore.js
+// Increment and start the window's expiry in one round trip
+const INCREMENT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+  return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Fixed-window counters shared between API instances through Redis
+ * Works with any client exposing ioredis-style eval(script, numKeys, ...keys, ...args) and del(key).
+ */
+class RedisStore {
+  constructor(client, { prefix = 'ratelimit:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Bucket key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} - { count, resetAt } where resetAt is a timestamp in ms
+   */
+  async increment(key, windowMs) {
+    const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, windowMs);
+    return {
+      count: Number(count),
+      resetAt: Date.now() + (ttl > 0 ? Number(ttl) : windowMs)
+    };
+  }
+
+  /**
+   * Forget a key's count
+   * @param {string} key - Bucket key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+module.exports = RedisStore;
+
+// services/rateLimit/index.js
+const config = require('../../config');
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+
+const stores = {
+  memory: () => new MemoryStore(),
+  redis: () => {
+    const Redis = require('ioredis');
+    return new RedisStore(new Redis(config.rateLimit.redisUrl));
+  }
+};
+
+const createStore = stores[config.rateLimit.store];
+if (!createStore) {
+  throw new Error(`Unknown rate limit store "${config.rateLimit.store}"`);
+}
+
+// Shared by every policy; keys are prefixed with the policy name
+module.exports = createStore();
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
+
+// middleware/rateLimit.js
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const rateLimitStore = require('../services/rateLimit');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Named policies; each keeps its own counter per user (or per IP when logged out)
+const POLICIES = {
+  default: { windowMs: 15 * 60 * 1000, max: 300 },
+  auth: { windowMs: 15 * 60 * 1000, max: 30 },
+  writes: { windowMs: 60 * 1000, max: 60, methods: WRITE_METHODS },
+  search: { windowMs: 60 * 1000, max: 30 },
+  // Search-as-you-type sends a request per pause in typing
+  suggest: { windowMs: 60 * 1000, max: 120 },
+  recommendations: { windowMs: 60 * 1000, max: 20 }
+};
+
+/**
+ * Work out who a request counts against
+ * Routes may apply the limiter before authMiddleware, so a valid bearer
+ * token is decoded here without loading the user.
+ * @private
+ */
+const getClientKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const { id } = jwt.verify(authHeader.split(' ')[1], config.jwtSecret);
+      return `user:${id}`;
+    } catch (error) {
+      // Expired or invalid tokens fall back to the IP address
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Limit requests under a named policy
+ * Sets the standard RateLimit-* headers and answers 429 once the limit is hit.
+ * @param {string} policyName - Key of POLICIES
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (policyName) => {
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  const windowSeconds = Math.ceil(policy.windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (policy.methods && !policy.methods.includes(req.method)) {
+      return next();
+    }
+
+    let hit;
+    try {
+      hit = await rateLimitStore.increment(`${policyName}:${getClientKey(req)}`, policy.windowMs);
+    } catch (error) {
+      // Don't take the API down with the store; let the request through
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const remaining = Math.max(0, policy.max - hit.count);
+    const resetSeconds = Math.max(0, Math.ceil((hit.resetAt - Date.now()) / 1000));
+
+    // With several policies on one route, report whichever is closest to its limit
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || remaining <= Number(reported)) {
+      res.set({
+        'RateLimit-Policy': `${policy.max};w=${windowSeconds}`,
+        'RateLimit-Limit': String(policy.max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+    }
+
+    if (hit.count > policy.max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message: 'Too many requests, please slow down',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
+module.exports.POLICIES = POLICIES;
+
+// routes/contentRoutes.js - Rate limited search
+const rateLimit = require('../middleware/rateLimit');
+const searchController = require('../controllers/searchController');
+
+router.get('/search', rateLimit('search'), searchController.searchContent);
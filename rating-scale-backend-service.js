@@ -0,0 +1,346 @@
+// utils/ratingScale.js
+// Ratings are stored normalized to 0.1-1 in steps of 0.1, whatever scale the
+// user rated on; clients convert to and from the viewer's scale for display.
+// Keep in sync with src/utils/ratings.js on the client.
+const RATING_SCALES = {
+  stars: { max: 5, step: 1 },
+  half_stars: { max: 5, step: 0.5 },
+  ten_point: { max: 10, step: 1 },
+  // Thumbs are 1 (up) or 0 (down); up counts like 4 stars, down like 1
+  thumbs: { up: 0.8, down: 0.2 }
+};
+
+const DEFAULT_RATING_SCALE = 'half_stars';
+
+// Normalized rating from which a title counts as liked (4 of 5 stars)
+const LIKED_RATING = 0.8;
+
+// Rating assumed for titles marked completed without one (3.5 of 5 stars)
+const NEUTRAL_RATING = 0.7;
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Check a value is a valid normalized rating
+ * @param {number} value
+ * @returns {boolean}
+ */
+const isNormalizedRating = (value) =>
+  typeof value === 'number' && value >= 0.1 && value <= 1 && Math.abs(roundToTenth(value) - value) < 1e-9;
+
+/**
+ * Convert a rating on a scale to the stored value
+ * @param {number} value - Rating on the scale
+ * @param {string} scale - Key of RATING_SCALES
+ * @returns {number|null} - Normalized rating, or null for no rating
+ */
+const toNormalized = (value, scale) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+
+  const { max, up, down } = RATING_SCALES[scale];
+  if (scale === 'thumbs') {
+    return value ? up : down;
+  }
+  if (value <= 0) return null;
+
+  return Math.min(1, Math.max(0.1, roundToTenth(value / max)));
+};
+
+/**
+ * Convert a stored rating to a scale, rounding to the scale's steps
+ * @param {number|null} normalized - Stored rating
+ * @param {string} scale - Key of RATING_SCALES
+ * @returns {number|null} - Rating on the scale
+ */
+const fromNormalized = (normalized, scale) => {
+  if (normalized === null || normalized === undefined) return null;
+
+  const { max, step } = RATING_SCALES[scale];
+  if (scale === 'thumbs') {
+    return normalized >= 0.6 ? 1 : 0;
+  }
+
+  return Math.max(step, Math.round((normalized * max) / step) * step);
+};
+
+module.exports = {
+  RATING_SCALES,
+  DEFAULT_RATING_SCALE,
+  LIKED_RATING,
+  NEUTRAL_RATING,
+  isNormalizedRating,
+  toNormalized,
+  fromNormalized
+};
+
+// migrations/20261019000000-normalize-ratings.js
+// Ratings were stored as 1-5 stars and Content.rating as TMDB's 0-10 score.
+// Both become 0-1 (user ratings in steps of 0.1), and users get a rating scale.
+const RATED_TABLES = [
+  { table: 'UserLists', column: 'rating' },
+  { table: 'DiaryEntries', column: 'rating' },
+  { table: 'UserContentInteractions', column: 'value', where: `"interactionType" = 'rate'` }
+];
+
+// Scale a JSONB "rating" key in place, for rows that copy a rating
+const scaleJsonRating = (expression, factor) =>
+  `jsonb_set(${expression}, '{rating}', to_jsonb(ROUND(((${expression}->>'rating')::numeric * ${factor}), 1)))`;
+
+const convert = async (queryInterface, factor, contentFactor, transaction) => {
+  const query = (sql) => queryInterface.sequelize.query(sql, { transaction });
+
+  for (const { table, column, where } of RATED_TABLES) {
+    await query(`
+      UPDATE "${table}" SET "${column}" = ROUND(("${column}" * ${factor})::numeric, 1)
+      WHERE "${column}" IS NOT NULL${where ? ` AND ${where}` : ''}
+    `);
+  }
+
+  await query(`UPDATE "Contents" SET rating = rating * ${contentFactor} WHERE rating IS NOT NULL`);
+
+  await query(`
+    UPDATE "HistoryImportItems" SET "row" = ${scaleJsonRating('"row"', factor)}
+    WHERE "row"->>'rating' IS NOT NULL
+  `);
+
+  await query(`
+    UPDATE "Activities" SET subjects = (
+      SELECT jsonb_agg(
+        CASE WHEN subject->>'rating' IS NOT NULL THEN ${scaleJsonRating('subject', factor)} ELSE subject END
+      )
+      FROM jsonb_array_elements(subjects) AS subject
+    )
+    WHERE verb = 'rating'
+  `);
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Users', 'ratingScale', {
+        type: Sequelize.ENUM('stars', 'half_stars', 'ten_point', 'thumbs'),
+        allowNull: false,
+        defaultValue: 'half_stars'
+      }, { transaction });
+
+      await convert(queryInterface, '0.2', '0.1', transaction);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await convert(queryInterface, '5', '10', transaction);
+
+      await queryInterface.removeColumn('Users', 'ratingScale', { transaction });
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Users_ratingScale"', { transaction });
+    });
+  }
+};
+
+// services/ratingService.js
+const { UserList, UserContentInteraction } = require('../models');
+
+/**
+ * Rating Service
+ * A user's own rating of a title lives on their list entry; each change is
+ * also logged as an interaction for recommendations. Values are normalized.
+ */
+class RatingService {
+  /**
+   * Get a user's rating of a title
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Promise<number|null>} - Normalized rating
+   */
+  async getRating(userId, contentId) {
+    const entry = await UserList.findOne({ where: { userId, contentId }, attributes: ['rating'] });
+    return entry ? entry.rating : null;
+  }
+
+  /**
+   * Rate a title, adding it to the user's list entries if needed
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @param {number} rating - Normalized rating
+   * @param {Object} options
+   * @param {Object} options.transaction - Transaction to write in, e.g. with a review
+   * @returns {Promise<Object>} - UserList instance
+   */
+  async rateContent(userId, contentId, rating, { transaction } = {}) {
+    const [entry, created] = await UserList.findOrCreate({
+      where: { userId, contentId },
+      defaults: { rating },
+      transaction
+    });
+
+    if (!created) {
+      await entry.update({ rating }, { transaction });
+    }
+
+    await UserContentInteraction.create({
+      userId,
+      contentId,
+      interactionType: 'rate',
+      value: rating
+    }, { transaction });
+
+    return entry;
+  }
+
+  /**
+   * Remove a user's rating of a title; the list entry stays
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Promise<boolean>} - False if there was no rating
+   */
+  async clearRating(userId, contentId) {
+    const [count] = await UserList.update({ rating: null }, { where: { userId, contentId } });
+    return count > 0;
+  }
+
+  /**
+   * Change the scale a user rates and sees ratings on
+   * @param {Object} user - User instance
+   * @param {string} scale - Key of RATING_SCALES
+   * @returns {Promise<Object>} - Updated User instance
+   */
+  async updateRatingScale(user, scale) {
+    return user.update({ ratingScale: scale });
+  }
+}
+
+module.exports = new RatingService();
+
+// controllers/ratingController.js
+const { body, param } = require('express-validator');
+const { Content } = require('../models');
+const ratingService = require('../services/ratingService');
+const { RATING_SCALES, isNormalizedRating } = require('../utils/ratingScale');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const contentIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const rateContentValidation = [
+  param('id').isUUID(),
+  body('rating').isFloat().toFloat().custom(isNormalizedRating)
+    .withMessage('Rating must be normalized: between 0.1 and 1 in steps of 0.1'),
+  validateRequest
+];
+
+const ratingScaleValidation = [
+  param('id').isUUID(),
+  body('ratingScale').isIn(Object.keys(RATING_SCALES)),
+  validateRequest
+];
+
+/**
+ * Get the current user's rating of a title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getRating = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { rating: await ratingService.getRating(req.user.id, req.params.id) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rate a title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const rateContent = async (req, res, next) => {
+  try {
+    const content = await Content.findByPk(req.params.id, { attributes: ['id'] });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const entry = await ratingService.rateContent(req.user.id, content.id, req.body.rating);
+
+    res.json({
+      success: true,
+      data: { rating: entry.rating }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove the current user's rating of a title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const clearRating = async (req, res, next) => {
+  try {
+    await ratingService.clearRating(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      data: { rating: null }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's rating scale
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateRatingScale = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own rating scale'
+      });
+    }
+
+    const user = await ratingService.updateRatingScale(req.user, req.body.ratingScale);
+
+    res.json({
+      success: true,
+      data: { ratingScale: user.ratingScale }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRating: [contentIdValidation, getRating],
+  rateContent: [rateContentValidation, rateContent],
+  clearRating: [contentIdValidation, clearRating],
+  updateRatingScale: [ratingScaleValidation, updateRatingScale]
+};
+
+// routes/contentRoutes.js - The current user's rating
+const ratingController = require('../controllers/ratingController');
+
+router.get('/:id/rating', authMiddleware, ratingController.getRating);
+router.post('/:id/rating', authMiddleware, ratingController.rateContent);
+router.delete('/:id/rating', authMiddleware, ratingController.clearRating);
+
+// routes/userRoutes.js - Rating scale
+const ratingController = require('../controllers/ratingController');
+
+router.put('/:id/rating-scale', authMiddleware, ratingController.updateRatingScale);
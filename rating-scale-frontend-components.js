@@ -0,0 +1,335 @@
+// src/utils/ratings.js
+// Ratings come from the API normalized to 0.1-1 and are shown on the viewer's
+// scale. Keep in sync with utils/ratingScale.js on the server.
+export const RATING_SCALES = {
+  stars: { label: '5 stars', description: 'Whole stars from 1 to 5', max: 5, step: 1 },
+  half_stars: { label: 'Half stars', description: 'From half a star to 5 stars', max: 5, step: 0.5 },
+  ten_point: { label: '10 point', description: 'Whole numbers from 1 to 10', max: 10, step: 1 },
+  thumbs: { label: 'Thumbs', description: 'Liked it or not', up: 0.8, down: 0.2 }
+};
+
+export const DEFAULT_RATING_SCALE = 'half_stars';
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Convert a rating on a scale to the value the API expects
+ * @param {number} value - Rating on the scale; for thumbs 1 (up) or 0 (down)
+ * @param {string} scale - Key of RATING_SCALES
+ * @returns {number} - Normalized rating
+ */
+export const toNormalized = (value, scale) => {
+  const { max, up, down } = RATING_SCALES[scale];
+  if (scale === 'thumbs') return value ? up : down;
+  return Math.min(1, Math.max(0.1, roundToTenth(value / max)));
+};
+
+/**
+ * Convert a rating from the API to a scale, rounding to the scale's steps
+ * @param {number} normalized - Normalized rating
+ * @param {string} scale - Key of RATING_SCALES
+ * @returns {number} - Rating on the scale
+ */
+export const fromNormalized = (normalized, scale) => {
+  const { max, step } = RATING_SCALES[scale];
+  if (scale === 'thumbs') return normalized >= 0.6 ? 1 : 0;
+  return Math.max(step, Math.round((normalized * max) / step) * step);
+};
+
+/**
+ * Choices for rating on a scale, best first
+ * @param {string} scale - Key of RATING_SCALES
+ * @returns {Array<Object>} - [{ value (normalized), label }]
+ */
+export const ratingOptions = (scale) => {
+  if (scale === 'thumbs') {
+    return [
+      { value: RATING_SCALES.thumbs.up, label: '👍 Liked it' },
+      { value: RATING_SCALES.thumbs.down, label: '👎 Didn\'t like it' }
+    ];
+  }
+
+  const { max, step } = RATING_SCALES[scale];
+  const options = [];
+  for (let value = max; value >= step; value -= step) {
+    options.push({
+      value: toNormalized(value, scale),
+      label: scale === 'ten_point' ? `${value}/10` : `${value} ★`
+    });
+  }
+  return options;
+};
+
+/**
+ * Format one user's rating, e.g. "4.5/5", "9/10" or "liked"
+ * @param {number} normalized - Normalized rating
+ * @param {string} scale - Viewer's scale
+ * @returns {string}
+ */
+export const formatRating = (normalized, scale) => {
+  const value = fromNormalized(normalized, scale);
+  if (scale === 'thumbs') return value ? 'liked' : 'disliked';
+  return `${value}/${RATING_SCALES[scale].max}`;
+};
+
+/**
+ * Format an average score such as Content.rating, keeping one decimal
+ * @param {number} normalized - Score from 0 to 1
+ * @param {string} scale - Viewer's scale
+ * @returns {string}
+ */
+export const formatScore = (normalized, scale) => {
+  if (scale === 'thumbs') return `${Math.round(normalized * 100)}%`;
+  return (normalized * RATING_SCALES[scale].max).toFixed(1);
+};
+
+// src/hooks/useRatingScale.js
+import { useAuth } from '../contexts/AuthContext';
+import { DEFAULT_RATING_SCALE } from '../utils/ratings';
+
+/**
+ * The scale to show ratings on: the user's own, or the default when logged out
+ * @returns {string} - Key of RATING_SCALES
+ */
+const useRatingScale = () => {
+  const { currentUser } = useAuth();
+  return currentUser?.ratingScale || DEFAULT_RATING_SCALE;
+};
+
+export default useRatingScale;
+
+// src/components/common/RatingInput.js
+import React from 'react';
+import styled from 'styled-components';
+import useRatingScale from '../../hooks/useRatingScale';
+import { ratingOptions, toNormalized, fromNormalized } from '../../utils/ratings';
+
+const Select = styled.select`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+`;
+
+/**
+ * Pick a rating on the current user's scale
+ * @param {Object} props
+ * @param {number|null} props.value - Normalized rating
+ * @param {Function} props.onChange - Called with the normalized rating, or null for none
+ * @param {string} props.placeholder - Label for no rating
+ * @param {boolean} props.disabled
+ */
+const RatingInput = ({ value, onChange, placeholder = 'No rating', disabled = false }) => {
+  const scale = useRatingScale();
+
+  // A rating given on another scale shows as the nearest step on this one
+  const selected = value === null || value === undefined ? '' : toNormalized(fromNormalized(value, scale), scale);
+
+  return (
+    <Select
+      value={selected}
+      onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+      disabled={disabled}
+      aria-label="Rating"
+    >
+      <option value="">{placeholder}</option>
+      {ratingOptions(scale).map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </Select>
+  );
+};
+
+export default RatingInput;
+
+// src/components/content/ContentRating.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import RatingInput from '../common/RatingInput';
+
+const Container = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 20px;
+  font-size: 14px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+/**
+ * The current user's own rating of a title
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ */
+const ContentRating = ({ contentId }) => {
+  const queryClient = useQueryClient();
+  const queryKey = ['content', contentId, 'rating'];
+
+  const { data, isLoading } = useQuery(
+    queryKey,
+    () => api.get(`/content/${contentId}/rating`).then(res => res.data.data)
+  );
+
+  const rate = useMutation(
+    (rating) => (rating === null
+      ? api.delete(`/content/${contentId}/rating`)
+      : api.post(`/content/${contentId}/rating`, { rating })).then(res => res.data.data),
+    {
+      onSuccess: (result) => {
+        queryClient.setQueryData(queryKey, result);
+        queryClient.invalidateQueries('recommendations');
+      }
+    }
+  );
+
+  return (
+    <Container>
+      Your rating
+      <RatingInput
+        value={data?.rating ?? null}
+        onChange={(rating) => rate.mutate(rating)}
+        placeholder="Not rated"
+        disabled={isLoading || rate.isLoading}
+      />
+    </Container>
+  );
+};
+
+export default ContentRating;
+
+// src/components/settings/RatingScale.js
+import React from 'react';
+import styled from 'styled-components';
+import { useMutation } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import useRatingScale from '../../hooks/useRatingScale';
+import { RATING_SCALES, formatRating } from '../../utils/ratings';
+import { Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0 0 10px 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const Options = styled.div`
+  display: grid;
+  gap: 10px;
+`;
+
+const Option = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 15px;
+  background: ${props => props.theme.cardBg};
+  border: 1px solid ${props => props.checked ? props.theme.primary : 'transparent'};
+  border-radius: 8px;
+  cursor: pointer;
+`;
+
+const OptionText = styled.div`
+  flex: 1;
+  font-size: 15px;
+
+  span {
+    display: block;
+    font-size: 13px;
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const Example = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+/**
+ * Choose the scale the user rates on and sees everyone's ratings on
+ */
+const RatingScale = () => {
+  const { currentUser, updateCurrentUser } = useAuth();
+  const scale = useRatingScale();
+
+  const updateScale = useMutation(
+    (ratingScale) => api.put(`/users/${currentUser.id}/rating-scale`, { ratingScale })
+      .then(res => res.data.data),
+    { onSuccess: (data) => updateCurrentUser({ ratingScale: data.ratingScale }) }
+  );
+
+  return (
+    <Container>
+      <Title>Rating scale</Title>
+      <Text>
+        How you rate titles and how you see other people's ratings. Switching scales keeps your
+        ratings; they are shown rounded to the nearest step of the new scale.
+      </Text>
+
+      {updateScale.isError && <Message error>Failed to change your rating scale</Message>}
+
+      <Options>
+        {Object.entries(RATING_SCALES).map(([key, { label, description }]) => (
+          <Option key={key} checked={scale === key}>
+            <input
+              type="radio"
+              name="ratingScale"
+              checked={scale === key}
+              disabled={updateScale.isLoading}
+              onChange={() => updateScale.mutate(key)}
+            />
+            <OptionText>
+              {label}
+              <span>{description}</span>
+            </OptionText>
+            <Example>4½ stars shows as {formatRating(0.9, key)}</Example>
+          </Option>
+        ))}
+      </Options>
+    </Container>
+  );
+};
+
+export default RatingScale;
+
+// src/pages/PreferencesSettings.js
+import React from 'react';
+import styled from 'styled-components';
+import RatingScale from '../components/settings/RatingScale';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const PreferencesSettings = () => {
+  return (
+    <Container>
+      <PageTitle>Preferences</PageTitle>
+      <RatingScale />
+    </Container>
+  );
+};
+
+export default PreferencesSettings;
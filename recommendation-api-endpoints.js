@@ -5,6 +5,10 @@ const recommendationService = require('../services/recommendationService');
 const { authenticate } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { check } = require('express-validator');
+const rateLimit = require('../middleware/rateLimit');
+
+// Applies to the public endpoints too; anonymous callers are limited per IP
+router.use(rateLimit('recommendations'));
 
 /**
  * @route GET /api/recommendations/personal
@@ -1,8 +1,9 @@
 // src/services/recommendationService.js
-const db = require('../config/database');
+const db = require('../models');
 const contentService = require('./contentService');
 const userService = require('./userService');
 const { calculateSimilarity } = require('../utils/mathUtils');
+const { LIKED_RATING } = require('../utils/ratingScale');
 
 /**
  * Recommendation Service
@@ -23,9 +24,9 @@ const recommendationService = {
     
     try {
       // 1. Get user's ratings and watched status
-      const userRatings = await db.userRatings.findAll({ 
-        where: { userId },
-        include: [{ model: db.content, attributes: ['id', 'genres'] }]
+      const userRatings = await db.UserList.findAll({ 
+        where: { userId, rating: { [db.Sequelize.Op.ne]: null } },
+        include: [{ model: db.Content, attributes: ['id', 'genres'] }]
       });
       
       if (userRatings.length < 3) {
@@ -82,17 +83,17 @@ const recommendationService = {
     
     try {
       // 1. Get user's highly rated content
-      const userFavorites = await db.userRatings.findAll({
+      const userFavorites = await db.UserList.findAll({
         where: {
           userId,
-          rating: { [db.Sequelize.Op.gte]: 4.0 } // 4 stars or higher
+          rating: { [db.Sequelize.Op.gte]: LIKED_RATING } // 4 stars or higher
         },
         include: [{ 
-          model: db.content,
+          model: db.Content,
           include: [
-            { model: db.genre },
-            { model: db.person, as: 'directors' },
-            { model: db.person, as: 'actors' }
+            { model: db.Genre },
+            { model: db.Person, as: 'directors' },
+            { model: db.Person, as: 'actors' }
           ]
         }]
       });
@@ -107,10 +108,10 @@ const recommendationService = {
       const favoriteActors = {};
       
       userFavorites.forEach(rating => {
-        const content = rating.content;
+        const content = rating.Content;
         
         // Count genre frequencies
-        content.genres.forEach(genre => {
+        content.Genres.forEach(genre => {
           favoriteGenres[genre.id] = (favoriteGenres[genre.id] || 0) + 1;
         });
         
@@ -191,18 +192,18 @@ const recommendationService = {
       }
       
       // 4. Query for similar content
-      const similarContent = await db.content.findAll({
+      const similarContent = await db.Content.findAll({
         where: {
           id: { [db.Sequelize.Op.notIn]: excludeIds }
         },
         include: [
           { 
-            model: db.genre,
+            model: db.Genre,
             where: { id: { [db.Sequelize.Op.in]: genreIds } }
           },
           // Optional includes for actors and directors for scoring
-          { model: db.person, as: 'directors' },
-          { model: db.person, as: 'actors' }
+          { model: db.Person, as: 'directors' },
+          { model: db.Person, as: 'actors' }
         ],
         limit: limit * 3 // Get more for scoring and filtering
       });
@@ -212,7 +213,7 @@ const recommendationService = {
         let score = 0;
         
         // Genre match score (highest weight)
-        const matchedGenres = similar.genres.filter(g => 
+        const matchedGenres = similar.Genres.filter(g => 
           genreIds.includes(g.id)
         ).length;
         score += (matchedGenres / genreIds.length) * 50;
@@ -264,7 +265,7 @@ const recommendationService = {
     
     try {
       // Query for popular content based on user activities
-      const popularContent = await db.content.findAll({
+      const popularContent = await db.Content.findAll({
         where: {
           id: { [db.Sequelize.Op.notIn]: excludeIds }
         },
@@ -272,16 +273,16 @@ const recommendationService = {
           include: [
             [
               db.sequelize.literal(`(
-                SELECT COUNT(*) FROM user_content_status
-                WHERE content_id = content.id
-                AND status = 'completed'
-                AND updated_at > NOW() - INTERVAL '1 ${timeframe}'
+                SELECT COUNT(*) FROM "UserLists"
+                WHERE "UserLists"."contentId" = "Content"."id"
+                AND "UserLists"."status" = 'completed'
+                AND "UserLists"."updatedAt" > NOW() - INTERVAL '1 ${timeframe}'
               )`),
               'popularityScore'
             ]
           ]
         },
-        order: [[db.sequelize.literal('popularityScore'), 'DESC']],
+        order: [[db.sequelize.literal('"popularityScore"'), 'DESC']],
         limit
       });
       
@@ -313,7 +314,7 @@ const recommendationService = {
       }
       
       // 2. Find genres not in user's top preferences
-      const allGenres = await db.genre.findAll();
+      const allGenres = await db.Genre.findAll();
       const discoveryGenres = allGenres
         .filter(genre => !userGenres.includes(genre.id))
         .map(genre => genre.id);
@@ -326,18 +327,18 @@ const recommendationService = {
       // 3. Get content from non-preferred genres that is highly rated
       const userContentIds = await userService.getUserContentIds(userId);
       
-      const discoveryContent = await db.content.findAll({
+      const discoveryContent = await db.Content.findAll({
         where: {
           id: { [db.Sequelize.Op.notIn]: userContentIds },
-          average_rating: { [db.Sequelize.Op.gte]: 4.0 }
+          rating: { [db.Sequelize.Op.gte]: LIKED_RATING }
         },
         include: [
           {
-            model: db.genre,
+            model: db.Genre,
             where: { id: { [db.Sequelize.Op.in]: discoveryGenres } }
           }
         ],
-        order: [['average_rating', 'DESC']],
+        order: [['rating', 'DESC']],
         limit
       });
       
@@ -365,10 +366,11 @@ const recommendationService = {
     const contentIds = Object.keys(userRatingMap);
     
     // Find other users who rated the same content
-    const otherUserRatings = await db.userRatings.findAll({
+    const otherUserRatings = await db.UserList.findAll({
       where: {
         contentId: { [db.Sequelize.Op.in]: contentIds },
-        userId: { [db.Sequelize.Op.ne]: userId }
+        userId: { [db.Sequelize.Op.ne]: userId },
+        rating: { [db.Sequelize.Op.ne]: null }
       }
     });
     
@@ -430,18 +432,18 @@ const recommendationService = {
     
     // Get ratings from similar users
     const similarUserIds = similarUsers.map(u => u.userId);
-    const similarUsersRatings = await db.userRatings.findAll({
+    const similarUsersRatings = await db.UserList.findAll({
       where: {
         userId: { [db.Sequelize.Op.in]: similarUserIds },
         contentId: { [db.Sequelize.Op.notIn]: allExcludeIds },
-        rating: { [db.Sequelize.Op.gte]: 4.0 } // Only highly rated content
+        rating: { [db.Sequelize.Op.gte]: LIKED_RATING } // Only highly rated content
       }
     });
     
     // Score recommendations by similarity and rating
     similarUsersRatings.forEach(rating => {
       const similarUser = similarUsers.find(u => u.userId === rating.userId);
-      const score = similarUser.similarity * (rating.rating / 5.0);
+      const score = similarUser.similarity * rating.rating; // Ratings are already 0-1
       
       if (recommendedContentMap[rating.contentId]) {
         recommendedContentMap[rating.contentId].score += score;
@@ -467,14 +469,14 @@ const recommendationService = {
    */
   async _scoreContentByAttributes(favoriteGenres, favoriteDirectors, favoriteActors, excludeIds, limit) {
     // Get content not yet consumed by user
-    const potentialContent = await db.content.findAll({
+    const potentialContent = await db.Content.findAll({
       where: {
         id: { [db.Sequelize.Op.notIn]: excludeIds }
       },
       include: [
-        { model: db.genre },
-        { model: db.person, as: 'directors' },
-        { model: db.person, as: 'actors' }
+        { model: db.Genre },
+        { model: db.Person, as: 'directors' },
+        { model: db.Person, as: 'actors' }
       ],
       limit: limit * 2 // Get more for better filtering
     });
@@ -484,7 +486,7 @@ const recommendationService = {
       let score = 0;
       
       // Genre matching (40% weight)
-      content.genres.forEach(genre => {
+      content.Genres.forEach(genre => {
         if (favoriteGenres[genre.id]) {
           score += (favoriteGenres[genre.id] * 8); // More weight for frequently liked genres
         }
@@ -517,22 +519,22 @@ const recommendationService = {
    */
   async _getUserPreferredGenres(userId) {
     // Get user's ratings
-    const userRatings = await db.userRatings.findAll({
-      where: { userId },
+    const userRatings = await db.UserList.findAll({
+      where: { userId, rating: { [db.Sequelize.Op.ne]: null } },
       include: [{ 
-        model: db.content,
-        include: [{ model: db.genre }]
+        model: db.Content,
+        include: [{ model: db.Genre }]
       }]
     });
     
     // Count genre frequencies
     const genreCounts = {};
     userRatings.forEach(rating => {
-      if (!rating.content || !rating.content.genres) return;
+      if (!rating.Content) return;
       
-      rating.content.genres.forEach(genre => {
+      rating.Content.Genres.forEach(genre => {
         // Weight by rating
-        const weight = rating.rating >= 4 ? 2 : 1;
+        const weight = rating.rating >= LIKED_RATING ? 2 : 1;
         genreCounts[genre.id] = (genreCounts[genre.id] || 0) + weight;
       });
     });
@@ -553,25 +555,25 @@ const recommendationService = {
   async _getHighlyRatedUnpopularContent(userId, limit) {
     const userContentIds = await userService.getUserContentIds(userId);
     
-    const content = await db.content.findAll({
+    const content = await db.Content.findAll({
       where: {
         id: { [db.Sequelize.Op.notIn]: userContentIds },
-        average_rating: { [db.Sequelize.Op.gte]: 4.0 }
+        rating: { [db.Sequelize.Op.gte]: LIKED_RATING }
       },
       attributes: {
         include: [
           [
             db.sequelize.literal(`(
-              SELECT COUNT(*) FROM user_content_status
-              WHERE content_id = content.id
+              SELECT COUNT(*) FROM "UserLists"
+              WHERE "UserLists"."contentId" = "Content"."id"
             )`),
-            'popularity'
+            'listCount'
           ]
         ]
       },
       order: [
-        ['average_rating', 'DESC'],
-        [db.sequelize.literal('popularity'), 'ASC']
+        ['rating', 'DESC'],
+        [db.sequelize.literal('"listCount"'), 'ASC']
       ],
       limit
     });
@@ -32,7 +32,7 @@ module.exports = (sequelize) => {
     value: {
       type: DataTypes.FLOAT,
       allowNull: true,
-      comment: 'For ratings (1-5) or other numerical values'
+      comment: 'For ratings (normalized 0.1-1, see utils/ratingScale.js) or other numerical values'
     },
     status: {
       type: DataTypes.ENUM('watching', 'completed', 'plan_to_watch', 'dropped'),
@@ -50,6 +50,14 @@ module.exports = (sequelize) => {
 // services/recommendationService.js
 const { Op } = require('sequelize');
 const { User, Content, UserContentInteraction, UserList, Genre, ContentGenre } = require('../models');
+const privacyService = require('./privacyService');
+const diaryService = require('./diaryService');
+const { LIKED_RATING, NEUTRAL_RATING } = require('../utils/ratingScale');
+
+// Rewatching something says more than any rating, so each rewatch counts
+// like a top rating with extra weight, up to a few rewatches per title
+const REWATCH_WEIGHT = 1.5;
+const MAX_COUNTED_REWATCHES = 3;
 
 /**
  * Recommendation Service
@@ -127,7 +135,7 @@ class RecommendationService {
           [Op.notIn]: watchedContentIds
         },
         rating: {
-          [Op.gte]: 4 // Minimum rating threshold
+          [Op.gte]: LIKED_RATING // Minimum rating threshold
         }
       },
       include: [
@@ -137,12 +145,29 @@ class RecommendationService {
       limit: limit * 2 // Get more than needed for filtering
     });
     
+    // Private ratings still shape the scores, but only users whose ratings
+    // this user is allowed to see are ever named in an explanation
+    const nameableUserIds = await privacyService.filterVisibleUsers(
+      userId,
+      similarUsers.map(user => user.id),
+      'ratings'
+    );
+
     // Format and score recommendations
-    return recommendations.map(rec => ({
-      content: rec.Content,
-      score: rec.rating * this.getSimilarityWeight(similarUsers, rec.userId),
-      recommendationType: 'collaborative'
-    }));
+    return recommendations.map(rec => {
+      const similarUser = nameableUserIds.has(rec.userId)
+        ? similarUsers.find(user => user.id === rec.userId)
+        : null;
+
+      return {
+        content: rec.Content,
+        score: rec.rating * this.getSimilarityWeight(similarUsers, rec.userId),
+        recommendationType: 'collaborative',
+        explanation: similarUser
+          ? { type: 'similar_user', userId: similarUser.id, username: similarUser.username }
+          : { type: 'similar_users' }
+      };
+    });
   }
 
   /**
@@ -382,11 +407,13 @@ class RecommendationService {
   }
 
   /**
-   * Get user's genre preferences based on their ratings
+   * Get user's genre preferences based on their ratings and rewatches
    * @param {string} userId - User ID
    * @returns {Promise<Object>} - Map of genre IDs to preference scores
    */
   async getUserGenrePreferences(userId) {
+    const rewatchCounts = await diaryService.getRewatchCounts(userId);
+
     // Get user's content with ratings
     const userContent = await UserList.findAll({
       where: { 
@@ -409,7 +436,7 @@ class RecommendationService {
     let totalScore = 0;
     
     userContent.forEach(item => {
-      const rating = item.rating || 3.5; // Default rating for completed items
+      const rating = item.rating || NEUTRAL_RATING; // Default rating for completed items
       const weight = item.status === 'completed' ? 1 : 0.8; // More weight to completed items
       
       item.Content.Genres.forEach(genre => {
@@ -422,6 +449,21 @@ class RecommendationService {
         totalScore += score;
       });
     });
+
+    // Rewatched titles, whether or not they are on the user's lists
+    const rewatched = await Content.findAll({
+      where: { id: Object.keys(rewatchCounts) },
+      include: [{ model: Genre }]
+    });
+
+    rewatched.forEach(content => {
+      const score = REWATCH_WEIGHT * Math.min(rewatchCounts[content.id], MAX_COUNTED_REWATCHES);
+
+      content.Genres.forEach(genre => {
+        genreScores[genre.id] = (genreScores[genre.id] || 0) + score;
+        totalScore += score;
+      });
+    });
     
     // Normalize scores
     if (totalScore > 0) {
@@ -543,7 +585,8 @@ const getRecommendations = async (req, res, next) => {
       success: true,
       data: recommendations.map(rec => ({
         ...rec.content.dataValues,
-        recommendationType: rec.recommendationType
+        recommendationType: rec.recommendationType,
+        explanation: rec.explanation || null
       }))
     });
   } catch (error) {
@@ -588,12 +631,16 @@ module.exports = {
 const express = require('express');
 const recommendationController = require('../controllers/recommendationController');
 const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimit');
 
 const router = express.Router();
 
 // Protect all recommendation routes with authentication
 router.use(authMiddleware);
 
+// Recommendations are expensive to compute, keep polling in check
+router.use(rateLimit('recommendations'));
+
 // Routes
 router.get('/', recommendationController.getRecommendations);
 router.get('/similar/:contentId', recommendationController.getSimilarContent);
@@ -613,6 +660,7 @@ const franchiseRoutes = require('./franchiseRoutes');
 const forumRoutes = require('./forumRoutes');
 const soundtrackRoutes = require('./soundtrackRoutes');
 const recommendationRoutes = require('./recommendationRoutes');
+const commentRoutes = require('./commentRoutes');
 
 // Register routes
 router.use('/auth', authRoutes);
@@ -623,5 +671,6 @@ router.use('/franchises', franchiseRoutes);
 router.use('/forum', forumRoutes);
 router.use('/soundtracks', soundtrackRoutes);
 router.use('/recommendations', recommendationRoutes);
+router.use('/comments', commentRoutes);
 
 module.exports = router;
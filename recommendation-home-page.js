@@ -48,10 +48,10 @@ const Home = () => {
     useDiscoveryRecommendations
   } = useRecommendations();
   
-  // Get user's recently watched content if authenticated
+  // Get shows the user is part-way through, with their episode progress
   const { data: recentlyWatched, isLoading: recentLoading } = useQuery(
-    'recently-watched',
-    () => api.get('/user/content/recently-watched', { params: { limit: 5 } })
+    'continue-watching',
+    () => api.get('/progress/continue-watching', { params: { limit: 5 } })
       .then(res => res.data.data),
     {
       enabled: isAuthenticated,
@@ -0,0 +1,605 @@
+// models/review.js
+// A written review of a title. It belongs with the author's rating, which
+// stays on their list entry (UserList.rating); each user reviews a title once.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Review = sequelize.define('Review', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    containsSpoilers: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    likeCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Kept in step with ReviewLikes, for "most helpful" sorting'
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['userId', 'contentId'] },
+      { fields: ['contentId', 'likeCount', 'createdAt'] },
+      { fields: ['contentId', 'createdAt'] },
+      { fields: ['userId', 'createdAt'] }
+    ]
+  });
+
+  return Review;
+};
+
+// models/reviewLike.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ReviewLike = sequelize.define('ReviewLike', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    reviewId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Reviews',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['reviewId', 'userId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return ReviewLike;
+};
+
+// services/reviewService.js
+const { Op } = require('sequelize');
+const { User, Content, UserList, Review, ReviewLike, sequelize } = require('../models');
+const ratingService = require('./ratingService');
+const privacyService = require('./privacyService');
+
+const AUTHOR_ATTRIBUTES = ['id', 'username', 'avatar'];
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'posterUrl', 'releaseYear'];
+
+const SORT_ORDERS = {
+  helpful: [['likeCount', 'DESC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+  recent: [['createdAt', 'DESC'], ['id', 'DESC']]
+};
+
+/**
+ * Review Service
+ * Reviews, their likes, and the author's rating shown alongside each one
+ */
+class ReviewService {
+  /**
+   * Get a page of a title's reviews
+   * @param {string} contentId - Content ID
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @param {Object} options
+   * @param {string} options.sort - 'helpful' (most liked first) or 'recent'
+   * @param {number} options.offset - Reviews to skip
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, total, viewerReview }
+   */
+  async getContentReviews(contentId, viewer, { sort = 'helpful', offset = 0, limit = 20 } = {}) {
+    const [{ rows, count }, viewerReview] = await Promise.all([
+      Review.findAndCountAll({
+        where: { contentId },
+        include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }],
+        order: SORT_ORDERS[sort],
+        offset,
+        limit
+      }),
+      viewer
+        ? Review.findOne({
+          where: { contentId, userId: viewer.id },
+          include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }]
+        })
+        : null
+    ]);
+
+    const [items, [ownReview]] = await Promise.all([
+      this.serialize(rows, viewer),
+      this.serialize(viewerReview ? [viewerReview] : [], viewer)
+    ]);
+
+    return { items, total: count, viewerReview: ownReview || null };
+  }
+
+  /**
+   * Get a page of a user's reviews, newest first
+   * @param {string} userId - Author's user ID
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @param {Object} options
+   * @param {number} options.offset - Reviews to skip
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async getUserReviews(userId, viewer, { offset = 0, limit = 20 } = {}) {
+    const { rows, count } = await Review.findAndCountAll({
+      where: { userId },
+      include: [
+        { model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES },
+        { model: Content, attributes: CONTENT_ATTRIBUTES }
+      ],
+      order: SORT_ORDERS.recent,
+      offset,
+      limit
+    });
+
+    return { items: await this.serialize(rows, viewer), total: count };
+  }
+
+  /**
+   * Review a title; the rating is saved to the author's list entry with it
+   * @param {string} userId - Author's user ID
+   * @param {string} contentId - Content ID
+   * @param {Object} data - { rating, title, body, containsSpoilers }
+   * @returns {Promise<Object>} - Review instance
+   */
+  async createReview(userId, contentId, { rating, title = null, body, containsSpoilers = false }) {
+    return sequelize.transaction(async (transaction) => {
+      await ratingService.rateContent(userId, contentId, rating, { transaction });
+      return Review.create({ userId, contentId, title, body, containsSpoilers }, { transaction });
+    });
+  }
+
+  /**
+   * Edit a review, and the rating with it if given
+   * @param {Object} review - Review instance
+   * @param {Object} changes - Any of { rating, title, body, containsSpoilers }
+   * @returns {Promise<Object>} - Updated Review instance
+   */
+  async updateReview(review, changes) {
+    const updates = {};
+    ['title', 'body', 'containsSpoilers'].forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    });
+
+    return sequelize.transaction(async (transaction) => {
+      if (changes.rating !== undefined) {
+        await ratingService.rateContent(review.userId, review.contentId, changes.rating, { transaction });
+      }
+      return review.update(updates, { transaction });
+    });
+  }
+
+  /**
+   * Delete a review and its likes; the author's rating stays
+   * @param {Object} review - Review instance
+   * @returns {Promise<void>}
+   */
+  async deleteReview(review) {
+    await sequelize.transaction(async (transaction) => {
+      await ReviewLike.destroy({ where: { reviewId: review.id }, transaction });
+      await review.destroy({ transaction });
+    });
+  }
+
+  /**
+   * Like a review
+   * @param {Object} review - Review instance
+   * @param {string} userId - Liking user's ID
+   * @returns {Promise<number>} - The review's like count
+   */
+  async like(review, userId) {
+    await sequelize.transaction(async (transaction) => {
+      const [, created] = await ReviewLike.findOrCreate({
+        where: { reviewId: review.id, userId },
+        transaction
+      });
+
+      if (created) {
+        await review.increment('likeCount', { transaction });
+      }
+    });
+
+    await review.reload({ attributes: ['likeCount'] });
+    return review.likeCount;
+  }
+
+  /**
+   * Take back a like
+   * @param {Object} review - Review instance
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - The review's like count
+   */
+  async unlike(review, userId) {
+    await sequelize.transaction(async (transaction) => {
+      const removed = await ReviewLike.destroy({ where: { reviewId: review.id, userId }, transaction });
+
+      if (removed) {
+        await review.decrement('likeCount', { transaction });
+      }
+    });
+
+    await review.reload({ attributes: ['likeCount'] });
+    return review.likeCount;
+  }
+
+  /**
+   * Add each author's rating (if the viewer may see their ratings) and whether the viewer liked it
+   * @private
+   */
+  async serialize(reviews, viewer) {
+    if (reviews.length === 0) return [];
+
+    const viewerId = viewer ? viewer.id : null;
+    const authorIds = [...new Set(reviews.map(review => review.userId))];
+
+    const [entries, visibleRatings, likes] = await Promise.all([
+      UserList.findAll({
+        where: { [Op.or]: reviews.map(({ userId, contentId }) => ({ userId, contentId })) },
+        attributes: ['userId', 'contentId', 'rating']
+      }),
+      privacyService.filterVisibleUsers(viewerId, authorIds, 'ratings'),
+      viewerId
+        ? ReviewLike.findAll({
+          where: { userId: viewerId, reviewId: reviews.map(review => review.id) },
+          attributes: ['reviewId']
+        })
+        : []
+    ]);
+
+    const ratings = Object.fromEntries(entries.map(entry => [`${entry.userId}:${entry.contentId}`, entry.rating]));
+    const liked = new Set(likes.map(like => like.reviewId));
+
+    return reviews.map(review => ({
+      ...review.toJSON(),
+      rating: visibleRatings.has(review.userId) ? ratings[`${review.userId}:${review.contentId}`] ?? null : null,
+      likedByViewer: liked.has(review.id)
+    }));
+  }
+}
+
+module.exports = new ReviewService();
+
+// controllers/reviewController.js
+const { body, param, query } = require('express-validator');
+const { User, Content, Review } = require('../models');
+const reviewService = require('../services/reviewService');
+const { isNormalizedRating } = require('../utils/ratingScale');
+const { hasPermission } = require('../utils/permissions');
+const validateRequest = require('../middleware/validateRequest');
+
+const RATING_MESSAGE = 'Rating must be normalized: between 0.1 and 1 in steps of 0.1';
+
+// Validation middleware
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const pageValidation = [
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+];
+
+const getContentReviewsValidation = [
+  param('id').isUUID(),
+  query('sort').optional().isIn(['helpful', 'recent']),
+  ...pageValidation,
+  validateRequest
+];
+
+const getUserReviewsValidation = [
+  param('id').isUUID(),
+  ...pageValidation,
+  validateRequest
+];
+
+const createReviewValidation = [
+  param('id').isUUID(),
+  body('rating').isFloat().toFloat().custom(isNormalizedRating).withMessage(RATING_MESSAGE),
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('body').isString().trim().isLength({ min: 1, max: 10000 }),
+  body('containsSpoilers').optional().isBoolean().toBoolean(),
+  validateRequest
+];
+
+const updateReviewValidation = [
+  param('id').isUUID(),
+  body('rating').optional().isFloat().toFloat().custom(isNormalizedRating).withMessage(RATING_MESSAGE),
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  body('body').optional().isString().trim().isLength({ min: 1, max: 10000 }),
+  body('containsSpoilers').optional().isBoolean().toBoolean(),
+  validateRequest
+];
+
+const pageOptions = (req) => ({
+  offset: req.query.offset || 0,
+  limit: req.query.limit || 20
+});
+
+/**
+ * Load the review a request is about
+ * @private
+ */
+const loadReview = async (req, res) => {
+  const review = await Review.findByPk(req.params.id);
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+
+  return review;
+};
+
+/**
+ * Get a page of a title's reviews, most helpful or most recent first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getContentReviews = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await reviewService.getContentReviews(req.params.id, req.user || null, {
+        sort: req.query.sort || 'helpful',
+        ...pageOptions(req)
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a page of a user's reviews
+ * Reviews are public; the ratings shown with them follow the author's ratings privacy.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getUserReviews = async (req, res, next) => {
+  try {
+    const author = await User.findByPk(req.params.id, { attributes: ['id', 'deletedAt'] });
+    if (!author || author.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await reviewService.getUserReviews(author.id, req.user || null, pageOptions(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review a title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createReview = async (req, res, next) => {
+  try {
+    const content = await Content.findByPk(req.params.id, { attributes: ['id'] });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const existing = await Review.findOne({ where: { userId: req.user.id, contentId: content.id } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: 'REVIEW_EXISTS',
+        message: 'You have already reviewed this title; edit your review instead'
+      });
+    }
+
+    const review = await reviewService.createReview(req.user.id, content.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit one of the current user's reviews
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateReview = async (req, res, next) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    if (review.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+
+    await reviewService.updateReview(review, req.body);
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a review
+ * Authors can delete their own reviews; moderators can delete any.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteReview = async (req, res, next) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    if (review.userId !== req.user.id && !hasPermission(req.user, 'reviews:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do that'
+      });
+    }
+
+    await reviewService.deleteReview(review);
+
+    res.json({
+      success: true,
+      message: 'Review deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a review as helpful
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const likeReview = async (req, res, next) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    if (review.userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot like your own review'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { likeCount: await reviewService.like(review, req.user.id), likedByViewer: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take back a like
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unlikeReview = async (req, res, next) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    res.json({
+      success: true,
+      data: { likeCount: await reviewService.unlike(review, req.user.id), likedByViewer: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getContentReviews: [getContentReviewsValidation, getContentReviews],
+  getUserReviews: [getUserReviewsValidation, getUserReviews],
+  createReview: [createReviewValidation, createReview],
+  updateReview: [updateReviewValidation, updateReview],
+  deleteReview: [idValidation, deleteReview],
+  likeReview: [idValidation, likeReview],
+  unlikeReview: [idValidation, unlikeReview]
+};
+
+// routes/index.js - Add review routes
+const reviewRoutes = require('./reviewRoutes');
+
+router.use('/reviews', reviewRoutes);
+
+// routes/reviewRoutes.js
+const express = require('express');
+const reviewController = require('../controllers/reviewController');
+const authMiddleware = require('../middleware/authMiddleware');
+const notSuspended = require('../middleware/notSuspended');
+
+const router = express.Router();
+
+router.put('/:id', authMiddleware, notSuspended, reviewController.updateReview);
+// Ownership or the reviews:delete permission is checked in the controller
+router.delete('/:id', authMiddleware, reviewController.deleteReview);
+router.post('/:id/like', authMiddleware, reviewController.likeReview);
+router.delete('/:id/like', authMiddleware, reviewController.unlikeReview);
+
+module.exports = router;
+
+// routes/contentRoutes.js - Reviews of a title
+const reviewController = require('../controllers/reviewController');
+const notSuspended = require('../middleware/notSuspended');
+
+router.get('/:id/reviews', optionalAuth, reviewController.getContentReviews);
+router.post('/:id/reviews', authMiddleware, notSuspended, reviewController.createReview);
+
+// routes/userRoutes.js - A user's reviews
+const reviewController = require('../controllers/reviewController');
+
+router.get('/:id/reviews', optionalAuth, reviewController.getUserReviews);
@@ -0,0 +1,557 @@
+// src/components/reviews/ReviewCard.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useMutation, useQueryClient } from 'react-query';
+import { FaStar, FaThumbsUp, FaExclamationTriangle } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import useRatingScale from '../../hooks/useRatingScale';
+import { formatRating } from '../../utils/ratings';
+
+const Card = styled.article`
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  padding: 15px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 10px;
+  font-size: 14px;
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-weight: 600;
+    text-decoration: none;
+  }
+`;
+
+const Avatar = styled.img`
+  width: 32px;
+  height: 32px;
+  border-radius: 50%;
+  object-fit: cover;
+`;
+
+const Meta = styled.span`
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+  display: flex;
+  align-items: center;
+  gap: 4px;
+
+  .star {
+    color: #f5c518;
+  }
+`;
+
+const ContentLink = styled(Link)`
+  display: block;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+  margin-bottom: 6px;
+`;
+
+const Title = styled.h4`
+  font-size: 16px;
+  margin: 0 0 8px 0;
+`;
+
+const Body = styled.div`
+  position: relative;
+  font-size: 14px;
+  line-height: 1.6;
+  white-space: pre-wrap;
+`;
+
+const Text = styled.p`
+  margin: 0;
+  filter: ${props => props.blurred ? 'blur(6px)' : 'none'};
+  user-select: ${props => props.blurred ? 'none' : 'auto'};
+`;
+
+const SpoilerCover = styled.button`
+  position: absolute;
+  inset: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 8px;
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+const Footer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 15px;
+  margin-top: 12px;
+`;
+
+const FooterButton = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 13px;
+  color: ${props => props.active ? props.theme.primary : props.theme.textSecondary};
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+  }
+`;
+
+/**
+ * One review, with its author's rating on the viewer's scale
+ * Reviews flagged as spoilers stay blurred until clicked.
+ * @param {Object} props
+ * @param {Object} props.review - Review from the reviews API
+ * @param {boolean} props.showContent - Name the title, e.g. on a user's review page
+ * @param {Function} props.onEdit - Called when the author wants to edit the review
+ */
+const ReviewCard = ({ review, showContent = false, onEdit }) => {
+  const queryClient = useQueryClient();
+  const { currentUser, hasRole } = useAuth();
+  const ratingScale = useRatingScale();
+  const [revealed, setRevealed] = useState(false);
+  const [likes, setLikes] = useState({ likeCount: review.likeCount, likedByViewer: review.likedByViewer });
+
+  const isAuthor = currentUser && currentUser.id === review.userId;
+
+  // Keep the count in place rather than refetching, so a "most helpful" list doesn't reshuffle
+  const toggleLike = useMutation(
+    () => (likes.likedByViewer
+      ? api.delete(`/reviews/${review.id}/like`)
+      : api.post(`/reviews/${review.id}/like`)).then(res => res.data.data),
+    { onSuccess: setLikes }
+  );
+
+  const deleteReview = useMutation(
+    () => api.delete(`/reviews/${review.id}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['content', review.contentId, 'reviews']);
+        queryClient.invalidateQueries(['users', review.userId, 'reviews']);
+      }
+    }
+  );
+
+  const blurred = review.containsSpoilers && !revealed && !isAuthor;
+
+  return (
+    <Card>
+      {showContent && review.Content && (
+        <ContentLink to={`/content/${review.Content.id}`}>
+          {review.Content.title}{review.Content.releaseYear && ` (${review.Content.releaseYear})`}
+        </ContentLink>
+      )}
+
+      <Header>
+        <Link to={`/profile/${review.author.id}`}>
+          <Avatar src={review.author.avatar || 'https://via.placeholder.com/100'} alt={review.author.username} />
+        </Link>
+        <Link to={`/profile/${review.author.id}`}>{review.author.username}</Link>
+        {review.rating !== null && (
+          <Meta><FaStar className="star" /> {formatRating(review.rating, ratingScale)}</Meta>
+        )}
+        <Meta>{new Date(review.createdAt).toLocaleDateString()}</Meta>
+        {review.containsSpoilers && <Meta><FaExclamationTriangle /> Spoilers</Meta>}
+      </Header>
+
+      {review.title && <Title>{review.title}</Title>}
+
+      <Body>
+        <Text blurred={blurred} aria-hidden={blurred}>{review.body}</Text>
+        {blurred && (
+          <SpoilerCover onClick={() => setRevealed(true)}>
+            <FaExclamationTriangle /> Contains spoilers — click to read
+          </SpoilerCover>
+        )}
+      </Body>
+
+      <Footer>
+        <FooterButton
+          active={likes.likedByViewer}
+          disabled={!currentUser || isAuthor || toggleLike.isLoading}
+          onClick={() => toggleLike.mutate()}
+          title={isAuthor ? 'You cannot like your own review' : 'Helpful'}
+        >
+          <FaThumbsUp /> {likes.likeCount} found this helpful
+        </FooterButton>
+        {isAuthor && onEdit && <FooterButton onClick={onEdit}>Edit</FooterButton>}
+        {(isAuthor || hasRole('moderator')) && (
+          <FooterButton
+            onClick={() => window.confirm('Delete this review?') && deleteReview.mutate()}
+            disabled={deleteReview.isLoading}
+          >
+            Delete
+          </FooterButton>
+        )}
+      </Footer>
+    </Card>
+  );
+};
+
+export default ReviewCard;
+
+// src/components/reviews/ReviewForm.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import RatingInput from '../common/RatingInput';
+import { Input, SubmitButton, Message } from '../auth/AuthForm';
+
+const Form = styled.form`
+  display: grid;
+  gap: 10px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+  padding: 15px;
+`;
+
+const TextArea = styled.textarea`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-family: inherit;
+  min-height: 120px;
+  resize: vertical;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+  flex-wrap: wrap;
+`;
+
+const Checkbox = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+`;
+
+const CancelButton = styled.button`
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+/**
+ * Write or edit the current user's review of a title
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ * @param {Object} props.review - Existing review to edit, if any
+ * @param {Function} props.onDone - Called after saving or cancelling
+ */
+const ReviewForm = ({ contentId, review, onDone }) => {
+  const queryClient = useQueryClient();
+  const [rating, setRating] = useState(review ? review.rating : null);
+  const [title, setTitle] = useState(review?.title || '');
+  const [body, setBody] = useState(review?.body || '');
+  const [containsSpoilers, setContainsSpoilers] = useState(review ? review.containsSpoilers : false);
+
+  const save = useMutation(
+    () => {
+      const data = { rating, title: title || null, body, containsSpoilers };
+      return review
+        ? api.put(`/reviews/${review.id}`, data)
+        : api.post(`/content/${contentId}/reviews`, data);
+    },
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['content', contentId, 'reviews']);
+        queryClient.invalidateQueries(['content', contentId, 'rating']);
+        if (onDone) onDone();
+      }
+    }
+  );
+
+  return (
+    <Form onSubmit={(e) => { e.preventDefault(); save.mutate(); }}>
+      {save.isError && (
+        <Message error>{save.error.response?.data?.message || 'Failed to save your review'}</Message>
+      )}
+      <Row>
+        <RatingInput value={rating} onChange={setRating} placeholder="Your rating" />
+        <Checkbox>
+          <input type="checkbox" checked={containsSpoilers} onChange={(e) => setContainsSpoilers(e.target.checked)} />
+          Contains spoilers
+        </Checkbox>
+      </Row>
+      <Input
+        type="text"
+        placeholder="Title (optional)"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={200}
+      />
+      <TextArea
+        placeholder="What did you think?"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={10000}
+        required
+      />
+      <Row>
+        <SubmitButton type="submit" disabled={rating === null || !body.trim() || save.isLoading}>
+          {review ? 'Save review' : 'Post review'}
+        </SubmitButton>
+        {review && onDone && <CancelButton type="button" onClick={onDone}>Cancel</CancelButton>}
+      </Row>
+    </Form>
+  );
+};
+
+export default ReviewForm;
+
+// src/components/reviews/ReviewSection.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useInfiniteQuery } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import ReviewCard from './ReviewCard';
+import ReviewForm from './ReviewForm';
+
+const Container = styled.section`
+  margin-bottom: 30px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin-bottom: 15px;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const Select = styled.select`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 8px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+`;
+
+const ReviewList = styled.div`
+  display: grid;
+  gap: 12px;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+/**
+ * Offset of the next page, or undefined when every review is loaded
+ * @private
+ */
+const nextOffset = (lastPage, pages) => {
+  const loaded = pages.reduce((total, page) => total + page.items.length, 0);
+  return loaded < lastPage.total ? loaded : undefined;
+};
+
+/**
+ * A title's reviews, with the current user's own review (or a form to write one) first
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ */
+const ReviewSection = ({ contentId }) => {
+  const { isAuthenticated } = useAuth();
+  const [sort, setSort] = useState('helpful');
+  const [editing, setEditing] = useState(false);
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['content', contentId, 'reviews', sort],
+    ({ pageParam = 0 }) => api.get(`/content/${contentId}/reviews`, {
+      params: { sort, offset: pageParam }
+    }).then(res => res.data.data),
+    { getNextPageParam: nextOffset }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load reviews" />;
+
+  const { viewerReview, total } = data.pages[0];
+  const reviews = data.pages
+    .flatMap(page => page.items)
+    .filter(review => !viewerReview || review.id !== viewerReview.id);
+
+  return (
+    <Container>
+      <Header>
+        <SectionTitle>Reviews{total > 0 && ` (${total})`}</SectionTitle>
+        <Select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort reviews">
+          <option value="helpful">Most helpful</option>
+          <option value="recent">Most recent</option>
+        </Select>
+      </Header>
+
+      <ReviewList>
+        {isAuthenticated && (!viewerReview || editing) && (
+          <ReviewForm contentId={contentId} review={viewerReview} onDone={() => setEditing(false)} />
+        )}
+        {viewerReview && !editing && <ReviewCard review={viewerReview} onEdit={() => setEditing(true)} />}
+
+        {reviews.map(review => <ReviewCard key={review.id} review={review} />)}
+      </ReviewList>
+
+      {total === 0 && <Empty>No reviews yet.</Empty>}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'More reviews'}
+        </LoadMore>
+      )}
+    </Container>
+  );
+};
+
+export default ReviewSection;
+
+// src/pages/UserReviews.js
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import styled from 'styled-components';
+import { useInfiniteQuery } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import ReviewCard from '../components/reviews/ReviewCard';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 700px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const ReviewList = styled.div`
+  display: grid;
+  gap: 12px;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 15px;
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const UserReviews = () => {
+  const { id } = useParams();
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    ['users', id, 'reviews'],
+    ({ pageParam = 0 }) => api.get(`/users/${id}/reviews`, { params: { offset: pageParam } })
+      .then(res => res.data.data),
+    {
+      getNextPageParam: (lastPage, pages) => {
+        const loaded = pages.reduce((total, page) => total + page.items.length, 0);
+        return loaded < lastPage.total ? loaded : undefined;
+      }
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load reviews" />;
+
+  const reviews = data.pages.flatMap(page => page.items);
+
+  return (
+    <Container>
+      <PageTitle>Reviews</PageTitle>
+
+      {reviews.length === 0 ? (
+        <Empty>No reviews yet.</Empty>
+      ) : (
+        <ReviewList>
+          {reviews.map(review => <ReviewCard key={review.id} review={review} showContent />)}
+        </ReviewList>
+      )}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'Load more'}
+        </LoadMore>
+      )}
+    </Container>
+  );
+};
+
+export default UserReviews;
+
+// src/pages/Profile.js - Reviews link
+// Next to the diary link in the profile header; reviews are public, so it is always shown
+<Link to={`/profile/${profile.id}/reviews`}>Reviews</Link>
@@ -0,0 +1,265 @@
+// migrations/20261026000000-search-prefix-indexes.js
+// Case-insensitive prefix lookups for search-as-you-type. text_pattern_ops
+// lets `lower(x) LIKE 'abc%'` use a btree index under any collation.
+const PREFIX_INDEXES = [
+  ['Contents', 'title'],
+  ['People', 'name'],
+  ['Franchises', 'name'],
+  ['Soundtracks', 'title'],
+  ['Soundtracks', 'artist'],
+  ['Users', 'username']
+];
+
+const indexName = (table, column) => `${table.toLowerCase()}_${column.toLowerCase()}_prefix`;
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const [table, column] of PREFIX_INDEXES) {
+        await queryInterface.sequelize.query(
+          `CREATE INDEX ${indexName(table, column)} ON "${table}" (lower("${column}") text_pattern_ops)`,
+          { transaction }
+        );
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const [table, column] of PREFIX_INDEXES) {
+        await queryInterface.sequelize.query(`DROP INDEX IF EXISTS ${indexName(table, column)}`, { transaction });
+      }
+    });
+  }
+};
+
+// utils/lruCache.js
+/**
+ * Least recently used cache with a time to live
+ * A Map keeps insertion order, so re-inserting on each read keeps the least
+ * recently used entry first, ready to be evicted.
+ */
+class LruCache {
+  constructor({ max = 500, ttlMs = 60 * 1000 } = {}) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value, marking it recently used
+   * @param {string} key - Cache key
+   * @returns {*} - The value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a key
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruCache;
+
+// services/suggestService.js
+const { Op } = require('sequelize');
+const { Content, Person, Franchise, Soundtrack, User, sequelize } = require('../models');
+const config = require('../config');
+const LruCache = require('../utils/lruCache');
+
+// Results per kind, in the order they are listed
+const LIMITS = {
+  content: 5,
+  person: 3,
+  franchise: 2,
+  soundtrack: 3,
+  user: 3
+};
+
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Match a column case-insensitively by prefix, using the lower(column) prefix indexes
+ * @private
+ */
+const startsWith = (column, prefix) => sequelize.where(
+  sequelize.fn('lower', sequelize.col(column)),
+  { [Op.like]: prefix }
+);
+
+// Shortest first, so an exact match leads its group
+const shortestFirst = (column) => [sequelize.fn('length', sequelize.col(column)), 'ASC'];
+
+/**
+ * Suggest Service
+ * Quick prefix matches across titles, people, franchises, soundtracks and users
+ * for the search box. Answers are cached in memory per query.
+ */
+class SuggestService {
+  constructor() {
+    this.cache = new LruCache({
+      max: config.search.suggestCacheSize,
+      ttlMs: config.search.suggestCacheTtlSeconds * 1000
+    });
+  }
+
+  /**
+   * Get suggestions for what has been typed so far
+   * @param {string} q - Search text
+   * @returns {Promise<Array>} - [{ type, id, title, subtitle, imageUrl, contentId? }], grouped by type
+   */
+  async suggest(q) {
+    const query = this.normalize(q);
+    if (!query) return [];
+
+    // Cache the pending lookup so a burst of identical requests shares one
+    let pending = this.cache.get(query);
+    if (!pending) {
+      pending = this.lookup(query);
+      this.cache.set(query, pending);
+      pending.catch(() => this.cache.delete(query));
+    }
+
+    return pending;
+  }
+
+  /**
+   * Lowercase, collapse whitespace and cap the length, so equivalent input shares a cache entry
+   * @private
+   */
+  normalize(q) {
+    return (q || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH);
+  }
+
+  /**
+   * @private
+   */
+  async lookup(query) {
+    // Typed % and _ are literal, not wildcards
+    const prefix = `${query.replace(/[\\%_]/g, '\\$&')}%`;
+
+    const [content, people, franchises, soundtracks, users] = await Promise.all([
+      Content.findAll({
+        where: startsWith('title', prefix),
+        attributes: ['id', 'title', 'type', 'releaseYear', 'posterUrl'],
+        order: [['popularity', 'DESC NULLS LAST'], ['id', 'ASC']],
+        limit: LIMITS.content
+      }),
+      Person.findAll({
+        where: startsWith('name', prefix),
+        attributes: ['id', 'name', 'profileUrl', 'knownForDepartment'],
+        order: [shortestFirst('name'), ['name', 'ASC']],
+        limit: LIMITS.person
+      }),
+      Franchise.findAll({
+        where: startsWith('name', prefix),
+        attributes: ['id', 'name'],
+        order: [shortestFirst('name'), ['name', 'ASC']],
+        limit: LIMITS.franchise
+      }),
+      Soundtrack.findAll({
+        where: { [Op.or]: [startsWith('Soundtrack.title', prefix), startsWith('Soundtrack.artist', prefix)] },
+        attributes: ['id', 'title', 'artist', 'contentId'],
+        include: [{ model: Content, attributes: ['id', 'title'] }],
+        order: [shortestFirst('Soundtrack.title'), ['title', 'ASC']],
+        limit: LIMITS.soundtrack
+      }),
+      User.findAll({
+        where: { [Op.and]: [startsWith('username', prefix), { deletedAt: null }] },
+        attributes: ['id', 'username', 'avatar'],
+        order: [shortestFirst('username'), ['username', 'ASC']],
+        limit: LIMITS.user
+      })
+    ]);
+
+    return [
+      ...content.map(item => ({
+        type: 'content',
+        id: item.id,
+        title: item.title,
+        subtitle: [item.type === 'tv' ? 'TV Show' : 'Movie', item.releaseYear].filter(Boolean).join(' · '),
+        imageUrl: item.posterUrl
+      })),
+      ...people.map(person => ({
+        type: 'person',
+        id: person.id,
+        title: person.name,
+        subtitle: person.knownForDepartment,
+        imageUrl: person.profileUrl
+      })),
+      ...franchises.map(franchise => ({
+        type: 'franchise',
+        id: franchise.id,
+        title: franchise.name,
+        subtitle: 'Franchise',
+        imageUrl: null
+      })),
+      ...soundtracks.map(track => ({
+        type: 'soundtrack',
+        id: track.id,
+        title: track.title,
+        subtitle: [track.artist, track.Content && track.Content.title].filter(Boolean).join(' · '),
+        imageUrl: null,
+        contentId: track.contentId
+      })),
+      ...users.map(user => ({
+        type: 'user',
+        id: user.id,
+        title: user.username,
+        subtitle: 'Member',
+        imageUrl: user.avatar
+      }))
+    ];
+  }
+}
+
+module.exports = new SuggestService();
+
+// routes/searchRoutes.js
+const express = require('express');
+const searchController = require('../controllers/searchController');
+const rateLimit = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+router.get('/suggest', rateLimit('suggest'), searchController.suggest);
+
+module.exports = router;
+
+// routes/index.js - Add search routes
+const searchRoutes = require('./searchRoutes');
+
+router.use('/search', searchRoutes);
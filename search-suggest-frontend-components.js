@@ -0,0 +1,360 @@
+// src/hooks/useDebouncedValue.js
+import { useState, useEffect } from 'react';
+
+/**
+ * A value that only updates once it has stopped changing for a while
+ * @param {*} value - Value to follow
+ * @param {number} delay - Quiet period in milliseconds
+ * @returns {*} - The latest value that stayed put for the delay
+ */
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+};
+
+export default useDebouncedValue;
+
+// src/utils/recentSearches.js
+// Searches made from the navbar, newest first, kept in this browser only
+const STORAGE_KEY = 'recentSearches';
+const MAX_RECENT = 5;
+
+export const getRecentSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const addRecentSearch = (text) => {
+  const recent = [
+    text,
+    ...getRecentSearches().filter(item => item.toLowerCase() !== text.toLowerCase())
+  ].slice(0, MAX_RECENT);
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  return recent;
+};
+
+export const clearRecentSearches = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return [];
+};
+
+// src/components/layout/SearchBox.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import styled from 'styled-components';
+import { FaSearch, FaFilm, FaUser, FaLayerGroup, FaMusic, FaUserCircle, FaHistory } from 'react-icons/fa';
+import api from '../../utils/api';
+import useDebouncedValue from '../../hooks/useDebouncedValue';
+import { getRecentSearches, addRecentSearch, clearRecentSearches } from '../../utils/recentSearches';
+
+const SearchContainer = styled.div`
+  position: relative;
+  margin: 0 20px;
+`;
+
+const SearchInput = styled.input`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 20px;
+  padding: 8px 15px 8px 35px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  width: 200px;
+  transition: all 0.3s ease;
+
+  &:focus {
+    width: 300px;
+    outline: none;
+    border-color: ${props => props.theme.primary};
+  }
+`;
+
+const SearchIcon = styled.div`
+  position: absolute;
+  left: 12px;
+  top: 50%;
+  transform: translateY(-50%);
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+`;
+
+const Suggestions = styled.ul`
+  position: absolute;
+  top: calc(100% + 8px);
+  left: 0;
+  width: 340px;
+  max-height: 420px;
+  overflow-y: auto;
+  list-style: none;
+  margin: 0;
+  padding: 6px 0;
+  background: ${props => props.theme.dropdownBg};
+  border-radius: 8px;
+  box-shadow: 0 5px 15px rgba(0,0,0,0.2);
+  z-index: 10;
+`;
+
+const SectionHeader = styled.li`
+  display: flex;
+  justify-content: space-between;
+  padding: 6px 15px;
+  font-size: 12px;
+  text-transform: uppercase;
+  color: ${props => props.theme.textSecondary};
+
+  button {
+    background: transparent;
+    border: none;
+    padding: 0;
+    font-size: 12px;
+    color: ${props => props.theme.primary};
+    cursor: pointer;
+  }
+`;
+
+const Option = styled.li`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 15px;
+  cursor: pointer;
+  color: ${props => props.theme.textPrimary};
+  background: ${props => props.highlighted ? props.theme.dropdownHoverBg : 'transparent'};
+`;
+
+const Thumb = styled.div`
+  width: 32px;
+  height: 32px;
+  flex-shrink: 0;
+  border-radius: 4px;
+  overflow: hidden;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: ${props => props.theme.inputBg};
+  color: ${props => props.theme.textSecondary};
+
+  img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+`;
+
+const OptionText = styled.div`
+  min-width: 0;
+  font-size: 14px;
+
+  strong, span {
+    display: block;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  strong {
+    font-weight: 500;
+  }
+
+  span {
+    font-size: 12px;
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+// Characters typed before suggestions are fetched; until then recent searches show
+const MIN_QUERY_LENGTH = 2;
+const DEBOUNCE_MS = 150;
+
+const TYPE_ICONS = {
+  content: FaFilm,
+  person: FaUser,
+  franchise: FaLayerGroup,
+  soundtrack: FaMusic,
+  user: FaUserCircle,
+  recent: FaHistory,
+  all: FaSearch
+};
+
+const searchPath = (text) => `/search?q=${encodeURIComponent(text)}`;
+
+const optionPath = (option) => {
+  switch (option.type) {
+    case 'content': return `/content/${option.id}`;
+    case 'person': return `/person/${option.id}`;
+    case 'franchise': return `/franchise/${option.id}`;
+    case 'soundtrack': return `/content/${option.contentId}`;
+    case 'user': return `/profile/${option.id}`;
+    default: return searchPath(option.title);
+  }
+};
+
+const SearchBox = () => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const [recent, setRecent] = useState(getRecentSearches);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  const text = query.trim();
+  const debouncedText = useDebouncedValue(text, DEBOUNCE_MS);
+  const showRecent = text.length < MIN_QUERY_LENGTH;
+
+  const { data: suggestions } = useQuery(
+    ['suggest', debouncedText],
+    () => api.get('/search/suggest', { params: { q: debouncedText } }).then(res => res.data.data.items),
+    {
+      enabled: debouncedText.length >= MIN_QUERY_LENGTH,
+      // Keep showing the last answer while the next one loads
+      keepPreviousData: true,
+      staleTime: 60 * 1000
+    }
+  );
+
+  const options = showRecent
+    ? recent.map(item => ({ type: 'recent', id: item, title: item }))
+    : [...(suggestions || []), { type: 'all', id: 'all', title: `See all results for "${text}"` }];
+
+  // A new list starts with nothing highlighted, so Enter searches what was typed
+  useEffect(() => {
+    setHighlighted(-1);
+  }, [text, suggestions]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const go = (path, searched) => {
+    if (searched) setRecent(addRecentSearch(searched));
+    setQuery('');
+    setOpen(false);
+    navigate(path);
+  };
+
+  const choose = (option) => {
+    if (option.type === 'all') {
+      go(searchPath(text), text);
+    } else {
+      go(optionPath(option), option.title);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (highlighted >= 0 && options[highlighted]) {
+      choose(options[highlighted]);
+    } else if (text) {
+      go(searchPath(text), text);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      if (options.length === 0) return;
+
+      // Wrap around, with "nothing highlighted" between the last and first option
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(current => ((current + step + 1 + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setHighlighted(-1);
+    }
+  };
+
+  const handleClearRecent = (e) => {
+    // Keep focus in the input
+    e.preventDefault();
+    setRecent(clearRecentSearches());
+  };
+
+  const visible = open && options.length > 0;
+
+  return (
+    <form onSubmit={handleSubmit} role="search">
+      <SearchContainer ref={containerRef}>
+        <SearchIcon>
+          <FaSearch />
+        </SearchIcon>
+        <SearchInput
+          type="text"
+          placeholder="Search movies, shows..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-label="Search"
+          aria-autocomplete="list"
+          aria-expanded={visible}
+          aria-controls="search-suggestions"
+          aria-activedescendant={highlighted >= 0 ? `search-suggestion-${highlighted}` : undefined}
+        />
+
+        {visible && (
+          <Suggestions id="search-suggestions" role="listbox">
+            {showRecent && (
+              <SectionHeader role="presentation">
+                Recent searches
+                <button type="button" onMouseDown={handleClearRecent}>Clear</button>
+              </SectionHeader>
+            )}
+            {options.map((option, index) => {
+              const Icon = TYPE_ICONS[option.type];
+              return (
+                <Option
+                  key={`${option.type}-${option.id}`}
+                  id={`search-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  highlighted={index === highlighted}
+                  onMouseEnter={() => setHighlighted(index)}
+                  // mousedown, so the choice lands before the input loses focus
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    choose(option);
+                  }}
+                >
+                  <Thumb>{option.imageUrl ? <img src={option.imageUrl} alt="" /> : <Icon />}</Thumb>
+                  <OptionText>
+                    <strong>{option.title}</strong>
+                    {option.subtitle && <span>{option.subtitle}</span>}
+                  </OptionText>
+                </Option>
+              );
+            })}
+          </Suggestions>
+        )}
+      </SearchContainer>
+    </form>
+  );
+};
+
+export default SearchBox;
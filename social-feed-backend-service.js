@@ -0,0 +1,893 @@
+// models/follow.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Follow = sequelize.define('Follow', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    followerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    followingId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['followerId', 'followingId'] },
+      { fields: ['followingId', 'createdAt'] }
+    ]
+  });
+
+  return Follow;
+};
+
+// models/activity.js
+// Something a user did that shows up in their followers' feeds.
+// Repeats within a short window are collapsed into one row with a count.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Activity = sequelize.define('Activity', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    verb: {
+      type: DataTypes.ENUM('list_status', 'rating', 'review', 'playlist_created', 'achievement'),
+      allowNull: false
+    },
+    groupKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Activities with the same actor and group key collapse into one'
+    },
+    count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    subjects: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'The most recent items in the burst, e.g. [{ contentId, rating }]'
+    },
+    lastOccurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    indexes: [
+      { fields: ['actorId', 'groupKey', 'lastOccurredAt'] }
+    ]
+  });
+
+  return Activity;
+};
+
+// models/feedItem.js
+// One row per activity per follower, written when the activity happens (fan-out on write)
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FeedItem = sequelize.define('FeedItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      comment: 'Whose feed the item is in'
+    },
+    activityId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Activities',
+        key: 'id'
+      }
+    },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    sortAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Moves up when more is collapsed into the activity'
+    }
+  }, {
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ['userId', 'activityId'] },
+      { fields: ['userId', 'sortAt', 'id'] },
+      { fields: ['activityId'] }
+    ]
+  });
+
+  return FeedItem;
+};
+
+// utils/cursor.js
+const { Op } = require('sequelize');
+
+/**
+ * Encode the sort key of the last row on a page as an opaque cursor
+ * @param {Date} at - Value of the sort column
+ * @param {string} id - Row ID, to break ties
+ * @returns {string}
+ */
+const encodeCursor = (at, id) => Buffer
+  .from(JSON.stringify([new Date(at).toISOString(), id]))
+  .toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { at, id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [at, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(at);
+    return Number.isNaN(date.getTime()) || typeof id !== 'string' ? null : { at: date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Where clause for rows after a cursor when ordering by (field DESC, id DESC)
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} field - Sort column
+ * @returns {Object}
+ */
+const olderThan = (cursor, field) => ({
+  [Op.or]: [
+    { [field]: { [Op.lt]: cursor.at } },
+    { [field]: cursor.at, id: { [Op.lt]: cursor.id } }
+  ]
+});
+
+/**
+ * Where clause for rows after a cursor when ordering by (field ASC, id ASC)
+ * @param {Object} cursor - Decoded cursor
+ * @param {string} field - Sort column
+ * @returns {Object}
+ */
+const newerThan = (cursor, field) => ({
+  [Op.or]: [
+    { [field]: { [Op.gt]: cursor.at } },
+    { [field]: cursor.at, id: { [Op.gt]: cursor.id } }
+  ]
+});
+
+/**
+ * Encode a numeric sort key, such as a search rank, as an opaque cursor
+ * The rank travels as a string so decimal ranks from Postgres survive exactly.
+ * @param {string|number} rank - Value of the sort expression
+ * @param {string} id - Row ID, to break ties
+ * @returns {string}
+ */
+const encodeRankCursor = (rank, id) => Buffer
+  .from(JSON.stringify([String(rank), id]))
+  .toString('base64url');
+
+/**
+ * Decode a cursor from encodeRankCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - { rank, id }, or null if the cursor is malformed
+ */
+const decodeRankCursor = (cursor) => {
+  try {
+    const [rank, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return /^-?\d+(\.\d+)?$/.test(rank) && typeof id === 'string' ? { rank, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan,
+  encodeRankCursor,
+  decodeRankCursor
+};
+
+// services/followService.js
+const { Op } = require('sequelize');
+const { User, Follow } = require('../models');
+const { encodeCursor, olderThan } = require('../utils/cursor');
+const feedService = require('./feedService');
+const privacyService = require('./privacyService');
+
+const USER_ATTRIBUTES = ['id', 'username', 'avatar', 'bio'];
+
+/**
+ * Follow Service
+ * The directed follower graph between users
+ */
+class FollowService {
+  /**
+   * Follow a user and backfill their recent activity into the follower's feed
+   * @param {string} followerId - Following user's ID
+   * @param {string} followingId - Followed user's ID
+   * @returns {Promise<boolean>} - False if already following
+   */
+  async follow(followerId, followingId) {
+    const [, created] = await Follow.findOrCreate({
+      where: { followerId, followingId }
+    });
+
+    if (created) {
+      await feedService.backfill(followerId, followingId);
+    }
+    return created;
+  }
+
+  /**
+   * Unfollow a user and clear their activity from the follower's feed
+   * @param {string} followerId - Following user's ID
+   * @param {string} followingId - Followed user's ID
+   * @returns {Promise<boolean>} - False if not following
+   */
+  async unfollow(followerId, followingId) {
+    const removed = await Follow.destroy({ where: { followerId, followingId } });
+
+    if (removed) {
+      await feedService.removeActorFromFeed(followerId, followingId);
+    }
+    return removed > 0;
+  }
+
+  /**
+   * @param {string} followerId - Possible follower's user ID
+   * @param {string} followingId - Followed user's ID
+   * @returns {Promise<boolean>}
+   */
+  async isFollowing(followerId, followingId) {
+    if (!followerId) return false;
+    return privacyService.isFollower(followerId, followingId);
+  }
+
+  /**
+   * Follower and following counts for a profile
+   * @param {string} userId - User ID
+   * @param {string|null} viewerId - Viewing user ID, to report whether they follow
+   * @returns {Promise<Object>} - { followers, following, isFollowing }
+   */
+  async getStats(userId, viewerId) {
+    const [followers, following, isFollowing] = await Promise.all([
+      Follow.count({ where: { followingId: userId } }),
+      Follow.count({ where: { followerId: userId } }),
+      this.isFollowing(viewerId, userId)
+    ]);
+
+    return { followers, following, isFollowing };
+  }
+
+  /**
+   * Users following a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor }
+   */
+  async getFollowers(userId, { cursor = null, limit = 20 } = {}) {
+    return this.listFollows({ followingId: userId }, 'follower', { cursor, limit });
+  }
+
+  /**
+   * Users a user follows, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor }
+   */
+  async getFollowing(userId, { cursor = null, limit = 20 } = {}) {
+    return this.listFollows({ followerId: userId }, 'following', { cursor, limit });
+  }
+
+  /**
+   * @private
+   */
+  async listFollows(where, as, { cursor, limit }) {
+    const follows = await Follow.findAll({
+      where: cursor ? { [Op.and]: [where, olderThan(cursor, 'createdAt')] } : where,
+      include: [{ model: User, as, attributes: USER_ATTRIBUTES, where: { deletedAt: null } }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+
+    const page = follows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      items: page.map(follow => ({ ...follow[as].toJSON(), followedAt: follow.createdAt })),
+      nextCursor: follows.length > limit ? encodeCursor(last.createdAt, last.id) : null
+    };
+  }
+}
+
+module.exports = new FollowService();
+
+// services/feedService.js
+const { Op } = require('sequelize');
+const { User, Content, Follow, Activity, FeedItem } = require('../models');
+const privacyService = require('./privacyService');
+const { encodeCursor, olderThan } = require('../utils/cursor');
+
+// Repeats of the same kind of activity within this window collapse into one item
+const BURST_WINDOW_MINUTES = 30;
+const MAX_SUBJECTS = 10;
+const BACKFILL_LIMIT = 20;
+const FAN_OUT_BATCH_SIZE = 1000;
+
+// Profile privacy area each verb falls under, on top of the "activity" area itself
+const VERB_AREAS = {
+  list_status: 'lists',
+  rating: 'ratings',
+  review: null,
+  playlist_created: 'playlists',
+  achievement: null
+};
+
+/**
+ * Feed Service
+ * Records user activity, fans it out to followers' feeds and reads feeds back with cursors
+ */
+class FeedService {
+  /**
+   * Record an activity, collapsing it into a recent one of the same kind
+   * @param {string} actorId - User who did something
+   * @param {string} verb - One of the Activity verbs
+   * @param {Object} subject - What it was about, e.g. { contentId, rating }
+   * @param {Object} options
+   * @param {string} options.groupKey - Collapse key; defaults to the verb
+   * @returns {Promise<Object>} - Activity instance
+   */
+  async recordActivity(actorId, verb, subject, { groupKey = verb } = {}) {
+    const now = new Date();
+    const recent = await Activity.findOne({
+      where: {
+        actorId,
+        groupKey,
+        lastOccurredAt: { [Op.gt]: new Date(now.getTime() - BURST_WINDOW_MINUTES * 60 * 1000) }
+      },
+      order: [['lastOccurredAt', 'DESC']]
+    });
+
+    if (recent) {
+      // Re-rating the same title within the window replaces it instead of counting twice
+      const sameContent = (other) => subject.contentId && other.contentId === subject.contentId;
+      const isRepeat = recent.subjects.some(sameContent);
+
+      await recent.update({
+        count: isRepeat ? recent.count : recent.count + 1,
+        subjects: [subject, ...recent.subjects.filter(other => !sameContent(other))].slice(0, MAX_SUBJECTS),
+        lastOccurredAt: now
+      });
+      await FeedItem.update({ sortAt: now }, { where: { activityId: recent.id } });
+      return recent;
+    }
+
+    const activity = await Activity.create({
+      actorId,
+      verb,
+      groupKey,
+      subjects: [subject],
+      lastOccurredAt: now
+    });
+
+    await this.fanOut(activity);
+    return activity;
+  }
+
+  /**
+   * Copy an activity into the feeds of everyone who may see it
+   * @param {Object} activity - Activity instance
+   * @returns {Promise<void>}
+   */
+  async fanOut(activity) {
+    const base = { activityId: activity.id, actorId: activity.actorId, sortAt: activity.lastOccurredAt };
+
+    // The actor always sees their own activity
+    await FeedItem.create({ ...base, userId: activity.actorId });
+
+    const actor = await User.findByPk(activity.actorId);
+    if (!this.isSharedWithFollowers(actor, activity.verb)) return;
+
+    let lastFollowerId = null;
+    for (;;) {
+      const where = { followingId: activity.actorId };
+      if (lastFollowerId) {
+        where.followerId = { [Op.gt]: lastFollowerId };
+      }
+
+      const follows = await Follow.findAll({
+        where,
+        attributes: ['followerId'],
+        order: [['followerId', 'ASC']],
+        limit: FAN_OUT_BATCH_SIZE
+      });
+      if (follows.length === 0) break;
+
+      await FeedItem.bulkCreate(
+        follows.map(follow => ({ ...base, userId: follow.followerId })),
+        { ignoreDuplicates: true }
+      );
+      lastFollowerId = follows[follows.length - 1].followerId;
+    }
+  }
+
+  /**
+   * Put a followed user's recent activity into a new follower's feed
+   * @param {string} userId - Follower's user ID
+   * @param {string} actorId - Followed user's ID
+   * @returns {Promise<void>}
+   */
+  async backfill(userId, actorId) {
+    const actor = await User.findByPk(actorId);
+    const activities = await Activity.findAll({
+      where: { actorId },
+      order: [['lastOccurredAt', 'DESC']],
+      limit: BACKFILL_LIMIT
+    });
+
+    const shared = activities.filter(activity => this.isSharedWithFollowers(actor, activity.verb));
+    await FeedItem.bulkCreate(
+      shared.map(activity => ({ userId, actorId, activityId: activity.id, sortAt: activity.lastOccurredAt })),
+      { ignoreDuplicates: true }
+    );
+  }
+
+  /**
+   * Remove a user's activity from someone's feed, e.g. after unfollowing
+   * @param {string} userId - Feed owner's user ID
+   * @param {string} actorId - User whose activity to remove
+   * @returns {Promise<void>}
+   */
+  async removeActorFromFeed(userId, actorId) {
+    await FeedItem.destroy({ where: { userId, actorId } });
+  }
+
+  /**
+   * Read a page of a user's feed, newest first
+   * Items are checked against each actor's current privacy settings, so a
+   * page can come back shorter than the limit.
+   * @param {Object} viewer - User instance whose feed to read
+   * @param {Object} options
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor }
+   */
+  async getFeed(viewer, { cursor = null, limit = 20 } = {}) {
+    const where = { userId: viewer.id };
+    const feedItems = await FeedItem.findAll({
+      where: cursor ? { [Op.and]: [where, olderThan(cursor, 'sortAt')] } : where,
+      include: [{ model: Activity }],
+      order: [['sortAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+
+    const page = feedItems.slice(0, limit);
+    const last = page[page.length - 1];
+
+    const actorIds = [...new Set(page.map(item => item.actorId))];
+    const actors = await User.findAll({ where: { id: actorIds, deletedAt: null } });
+    const visibility = {};
+    await Promise.all(actors.map(async (actor) => {
+      visibility[actor.id] = { actor, areas: await privacyService.getVisibleAreas(actor, viewer) };
+    }));
+
+    const visibleItems = page.filter(item => {
+      const actorVisibility = visibility[item.actorId];
+      if (!actorVisibility) return false;
+
+      const area = VERB_AREAS[item.Activity.verb];
+      return actorVisibility.areas.activity && (!area || actorVisibility.areas[area]);
+    });
+
+    const contentIds = [...new Set(visibleItems.flatMap(item => item.Activity.subjects
+      .map(subject => subject.contentId)
+      .filter(Boolean)))];
+    const contents = await Content.findAll({
+      where: { id: contentIds },
+      attributes: ['id', 'title', 'type', 'posterUrl']
+    });
+    const contentById = Object.fromEntries(contents.map(content => [content.id, content]));
+
+    return {
+      items: visibleItems.map(item => this.serializeItem(item, visibility[item.actorId].actor, contentById)),
+      nextCursor: feedItems.length > limit ? encodeCursor(last.sortAt, last.id) : null
+    };
+  }
+
+  /**
+   * Whether followers may get an activity at all, given the actor's privacy settings
+   * @private
+   */
+  isSharedWithFollowers(actor, verb) {
+    if (!actor || actor.deletedAt || actor.activityVisibility === 'private') return false;
+
+    const area = VERB_AREAS[verb];
+    return !area || privacyService.getSettings(actor)[area] !== 'private';
+  }
+
+  /**
+   * @private
+   */
+  serializeItem(item, actor, contentById) {
+    const { Activity: activity } = item;
+
+    return {
+      id: item.id,
+      verb: activity.verb,
+      count: activity.count,
+      actor: { id: actor.id, username: actor.username, avatar: actor.avatar },
+      subjects: activity.subjects.map(subject => ({
+        ...subject,
+        content: subject.contentId ? contentById[subject.contentId] || null : null
+      })),
+      createdAt: activity.createdAt,
+      updatedAt: item.sortAt
+    };
+  }
+}
+
+module.exports = new FeedService();
+
+// services/activityHooks.js
+const { UserList, Playlist, UserAchievement, Review } = require('../models');
+const feedService = require('./feedService');
+
+// Record once the change is committed, so rolled back writes never reach a feed.
+// Feed errors are logged rather than failing the write that caused them.
+const afterCommit = (options, record) => {
+  const run = () => record().catch(error => console.error('Error recording activity:', error));
+
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+const onListEntrySaved = (entry, options) => {
+  if (entry.changed('status') && entry.status) {
+    afterCommit(options, () => feedService.recordActivity(
+      entry.userId,
+      'list_status',
+      { contentId: entry.contentId, status: entry.status },
+      { groupKey: `list_status:${entry.status}` }
+    ));
+  }
+
+  if (entry.changed('rating') && entry.rating !== null) {
+    afterCommit(options, () => feedService.recordActivity(
+      entry.userId,
+      'rating',
+      { contentId: entry.contentId, rating: entry.rating }
+    ));
+  }
+};
+
+/**
+ * Record feed activity from the models users change directly
+ * Call once at startup.
+ */
+const registerActivityHooks = () => {
+  UserList.addHook('afterCreate', 'recordActivity', onListEntrySaved);
+  UserList.addHook('afterUpdate', 'recordActivity', onListEntrySaved);
+
+  Review.addHook('afterCreate', 'recordActivity', (review, options) => {
+    afterCommit(options, () => feedService.recordActivity(
+      review.userId,
+      'review',
+      { contentId: review.contentId, reviewId: review.id }
+    ));
+  });
+
+  Playlist.addHook('afterCreate', 'recordActivity', (playlist, options) => {
+    afterCommit(options, () => feedService.recordActivity(
+      playlist.userId,
+      'playlist_created',
+      { playlistId: playlist.id, name: playlist.name }
+    ));
+  });
+
+  UserAchievement.addHook('afterCreate', 'recordActivity', (achievement, options) => {
+    afterCommit(options, () => feedService.recordActivity(
+      achievement.userId,
+      'achievement',
+      { achievementId: achievement.id, name: achievement.name }
+    ));
+  });
+};
+
+module.exports = registerActivityHooks;
+
+// controllers/socialController.js
+const { param, query } = require('express-validator');
+const { User } = require('../models');
+const followService = require('../services/followService');
+const { decodeCursor } = require('../utils/cursor');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const userIdValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const listValidation = [
+  param('id').isUUID(),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const findUser = async (req, res) => {
+  const user = await User.findByPk(req.params.id);
+  if (!user || user.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Read the cursor and page size, answering 400 for a malformed cursor
+ * @private
+ */
+const pageOptions = (req, res) => {
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid cursor'
+    });
+    return null;
+  }
+
+  return { cursor, limit: req.query.limit || 20 };
+};
+
+/**
+ * Follow a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const follow = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await followService.follow(req.user.id, user.id);
+
+    res.json({
+      success: true,
+      data: await followService.getStats(user.id, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unfollow a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const unfollow = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await followService.unfollow(req.user.id, user.id);
+
+    res.json({
+      success: true,
+      data: await followService.getStats(user.id, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Follower and following counts, and whether the viewer follows the user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: await followService.getStats(user.id, req.user ? req.user.id : null)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a user's followers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getFollowers = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const options = pageOptions(req, res);
+    if (!options) return;
+
+    res.json({
+      success: true,
+      data: await followService.getFollowers(user.id, options)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the users a user follows
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getFollowing = async (req, res, next) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const options = pageOptions(req, res);
+    if (!options) return;
+
+    res.json({
+      success: true,
+      data: await followService.getFollowing(user.id, options)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  follow: [userIdValidation, follow],
+  unfollow: [userIdValidation, unfollow],
+  getStats: [userIdValidation, getStats],
+  getFollowers: [listValidation, getFollowers],
+  getFollowing: [listValidation, getFollowing]
+};
+
+// controllers/feedController.js
+const { query } = require('express-validator');
+const feedService = require('../services/feedService');
+const { decodeCursor } = require('../utils/cursor');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const getFeedValidation = [
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+/**
+ * Get a page of the current user's activity feed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const feed = await feedService.getFeed(req.user, {
+      cursor,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: feed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeed: [getFeedValidation, getFeed]
+};
+
+// routes/index.js - Add feed routes
+const feedRoutes = require('./feedRoutes');
+
+router.use('/feed', feedRoutes);
+
+// routes/feedRoutes.js
+const express = require('express');
+const feedController = require('../controllers/feedController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/', authMiddleware, feedController.getFeed);
+
+module.exports = router;
+
+// routes/userRoutes.js - Follow routes
+const socialController = require('../controllers/socialController');
+
+router.get('/:id/social', optionalAuth, socialController.getStats);
+router.get('/:id/followers', socialController.getFollowers);
+router.get('/:id/following', socialController.getFollowing);
+router.post('/:id/follow', authMiddleware, socialController.follow);
+router.delete('/:id/follow', authMiddleware, socialController.unfollow);
@@ -0,0 +1,341 @@
+// src/components/social/FollowButton.js
+import React from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaUserPlus, FaUserCheck } from 'react-icons/fa';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const Container = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 20px;
+`;
+
+const Count = styled.div`
+  font-size: 14px;
+  color: ${props => props.theme.textSecondary};
+
+  strong {
+    color: ${props => props.theme.textPrimary};
+    margin-right: 4px;
+  }
+`;
+
+const Button = styled.button`
+  background: ${props => props.following ? 'transparent' : props.theme.primary};
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.following ? props.theme.primary : props.theme.buttonText};
+  border-radius: 4px;
+  padding: 8px 16px;
+  font-size: 14px;
+  font-weight: 500;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+/**
+ * Follower counts for a profile, with a follow toggle for other logged-in users
+ * @param {Object} props
+ * @param {string} props.userId - ID of the profile's owner
+ */
+const FollowButton = ({ userId }) => {
+  const { currentUser } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = ['users', userId, 'social'];
+
+  const { data: stats } = useQuery(
+    queryKey,
+    () => api.get(`/users/${userId}/social`).then(res => res.data.data)
+  );
+
+  const toggleFollow = useMutation(
+    () => (stats.isFollowing
+      ? api.delete(`/users/${userId}/follow`)
+      : api.post(`/users/${userId}/follow`)).then(res => res.data.data),
+    {
+      onSuccess: (data) => {
+        queryClient.setQueryData(queryKey, data);
+        queryClient.invalidateQueries('feed');
+      }
+    }
+  );
+
+  if (!stats) return null;
+
+  return (
+    <Container>
+      <Count><strong>{stats.followers}</strong>followers</Count>
+      <Count><strong>{stats.following}</strong>following</Count>
+
+      {currentUser && currentUser.id !== userId && (
+        <Button
+          following={stats.isFollowing}
+          onClick={() => toggleFollow.mutate()}
+          disabled={toggleFollow.isLoading}
+        >
+          {stats.isFollowing ? <><FaUserCheck /> Following</> : <><FaUserPlus /> Follow</>}
+        </Button>
+      )}
+    </Container>
+  );
+};
+
+export default FollowButton;
+
+// src/components/social/FeedItem.js
+import React from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import useRatingScale from '../../hooks/useRatingScale';
+import { formatRating } from '../../utils/ratings';
+
+const Item = styled.div`
+  display: flex;
+  gap: 15px;
+  padding: 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+`;
+
+const Avatar = styled.img`
+  width: 40px;
+  height: 40px;
+  border-radius: 50%;
+  object-fit: cover;
+`;
+
+const Body = styled.div`
+  flex: 1;
+  min-width: 0;
+`;
+
+const Summary = styled.div`
+  font-size: 15px;
+  line-height: 1.5;
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-weight: 600;
+    text-decoration: none;
+
+    &:hover {
+      color: ${props => props.theme.primary};
+    }
+  }
+`;
+
+const Time = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+  margin-top: 4px;
+`;
+
+const Posters = styled.div`
+  display: flex;
+  gap: 8px;
+  margin-top: 10px;
+  overflow-x: auto;
+`;
+
+const Poster = styled.img`
+  width: 60px;
+  height: 90px;
+  border-radius: 4px;
+  object-fit: cover;
+`;
+
+const STATUS_LABELS = {
+  watching: 'Watching',
+  completed: 'Completed',
+  plan_to_watch: 'Plan to Watch'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const ContentTitle = ({ subject }) => (
+  subject.content
+    ? <Link to={`/content/${subject.content.id}`}>{subject.content.title}</Link>
+    : 'a title'
+);
+
+/**
+ * Describe an activity; a burst of the same kind reads as one sentence
+ * Ratings are shown on the viewer's scale.
+ * @private
+ */
+const describe = ({ verb, count, subjects }, ratingScale) => {
+  const [latest] = subjects;
+
+  switch (verb) {
+    case 'list_status': {
+      const list = STATUS_LABELS[latest.status] || latest.status;
+      return count === 1
+        ? <>added <ContentTitle subject={latest} /> to {list}</>
+        : <>added {plural(count, 'title')} to {list}</>;
+    }
+    case 'rating':
+      if (count > 1) return <>rated {plural(count, 'title')}</>;
+      return ratingScale === 'thumbs'
+        ? <>{formatRating(latest.rating, ratingScale)} <ContentTitle subject={latest} /></>
+        : <>rated <ContentTitle subject={latest} /> {formatRating(latest.rating, ratingScale)}</>;
+    case 'review':
+      return count === 1
+        ? <>reviewed <ContentTitle subject={latest} /></>
+        : <>reviewed {plural(count, 'title')}</>;
+    case 'playlist_created':
+      return count === 1
+        ? <>created the playlist “{latest.name}”</>
+        : <>created {plural(count, 'playlist')}</>;
+    case 'achievement':
+      return count === 1
+        ? <>earned the achievement “{latest.name}”</>
+        : <>earned {plural(count, 'achievement')}</>;
+    default:
+      return null;
+  }
+};
+
+/**
+ * One entry in the activity feed
+ * @param {Object} props
+ * @param {Object} props.item - Feed item from GET /feed
+ */
+const FeedItem = ({ item }) => {
+  const ratingScale = useRatingScale();
+  const posters = item.subjects.filter(subject => subject.content && subject.content.posterUrl);
+
+  return (
+    <Item>
+      <Link to={`/profile/${item.actor.id}`}>
+        <Avatar src={item.actor.avatar || 'https://via.placeholder.com/100'} alt={item.actor.username} />
+      </Link>
+      <Body>
+        <Summary>
+          <Link to={`/profile/${item.actor.id}`}>{item.actor.username}</Link> {describe(item, ratingScale)}
+        </Summary>
+        <Time>{new Date(item.updatedAt).toLocaleString()}</Time>
+
+        {posters.length > 1 && (
+          <Posters>
+            {posters.map(subject => (
+              <Link key={subject.content.id} to={`/content/${subject.content.id}`}>
+                <Poster src={subject.content.posterUrl} alt={subject.content.title} />
+              </Link>
+            ))}
+          </Posters>
+        )}
+      </Body>
+    </Item>
+  );
+};
+
+export default FeedItem;
+
+// src/pages/Feed.js
+import React from 'react';
+import styled from 'styled-components';
+import { useInfiniteQuery } from 'react-query';
+import api from '../utils/api';
+import Loader from '../components/common/Loader';
+import Error from '../components/common/Error';
+import FeedItem from '../components/social/FeedItem';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 700px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const ItemList = styled.div`
+  display: grid;
+  gap: 12px;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 15px;
+  text-align: center;
+  padding: 40px 0;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const Feed = () => {
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    'feed',
+    ({ pageParam }) => api.get('/feed', { params: { cursor: pageParam } }).then(res => res.data.data),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load your feed" />;
+
+  const items = data.pages.flatMap(page => page.items);
+
+  return (
+    <Container>
+      <PageTitle>Feed</PageTitle>
+
+      {items.length === 0 ? (
+        <Empty>Follow people to see what they are watching, rating and listening to.</Empty>
+      ) : (
+        <ItemList>
+          {items.map(item => <FeedItem key={item.id} item={item} />)}
+        </ItemList>
+      )}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'Load more'}
+        </LoadMore>
+      )}
+    </Container>
+  );
+};
+
+export default Feed;
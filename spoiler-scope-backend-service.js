@@ -0,0 +1,252 @@
+// migrations/20261021000000-scope-discussions.js
+// Comments and forum posts can be about a particular episode, or a moment in
+// a movie or episode, so they can be hidden from people who haven't got there.
+const SCOPE_COLUMNS = ['seasonNumber', 'episodeNumber', 'timestampSeconds'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of ['Comments', 'ForumPosts']) {
+        for (const column of SCOPE_COLUMNS) {
+          await queryInterface.addColumn(table, column, {
+            type: Sequelize.INTEGER,
+            allowNull: true
+          }, { transaction });
+        }
+      }
+
+      // Comments already belong to a title; forum posts name the one they discuss
+      await queryInterface.addColumn('ForumPosts', 'contentId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Contents', key: 'id' }
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.removeColumn('ForumPosts', 'contentId', { transaction });
+      for (const table of ['Comments', 'ForumPosts']) {
+        for (const column of SCOPE_COLUMNS) {
+          await queryInterface.removeColumn(table, column, { transaction });
+        }
+      }
+    });
+  }
+};
+
+// models/comment.js - Spoiler scope
+// Added to the Comment attributes; see services/spoilerService.js
+seasonNumber: {
+  type: DataTypes.INTEGER,
+  allowNull: true
+},
+episodeNumber: {
+  type: DataTypes.INTEGER,
+  allowNull: true
+},
+timestampSeconds: {
+  type: DataTypes.INTEGER,
+  allowNull: true,
+  comment: 'Moment in the movie, or in the episode when one is set'
+}
+
+// models/forumPost.js - Spoiler scope
+// Added to the ForumPost attributes; see services/spoilerService.js
+contentId: {
+  type: DataTypes.UUID,
+  allowNull: true,
+  references: {
+    model: 'Contents',
+    key: 'id'
+  },
+  comment: 'Title the post discusses, when it is scoped'
+},
+seasonNumber: {
+  type: DataTypes.INTEGER,
+  allowNull: true
+},
+episodeNumber: {
+  type: DataTypes.INTEGER,
+  allowNull: true
+},
+timestampSeconds: {
+  type: DataTypes.INTEGER,
+  allowNull: true,
+  comment: 'Moment in the movie, or in the episode when one is set'
+}
+
+// services/spoilerService.js
+const { Content, Episode, EpisodeWatch, UserList, DiaryEntry } = require('../models');
+
+const byAiringOrder = (a, b) => (a.seasonNumber - b.seasonNumber) || (a.episodeNumber - b.episodeNumber);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Spoiler Service
+ * Discussion can be scoped to an episode of a show, or a moment in a movie or
+ * episode. Scoped discussion past what the viewer has seen is flagged so
+ * clients can hide it until the viewer chooses to reveal it.
+ */
+class SpoilerService {
+  /**
+   * Read the scope fields from a request body or a record
+   * @param {Object} source - Anything with seasonNumber, episodeNumber and timestampSeconds
+   * @returns {Object|null} - The scope, or null when it has none
+   */
+  getScope(source) {
+    const scope = {
+      seasonNumber: isSet(source.seasonNumber) ? source.seasonNumber : null,
+      episodeNumber: isSet(source.episodeNumber) ? source.episodeNumber : null,
+      timestampSeconds: isSet(source.timestampSeconds) ? source.timestampSeconds : null
+    };
+
+    return Object.values(scope).some(isSet) ? scope : null;
+  }
+
+  /**
+   * Check a scope makes sense for a title
+   * Shows are scoped to an episode (optionally a moment in it); movies to a moment.
+   * @param {Object} content - Content instance
+   * @param {Object} scope - From getScope
+   * @returns {Promise<string|null>} - What is wrong with it, or null if it is valid
+   */
+  async checkScope(content, { seasonNumber, episodeNumber, timestampSeconds }) {
+    if (content.type === 'movie') {
+      if (isSet(seasonNumber) || isSet(episodeNumber)) return 'Movies do not have episodes';
+      if (isSet(timestampSeconds) && content.runtime && timestampSeconds > content.runtime * 60) {
+        return 'Timestamp is past the end of the movie';
+      }
+      return null;
+    }
+
+    if (!isSet(seasonNumber) || !isSet(episodeNumber)) {
+      return 'Choose both a season and an episode';
+    }
+
+    const episode = await Episode.findOne({
+      where: { contentId: content.id, seasonNumber, episodeNumber },
+      attributes: ['runtime']
+    });
+    if (!episode) return 'Episode not found';
+
+    if (isSet(timestampSeconds) && episode.runtime && timestampSeconds > episode.runtime * 60) {
+      return 'Timestamp is past the end of the episode';
+    }
+    return null;
+  }
+
+  /**
+   * Find the items that discuss more of their title than the viewer has seen
+   * Shows follow the furthest episode watched, like progress does, so skipped
+   * episodes don't hide anything; specials count once watched themselves, and
+   * a show on the completed list counts as seen. Movies count as seen once
+   * completed or logged in the diary. Logged out viewers have seen nothing.
+   * @param {Array<Object>} items - Comments or forum posts with contentId and scope fields
+   * @param {Object|null} viewer - Viewing user, or null when logged out
+   * @returns {Promise<Set<string>>} - IDs of the items to hide until revealed
+   */
+  async findBeyondProgress(items, viewer) {
+    const scoped = items.filter(item => item.contentId && this.getScope(item));
+    if (scoped.length === 0) return new Set();
+    if (!viewer) return new Set(scoped.map(item => item.id));
+
+    const contentIds = [...new Set(scoped.map(item => item.contentId))];
+    const [movies, watches, completed, logged] = await Promise.all([
+      Content.findAll({ where: { id: contentIds, type: 'movie' }, attributes: ['id'] }),
+      EpisodeWatch.findAll({
+        where: { userId: viewer.id, contentId: contentIds },
+        attributes: ['contentId'],
+        include: [{ model: Episode, attributes: ['seasonNumber', 'episodeNumber'] }]
+      }),
+      UserList.findAll({
+        where: { userId: viewer.id, contentId: contentIds, status: 'completed' },
+        attributes: ['contentId']
+      }),
+      DiaryEntry.findAll({
+        where: { userId: viewer.id, contentId: contentIds },
+        attributes: ['contentId']
+      })
+    ]);
+
+    const movieIds = new Set(movies.map(movie => movie.id));
+    const seen = new Set(completed.map(entry => entry.contentId)
+      .concat(logged.map(entry => entry.contentId).filter(contentId => movieIds.has(contentId))));
+
+    const watched = new Set();
+    const furthest = {};
+    watches.forEach(({ contentId, Episode: episode }) => {
+      watched.add(`${contentId}:${episode.seasonNumber}:${episode.episodeNumber}`);
+      if (episode.seasonNumber > 0 && (!furthest[contentId] || byAiringOrder(episode, furthest[contentId]) > 0)) {
+        furthest[contentId] = episode;
+      }
+    });
+
+    const isBeyond = (item) => {
+      if (seen.has(item.contentId)) return false;
+      if (movieIds.has(item.contentId) || !isSet(item.seasonNumber)) return true;
+      if (item.seasonNumber === 0) {
+        return !watched.has(`${item.contentId}:${item.seasonNumber}:${item.episodeNumber}`);
+      }
+      return !furthest[item.contentId] || byAiringOrder(item, furthest[item.contentId]) > 0;
+    };
+
+    return new Set(scoped.filter(isBeyond).map(item => item.id));
+  }
+}
+
+module.exports = new SpoilerService();
+
+// controllers/forumController.js - Spoiler-scoped posts
+const { Content } = require('../models');
+const spoilerService = require('../services/spoilerService');
+
+// Added to the createPost validation
+body('contentId').optional({ nullable: true }).isUUID(),
+body('seasonNumber').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+body('episodeNumber').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+body('timestampSeconds').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+
+// In createPost, before the post is created
+const scope = spoilerService.getScope(req.body);
+if (scope && !req.body.contentId) {
+  return res.status(400).json({
+    success: false,
+    message: 'Choose the title a scoped post is about'
+  });
+}
+if (req.body.contentId) {
+  const content = await Content.findByPk(req.body.contentId);
+  if (!content) {
+    return res.status(404).json({
+      success: false,
+      message: 'Content not found'
+    });
+  }
+
+  const scopeError = scope && await spoilerService.checkScope(content, scope);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      message: scopeError
+    });
+  }
+}
+// ...and passed to ForumPost.create
+{ contentId: req.body.contentId || null, ...scope }
+
+// In getTopicPosts, on the page of posts before responding
+const beyondProgress = await spoilerService.findBeyondProgress(posts, req.user || null);
+const data = posts.map(post => ({
+  ...post.toJSON(),
+  scope: spoilerService.getScope(post),
+  beyondProgress: beyondProgress.has(post.id)
+}));
+
+// routes/forumRoutes.js - Spoiler-scoped posts
+// Reading a topic's posts now checks the viewer's progress when logged in
+const optionalAuth = require('../middleware/optionalAuth');
+
+router.get('/topics/:id/posts', optionalAuth, forumController.getTopicPosts);
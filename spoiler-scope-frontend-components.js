@@ -0,0 +1,170 @@
+// src/components/common/SpoilerGate.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { FaEyeSlash } from 'react-icons/fa';
+
+const Notice = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin: 6px 0;
+  padding: 8px 12px;
+  background: ${props => props.theme.inputBg};
+  border-radius: 6px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+`;
+
+const RevealButton = styled.button`
+  margin-left: auto;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 4px 10px;
+  font-size: 12px;
+  cursor: pointer;
+`;
+
+/**
+ * Keeps discussion past the viewer's progress collapsed until they reveal it
+ * @param {Object} props
+ * @param {boolean} props.hide - Whether the children are a spoiler for this viewer
+ * @param {string} props.label - What the discussion is about, e.g. "S02E05"
+ * @param {React.ReactNode} props.children
+ */
+const SpoilerGate = ({ hide, label, children }) => {
+  const [revealed, setRevealed] = useState(false);
+
+  if (!hide || revealed) return children;
+
+  return (
+    <Notice>
+      <FaEyeSlash />
+      <span>Spoiler{label ? ` for ${label}` : ''}, past where you've watched</span>
+      <RevealButton type="button" onClick={() => setRevealed(true)}>Reveal</RevealButton>
+    </Notice>
+  );
+};
+
+export default SpoilerGate;
+
+// src/components/comments/ScopePicker.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery } from 'react-query';
+import api from '../../utils/api';
+import { episodeCode, formatTimestamp, parseTimestamp } from '../../utils/episodes';
+
+export const EMPTY_SCOPE = { seasonNumber: null, episodeNumber: null, timestampSeconds: null };
+
+const Row = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const Select = styled.select`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+const TimeInput = styled.input`
+  width: 110px;
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.invalid ? props.theme.primary : props.theme.borderColor};
+  border-radius: 6px;
+  padding: 6px 10px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 13px;
+`;
+
+/**
+ * Choose the episode and/or moment a comment is about, so it can be kept
+ * from people who haven't got there yet
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ * @param {string} props.type - Content type; movies only have a timestamp
+ * @param {Object} props.value - { seasonNumber, episodeNumber, timestampSeconds }
+ * @param {Function} props.onChange - Called with the scope and whether it is valid
+ */
+const ScopePicker = ({ contentId, type, value, onChange }) => {
+  const isMovie = type === 'movie';
+  const [time, setTime] = useState(value.timestampSeconds !== null ? formatTimestamp(value.timestampSeconds) : '');
+
+  const { data: seasons = [] } = useQuery(
+    ['content', contentId, 'seasons'],
+    () => api.get(`/content/${contentId}/seasons`).then(res => res.data.data),
+    { enabled: !isMovie }
+  );
+
+  const selectedEpisode = value.episodeNumber !== null ? `${value.seasonNumber}:${value.episodeNumber}` : '';
+
+  const changeEpisode = (selected) => {
+    if (!selected) {
+      setTime('');
+      onChange(EMPTY_SCOPE, true);
+      return;
+    }
+    const [seasonNumber, episodeNumber] = selected.split(':').map(Number);
+    onChange({ ...value, seasonNumber, episodeNumber }, !time || parseTimestamp(time) !== null);
+  };
+
+  const changeTime = (text) => {
+    setTime(text);
+    const seconds = text.trim() ? parseTimestamp(text) : null;
+    onChange({ ...value, timestampSeconds: seconds }, !text.trim() || seconds !== null);
+  };
+
+  const invalidTime = Boolean(time.trim()) && parseTimestamp(time) === null;
+
+  return (
+    <Row>
+      {!isMovie && (
+        <Select
+          value={selectedEpisode}
+          onChange={(e) => changeEpisode(e.target.value)}
+          aria-label="Episode discussed"
+        >
+          <option value="">Whole show, no spoilers</option>
+          {seasons.map(season => (
+            <optgroup
+              key={season.id}
+              label={season.name || (season.seasonNumber === 0 ? 'Specials' : `Season ${season.seasonNumber}`)}
+            >
+              {season.Episodes.map(episode => (
+                <option key={episode.id} value={`${episode.seasonNumber}:${episode.episodeNumber}`}>
+                  {episodeCode(episode)}{episode.name ? ` · ${episode.name}` : ''}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </Select>
+      )}
+      {(isMovie || selectedEpisode) && (
+        <TimeInput
+          value={time}
+          onChange={(e) => changeTime(e.target.value)}
+          placeholder={isMovie ? 'At (e.g. 1:05:30)' : 'At (e.g. 12:30)'}
+          invalid={invalidTime}
+          aria-label="Timestamp discussed"
+        />
+      )}
+    </Row>
+  );
+};
+
+export default ScopePicker;
+
+// src/components/forum/ForumPost.js - Spoiler scope
+import SpoilerGate from '../common/SpoilerGate';
+import { scopeLabel } from '../../utils/episodes';
+
+// Post bodies past the viewer's progress stay collapsed until revealed
+<SpoilerGate hide={post.beyondProgress} label={post.scope && scopeLabel(post.scope)}>
+  <PostBody>{post.content}</PostBody>
+</SpoilerGate>
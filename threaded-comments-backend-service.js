@@ -0,0 +1,604 @@
+// models/comment.js - Threads, edits and soft delete
+// Added to the Comment attributes. Deleted comments keep their row (and place
+// in the thread) but lose their text; see services/commentService.js.
+parentId: {
+  type: DataTypes.UUID,
+  allowNull: true,
+  references: {
+    model: 'Comments',
+    key: 'id'
+  }
+},
+depth: {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0,
+  comment: 'Top-level comments are 0; capped at MAX_DEPTH in services/commentService.js'
+},
+replyCount: {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  defaultValue: 0,
+  comment: 'Direct replies still shown, for lazy "show replies" links'
+},
+editedAt: {
+  type: DataTypes.DATE,
+  allowNull: true
+},
+deletedAt: {
+  type: DataTypes.DATE,
+  allowNull: true
+}
+
+// Added to the Comment options
+indexes: [
+  { fields: ['contentId', 'parentId', 'createdAt'] },
+  { fields: ['parentId', 'createdAt'] }
+]
+
+// models/commentRevision.js
+// The text a comment had before an edit
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CommentRevision = sequelize.define('CommentRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    commentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Comments',
+        key: 'id'
+      }
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['commentId', 'createdAt'] }
+    ]
+  });
+
+  return CommentRevision;
+};
+
+// migrations/20261020000000-thread-comments.js
+// Comments become threads: replies point at their parent, edits are tracked
+// and deletes keep the row. Existing comments are all top-level.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.addColumn('Comments', 'parentId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'Comments', key: 'id' }
+      }, { transaction });
+      await queryInterface.addColumn('Comments', 'depth', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.addColumn('Comments', 'replyCount', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }, { transaction });
+      await queryInterface.addColumn('Comments', 'editedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+      await queryInterface.addColumn('Comments', 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction });
+
+      await queryInterface.addIndex('Comments', ['contentId', 'parentId', 'createdAt'], { transaction });
+      await queryInterface.addIndex('Comments', ['parentId', 'createdAt'], { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      // Soft-deleted comments had no place in the old model
+      await queryInterface.sequelize.query('DELETE FROM "CommentRevisions"', { transaction });
+      await queryInterface.sequelize.query('UPDATE "Comments" SET "parentId" = NULL', { transaction });
+      await queryInterface.sequelize.query('DELETE FROM "Comments" WHERE "deletedAt" IS NOT NULL', { transaction });
+
+      await queryInterface.removeIndex('Comments', ['parentId', 'createdAt'], { transaction });
+      await queryInterface.removeIndex('Comments', ['contentId', 'parentId', 'createdAt'], { transaction });
+      for (const column of ['deletedAt', 'editedAt', 'replyCount', 'depth', 'parentId']) {
+        await queryInterface.removeColumn('Comments', column, { transaction });
+      }
+    });
+  }
+};
+
+// utils/mentions.js
+// Usernames are 3-30 characters; a mention ends at the first character that
+// can't be part of one, and trailing dots are taken as punctuation.
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]{3,30})/g;
+
+/**
+ * Find the usernames mentioned in a text
+ * @param {string} text
+ * @returns {Array<string>} - Unique usernames, in order of first mention
+ */
+const extractMentions = (text) => {
+  const usernames = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/\.+$/, '');
+    if (username.length >= 3 && !usernames.includes(username)) {
+      usernames.push(username);
+    }
+  }
+  return usernames;
+};
+
+module.exports = { extractMentions };
+
+// services/commentService.js
+const { Op } = require('sequelize');
+const { User, Comment, CommentRevision, Notification, sequelize } = require('../models');
+const { encodeCursor, olderThan, newerThan } = require('../utils/cursor');
+const { extractMentions } = require('../utils/mentions');
+const spoilerService = require('./spoilerService');
+
+// Replies to a comment at this depth join its parent's replies instead of nesting further
+const MAX_DEPTH = 3;
+
+// Mentions past this many in one comment don't notify anyone
+const MAX_MENTIONS = 10;
+
+const AUTHOR_ATTRIBUTES = ['id', 'username', 'avatar'];
+
+// Deleted comments are only kept on screen while they have replies to hold together
+const shownWhere = {
+  [Op.or]: [{ deletedAt: null }, { replyCount: { [Op.gt]: 0 } }]
+};
+
+/**
+ * Comment Service
+ * Threaded comments on titles, with edit history, soft delete and @mentions
+ */
+class CommentService {
+  /**
+   * Get a page of a title's top-level comments, newest first
+   * @param {string} contentId - Content ID
+   * @param {Object|null} viewer - Viewing user, for spoiler checks
+   * @param {Object} options
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor }
+   */
+  async getThreads(contentId, viewer, { cursor = null, limit = 20 } = {}) {
+    const where = { contentId, parentId: null, ...shownWhere };
+    const comments = await Comment.findAll({
+      where: cursor ? { [Op.and]: [where, olderThan(cursor, 'createdAt')] } : where,
+      include: [{ model: User, attributes: AUTHOR_ATTRIBUTES }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+
+    return this.toPage(comments, limit, viewer);
+  }
+
+  /**
+   * Get a page of a comment's direct replies, oldest first
+   * @param {string} parentId - Comment ID
+   * @param {Object|null} viewer - Viewing user, for spoiler checks
+   * @param {Object} options
+   * @param {Object} options.cursor - Decoded cursor from the previous page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Object>} - { items, nextCursor }
+   */
+  async getReplies(parentId, viewer, { cursor = null, limit = 20 } = {}) {
+    const where = { parentId, ...shownWhere };
+    const comments = await Comment.findAll({
+      where: cursor ? { [Op.and]: [where, newerThan(cursor, 'createdAt')] } : where,
+      include: [{ model: User, attributes: AUTHOR_ATTRIBUTES }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: limit + 1
+    });
+
+    return this.toPage(comments, limit, viewer);
+  }
+
+  /**
+   * Comment on a title, or reply to a comment
+   * @param {Object} author - User instance
+   * @param {string} contentId - Content ID
+   * @param {string} text - Comment text
+   * @param {Object|null} parent - Comment instance being replied to
+   * @param {Object|null} scope - Episode or moment discussed; replies default to their parent's
+   * @returns {Promise<Object>} - Serialized comment
+   */
+  async createComment(author, contentId, text, parent = null, scope = null) {
+    const comment = await sequelize.transaction(async (transaction) => {
+      const attachTo = parent && parent.depth >= MAX_DEPTH
+        ? await Comment.findByPk(parent.parentId, { transaction })
+        : parent;
+
+      const created = await Comment.create({
+        userId: author.id,
+        contentId,
+        text,
+        parentId: attachTo ? attachTo.id : null,
+        depth: attachTo ? attachTo.depth + 1 : 0,
+        ...(scope || (parent && spoilerService.getScope(parent)))
+      }, { transaction });
+
+      if (attachTo) {
+        await attachTo.increment('replyCount', { transaction });
+      }
+      return created;
+    });
+
+    await this.notifyMentions(comment, author, extractMentions(text));
+    return this.serialize(comment, author);
+  }
+
+  /**
+   * Edit a comment, keeping its previous text as a revision
+   * Only users mentioned for the first time are notified.
+   * @param {Object} comment - Comment instance
+   * @param {Object} author - User instance of the comment's author
+   * @param {string} text - New text
+   * @returns {Promise<Object>} - Serialized comment
+   */
+  async editComment(comment, author, text) {
+    const previous = comment.text;
+    if (text === previous) return this.serialize(comment, author);
+
+    await sequelize.transaction(async (transaction) => {
+      await CommentRevision.create({ commentId: comment.id, text: previous }, { transaction });
+      await comment.update({ text, editedAt: new Date() }, { transaction });
+    });
+
+    const alreadyMentioned = extractMentions(previous);
+    await this.notifyMentions(
+      comment,
+      author,
+      extractMentions(text).filter(username => !alreadyMentioned.includes(username))
+    );
+    return this.serialize(comment, author);
+  }
+
+  /**
+   * Soft delete a comment: its text and history go, its place in the thread stays
+   * A deleted comment with no replies is hidden, which can in turn leave a
+   * deleted parent with nothing to hold together.
+   * @param {Object} comment - Comment instance
+   * @returns {Promise<void>}
+   */
+  async deleteComment(comment) {
+    await sequelize.transaction(async (transaction) => {
+      await CommentRevision.destroy({ where: { commentId: comment.id }, transaction });
+      await comment.update({ text: '', deletedAt: new Date() }, { transaction });
+
+      let current = comment;
+      while (current.parentId && current.deletedAt && current.replyCount === 0) {
+        const parent = await Comment.findByPk(current.parentId, { transaction });
+        await parent.decrement('replyCount', { transaction });
+        await parent.reload({ transaction });
+        current = parent;
+      }
+    });
+  }
+
+  /**
+   * Get a comment's earlier versions, oldest first
+   * @param {Object} comment - Comment instance
+   * @returns {Promise<Array>} - [{ text, replacedAt }]
+   */
+  async getRevisions(comment) {
+    const revisions = await CommentRevision.findAll({
+      where: { commentId: comment.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    return revisions.map(revision => ({ text: revision.text, replacedAt: revision.createdAt }));
+  }
+
+  /**
+   * Shape a comment for the API; deleted and hidden comments show no text or author
+   * @param {Object} comment - Comment instance
+   * @param {Object} author - User instance, when not included on the comment
+   * @param {boolean} beyondProgress - Whether it discusses more than the viewer has seen
+   * @returns {Object}
+   */
+  serialize(comment, author = comment.User, beyondProgress = false) {
+    const deleted = Boolean(comment.deletedAt);
+    const hidden = !deleted && Boolean(comment.hiddenAt);
+
+    return {
+      id: comment.id,
+      contentId: comment.contentId,
+      parentId: comment.parentId,
+      depth: comment.depth,
+      replyCount: comment.replyCount,
+      text: deleted || hidden ? null : comment.text,
+      author: deleted || hidden || !author
+        ? null
+        : { id: author.id, username: author.username, avatar: author.avatar },
+      deleted,
+      hidden,
+      scope: spoilerService.getScope(comment),
+      beyondProgress,
+      editedAt: comment.editedAt,
+      createdAt: comment.createdAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  async toPage(comments, limit, viewer) {
+    const page = comments.slice(0, limit);
+    const last = page[page.length - 1];
+    const beyondProgress = await spoilerService.findBeyondProgress(page, viewer);
+
+    return {
+      items: page.map(comment => this.serialize(comment, comment.User, beyondProgress.has(comment.id))),
+      nextCursor: comments.length > limit ? encodeCursor(last.createdAt, last.id) : null
+    };
+  }
+
+  /**
+   * Notify mentioned users; failures are logged rather than failing the comment
+   * @private
+   */
+  async notifyMentions(comment, author, usernames) {
+    const mentioned = usernames
+      .filter(username => username !== author.username)
+      .slice(0, MAX_MENTIONS);
+    if (mentioned.length === 0) return;
+
+    try {
+      const users = await User.findAll({
+        where: { username: mentioned, deletedAt: null },
+        attributes: ['id']
+      });
+
+      await Notification.bulkCreate(users.map(user => ({
+        userId: user.id,
+        type: 'mention',
+        message: `${author.username} mentioned you in a comment`,
+        link: `/content/${comment.contentId}#comment-${comment.id}`
+      })));
+    } catch (error) {
+      console.error('Error sending mention notifications:', error);
+    }
+  }
+}
+
+module.exports = new CommentService();
+module.exports.MAX_DEPTH = MAX_DEPTH;
+
+// controllers/commentController.js
+const { body, param, query } = require('express-validator');
+const { Content, Comment } = require('../models');
+const commentService = require('../services/commentService');
+const spoilerService = require('../services/spoilerService');
+const { decodeCursor } = require('../utils/cursor');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const listValidation = [
+  param('id').isUUID(),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  validateRequest
+];
+
+const createCommentValidation = [
+  param('id').isUUID(),
+  body('text').isString().trim().isLength({ min: 1, max: 5000 }),
+  body('parentId').optional({ nullable: true }).isUUID(),
+  body('seasonNumber').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  body('episodeNumber').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('timestampSeconds').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+  validateRequest
+];
+
+const updateCommentValidation = [
+  param('id').isUUID(),
+  body('text').isString().trim().isLength({ min: 1, max: 5000 }),
+  validateRequest
+];
+
+/**
+ * Read the page options; answers the request itself when the cursor is malformed
+ * @private
+ */
+const pageOptions = (req, res) => {
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid cursor'
+    });
+    return null;
+  }
+
+  return { cursor, limit: req.query.limit || 20 };
+};
+
+/**
+ * Load a comment that hasn't been deleted or hidden by moderation
+ * @private
+ */
+const loadComment = async (req, res, id = req.params.id) => {
+  const comment = await Comment.findByPk(id);
+
+  if (!comment || comment.deletedAt || comment.hiddenAt) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * Get a page of a title's top-level comments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getThreads = async (req, res, next) => {
+  try {
+    const options = pageOptions(req, res);
+    if (!options) return;
+
+    res.json({
+      success: true,
+      data: await commentService.getThreads(req.params.id, req.user || null, options)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a page of a comment's replies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getReplies = async (req, res, next) => {
+  try {
+    const options = pageOptions(req, res);
+    if (!options) return;
+
+    res.json({
+      success: true,
+      data: await commentService.getReplies(req.params.id, req.user || null, options)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Comment on a title, or reply to one of its comments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const content = await Content.findByPk(req.params.id);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await loadComment(req, res, req.body.parentId);
+      if (!parent) return;
+
+      if (parent.contentId !== content.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Replies must be on the same title as their comment'
+        });
+      }
+    }
+
+    const scope = spoilerService.getScope(req.body);
+    const scopeError = scope && await spoilerService.checkScope(content, scope);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await commentService.createComment(req.user, content.id, req.body.text, parent, scope)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit one of the current user's comments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    if (comment.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await commentService.editComment(comment, req.user, req.body.text)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a comment's earlier versions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getRevisions = async (req, res, next) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    res.json({
+      success: true,
+      data: await commentService.getRevisions(comment)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getThreads: [listValidation, getThreads],
+  getReplies: [listValidation, getReplies],
+  createComment: [createCommentValidation, createComment],
+  updateComment: [updateCommentValidation, updateComment],
+  getRevisions: [idValidation, getRevisions]
+};
+
+// routes/contentRoutes.js - Threaded comments
+// These replace the plain comment routes; signed-in readers get spoiler checks
+const commentController = require('../controllers/commentController');
+const notSuspended = require('../middleware/notSuspended');
+
+router.get('/:id/comments', optionalAuth, commentController.getThreads);
+router.post('/:id/comments', authMiddleware, notSuspended, commentController.createComment);
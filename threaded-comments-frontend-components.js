@@ -0,0 +1,442 @@
+// src/components/comments/CommentForm.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { Message } from '../auth/AuthForm';
+import ScopePicker, { EMPTY_SCOPE } from './ScopePicker';
+
+const Form = styled.form`
+  display: grid;
+  gap: 8px;
+  margin: 10px 0;
+`;
+
+const TextArea = styled.textarea`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-family: inherit;
+  min-height: 70px;
+  resize: vertical;
+`;
+
+const Buttons = styled.div`
+  display: flex;
+  gap: 10px;
+`;
+
+const Button = styled.button`
+  background: ${props => props.primary ? props.theme.primary : 'transparent'};
+  border: ${props => props.primary ? 'none' : `1px solid ${props.theme.borderColor}`};
+  color: ${props => props.primary ? props.theme.buttonText : props.theme.textSecondary};
+  border-radius: 4px;
+  padding: 6px 14px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+`;
+
+/**
+ * Text box for writing, replying to or editing a comment
+ * @param {Object} props
+ * @param {Object} props.mutation - react-query mutation called with { text, ...scope }
+ * @param {string} props.initialText - Text to start from when editing
+ * @param {string} props.placeholder
+ * @param {string} props.submitLabel
+ * @param {Function} props.onCancel - Shows a cancel button when given
+ * @param {Object} props.scopeFor - { contentId, type } to let the comment be scoped to an episode or moment
+ */
+const CommentForm = ({ mutation, initialText = '', placeholder = 'Add a comment… Mention people with @username', submitLabel = 'Comment', onCancel, scopeFor }) => {
+  const [text, setText] = useState(initialText);
+  const [scope, setScope] = useState(EMPTY_SCOPE);
+  const [scopeValid, setScopeValid] = useState(true);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    mutation.mutate({ text: text.trim(), ...(scopeFor && scope) }, {
+      onSuccess: () => setText('')
+    });
+  };
+
+  const changeScope = (next, valid) => {
+    setScope(next);
+    setScopeValid(valid);
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      {mutation.isError && (
+        <Message error>{mutation.error.response?.data?.message || 'Failed to save the comment'}</Message>
+      )}
+      <TextArea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        maxLength={5000}
+        autoFocus={Boolean(onCancel)}
+      />
+      {scopeFor && (
+        <ScopePicker contentId={scopeFor.contentId} type={scopeFor.type} value={scope} onChange={changeScope} />
+      )}
+      <Buttons>
+        <Button primary type="submit" disabled={!text.trim() || !scopeValid || mutation.isLoading}>{submitLabel}</Button>
+        {onCancel && <Button type="button" onClick={onCancel}>Cancel</Button>}
+      </Buttons>
+    </Form>
+  );
+};
+
+export default CommentForm;
+
+// src/components/comments/Comment.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { scopeLabel } from '../../utils/episodes';
+import SpoilerGate from '../common/SpoilerGate';
+import ReportButton from '../moderation/ReportButton';
+import CommentForm from './CommentForm';
+
+const Container = styled.div`
+  padding: 10px 0;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 13px;
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-weight: 600;
+    text-decoration: none;
+  }
+`;
+
+const Avatar = styled.img`
+  width: 28px;
+  height: 28px;
+  border-radius: 50%;
+  object-fit: cover;
+`;
+
+const Meta = styled.span`
+  color: ${props => props.theme.textSecondary};
+`;
+
+const LinkButton = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  color: ${props => props.theme.textSecondary};
+  font-size: 13px;
+  cursor: pointer;
+
+  &:hover {
+    color: ${props => props.theme.primary};
+  }
+`;
+
+const Text = styled.p`
+  margin: 6px 0;
+  font-size: 14px;
+  line-height: 1.6;
+  white-space: pre-wrap;
+  color: ${props => props.deleted ? props.theme.textSecondary : props.theme.textPrimary};
+  font-style: ${props => props.deleted ? 'italic' : 'normal'};
+`;
+
+const Mention = styled.span`
+  color: ${props => props.theme.primary};
+  font-weight: 500;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 15px;
+`;
+
+const Revisions = styled.ol`
+  margin: 6px 0;
+  padding: 8px 12px 8px 30px;
+  background: ${props => props.theme.inputBg};
+  border-radius: 6px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+
+  li {
+    margin-bottom: 6px;
+    white-space: pre-wrap;
+  }
+`;
+
+const Replies = styled.div`
+  margin-left: 14px;
+  padding-left: 14px;
+  border-left: 2px solid ${props => props.theme.borderColor};
+`;
+
+// Same rule as utils/mentions.js on the server
+const MENTION_PATTERN = /(^|[^\w@])(@[\w.-]{3,30})/g;
+
+/**
+ * Render comment text with @mentions highlighted
+ * @private
+ */
+const renderText = (text) => text.split(MENTION_PATTERN).map((part, index) => (
+  index % 3 === 2 ? <Mention key={index}>{part}</Mention> : part
+));
+
+/**
+ * One comment with its actions; replies load when first expanded
+ * @param {Object} props
+ * @param {Object} props.comment - Comment from the comments API
+ * @param {string} props.type - Type of the title being discussed
+ */
+const Comment = ({ comment, type }) => {
+  const queryClient = useQueryClient();
+  const { currentUser, hasRole } = useAuth();
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [showReplies, setShowReplies] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const isAuthor = Boolean(currentUser && comment.author && currentUser.id === comment.author.id);
+  const scope = comment.scope && scopeLabel(comment.scope);
+
+  const refreshThreads = () => {
+    queryClient.invalidateQueries(['content', comment.contentId, 'comments']);
+    queryClient.invalidateQueries('comments');
+  };
+
+  const replies = useInfiniteQuery(
+    ['comments', comment.id, 'replies'],
+    ({ pageParam }) => api.get(`/comments/${comment.id}/replies`, { params: { cursor: pageParam } })
+      .then(res => res.data.data),
+    {
+      enabled: showReplies,
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined
+    }
+  );
+
+  const revisions = useQuery(
+    ['comments', comment.id, 'revisions'],
+    () => api.get(`/comments/${comment.id}/revisions`).then(res => res.data.data),
+    { enabled: showHistory }
+  );
+
+  const reply = useMutation(
+    (values) => api.post(`/content/${comment.contentId}/comments`, { ...values, parentId: comment.id }),
+    {
+      onSuccess: () => {
+        setReplying(false);
+        setShowReplies(true);
+        refreshThreads();
+      }
+    }
+  );
+
+  const edit = useMutation(
+    ({ text }) => api.put(`/comments/${comment.id}`, { text }),
+    {
+      onSuccess: () => {
+        setEditing(false);
+        refreshThreads();
+      }
+    }
+  );
+
+  const remove = useMutation(
+    () => api.delete(`/comments/${comment.id}`),
+    { onSuccess: refreshThreads }
+  );
+
+  return (
+    <Container id={`comment-${comment.id}`}>
+      {comment.deleted || comment.hidden ? (
+        <Text deleted>{comment.deleted ? 'Comment deleted' : 'Comment hidden while moderators review it'}</Text>
+      ) : (
+        <>
+          <Header>
+            <Link to={`/profile/${comment.author.id}`}>
+              <Avatar src={comment.author.avatar || 'https://via.placeholder.com/100'} alt={comment.author.username} />
+            </Link>
+            <Link to={`/profile/${comment.author.id}`}>{comment.author.username}</Link>
+            <Meta>{new Date(comment.createdAt).toLocaleString()}</Meta>
+            {scope && <Meta>· {scope}</Meta>}
+            {comment.editedAt && (
+              <LinkButton onClick={() => setShowHistory(!showHistory)} title="Show earlier versions">
+                (edited)
+              </LinkButton>
+            )}
+          </Header>
+
+          {showHistory && revisions.data && (
+            <Revisions>
+              {revisions.data.map(revision => (
+                <li key={revision.replacedAt}>
+                  {revision.text} <Meta>— until {new Date(revision.replacedAt).toLocaleString()}</Meta>
+                </li>
+              ))}
+            </Revisions>
+          )}
+
+          {editing ? (
+            <CommentForm
+              mutation={edit}
+              initialText={comment.text}
+              submitLabel="Save"
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <SpoilerGate hide={comment.beyondProgress} label={scope}>
+              <Text>{renderText(comment.text)}</Text>
+            </SpoilerGate>
+          )}
+
+          <Actions>
+            {currentUser && <LinkButton onClick={() => setReplying(!replying)}>Reply</LinkButton>}
+            {isAuthor && !editing && <LinkButton onClick={() => setEditing(true)}>Edit</LinkButton>}
+            {(isAuthor || hasRole('moderator')) && (
+              <LinkButton
+                onClick={() => window.confirm('Delete this comment?') && remove.mutate()}
+                disabled={remove.isLoading}
+              >
+                Delete
+              </LinkButton>
+            )}
+            {currentUser && !isAuthor && <ReportButton targetType="comment" targetId={comment.id} />}
+          </Actions>
+
+          {replying && (
+            <CommentForm
+              mutation={reply}
+              placeholder={`Reply to ${comment.author.username}…`}
+              submitLabel="Reply"
+              onCancel={() => setReplying(false)}
+              scopeFor={{ contentId: comment.contentId, type }}
+            />
+          )}
+        </>
+      )}
+
+      {comment.replyCount > 0 && !showReplies && (
+        <LinkButton onClick={() => setShowReplies(true)}>
+          View {comment.replyCount === 1 ? '1 reply' : `${comment.replyCount} replies`}
+        </LinkButton>
+      )}
+
+      {showReplies && replies.data && (
+        <Replies>
+          {replies.data.pages.flatMap(page => page.items).map(child => (
+            <Comment key={child.id} comment={child} type={type} />
+          ))}
+          {replies.hasNextPage && (
+            <LinkButton onClick={() => replies.fetchNextPage()} disabled={replies.isFetchingNextPage}>
+              {replies.isFetchingNextPage ? 'Loading…' : 'More replies'}
+            </LinkButton>
+          )}
+        </Replies>
+      )}
+    </Container>
+  );
+};
+
+export default Comment;
+
+// src/components/content/ContentComments.js
+import React from 'react';
+import styled from 'styled-components';
+import { useInfiniteQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import Comment from '../comments/Comment';
+import CommentForm from '../comments/CommentForm';
+
+const Container = styled.div`
+  max-width: 800px;
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+`;
+
+const LoadMore = styled.button`
+  display: block;
+  margin: 20px auto 0;
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 4px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+/**
+ * A title's comment threads, newest first; replies load per thread on demand
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ * @param {string} props.type - Content type, for scoping comments to episodes or moments
+ */
+const ContentComments = ({ contentId, type }) => {
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+  const queryKey = ['content', contentId, 'comments'];
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery(
+    queryKey,
+    ({ pageParam }) => api.get(`/content/${contentId}/comments`, { params: { cursor: pageParam } })
+      .then(res => res.data.data),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined
+    }
+  );
+
+  const addComment = useMutation(
+    (values) => api.post(`/content/${contentId}/comments`, values),
+    { onSuccess: () => queryClient.invalidateQueries(queryKey) }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load comments" />;
+
+  const threads = data.pages.flatMap(page => page.items);
+
+  return (
+    <Container>
+      {isAuthenticated && <CommentForm mutation={addComment} scopeFor={{ contentId, type }} />}
+
+      {threads.length === 0 && <Empty>No comments yet.</Empty>}
+      {threads.map(comment => <Comment key={comment.id} comment={comment} type={type} />)}
+
+      {hasNextPage && (
+        <LoadMore onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+          {isFetchingNextPage ? 'Loading…' : 'More comments'}
+        </LoadMore>
+      )}
+    </Container>
+  );
+};
+
+export default ContentComments;
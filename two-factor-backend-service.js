@@ -0,0 +1,342 @@
+// models/recoveryCode.js
+// One-time codes for getting past two-factor login without the authenticator app
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RecoveryCode = sequelize.define('RecoveryCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { fields: ['userId'] }
+    ]
+  });
+
+  return RecoveryCode;
+};
+
+// services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const { User, RecoveryCode } = require('../models');
+const config = require('../config');
+
+const ISSUER = 'Didi';
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// Accept codes from the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const hashCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCode = () => {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification and one-time recovery codes
+ */
+class TwoFactorService {
+  /**
+   * Start enrollment by generating a new secret
+   * The secret is stored but not enforced until enable() confirms a code.
+   * @param {Object} user - User instance
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   */
+  async startEnrollment(user) {
+    const secret = authenticator.generateSecret();
+    await user.update({ twoFactorSecret: secret, twoFactorEnabled: false });
+
+    return {
+      secret,
+      otpauthUri: authenticator.keyuri(user.email, ISSUER, secret)
+    };
+  }
+
+  /**
+   * Finish enrollment once the user proves their app produces valid codes
+   * @param {Object} user - User instance
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Array<string>|null>} - Fresh recovery codes, or null if the code is wrong
+   */
+  async enable(user, code) {
+    if (!user.twoFactorSecret || !authenticator.check(code, user.twoFactorSecret)) {
+      return null;
+    }
+
+    await user.update({ twoFactorEnabled: true });
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  /**
+   * Turn two-factor off and forget the secret and recovery codes
+   * @param {Object} user - User instance
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    await user.update({ twoFactorEnabled: false, twoFactorSecret: null });
+    await RecoveryCode.destroy({ where: { userId: user.id } });
+  }
+
+  /**
+   * Check a code from the authenticator app or an unused recovery code
+   * Recovery codes are spent when they match.
+   * @param {Object} user - User instance
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(user, code) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+      return false;
+    }
+
+    const normalized = code.trim();
+    if (/^\d{6}$/.test(normalized)) {
+      return authenticator.check(normalized, user.twoFactorSecret);
+    }
+
+    const [count] = await RecoveryCode.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, codeHash: hashCode(normalized), usedAt: null } }
+    );
+    return count > 0;
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {Object} user - User instance
+   * @returns {Promise<Array<string>>} - Plaintext codes, shown to the user once
+   */
+  async regenerateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await RecoveryCode.destroy({ where: { userId: user.id } });
+    await RecoveryCode.bulkCreate(codes.map(code => ({
+      userId: user.id,
+      codeHash: hashCode(code)
+    })));
+
+    return codes;
+  }
+
+  /**
+   * Count a user's unused recovery codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async countRemainingRecoveryCodes(userId) {
+    return RecoveryCode.count({ where: { userId, usedAt: null } });
+  }
+
+  /**
+   * Create a short-lived token proving the password step succeeded
+   * @param {Object} user - User instance
+   * @returns {string} - Signed challenge token
+   */
+  createChallengeToken(user) {
+    return jwt.sign(
+      { sub: user.id, purpose: CHALLENGE_PURPOSE },
+      config.jwtSecret,
+      { expiresIn: '5m' }
+    );
+  }
+
+  /**
+   * Resolve a challenge token to its user
+   * @param {string} token - Challenge token from the login response
+   * @returns {Promise<Object|null>} - User instance, or null if the token is invalid
+   */
+  async verifyChallengeToken(token) {
+    try {
+      const payload = jwt.verify(token, config.jwtSecret);
+      if (payload.purpose !== CHALLENGE_PURPOSE) return null;
+      return await User.findByPk(payload.sub);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
+
+// controllers/twoFactorController.js
+const { body } = require('express-validator');
+const twoFactorService = require('../services/twoFactorService');
+const validateRequest = require('../middleware/validateRequest');
+
+// Validation middleware
+const codeValidation = [
+  body('code').isString().trim().notEmpty(),
+  validateRequest
+];
+
+const disableValidation = [
+  body('password').isString().notEmpty(),
+  body('code').isString().trim().notEmpty(),
+  validateRequest
+];
+
+/**
+ * Get the current user's two-factor status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getStatus = async (req, res, next) => {
+  try {
+    const remainingRecoveryCodes = req.user.twoFactorEnabled
+      ? await twoFactorService.countRemainingRecoveryCodes(req.user.id)
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.twoFactorEnabled,
+        remainingRecoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a secret and otpauth URI for the authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const setup = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code and return recovery codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const enable = async (req, res, next) => {
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.user, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'That code is not valid, check your authenticator app and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn two-factor off; needs the password and a current code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const disable = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const valid = await req.user.comparePassword(password) &&
+      await twoFactorService.verifyCode(req.user, code);
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or code is incorrect'
+      });
+    }
+
+    await twoFactorService.disable(req.user);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes; needs a current code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!(await twoFactorService.verifyCode(req.user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'That code is not valid'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable: [codeValidation, enable],
+  disable: [disableValidation, disable],
+  regenerateRecoveryCodes: [codeValidation, regenerateRecoveryCodes]
+};
@@ -0,0 +1,399 @@
+// src/pages/Login.js
+import React, { useState } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import styled from 'styled-components';
+import { useAuth } from '../contexts/AuthContext';
+import { Container, Title, Description, Form, Input, SubmitButton, Message } from '../components/auth/AuthForm';
+import ExternalLoginButtons from '../components/auth/ExternalLoginButtons';
+
+const FormFooter = styled.div`
+  display: flex;
+  justify-content: space-between;
+  margin-top: 15px;
+  font-size: 14px;
+
+  a {
+    color: ${props => props.theme.primary};
+    text-decoration: none;
+  }
+`;
+
+const TextButton = styled.button`
+  background: transparent;
+  border: none;
+  padding: 0;
+  color: ${props => props.theme.primary};
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+const Login = () => {
+  const { login, completeTwoFactorLogin } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+
+  // An external provider login can land here needing the second factor too
+  const [challengeToken, setChallengeToken] = useState(location.state?.challengeToken || null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const result = await login(email, password);
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setPassword('');
+      } else {
+        navigate(redirectTo, { replace: true });
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await completeTwoFactorLogin(challengeToken, code);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      // An expired challenge can't be retried, go back to the password step
+      if (err.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        setChallengeToken(null);
+      }
+      setError(err.response?.data?.message || 'Login failed');
+    } finally {
+      setSubmitting(false);
+      setCode('');
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <Container>
+        <Title>Two-factor authentication</Title>
+        <Description>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Description>
+
+        <Form onSubmit={handleCodeSubmit}>
+          {error && <Message error>{error}</Message>}
+          <Input
+            type="text"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoFocus
+            required
+          />
+          <SubmitButton type="submit" disabled={submitting}>
+            Verify
+          </SubmitButton>
+        </Form>
+
+        <FormFooter>
+          <TextButton type="button" onClick={() => setUseRecoveryCode(!useRecoveryCode)}>
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </TextButton>
+          <TextButton type="button" onClick={() => setChallengeToken(null)}>
+            Cancel
+          </TextButton>
+        </FormFooter>
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <Title>Log in</Title>
+      <Description>Welcome back! Log in to keep tracking what you watch.</Description>
+
+      <Form onSubmit={handleSubmit}>
+        {error && <Message error>{error}</Message>}
+        <Input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <Input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        <SubmitButton type="submit" disabled={submitting}>
+          Log in
+        </SubmitButton>
+      </Form>
+
+      <FormFooter>
+        <Link to="/forgot-password">Forgot password?</Link>
+        <Link to="/register">Create an account</Link>
+      </FormFooter>
+
+      <ExternalLoginButtons />
+    </Container>
+  );
+};
+
+export default Login;
+
+// src/components/settings/TwoFactorSettings.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { QRCodeSVG } from 'qrcode.react';
+import { FaShieldAlt } from 'react-icons/fa';
+import api from '../../utils/api';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+import { Input, SubmitButton, Message } from '../auth/AuthForm';
+
+const Container = styled.div`
+  margin-bottom: 30px;
+  padding: 20px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 15px;
+
+  svg {
+    color: ${props => props.enabled ? '#43a047' : props.theme.textSecondary};
+  }
+`;
+
+const Title = styled.h3`
+  font-size: 22px;
+  font-weight: 600;
+  margin: 0;
+`;
+
+const Text = styled.p`
+  color: ${props => props.theme.textSecondary};
+  font-size: 14px;
+  line-height: 1.6;
+`;
+
+const Row = styled.form`
+  display: flex;
+  gap: 10px;
+  max-width: 420px;
+  margin-top: 15px;
+
+  input {
+    flex: 1;
+  }
+`;
+
+const QRWrapper = styled.div`
+  display: inline-block;
+  padding: 12px;
+  background: white;
+  border-radius: 8px;
+  margin: 10px 0;
+`;
+
+const Secret = styled.code`
+  display: block;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+  word-break: break-all;
+`;
+
+const CodeList = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(2, max-content);
+  gap: 8px 30px;
+  padding: 15px 20px;
+  list-style: none;
+  background: ${props => props.theme.inputBg};
+  border-radius: 6px;
+  font-family: monospace;
+  font-size: 15px;
+`;
+
+/**
+ * Enroll in, manage and disable TOTP two-factor authentication
+ */
+const TwoFactorSettings = () => {
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const { data: status, isLoading, error } = useQuery(
+    ['auth', '2fa'],
+    () => api.get('/auth/2fa').then(res => res.data.data),
+    {
+      refetchOnWindowFocus: false
+    }
+  );
+
+  const refreshStatus = () => queryClient.invalidateQueries(['auth', '2fa']);
+
+  const setup = useMutation(
+    () => api.post('/auth/2fa/setup').then(res => res.data.data)
+  );
+
+  const enable = useMutation(
+    () => api.post('/auth/2fa/enable', { code }).then(res => res.data.data),
+    {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        setup.reset();
+        refreshStatus();
+      },
+      onSettled: () => setCode('')
+    }
+  );
+
+  const disable = useMutation(
+    () => api.post('/auth/2fa/disable', { password, code }),
+    {
+      onSuccess: () => {
+        setRecoveryCodes(null);
+        refreshStatus();
+      },
+      onSettled: () => {
+        setCode('');
+        setPassword('');
+      }
+    }
+  );
+
+  const regenerate = useMutation(
+    () => api.post('/auth/2fa/recovery-codes', { code }).then(res => res.data.data),
+    {
+      onSuccess: (data) => {
+        setRecoveryCodes(data.recoveryCodes);
+        refreshStatus();
+      },
+      onSettled: () => setCode('')
+    }
+  );
+
+  if (isLoading) return <Loader />;
+  if (error) return <Error message="Failed to load two-factor settings" />;
+
+  const mutationError = [setup, enable, disable, regenerate].find(m => m.isError)?.error;
+
+  return (
+    <Container>
+      <Header enabled={status.enabled}>
+        <FaShieldAlt />
+        <Title>Two-factor authentication</Title>
+      </Header>
+
+      {mutationError && (
+        <Message error>{mutationError.response?.data?.message || 'Something went wrong'}</Message>
+      )}
+
+      {recoveryCodes && (
+        <>
+          <Text>
+            Save these recovery codes somewhere safe. Each one can be used once to log in
+            if you lose your phone. They won't be shown again.
+          </Text>
+          <CodeList>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </CodeList>
+        </>
+      )}
+
+      {status.enabled ? (
+        <>
+          <Text>
+            Two-factor authentication is on. You have {status.remainingRecoveryCodes} unused recovery codes.
+            Enter a current code to get new recovery codes, or your password and a code to turn it off.
+          </Text>
+          <Row onSubmit={(e) => { e.preventDefault(); regenerate.mutate(); }}>
+            <Input
+              placeholder="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <SubmitButton type="submit" disabled={regenerate.isLoading}>
+              New recovery codes
+            </SubmitButton>
+          </Row>
+          <Row onSubmit={(e) => { e.preventDefault(); disable.mutate(); }}>
+            <Input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            <SubmitButton type="submit" disabled={disable.isLoading || !code}>
+              Turn off
+            </SubmitButton>
+          </Row>
+        </>
+      ) : setup.data ? (
+        <>
+          <Text>
+            Scan this QR code with an authenticator app such as Google Authenticator or 1Password,
+            then enter the 6-digit code it shows.
+          </Text>
+          <QRWrapper>
+            <QRCodeSVG value={setup.data.otpauthUri} size={180} />
+          </QRWrapper>
+          <Secret>Can't scan it? Enter this key instead: {setup.data.secret}</Secret>
+          <Row onSubmit={(e) => { e.preventDefault(); enable.mutate(); }}>
+            <Input
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <SubmitButton type="submit" disabled={enable.isLoading}>
+              Turn on
+            </SubmitButton>
+          </Row>
+        </>
+      ) : (
+        <>
+          <Text>
+            Protect your account with a code from an authenticator app in addition to your password.
+          </Text>
+          <SubmitButton onClick={() => setup.mutate()} disabled={setup.isLoading}>
+            Set up two-factor authentication
+          </SubmitButton>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,402 @@
+// models/diaryEntry.js
+// A dated watch of a title. Unlike UserList, which holds the current status,
+// every watch gets its own entry, so rewatches keep their history.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DiaryEntry = sequelize.define('DiaryEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    contentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Contents',
+        key: 'id'
+      }
+    },
+    watchedOn: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    rating: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      validate: {
+        min: 0.1,
+        max: 1
+      },
+      comment: 'Rating given for this watch, normalized to 0.1-1 (see utils/ratingScale.js)'
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    rewatch: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    indexes: [
+      { fields: ['userId', 'watchedOn'] },
+      { fields: ['userId', 'contentId'] }
+    ]
+  });
+
+  return DiaryEntry;
+};
+
+// services/diaryService.js
+const { Op } = require('sequelize');
+const { Content, DiaryEntry, sequelize } = require('../models');
+
+const CONTENT_ATTRIBUTES = ['id', 'title', 'type', 'posterUrl', 'releaseYear'];
+
+/**
+ * Diary Service
+ * Dated watch events, including rewatches
+ */
+class DiaryService {
+  /**
+   * Get a user's entries between two dates, newest first
+   * @param {string} userId - User ID
+   * @param {Object} range
+   * @param {string} range.from - First day, YYYY-MM-DD
+   * @param {string} range.to - Last day, YYYY-MM-DD
+   * @returns {Promise<Array>} - DiaryEntry instances with Content
+   */
+  async getEntries(userId, { from, to }) {
+    return DiaryEntry.findAll({
+      where: {
+        userId,
+        watchedOn: { [Op.between]: [from, to] }
+      },
+      include: [{ model: Content, attributes: CONTENT_ATTRIBUTES }],
+      order: [['watchedOn', 'DESC'], ['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Get every time a user watched a title, oldest first
+   * @param {string} userId - User ID
+   * @param {string} contentId - Content ID
+   * @returns {Promise<Array>} - DiaryEntry instances
+   */
+  async getContentHistory(userId, contentId) {
+    return DiaryEntry.findAll({
+      where: { userId, contentId },
+      order: [['watchedOn', 'ASC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Log a watch
+   * Unless told otherwise, a watch counts as a rewatch when an earlier one is logged.
+   * @param {string} userId - User ID
+   * @param {Object} data - { contentId, watchedOn, rating, note, rewatch }
+   * @returns {Promise<Object>} - DiaryEntry instance
+   */
+  async createEntry(userId, { contentId, watchedOn, rating = null, note = null, rewatch }) {
+    if (rewatch === undefined) {
+      const earlier = await DiaryEntry.count({
+        where: { userId, contentId, watchedOn: { [Op.lte]: watchedOn } }
+      });
+      rewatch = earlier > 0;
+    }
+
+    return DiaryEntry.create({ userId, contentId, watchedOn, rating, note, rewatch });
+  }
+
+  /**
+   * Update an entry
+   * @param {Object} entry - DiaryEntry instance
+   * @param {Object} changes - Any of { watchedOn, rating, note, rewatch }
+   * @returns {Promise<Object>} - Updated DiaryEntry instance
+   */
+  async updateEntry(entry, changes) {
+    const updates = {};
+    ['watchedOn', 'rating', 'note', 'rewatch'].forEach(field => {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    });
+
+    return entry.update(updates);
+  }
+
+  /**
+   * Count rewatches per title, for recommendations
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Map of content ID to number of rewatches
+   */
+  async getRewatchCounts(userId) {
+    const rows = await DiaryEntry.findAll({
+      where: { userId, rewatch: true },
+      attributes: ['contentId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['contentId'],
+      raw: true
+    });
+
+    return Object.fromEntries(rows.map(row => [row.contentId, Number(row.count)]));
+  }
+}
+
+module.exports = new DiaryService();
+
+// controllers/diaryController.js
+const { body, param, query } = require('express-validator');
+const { User, Content, DiaryEntry } = require('../models');
+const diaryService = require('../services/diaryService');
+const privacyService = require('../services/privacyService');
+const { isNormalizedRating } = require('../utils/ratingScale');
+const validateRequest = require('../middleware/validateRequest');
+
+// Longest range the calendar may ask for at once
+const MAX_RANGE_DAYS = 366;
+
+const isValidRating = (value) => value === null || isNormalizedRating(value);
+
+// A day of slack for users in time zones ahead of the server
+const isNotFuture = (value) => new Date(value) <= new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+// Validation middleware
+const getDiaryValidation = [
+  param('id').isUUID(),
+  query('from').isISO8601({ strict: true }),
+  query('to').isISO8601({ strict: true }),
+  validateRequest
+];
+
+const idValidation = [
+  param('id').isUUID(),
+  validateRequest
+];
+
+const createEntryValidation = [
+  body('contentId').isUUID(),
+  body('watchedOn').isISO8601({ strict: true }).custom(isNotFuture).withMessage('Watch date cannot be in the future'),
+  body('rating').optional({ nullable: true }).isFloat().toFloat().custom(isValidRating)
+    .withMessage('Rating must be normalized: between 0.1 and 1 in steps of 0.1'),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('rewatch').optional().isBoolean().toBoolean(),
+  validateRequest
+];
+
+const updateEntryValidation = [
+  param('id').isUUID(),
+  body('watchedOn').optional().isISO8601({ strict: true }).custom(isNotFuture)
+    .withMessage('Watch date cannot be in the future'),
+  body('rating').optional({ nullable: true }).isFloat().toFloat().custom(isValidRating)
+    .withMessage('Rating must be normalized: between 0.1 and 1 in steps of 0.1'),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('rewatch').optional().isBoolean().toBoolean(),
+  validateRequest
+];
+
+/**
+ * Load one of the current user's entries
+ * @private
+ */
+const loadOwnEntry = async (req, res) => {
+  const entry = await DiaryEntry.findOne({ where: { id: req.params.id, userId: req.user.id } });
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Diary entry not found'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Get a user's diary for a date range, e.g. a calendar month
+ * Follows the owner's activity privacy setting; ratings follow their ratings setting.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getDiary = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+    if (days < 0 || days > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be between 0 and ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const owner = await User.findByPk(req.params.id);
+    if (!owner || owner.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await privacyService.canView(owner, req.user, 'activity'))) {
+      return res.status(403).json({
+        success: false,
+        code: 'PROFILE_PRIVATE',
+        message: `${owner.username} keeps their activity private`
+      });
+    }
+
+    const [entries, showRatings] = await Promise.all([
+      diaryService.getEntries(owner.id, { from, to }),
+      privacyService.canView(owner, req.user, 'ratings')
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => {
+        const data = entry.toJSON();
+        if (!showRatings) {
+          delete data.rating;
+        }
+        return data;
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get every time the current user watched a title
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const getContentHistory = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await diaryService.getContentHistory(req.user.id, req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log a watch in the current user's diary
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const createEntry = async (req, res, next) => {
+  try {
+    const content = await Content.findByPk(req.body.contentId, { attributes: ['id'] });
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    const entry = await diaryService.createEntry(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update one of the current user's diary entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const updateEntry = async (req, res, next) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    await diaryService.updateEntry(entry, req.body);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete one of the current user's diary entries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteEntry = async (req, res, next) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    await entry.destroy();
+
+    res.json({
+      success: true,
+      message: 'Diary entry deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDiary: [getDiaryValidation, getDiary],
+  getContentHistory: [idValidation, getContentHistory],
+  createEntry: [createEntryValidation, createEntry],
+  updateEntry: [updateEntryValidation, updateEntry],
+  deleteEntry: [idValidation, deleteEntry]
+};
+
+// routes/index.js - Add diary routes
+const diaryRoutes = require('./diaryRoutes');
+
+router.use('/diary', diaryRoutes);
+
+// routes/diaryRoutes.js
+const express = require('express');
+const diaryController = require('../controllers/diaryController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.post('/', authMiddleware, diaryController.createEntry);
+router.put('/:id', authMiddleware, diaryController.updateEntry);
+router.delete('/:id', authMiddleware, diaryController.deleteEntry);
+
+module.exports = router;
+
+// routes/userRoutes.js - Watch diary
+const diaryController = require('../controllers/diaryController');
+
+router.get('/:id/diary', optionalAuth, diaryController.getDiary);
+
+// routes/contentRoutes.js - Watch history of a title
+const diaryController = require('../controllers/diaryController');
+
+router.get('/:id/diary', authMiddleware, diaryController.getContentHistory);
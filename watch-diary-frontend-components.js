@@ -0,0 +1,488 @@
+// src/utils/dates.js
+/**
+ * Format a date as YYYY-MM-DD in local time, as the diary stores it
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * First and last day of the month containing a date
+ * @param {Date} date
+ * @returns {Object} - { from, to } as YYYY-MM-DD
+ */
+export const monthRange = (date) => ({
+  from: toDateString(new Date(date.getFullYear(), date.getMonth(), 1)),
+  to: toDateString(new Date(date.getFullYear(), date.getMonth() + 1, 0))
+});
+
+// src/components/diary/DiaryCalendar.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import styled from 'styled-components';
+import { useQuery } from 'react-query';
+import { FaChevronLeft, FaChevronRight, FaRedo, FaStar } from 'react-icons/fa';
+import api from '../../utils/api';
+import { toDateString, monthRange } from '../../utils/dates';
+import { formatRating } from '../../utils/ratings';
+import useRatingScale from '../../hooks/useRatingScale';
+import Loader from '../common/Loader';
+import Error from '../common/Error';
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  margin-bottom: 15px;
+
+  h3 {
+    font-size: 20px;
+    font-weight: 600;
+    margin: 0;
+  }
+`;
+
+const NavButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.borderColor};
+  color: ${props => props.theme.textPrimary};
+  border-radius: 4px;
+  padding: 6px 10px;
+  cursor: pointer;
+  display: flex;
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const Grid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(7, 1fr);
+  gap: 4px;
+`;
+
+const Weekday = styled.div`
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  text-align: center;
+  padding: 4px 0;
+`;
+
+const Day = styled.div`
+  min-height: 90px;
+  background: ${props => props.outside ? 'transparent' : props.theme.cardBg};
+  border: 1px solid ${props => props.today ? props.theme.primary : 'transparent'};
+  border-radius: 6px;
+  padding: 4px;
+`;
+
+const DayNumber = styled.div`
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  margin-bottom: 4px;
+`;
+
+const Posters = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 3px;
+`;
+
+const PosterLink = styled(Link)`
+  position: relative;
+  display: block;
+
+  img {
+    width: 32px;
+    height: 48px;
+    object-fit: cover;
+    border-radius: 3px;
+  }
+
+  svg {
+    position: absolute;
+    top: 2px;
+    right: 2px;
+    font-size: 9px;
+    color: white;
+    filter: drop-shadow(0 0 2px black);
+  }
+`;
+
+const EntryList = styled.div`
+  margin-top: 25px;
+  display: grid;
+  gap: 8px;
+`;
+
+const Entry = styled.div`
+  display: flex;
+  align-items: baseline;
+  gap: 12px;
+  font-size: 14px;
+
+  time {
+    width: 60px;
+    color: ${props => props.theme.textSecondary};
+  }
+
+  a {
+    color: ${props => props.theme.textPrimary};
+    font-weight: 600;
+    text-decoration: none;
+  }
+`;
+
+const EntryMeta = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 4px;
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+
+  .star {
+    color: #FFD700;
+  }
+`;
+
+const Empty = styled.p`
+  color: ${props => props.theme.textSecondary};
+  text-align: center;
+  padding: 20px 0;
+`;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Days to show for a month, padded to whole weeks starting on Monday
+const calendarDays = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(1 - ((first.getDay() + 6) % 7));
+
+  const days = [];
+  for (let day = new Date(start); days.length < 42; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+
+  // Drop a trailing week that belongs entirely to the next month
+  return days[35].getMonth() !== month.getMonth() ? days.slice(0, 35) : days;
+};
+
+/**
+ * A month of a user's watch diary
+ * @param {Object} props
+ * @param {string} props.userId - ID of the diary's owner
+ */
+const DiaryCalendar = ({ userId }) => {
+  const ratingScale = useRatingScale();
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const range = monthRange(month);
+
+  const { data: entries, isLoading, error } = useQuery(
+    ['users', userId, 'diary', range.from],
+    () => api.get(`/users/${userId}/diary`, { params: range }).then(res => res.data.data),
+    { keepPreviousData: true }
+  );
+
+  const changeMonth = (delta) => setMonth(new Date(month.getFullYear(), month.getMonth() + delta, 1));
+  const isCurrentMonth = toDateString(month) === monthRange(new Date()).from;
+
+  if (error) {
+    return (
+      <Error message={error.response?.data?.code === 'PROFILE_PRIVATE'
+        ? error.response.data.message
+        : 'Failed to load the diary'}
+      />
+    );
+  }
+
+  const entriesByDay = {};
+  (entries || []).forEach(entry => {
+    (entriesByDay[entry.watchedOn] = entriesByDay[entry.watchedOn] || []).push(entry);
+  });
+  const today = toDateString(new Date());
+
+  return (
+    <div>
+      <Header>
+        <NavButton onClick={() => changeMonth(-1)} aria-label="Previous month">
+          <FaChevronLeft />
+        </NavButton>
+        <h3>{month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</h3>
+        <NavButton onClick={() => changeMonth(1)} disabled={isCurrentMonth} aria-label="Next month">
+          <FaChevronRight />
+        </NavButton>
+      </Header>
+
+      {isLoading ? <Loader /> : (
+        <>
+          <Grid>
+            {WEEKDAYS.map(weekday => <Weekday key={weekday}>{weekday}</Weekday>)}
+            {calendarDays(month).map(day => {
+              const key = toDateString(day);
+              const outside = day.getMonth() !== month.getMonth();
+
+              return (
+                <Day key={key} outside={outside} today={key === today}>
+                  {!outside && <DayNumber>{day.getDate()}</DayNumber>}
+                  {!outside && entriesByDay[key] && (
+                    <Posters>
+                      {entriesByDay[key].map(entry => (
+                        <PosterLink
+                          key={entry.id}
+                          to={`/content/${entry.Content.id}`}
+                          title={`${entry.Content.title}${entry.rewatch ? ' (rewatch)' : ''}`}
+                        >
+                          <img src={entry.Content.posterUrl} alt={entry.Content.title} />
+                          {entry.rewatch && <FaRedo />}
+                        </PosterLink>
+                      ))}
+                    </Posters>
+                  )}
+                </Day>
+              );
+            })}
+          </Grid>
+
+          {entries.length === 0 ? (
+            <Empty>Nothing logged this month.</Empty>
+          ) : (
+            <EntryList>
+              {entries.map(entry => (
+                <Entry key={entry.id}>
+                  <time dateTime={entry.watchedOn}>
+                    {new Date(`${entry.watchedOn}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}
+                  </time>
+                  <span>
+                    <Link to={`/content/${entry.Content.id}`}>{entry.Content.title}</Link>
+                    {entry.note && ` — ${entry.note}`}
+                  </span>
+                  {entry.rating != null && (
+                    <EntryMeta><FaStar className="star" /> {formatRating(entry.rating, ratingScale)}</EntryMeta>
+                  )}
+                  {entry.rewatch && <EntryMeta><FaRedo /> Rewatch</EntryMeta>}
+                </Entry>
+              ))}
+            </EntryList>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DiaryCalendar;
+
+// src/components/diary/LogWatch.js
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { FaCalendarPlus } from 'react-icons/fa';
+import api from '../../utils/api';
+import { toDateString } from '../../utils/dates';
+import { Input, Message } from '../auth/AuthForm';
+import RatingInput from '../common/RatingInput';
+
+const Container = styled.div`
+  margin-bottom: 20px;
+`;
+
+const Toggle = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.primary};
+  color: ${props => props.theme.primary};
+  border-radius: 6px;
+  padding: 10px 20px;
+  font-size: 14px;
+  cursor: pointer;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+
+  &:hover {
+    background: ${props => props.theme.primaryHover};
+    color: ${props => props.theme.buttonText};
+  }
+`;
+
+const History = styled.p`
+  font-size: 13px;
+  color: ${props => props.theme.textSecondary};
+  margin: 8px 0 0 0;
+`;
+
+const Form = styled.form`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 10px;
+  max-width: 500px;
+  margin-top: 15px;
+  padding: 15px;
+  background: ${props => props.theme.cardBg};
+  border-radius: 8px;
+
+  textarea, button, label.wide {
+    grid-column: 1 / -1;
+  }
+`;
+
+const TextArea = styled.textarea`
+  background: ${props => props.theme.inputBg};
+  border: 1px solid ${props => props.theme.borderColor};
+  border-radius: 6px;
+  padding: 10px 12px;
+  color: ${props => props.theme.textPrimary};
+  font-size: 14px;
+  font-family: inherit;
+  min-height: 60px;
+  resize: vertical;
+`;
+
+const Checkbox = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 14px;
+`;
+
+const SaveButton = styled.button`
+  background: ${props => props.theme.primary};
+  border: none;
+  color: ${props => props.theme.buttonText};
+  border-radius: 6px;
+  padding: 10px;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+/**
+ * Log a dated watch of a title in the current user's diary
+ * @param {Object} props
+ * @param {string} props.contentId - Content ID
+ */
+const LogWatch = ({ contentId }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [watchedOn, setWatchedOn] = useState(() => toDateString(new Date()));
+  const [rating, setRating] = useState(null);
+  const [note, setNote] = useState('');
+  const [rewatch, setRewatch] = useState(null);
+  const historyKey = ['content', contentId, 'diary'];
+
+  const { data: history = [] } = useQuery(
+    historyKey,
+    () => api.get(`/content/${contentId}/diary`).then(res => res.data.data)
+  );
+
+  const logWatch = useMutation(
+    () => api.post('/diary', {
+      contentId,
+      watchedOn,
+      rating,
+      note: note || null,
+      rewatch: rewatch ?? history.length > 0
+    }),
+    {
+      onSuccess: () => {
+        setOpen(false);
+        setRating(null);
+        setNote('');
+        setRewatch(null);
+        queryClient.invalidateQueries(historyKey);
+        queryClient.invalidateQueries('users');
+      }
+    }
+  );
+
+  const lastWatch = history[history.length - 1];
+
+  return (
+    <Container>
+      <Toggle onClick={() => setOpen(!open)}>
+        <FaCalendarPlus /> Log a watch
+      </Toggle>
+
+      {lastWatch && (
+        <History>
+          Watched {history.length === 1 ? 'once' : `${history.length} times`}, last on{' '}
+          {new Date(`${lastWatch.watchedOn}T00:00:00`).toLocaleDateString()}
+        </History>
+      )}
+
+      {open && (
+        <Form onSubmit={(e) => { e.preventDefault(); logWatch.mutate(); }}>
+          {logWatch.isError && (
+            <Message error style={{ gridColumn: '1 / -1' }}>
+              {logWatch.error.response?.data?.message || 'Failed to log the watch'}
+            </Message>
+          )}
+          <Input
+            type="date"
+            value={watchedOn}
+            max={toDateString(new Date())}
+            onChange={(e) => setWatchedOn(e.target.value)}
+            required
+          />
+          <RatingInput value={rating} onChange={setRating} />
+          <TextArea
+            placeholder="Notes (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={2000}
+          />
+          <Checkbox className="wide">
+            <input
+              type="checkbox"
+              checked={rewatch ?? history.length > 0}
+              onChange={(e) => setRewatch(e.target.checked)}
+            />
+            I've seen this before
+          </Checkbox>
+          <SaveButton type="submit" disabled={logWatch.isLoading}>Save to diary</SaveButton>
+        </Form>
+      )}
+    </Container>
+  );
+};
+
+export default LogWatch;
+
+// src/pages/UserDiary.js
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import styled from 'styled-components';
+import DiaryCalendar from '../components/diary/DiaryCalendar';
+
+const Container = styled.div`
+  padding: 20px;
+  max-width: 900px;
+  margin: 0 auto;
+`;
+
+const PageTitle = styled.h1`
+  font-size: 28px;
+  font-weight: 700;
+  margin-bottom: 30px;
+`;
+
+const UserDiary = () => {
+  const { id } = useParams();
+
+  return (
+    <Container>
+      <PageTitle>Diary</PageTitle>
+      <DiaryCalendar userId={id} />
+    </Container>
+  );
+};
+
+export default UserDiary;